@@ -1,83 +1,94 @@
 /*
  * Bag‑of‑Words visualizer
  *
- * This script tokenizes the query and two documents, constructs a shared
- * vocabulary, and computes raw term frequency (dot product) and cosine
- * similarity scores. It renders the term counts as bar charts for each
- * document on a shared axis using p5.js. Colours are chosen from the
- * Manim palette: grey for the query, blue for the first document and green
- * for the second.
+ * This script tokenizes the query and any number of documents, constructs a
+ * shared vocabulary, and computes raw term frequency (dot product) and cosine
+ * similarity scores using the shared retrieval core. It renders the term
+ * counts as bar charts for each document on a shared axis using p5.js.
+ * Dragging a bar up or down changes that term's count, giving the query or
+ * document synthetic counts (see documents.js) and rescoring as it moves.
+ * Colours are chosen from the Manim palette: grey for the query, then blue,
+ * green and gold for the first documents, with generated hues for any
+ * further ones.
  */
 
 let vocab = [];
 let qVec = [];
-let d1Vec = [];
-let d2Vec = [];
-let scores = { doc1: { dot: 0, cos: 0 }, doc2: { dot: 0, cos: 0 } };
+let docVecs = [];
+let scores = [];
 let canvas;
-
-// Process text: lowercase, split on non‑word characters
-function textToTokens(str) {
-  return str
-    .toLowerCase()
-    .split(/[^\p{L}\p{N}']+/u)
-    .filter((t) => t.length > 0);
-}
+// Bar columns drawn in the last frame and the counts-to-pixels scale
+let barColumns = [];
+let barScale = 1;
 
 function buildVectors() {
-  const qTokens = textToTokens(
-    document.getElementById("queryText").value
-  );
-  const d1Tokens = textToTokens(
-    document.getElementById("doc1Text").value
-  );
-  const d2Tokens = textToTokens(
-    document.getElementById("doc2Text").value
-  );
-  // Build vocabulary: unique tokens across all texts
-  const vocabSet = new Set([...qTokens, ...d1Tokens, ...d2Tokens]);
-  vocab = Array.from(vocabSet);
-  // Initialize vectors with zeros
-  qVec = new Array(vocab.length).fill(0);
-  d1Vec = new Array(vocab.length).fill(0);
-  d2Vec = new Array(vocab.length).fill(0);
-  // Fill counts
-  vocab.forEach((term, i) => {
-    qVec[i] = qTokens.filter((t) => t === term).length;
-    d1Vec[i] = d1Tokens.filter((t) => t === term).length;
-    d2Vec[i] = d2Tokens.filter((t) => t === term).length;
-  });
-  // Compute dot products
-  const dot1 = qVec.reduce((sum, v, i) => sum + v * d1Vec[i], 0);
-  const dot2 = qVec.reduce((sum, v, i) => sum + v * d2Vec[i], 0);
-  // Compute cosine similarities
-  const mag = (vec) => Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
-  const qMag = mag(qVec);
-  const d1Mag = mag(d1Vec);
-  const d2Mag = mag(d2Vec);
-  const cos1 = qMag === 0 || d1Mag === 0 ? 0 : dot1 / (qMag * d1Mag);
-  const cos2 = qMag === 0 || d2Mag === 0 ? 0 : dot2 / (qMag * d2Mag);
-  scores = {
-    doc1: { dot: dot1, cos: cos1 },
-    doc2: { dot: dot2, cos: cos2 },
-  };
+  const queryText = document.getElementById("queryText").value;
+  // A loaded corpus is scored from its inverted index instead
+  if (loadedCorpus) {
+    const ranking = rankLoadedCorpus(queryText, { type: "bow" }, "cosine");
+    document.getElementById("scores").innerHTML =
+      corpusScoreHtml(ranking) + `<br/><em>Pipeline: ${pipelineSummary()}</em>`;
+    return;
+  }
+  const qTokens = textareaTokens(document.getElementById("queryText"));
+  const docTokens = getDocumentTokens();
+  // Shared vocabulary, count vectors and scores come from the retrieval core
+  const result = RetrievalCore.scoreBagOfWords(qTokens, docTokens);
+  vocab = result.vocab;
+  qVec = result.queryVec;
+  docVecs = result.docVecs;
+  scores = result.scores;
   updateScoreDisplay();
 }
 
 function updateScoreDisplay() {
   const scoresEl = document.getElementById("scores");
-  scoresEl.innerHTML = `
-        <strong>Document 1:</strong> dot product = ${scores.doc1.dot.toFixed(
-          2
-        )}, cosine similarity = ${scores.doc1.cos.toFixed(2)}<br/>
-        <strong>Document 2:</strong> dot product = ${scores.doc2.dot.toFixed(
+  scoresEl.innerHTML = scores
+    .map(
+      (sc, i) =>
+        `<strong>Document ${i + 1}:</strong> dot product = ${sc.dot.toFixed(
           2
-        )}, cosine similarity = ${scores.doc2.cos.toFixed(2)}
-      `;
+        )}, cosine similarity = ${sc.cos.toFixed(2)}`
+    )
+    .join("<br/>");
+  scoresEl.innerHTML += `<br/><em>Pipeline: ${pipelineSummary()}</em>`;
 }
 
-// Attach event listener
+// Tables for the export menu: the count matrix and the worked scores
+function exportTables() {
+  if (loadedCorpus) {
+    return corpusRanking ? [corpusRankingTable(corpusRanking)] : [];
+  }
+  const labels = docVecs.map((_, d) => `D${d + 1}`);
+  const { magnitude } = RetrievalCore;
+  return [
+    termMatrixTable("Term counts", vocab, [
+      { label: "Query", values: qVec },
+      ...docVecs.map((values, d) => ({ label: labels[d], values })),
+    ]),
+    {
+      name: "Dot product and cosine",
+      header: ["Document", "q · d", "Dot product", "|q|", "|d|", "Cosine"],
+      rows: docVecs.map((vec, d) => [
+        labels[d],
+        dotProductTerms(qVec, vec),
+        scores[d].dot,
+        magnitude(qVec),
+        magnitude(vec),
+        scores[d].cos,
+      ]),
+    },
+  ];
+}
+
+// Attach event listeners and build the editable document list
 window.addEventListener("DOMContentLoaded", () => {
+  initDocumentList(initialDocumentTexts(), buildVectors);
+  initPipelineControls(buildVectors);
+  initCorpusLoader(buildVectors);
+  initVectorSpace(() => ({ vocab, query: qVec, docs: docVecs }));
+  initPageState(buildVectors);
+  initExportMenu(exportTables);
   document.getElementById("computeBtn").addEventListener("click", () => {
     buildVectors();
   });
@@ -91,31 +102,43 @@ function setup() {
   const w = container ? container.clientWidth : 900;
   canvas = createCanvas(w, 350);
   canvas.parent("canvasContainer");
-  buildVectors();
+  if (!restorePageState()) buildVectors();
 }
 
 function draw() {
+  if (loadedCorpus && corpusRanking) {
+    drawCorpusView(corpusRanking);
+    return;
+  }
+  if (height !== 350) resizeCanvas(width, 350);
   // Dark background reminiscent of Manim’s slate backgrounds
   background(22, 24, 48);
   if (vocab.length === 0) return;
+  const colours = documentColours(docVecs.length);
   // Determine maximum frequency among all vectors for scaling
-  const maxFreq = Math.max(1, ...qVec, ...d1Vec, ...d2Vec);
+  const maxFreq = Math.max(1, ...qVec, ...docVecs.flat());
+  barScale = 200 / maxFreq;
   const barWidth = width / vocab.length;
+  // One slot for the query plus one per document
+  const slots = docVecs.length + 1;
+  barColumns = [];
   for (let i = 0; i < vocab.length; i++) {
     const x = i * barWidth + barWidth * 0.1;
     const bw = barWidth * 0.8;
+    for (let slot = 0; slot < slots; slot++) {
+      const cx = x + (slot * bw) / slots;
+      barColumns.push({ x: cx, w: bw / slots, slot, term: vocab[i] });
+    }
     // Draw query bar (muted grey)
     const qHeight = (qVec[i] / maxFreq) * 200;
-    fill(120, 120, 130);
-    rect(x, height - 20 - qHeight, bw / 3, qHeight);
-    // Doc1 bar (blue accent)
-    const d1Height = (d1Vec[i] / maxFreq) * 200;
-    fill(82, 88, 147);
-    rect(x + bw / 3, height - 20 - d1Height, bw / 3, d1Height);
-    // Doc2 bar (green accent)
-    const d2Height = (d2Vec[i] / maxFreq) * 200;
-    fill(131, 193, 103);
-    rect(x + (2 * bw) / 3, height - 20 - d2Height, bw / 3, d2Height);
+    fill(...QUERY_COLOUR);
+    rect(x, height - 20 - qHeight, bw / slots, qHeight);
+    // Document bars in their palette colours
+    for (let d = 0; d < docVecs.length; d++) {
+      const h = (docVecs[d][i] / maxFreq) * 200;
+      fill(...colours[d]);
+      rect(x + ((d + 1) * bw) / slots, height - 20 - h, bw / slots, h);
+    }
     // Draw term label rotated for space efficiency
     fill(220);
     textSize(10);
@@ -127,23 +150,30 @@ function draw() {
     pop();
   }
   // Legend
-  // Query legend
-  fill(120, 120, 130);
-  rect(10, 10, 12, 12);
-  fill(220);
-  textSize(12);
-  textAlign(LEFT, CENTER);
-  text("Query", 26, 16);
-  // Doc1 legend
-  fill(82, 88, 147);
-  rect(90, 10, 12, 12);
-  fill(220);
-  text("Doc 1", 106, 16);
-  // Doc2 legend
-  fill(131, 193, 103);
-  rect(150, 10, 12, 12);
-  fill(220);
-  text("Doc 2", 166, 16);
+  drawLegend(
+    ["Query", ...docVecs.map((_, d) => `Doc ${d + 1}`)],
+    [QUERY_COLOUR, ...colours]
+  );
+  const hovering = barColumnAt(barColumns, height - 230, height - 20);
+  cursor(barDrag || hovering ? "ns-resize" : ARROW);
+  drawBarDragLabel();
+}
+
+// Grab the bar under the mouse to change its count
+function mousePressed() {
+  if (loadedCorpus) return;
+  const hit = barColumnAt(barColumns, height - 230, height - 20);
+  if (!hit) return;
+  const label = hit.slot === 0 ? "Query" : `Doc ${hit.slot}`;
+  startBarDrag(slotTextarea(hit.slot), hit.term, barScale, label);
+}
+
+function mouseDragged() {
+  if (updateBarDrag(buildVectors)) buildVectors();
+}
+
+function mouseReleased() {
+  barDrag = null;
 }
 
 // Resize the canvas when the window is resized
@@ -151,6 +181,6 @@ function windowResized() {
   const container = document.getElementById("canvasContainer");
   if (container) {
     const newW = container.clientWidth;
-    resizeCanvas(newW, 350);
+    resizeCanvas(newW, height);
   }
 }
\ No newline at end of file
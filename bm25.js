@@ -1,96 +1,557 @@
 /*
  * Okapi BM25 visualizer
  *
- * Computes BM25 scores for a query against three documents and visualises
- * the resulting document scores and term contributions. Supports interactive
- * adjustment of the parameters k1 and b as described in the BM25 formula.
- * The IDF computation has been adjusted to avoid negative values by
- * smoothing the numerator and denominator with +0.5 and using (N+0.5)/(n_t+0.5).
+ * Scores the documents against the query with BM25 from the shared
+ * retrieval core and draws each score as a stack of per-term contributions,
+ * with a tooltip breaking down the segment under the mouse. Sliders set k1
+ * and b. The default IDF, ln((N + 0.5)/(n_t + 0.5)), smooths the counts by
+ * 0.5 so it never goes negative; selectors switch to BM25L, BM25+, BM25F,
+ * Lucene's TF without the k1 + 1 factor and the Lucene or Robertson–Spärck
+ * Jones IDF (the latter is negative for terms in more than half the
+ * documents), and the scores are then listed beside the original formula's
+ * with rank changes highlighted.
+ *
+ * Dragging a segment up or down sets that term's count in the document
+ * (synthetic counts, see documents.js); dragging the empty part of a bar
+ * picks the term for the saturation curves (bm25_saturation.js).
+ * Relevance feedback (feedback.js) reweights the query terms and adds new
+ * ones, and the stacks ease to the new contributions.
+ *
+ * Around the chart, the documents are listed as search results with
+ * snippets (search_results.js), the "Show your work" panel writes out every
+ * IDF and contribution (derivation.js), and bm25_sweep.js maps the ranking
+ * over the whole k1 × b range.
  */
 
 let docs = [];
 let vocab = [];
+let df = {};
 let idf = {};
 let docLengths = [];
 let avgDocLength = 0;
 let scores = [];
 let termContribs = [];
+let termFreqs = [];
+// Numerator, denominator and shift of each contribution (bm25TermParts)
+let termParts = [];
+// Scores under the original formula (Okapi, smoothed IDF) for comparison
+let baselineScores = [];
+// Rectangles of the drawn term segments, used for hover tooltips
+let segments = [];
+// Curve labels when the curves show top-ranked corpus documents
+let docLabels = null;
+// Document bar columns drawn in the last frame, for dragging
+let barColumns = [];
+// Mouse travel per unit of term count while dragging a segment
+const PX_PER_COUNT = 20;
+
+// Parameters from the controls, in the form RetrievalCore.computeBm25 takes
+function bm25Params() {
+  return {
+    k1: parseFloat(document.getElementById("k1").value),
+    b: parseFloat(document.getElementById("b").value),
+    variant: document.getElementById("variant").value,
+    idf: document.getElementById("idfVariant").value,
+    delta: parseFloat(document.getElementById("delta").value),
+  };
+}
 
-function textToTokens(str) {
-  return str
-    .toLowerCase()
-    .split(/[^\p{L}\p{N}']+/u)
-    .filter((t) => t.length > 0);
+// BM25F treats the first line of each document as its title field;
+// synthetic counts have no title
+function documentFields(docTokens) {
+  const textareas = document.querySelectorAll("#docList .doc-text");
+  return Array.from(textareas).map((el, d) => {
+    if (el.syntheticCounts) return [[], docTokens[d]];
+    const [title, ...body] = el.value.split("\n");
+    return [
+      tokenizeWithPipeline(title),
+      tokenizeWithPipeline(body.join("\n")),
+    ];
+  });
 }
 
 function computeBm25() {
-  const qTokens = textToTokens(document.getElementById("queryText").value);
-  docs = [
-    textToTokens(document.getElementById("d1Text").value),
-    textToTokens(document.getElementById("d2Text").value),
-    textToTokens(document.getElementById("d3Text").value),
-  ];
-  const N = docs.length;
-  // Vocabulary includes only terms present in the query for scoring
-  vocab = Array.from(new Set(qTokens));
-  // Document frequency: number of documents containing term
-  const df = {};
-  vocab.forEach((term) => {
-    df[term] = docs.reduce((count, doc) => (doc.includes(term) ? count + 1 : count), 0);
+  const queryText = document.getElementById("queryText").value;
+  const params = bm25Params();
+  if (loadedCorpus) {
+    computeCorpusBm25(queryText, params);
+    clearSearchResults();
+    refreshDerivation();
+    updateBm25Sweep();
+    return;
+  }
+  docLabels = null;
+  let qTokens = tokenizeWithPipeline(queryText);
+  let queryWeights;
+  if (feedbackWeights) {
+    // The query moved by relevance feedback: weighted, possibly new terms
+    qTokens = Array.from(feedbackWeights.keys()).filter(
+      (term) => feedbackWeights.get(term) > 0
+    );
+    queryWeights = Object.fromEntries(feedbackWeights);
+  }
+  docs = getDocumentTokens();
+  const fields = documentFields(docs);
+  // Scores and per-term contributions come from the retrieval core
+  const result = RetrievalCore.computeBm25(qTokens, docs, {
+    ...params,
+    fields,
+    queryWeights,
   });
-  // Compute IDF per term using a smoothed positive formula
+  baselineScores = RetrievalCore.computeBm25(qTokens, docs, {
+    k1: params.k1,
+    b: params.b,
+    queryWeights,
+  }).scores;
+  ({
+    vocab,
+    df,
+    idf,
+    docLengths,
+    avgDocLength,
+    scores,
+    termContribs,
+    termFreqs,
+    termParts,
+  } = result);
+  updateCurveTerms();
+  updateScoreDisplay();
+  refreshDerivation();
+  updateBm25Sweep();
+}
+
+/*
+ * Score a loaded corpus from its inverted index. BM25F has no fields to
+ * work with there and is scored as Okapi BM25. The saturation curves show
+ * the ten best documents.
+ */
+function computeCorpusBm25(queryText, params) {
+  const model = { type: "bm25", ...params };
+  const ranking = rankLoadedCorpus(queryText, model, "BM25");
+  const { index, stats, docs: corpusDocs } = loadedCorpus;
+  const shown = ranking.results.slice(0, 10).map((r) => r.doc);
+  const idfFn = RetrievalCore.BM25_IDF_SCHEMES[params.idf].fn;
+  vocab = ranking.queryTerms;
   idf = {};
   vocab.forEach((term) => {
-    const nt = df[term];
-    // Add 0.5 to numerator and denominator as smoothing (BM25 formula)
-    idf[term] = Math.log((N + 0.5) / (nt + 0.5));
+    const df = (index.postings.get(term) || []).length;
+    idf[term] = idfFn(df, stats.N);
   });
-  // Document lengths and average length
-  docLengths = docs.map((doc) => doc.length);
-  avgDocLength = docLengths.reduce((a, b) => a + b, 0) / N;
-  // Parameters
-  const k1 = parseFloat(document.getElementById("k1").value);
-  const b = parseFloat(document.getElementById("b").value);
-  // Compute scores and term contributions
-  scores = [];
-  termContribs = [];
-  docs.forEach((doc, idx) => {
-    let score = 0;
-    const contribs = {};
+  docLengths = shown.map((doc) => stats.docLengths[doc]);
+  avgDocLength = stats.avgDocLength;
+  termFreqs = shown.map((doc) => {
+    const freqs = {};
     vocab.forEach((term) => {
-      const f = doc.filter((t) => t === term).length;
-      if (f === 0) {
-        contribs[term] = 0;
-        return;
-      }
-      const numerator = f * (k1 + 1);
-      const denominator = f + k1 * (1 - b + b * (docLengths[idx] / avgDocLength));
-      const termScore = idf[term] * (numerator / denominator);
-      contribs[term] = termScore;
-      score += termScore;
+      const posting = RetrievalCore.findPosting(
+        index.postings.get(term) || [],
+        doc
+      );
+      freqs[term] = posting ? posting.tf : 0;
     });
-    scores.push(score);
-    termContribs.push(contribs);
+    return freqs;
   });
-  updateScoreDisplay();
+  docLabels = shown.map((doc, r) => `#${r + 1} ${corpusDocs[doc].title}`);
+  scores = [];
+  updateCurveTerms();
+  let html = corpusScoreHtml(ranking);
+  if (params.variant === "bm25f") {
+    html += "<br/><em>BM25F needs fields; corpus scored as Okapi BM25.</em>";
+  }
+  const k1Val = params.k1.toFixed(2);
+  const bVal = params.b.toFixed(2);
+  const deltaVal = params.delta.toFixed(2);
+  html += `<br/><em>k<sub>1</sub> = ${k1Val}, b = ${bVal}`;
+  if (RetrievalCore.BM25_VARIANTS[params.variant].usesDelta) {
+    html += `, δ = ${deltaVal}`;
+  }
+  html += `<br/>Pipeline: ${pipelineSummary()}</em>`;
+  document.getElementById("scores").innerHTML = html;
+  document.getElementById("k1Val").textContent = k1Val;
+  document.getElementById("bVal").textContent = bVal;
+  document.getElementById("deltaVal").textContent = deltaVal;
 }
 
 function updateScoreDisplay() {
   const el = document.getElementById("scores");
-  let html = scores
-    .map((score, idx) => `<strong>Document ${idx + 1}:</strong> BM25 score = ${score.toFixed(3)}`)
-    .join("<br/>");
+  const { ranks, BM25_VARIANTS, BM25_IDF_SCHEMES } = RetrievalCore;
+  const variant = document.getElementById("variant").value;
+  const idfScheme = document.getElementById("idfVariant").value;
+  const isBaseline = variant === "okapi" && idfScheme === "smoothed";
+  const rank = ranks(scores);
+  const baseRank = ranks(baselineScores);
+  renderSearchResults(
+    vocab,
+    scores,
+    termContribs,
+    (d) => `BM25 score ${scores[d].toFixed(3)}`
+  );
+  // The results list shows the scores; variants add a comparison table
+  let html = "";
+  if (!isBaseline) {
+    // Side-by-side table; rows whose rank differs from the original formula
+    // are highlighted
+    const rows = scores
+      .map((score, idx) => {
+        const flipped = rank[idx] !== baseRank[idx];
+        return `<tr${flipped ? ' class="flipped"' : ""}>
+          <td><strong>Document ${idx + 1}</strong></td>
+          <td>${baselineScores[idx].toFixed(3)}</td><td>#${baseRank[idx]}</td>
+          <td>${score.toFixed(3)}</td><td>#${rank[idx]}</td>
+        </tr>`;
+      })
+      .join("");
+    const name = `${BM25_VARIANTS[variant].name}, idf = ${BM25_IDF_SCHEMES[idfScheme].name}`;
+    html = `<table class="compare">
+      <tr><th></th><th colspan="2">Okapi BM25 (original)</th><th colspan="2">${name}</th></tr>
+      <tr><th>Document</th><th>score</th><th>rank</th><th>score</th><th>rank</th></tr>
+      ${rows}
+    </table>`;
+    if (rank.some((r, i) => r !== baseRank[i])) {
+      html += "<em>Highlighted rows change rank under the selected variant.</em><br/>";
+    }
+  }
   // Add parameter values
   const k1Val = parseFloat(document.getElementById("k1").value).toFixed(2);
   const bVal = parseFloat(document.getElementById("b").value).toFixed(2);
-  html += `<br/><em>k<sub>1</sub> = ${k1Val}, b = ${bVal}</em>`;
+  const deltaVal = parseFloat(document.getElementById("delta").value).toFixed(2);
+  html += `<em>k<sub>1</sub> = ${k1Val}, b = ${bVal}`;
+  if (BM25_VARIANTS[variant].usesDelta) html += `, δ = ${deltaVal}`;
+  if (feedbackWeights) html += "<br/>Query weights from relevance feedback";
+  html += `<br/>Pipeline: ${pipelineSummary()}</em>`;
   el.innerHTML = html;
   // Update displayed parameter values near sliders
   document.getElementById("k1Val").textContent = k1Val;
   document.getElementById("bVal").textContent = bVal;
+  document.getElementById("deltaVal").textContent = deltaVal;
+}
+
+/*
+ * Tables for the export menu: term frequencies, IDF and contributions per
+ * document, and the worked computation of every contribution.
+ */
+function exportTables() {
+  if (loadedCorpus) {
+    return corpusRanking ? [corpusRankingTable(corpusRanking)] : [];
+  }
+  const labels = scores.map((_, d) => `D${d + 1}`);
+  const perDocument = (tables) =>
+    tables.map((values, d) => ({
+      label: labels[d],
+      values: vocab.map((term) => values[term] || 0),
+    }));
+  const k1 = parseFloat(document.getElementById("k1").value).toFixed(2);
+  const b = parseFloat(document.getElementById("b").value).toFixed(2);
+  const worked = {
+    name: `BM25 worked computation (k1 = ${k1}, b = ${b})`,
+    header: ["Document", "Term", "f(t,d)", "|d|/avgdl", "idf(t)", "Score"],
+    rows: [],
+  };
+  scores.forEach((score, d) => {
+    const lengthRatio = docLengths[d] / avgDocLength;
+    vocab.forEach((term) => {
+      if (!termFreqs[d][term]) return;
+      worked.rows.push([
+        labels[d],
+        term,
+        termFreqs[d][term],
+        lengthRatio,
+        idf[term],
+        termContribs[d][term],
+      ]);
+    });
+    worked.rows.push([labels[d], "total", "", "", "", score]);
+  });
+  return [
+    termMatrixTable("Term frequencies", vocab, perDocument(termFreqs)),
+    termMatrixTable("IDF", vocab, [
+      { label: "df", values: vocab.map((term) => df[term]) },
+      { label: "idf", values: vocab.map((term) => idf[term]) },
+    ]),
+    termMatrixTable("BM25 contributions", vocab, perDocument(termContribs)),
+    worked,
+  ];
+}
+
+/*
+ * The BM25 formulas as MathML assembled from MathML operands, so the same
+ * layout shows the general formula (given symbols) and the worked numbers.
+ * `p` holds idf, f, k1, b, dl (|d|), avgdl, delta, and c or pf for BM25L
+ * and BM25F.
+ */
+function bm25IdfMath(scheme, N, n) {
+  const half = mathNum(0.5);
+  const den = n + mathOp("+") + half;
+  if (scheme === "smoothed") {
+    return mathApply("ln", mathFrac(N + mathOp("+") + half, den));
+  }
+  const num = N + mathOp("−") + n + mathOp("+") + half;
+  if (scheme === "lucene") {
+    return mathApply("ln", mathNum(1) + mathOp("+") + mathFrac(num, den));
+  }
+  return mathApply("ln", mathFrac(num, den));
+}
+
+const bm25NormMath = (p) =>
+  mathNum(1) +
+  mathOp("−") +
+  p.b +
+  mathOp("+") +
+  p.b +
+  mathOp("×") +
+  mathFrac(p.dl, p.avgdl);
+
+function bm25ContributionMath(variant, p) {
+  const times = mathOp("×");
+  const k1Plus1 = mathParen(p.k1 + mathOp("+") + mathNum(1));
+  let weight;
+  if (variant === "bm25l") {
+    weight = mathFrac(
+      k1Plus1 + times + mathParen(p.c + mathOp("+") + p.delta),
+      p.k1 + mathOp("+") + p.c + mathOp("+") + p.delta
+    );
+  } else if (variant === "bm25f") {
+    weight = mathFrac(p.pf + times + k1Plus1, p.k1 + mathOp("+") + p.pf);
+  } else {
+    weight = mathFrac(
+      variant === "lucene" ? p.f : p.f + times + k1Plus1,
+      p.f + mathOp("+") + p.k1 + times + mathParen(bm25NormMath(p))
+    );
+    if (variant === "bm25plus") {
+      weight = mathParen(weight + mathOp("+") + p.delta);
+    }
+  }
+  return p.idf + times + weight;
+}
+
+/*
+ * "Show your work": the general formula, the collection statistics, each
+ * query term's IDF and every nonzero contribution with this page's numbers
+ * substituted, summed into the document scores.
+ */
+function bm25Derivation() {
+  if (loadedCorpus) return DERIVATION_CORPUS_NOTE;
+  const { BM25_VARIANTS, BM25_IDF_SCHEMES } = RetrievalCore;
+  const k1 = parseFloat(document.getElementById("k1").value);
+  const b = parseFloat(document.getElementById("b").value);
+  const variant = document.getElementById("variant").value;
+  const idfScheme = document.getElementById("idfVariant").value;
+  const delta = parseFloat(document.getElementById("delta").value);
+  const t = mathIdent("t");
+  const d = mathIdent("d");
+  const symbols = {
+    idf: mathApply("idf", t),
+    f: mathApply("f", t, d),
+    k1: mathSub(mathIdent("k"), mathNum(1)),
+    b: mathIdent("b"),
+    dl: mathRow(mathOp("|"), d, mathOp("|")),
+    avgdl: mathIdent("avgdl"),
+    delta: mathIdent("δ"),
+    c: mathApply("c", t, d),
+    pf: mathApply("pf", t, d),
+  };
+  const general = [
+    mathEquation(
+      mathApply("score", d),
+      mathSub(mathOp("∑"), mathRow(t, mathOp("∈"), mathIdent("q"))) +
+        mathApply("w", t, d)
+    ),
+    mathEquation(
+      symbols.idf,
+      bm25IdfMath(idfScheme, mathIdent("N"), mathApply("n", t))
+    ),
+  ];
+  if (variant === "bm25l") {
+    general.push(
+      mathEquation(symbols.c, mathFrac(symbols.f, bm25NormMath(symbols)))
+    );
+  }
+  // Relevance feedback weights each query term's contributions by q_t
+  const queryWeight = (qw) => (feedbackWeights ? qw + mathOp("×") : "");
+  general.push(
+    mathEquation(
+      mathApply("w", t, d),
+      queryWeight(mathSub(mathIdent("q"), t)) +
+        bm25ContributionMath(variant, symbols)
+    )
+  );
+  const { name } = BM25_VARIANTS[variant];
+  const idfName = BM25_IDF_SCHEMES[idfScheme].name;
+  const sections = [derivationSection(`${name}, idf = ${idfName}`, general)];
+  const stats = [mathEquation(mathIdent("N"), mathNum(docs.length))];
+  if (variant === "bm25f") {
+    // Field lengths are normalized inside the pseudo-frequency instead
+    stats.push(
+      `<p>pf(t, d) adds the title and body frequencies, each weighted and
+      normalized by its own field's average length.</p>`
+    );
+  } else {
+    stats.push(
+      mathEquation(
+        symbols.avgdl,
+        mathFrac(mathSum(docLengths), mathNum(docs.length)),
+        mathNum(avgDocLength)
+      )
+    );
+  }
+  sections.push(derivationSection("Collection", stats));
+  sections.push(
+    derivationSection(
+      "Inverse document frequency",
+      vocab.map((term) =>
+        mathEquation(
+          mathApply("idf", mathTerm(term)),
+          bm25IdfMath(idfScheme, mathNum(docs.length), mathNum(df[term])),
+          mathNum(idf[term])
+        )
+      )
+    )
+  );
+  scores.forEach((score, i) => {
+    const docSymbol = mathSub(mathIdent("d"), mathNum(i + 1));
+    const found = vocab.filter((term) => termFreqs[i][term] > 0);
+    const lines = [];
+    found.forEach((term) => {
+      const parts = termParts[i][term];
+      const x = mathTerm(term);
+      const numbers = {
+        idf: mathFactor(idf[term]),
+        f: mathNum(termFreqs[i][term]),
+        k1: mathNum(k1),
+        b: mathNum(b),
+        dl: mathNum(docLengths[i]),
+        avgdl: mathNum(avgDocLength),
+        delta: mathNum(delta),
+        c: mathNum(parts.c || 0),
+        pf: mathNum(parts.pf || 0),
+      };
+      if (variant === "bm25l") {
+        lines.push(
+          mathEquation(
+            mathApply("c", x, docSymbol),
+            mathFrac(numbers.f, bm25NormMath(numbers)),
+            numbers.c
+          )
+        );
+      } else if (variant === "bm25f") {
+        lines.push(mathEquation(mathApply("pf", x, docSymbol), numbers.pf));
+      }
+      let fraction = mathFrac(
+        mathNum(parts.numerator),
+        mathNum(parts.denominator)
+      );
+      if (parts.shift) {
+        fraction = mathParen(fraction + mathOp("+") + mathNum(parts.shift));
+      }
+      const qw = feedbackWeights ? mathNum(feedbackWeights.get(term)) : "";
+      lines.push(
+        mathEquation(
+          mathApply("w", x, docSymbol),
+          queryWeight(qw) + bm25ContributionMath(variant, numbers),
+          queryWeight(qw) + numbers.idf + mathOp("×") + fraction,
+          mathNum(termContribs[i][term])
+        )
+      );
+    });
+    lines.push(
+      mathEquation(
+        mathApply("score", docSymbol),
+        mathSum(found.map((term) => termContribs[i][term])),
+        mathNum(score)
+      )
+    );
+    sections.push(
+      derivationSection(`Document ${i + 1} (|d| = ${docLengths[i]})`, lines)
+    );
+  });
+  return sections.join("");
+}
+
+/*
+ * Vectors for relevance feedback: each document's BM25 contribution for
+ * every term in the collection, and 1 for each typed query term (BM25
+ * scores a query term once however often it is typed).
+ */
+function feedbackVectors() {
+  const typed = tokenizeWithPipeline(
+    document.getElementById("queryText").value
+  );
+  const docTokens = getDocumentTokens();
+  const terms = RetrievalCore.buildVocabulary([typed, ...docTokens]);
+  const { termContribs: contribs } = RetrievalCore.computeBm25(
+    terms,
+    docTokens,
+    { ...bm25Params(), fields: documentFields(docTokens) }
+  );
+  return {
+    vocab: terms,
+    query: terms.map((term) => (typed.includes(term) ? 1 : 0)),
+    docs: contribs.map((c) => terms.map((term) => c[term])),
+  };
+}
+
+// BM25 scores of the documents for the typed query
+function typedQueryScores() {
+  const docTokens = getDocumentTokens();
+  return RetrievalCore.computeBm25(
+    tokenizeWithPipeline(document.getElementById("queryText").value),
+    docTokens,
+    { ...bm25Params(), fields: documentFields(docTokens) }
+  ).scores;
+}
+
+// Fill the variant and IDF selectors from the core's tables
+function initVariantSelectors() {
+  const { BM25_VARIANTS, BM25_IDF_SCHEMES } = RetrievalCore;
+  const fill = (id, table) => {
+    const select = document.getElementById(id);
+    Object.entries(table).forEach(([key, { name }]) => {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+  };
+  fill("variant", BM25_VARIANTS);
+  fill("idfVariant", BM25_IDF_SCHEMES);
+  const deltaInput = document.getElementById("delta");
+  document.getElementById("variant").addEventListener("change", (e) => {
+    // δ only applies to BM25L and BM25+; reset it to the variant's default
+    const v = BM25_VARIANTS[e.target.value];
+    deltaInput.disabled = !v.usesDelta;
+    if (v.usesDelta) deltaInput.value = v.defaultDelta;
+    // Elasticsearch's numbers need its IDF as well as its TF
+    if (e.target.value === "lucene") {
+      document.getElementById("idfVariant").value = "lucene";
+    }
+    computeBm25();
+  });
+  document.getElementById("idfVariant").addEventListener("change", computeBm25);
+  deltaInput.addEventListener("input", computeBm25);
+  deltaInput.disabled = true;
 }
 
 window.addEventListener("DOMContentLoaded", () => {
+  initDocumentList(initialDocumentTexts(), computeBm25);
+  initVariantSelectors();
+  initPipelineControls(computeBm25);
+  initCorpusLoader(computeBm25);
+  initExportMenu(exportTables);
+  initDerivationPanel(bm25Derivation);
+  initFeedbackPanel({
+    vectors: feedbackVectors,
+    bm25Scores: typedQueryScores,
+    update: computeBm25,
+  });
+  initPageState(computeBm25, {
+    load: () => {
+      // δ is only editable for the variants that use it
+      const v = RetrievalCore.BM25_VARIANTS[
+        document.getElementById("variant").value
+      ];
+      document.getElementById("delta").disabled = !(v && v.usesDelta);
+      computeBm25();
+    },
+  });
   document.getElementById("computeBtn").addEventListener("click", () => {
     computeBm25();
   });
@@ -111,15 +572,34 @@ function setup() {
   const w = container ? container.clientWidth : 900;
   const cnv = createCanvas(w, 350);
   cnv.parent("canvasContainer");
-  computeBm25();
+  if (!restorePageState()) computeBm25();
 }
 
 function draw() {
+  if (loadedCorpus && corpusRanking) {
+    drawCorpusView(corpusRanking);
+    return;
+  }
+  if (height !== 350) resizeCanvas(width, 350);
   // Dark background for Manim aesthetic
   background(22, 24, 48);
   if (scores.length === 0 || vocab.length === 0) return;
-  // Determine maximum absolute score for scaling; ensure non‑zero
-  const maxAbsScore = Math.max(1e-6, ...scores.map((s) => Math.abs(s)));
+  const termCols = termColours(vocab.length);
+  const docCols = documentColours(scores.length);
+  // Scale by the tallest stacks. Positive contributions stack upwards from
+  // the baseline and negative ones (possible with the RSJ IDF) downwards, so
+  // the baseline is raised just enough to fit the deepest negative stack.
+  const stackSums = termContribs.map((contribs) => {
+    const vals = Object.values(contribs);
+    return {
+      pos: vals.filter((v) => v > 0).reduce((a, v) => a + v, 0),
+      neg: vals.filter((v) => v < 0).reduce((a, v) => a - v, 0),
+    };
+  });
+  const maxPos = Math.max(0, ...stackSums.map((s) => s.pos));
+  const maxNeg = Math.max(0, ...stackSums.map((s) => s.neg));
+  const maxAbsScore = Math.max(1e-6, maxPos + maxNeg);
+  const scale = 200 / maxAbsScore;
   // Compute bar dimensions based on available width. Maintain a small
   // horizontal margin and equal spacing between bars.
   const numBars = scores.length;
@@ -127,27 +607,133 @@ function draw() {
   const barSpacing = 20;
   const availableW = width - margin * 2 - barSpacing * (numBars - 1);
   const barWidth = availableW / numBars;
+  const baseY = height - 20 - (maxNeg > 0 ? maxNeg * scale + 16 : 0);
+  if (maxNeg > 0) {
+    push();
+    stroke(150);
+    line(margin / 2, baseY, width - margin / 2, baseY);
+    pop();
+  }
+  segments = [];
+  barColumns = [];
   for (let i = 0; i < numBars; i++) {
     const x = margin + i * (barWidth + barSpacing);
-    // Scale bar height relative to max absolute score. Bars extend upward.
-    const barHeight = (scores[i] / maxAbsScore) * 200;
-    // Colour palette: Doc1 blue, Doc2 green, Doc3 red/orange
-    const colors = [
-      [82, 88, 147], // doc1
-      [131, 193, 103], // doc2
-      [224, 122, 95], // doc3
-    ];
-    fill(...colors[i]);
-    // Draw bar: anchor at bottom, height can be negative if score negative
-    rect(x, height - 20 - barHeight, barWidth, barHeight);
-    // Document label and score
-    fill(220);
-    textSize(14);
+    barColumns.push({ x, w: barWidth, slot: i + 1 });
+    // One segment per query term, in query order
+    let top = baseY;
+    let bottom = baseY;
+    vocab.forEach((term, t) => {
+      const contrib = termContribs[i][term];
+      if (contrib === 0) return;
+      const h = Math.abs(contrib) * scale;
+      const y = contrib > 0 ? top - h : bottom;
+      if (contrib > 0) top -= h;
+      else bottom += h;
+      fill(...termCols[t]);
+      rect(x, y, barWidth, h);
+      segments.push({ x, y, w: barWidth, h, doc: i, term });
+    });
+    // Document label (in the document's colour) and total score
+    fill(...docCols[i]);
+    // Shrink labels when many documents share the canvas
+    textSize(Math.min(14, barWidth / 3));
     textAlign(CENTER, CENTER);
-    text(`Doc ${i + 1}`, x + barWidth / 2, height - 5);
-    textSize(12);
-    text(scores[i].toFixed(2), x + barWidth / 2, height - 30 - barHeight);
+    text(`Doc ${i + 1}`, x + barWidth / 2, height - 5);
+    fill(220);
+    textSize(Math.min(12, barWidth / 3));
+    const labelY = scores[i] >= 0 ? top - 10 : bottom + 10;
+    text(scores[i].toFixed(2), x + barWidth / 2, labelY);
+  }
+  // Segments of the term hovered in the "Show your work" panel
+  push();
+  noFill();
+  stroke(240, 172, 95);
+  strokeWeight(3);
+  segments
+    .filter((seg) => seg.term === highlightedTerm)
+    .forEach((seg) => rect(seg.x, seg.y, seg.w, seg.h));
+  pop();
+  drawLegend(vocab, termCols);
+  if (barDrag) {
+    drawBarDragLabel();
+  } else {
+    drawSegmentTooltip();
+  }
+  const hovering = barColumnAt(barColumns, 40, height - 20);
+  cursor(barDrag || hovering ? "ns-resize" : ARROW);
+}
+
+/*
+ * Grab the segment under the mouse to change its term's count in that
+ * document; elsewhere on a bar, grab the saturation-curve term
+ */
+function mousePressed() {
+  if (loadedCorpus) return;
+  const column = barColumnAt(barColumns, 40, height - 20);
+  if (!column) return;
+  const seg = segments.find(
+    (s) => s.doc === column.slot - 1 && mouseY >= s.y && mouseY <= s.y + s.h
+  );
+  const select = document.getElementById("curveTerm");
+  const term = seg ? seg.term : select.value || vocab[0];
+  if (!term) return;
+  const textarea = slotTextarea(column.slot);
+  startBarDrag(textarea, term, PX_PER_COUNT, `Doc ${column.slot}`);
+}
+
+function mouseDragged() {
+  if (updateBarDrag(computeBm25)) computeBm25();
+}
+
+function mouseReleased() {
+  barDrag = null;
+}
+
+// Outline the segment under the mouse and explain its contribution
+function drawSegmentTooltip() {
+  const seg = segments.find(
+    (s) =>
+      mouseX >= s.x &&
+      mouseX <= s.x + s.w &&
+      mouseY >= s.y &&
+      mouseY <= s.y + s.h
+  );
+  if (!seg) return;
+  push();
+  noFill();
+  stroke(255);
+  strokeWeight(2);
+  rect(seg.x, seg.y, seg.w, seg.h);
+  pop();
+  const dl = docLengths[seg.doc];
+  const lines = [
+    `"${seg.term}" in Doc ${seg.doc + 1}`,
+    `idf(t) = ${idf[seg.term].toFixed(3)}`,
+    `f(t,d) = ${termFreqs[seg.doc][seg.term]}`,
+    `|d|/avgdl = ${dl}/${avgDocLength.toFixed(2)} = ${(
+      dl / avgDocLength
+    ).toFixed(2)}`,
+    `contribution = ${termContribs[seg.doc][seg.term].toFixed(3)}`,
+  ];
+  const variant = document.getElementById("variant").value;
+  if (variant !== "okapi") {
+    lines.push(`(${RetrievalCore.BM25_VARIANTS[variant].name})`);
   }
+  push();
+  textSize(12);
+  textAlign(LEFT, TOP);
+  const boxW = Math.max(...lines.map((l) => textWidth(l))) + 16;
+  const boxH = lines.length * 16 + 10;
+  // Keep the tooltip inside the canvas
+  const bx = Math.min(mouseX + 12, width - boxW - 4);
+  const by = Math.max(4, Math.min(mouseY + 12, height - boxH - 4));
+  fill(29, 35, 64, 235);
+  stroke(82, 88, 147);
+  rect(bx, by, boxW, boxH, 4);
+  noStroke();
+  fill(230);
+  lines.forEach((l, i) => text(l, bx + 8, by + 6 + i * 16));
+  pop();
 }
 
 // Resize the canvas when the window size changes
@@ -155,6 +741,6 @@ function windowResized() {
   const container = document.getElementById("canvasContainer");
   if (container) {
     const newW = container.clientWidth;
-    resizeCanvas(newW, 350);
+    resizeCanvas(newW, height);
   }
 }
\ No newline at end of file
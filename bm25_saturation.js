@@ -0,0 +1,149 @@
+/*
+ * BM25 saturation and length-normalisation curves
+ *
+ * A second p5 sketch (instance mode, so it can live next to the bar chart
+ * of bm25.js) that plots the term-frequency component
+ * f·(k1+1)/(f+k1·(1−b+b·|d|/avgdl)) against f. Each document gets its own
+ * curve using its real length, and a dot marks where the selected query
+ * term's actual frequency in that document lands. The curves ease towards
+ * new k1 and b values so slider moves animate instead of jumping.
+ */
+
+// Fill the term selector with the current query terms, keeping the
+// selection when the term is still part of the query
+function updateCurveTerms() {
+  const select = document.getElementById("curveTerm");
+  if (!select) return;
+  const previous = select.value;
+  select.innerHTML = "";
+  vocab.forEach((term) => {
+    const opt = document.createElement("option");
+    opt.value = term;
+    opt.textContent = term;
+    select.appendChild(opt);
+  });
+  if (vocab.includes(previous)) select.value = previous;
+}
+
+const saturationSketch = (p) => {
+  // Parameter values currently drawn; eased towards the slider values
+  let shownK1 = null;
+  let shownB = null;
+  const pad = { left: 50, right: 20, top: 30, bottom: 35 };
+
+  const sliderValue = (id) => parseFloat(document.getElementById(id).value);
+
+  p.setup = () => {
+    const container = document.getElementById("curveContainer");
+    const w = container ? container.clientWidth : 900;
+    p.createCanvas(w, 300).parent("curveContainer");
+  };
+
+  p.draw = () => {
+    p.background(22, 24, 48);
+    if (docLengths.length === 0 || avgDocLength === 0) return;
+    const k1 = sliderValue("k1");
+    const b = sliderValue("b");
+    const ease = 0.15;
+    shownK1 = shownK1 === null ? k1 : shownK1 + (k1 - shownK1) * ease;
+    shownB = shownB === null ? b : shownB + (b - shownB) * ease;
+    const select = document.getElementById("curveTerm");
+    const term = select ? select.value : vocab[0];
+    const freqs = termFreqs.map((f) => (term in f ? f[term] : 0));
+    // Axis ranges: f up to a little past the largest real frequency, weight
+    // up to the largest possible asymptote (plus δ) so the y-axis stays fixed
+    const fMax = Math.max(10, ...freqs.map((f) => f + 2));
+    const yMax =
+      parseFloat(document.getElementById("k1").max) +
+      1 +
+      parseFloat(document.getElementById("delta").max);
+    const plotW = p.width - pad.left - pad.right;
+    const plotH = p.height - pad.top - pad.bottom;
+    const toX = (f) => pad.left + (f / fMax) * plotW;
+    const toY = (v) => p.height - pad.bottom - (v / yMax) * plotH;
+
+    // Axes and tick labels
+    p.stroke(90, 96, 140);
+    p.line(pad.left, toY(0), pad.left + plotW, toY(0));
+    p.line(pad.left, toY(0), pad.left, toY(yMax));
+    p.noStroke();
+    p.fill(180);
+    p.textSize(11);
+    p.textAlign(p.CENTER, p.TOP);
+    for (let f = 0; f <= fMax; f += Math.ceil(fMax / 10)) {
+      p.text(f, toX(f), toY(0) + 4);
+    }
+    p.text("term frequency f(t,d)", pad.left + plotW / 2, p.height - 14);
+    p.textAlign(p.RIGHT, p.CENTER);
+    for (let v = 0; v <= yMax; v++) {
+      p.text(v, pad.left - 6, toY(v));
+    }
+
+    // BM25L, BM25+ and Lucene reshape the curve; BM25F is drawn as Okapi
+    const variant = document.getElementById("variant").value;
+    const delta = sliderValue("delta");
+
+    // Asymptote k1 + 1 (k1 + 1 + δ for BM25+, 1 for Lucene) that every
+    // curve approaches
+    const plus = variant === "bm25plus";
+    const lucene = variant === "lucene";
+    const asymptote = lucene ? 1 : shownK1 + 1 + (plus ? delta : 0);
+    const asymptoteLabel = lucene ? "1" : `k₁ + 1${plus ? " + δ" : ""}`;
+    p.stroke(150);
+    p.drawingContext.setLineDash([4, 4]);
+    p.line(pad.left, toY(asymptote), pad.left + plotW, toY(asymptote));
+    p.drawingContext.setLineDash([]);
+    p.noStroke();
+    p.fill(180);
+    p.textAlign(p.RIGHT, p.BOTTOM);
+    p.text(`${asymptoteLabel} = ${asymptote.toFixed(2)}`, pad.left + plotW, toY(asymptote) - 2);
+
+    // One curve per document, with its real term frequency marked
+    const colours = documentColours(docLengths.length);
+    const { bm25TermWeight } = RetrievalCore;
+    const weight = (f, ratio) =>
+      bm25TermWeight(f, shownK1, shownB, ratio, variant, delta);
+    docLengths.forEach((dl, d) => {
+      const ratio = dl / avgDocLength;
+      p.noFill();
+      p.stroke(...colours[d]);
+      p.strokeWeight(2);
+      p.beginShape();
+      for (let i = 0; i <= 100; i++) {
+        const f = (i / 100) * fMax;
+        p.vertex(toX(f), toY(weight(f, ratio)));
+      }
+      p.endShape();
+      const f = freqs[d];
+      const y = toY(weight(f, ratio));
+      p.stroke(255);
+      p.strokeWeight(1);
+      p.fill(...colours[d]);
+      p.circle(toX(f), y, 10);
+      p.noStroke();
+      p.fill(220);
+      p.textAlign(p.LEFT, p.BOTTOM);
+      const label = docLabels ? docLabels[d] : `Doc ${d + 1}`;
+      p.text(label, toX(f) + 7, y - 3);
+    });
+    p.strokeWeight(1);
+
+    // Title with the animated parameter values
+    p.noStroke();
+    p.fill(230);
+    p.textSize(13);
+    p.textAlign(p.LEFT, p.TOP);
+    p.text(
+      `Saturation of "${term || ""}": k₁ = ${shownK1.toFixed(2)}, b = ${shownB.toFixed(2)}`,
+      pad.left,
+      8
+    );
+  };
+
+  p.windowResized = () => {
+    const container = document.getElementById("curveContainer");
+    if (container) p.resizeCanvas(container.clientWidth, 300);
+  };
+};
+
+new p5(saturationSketch);
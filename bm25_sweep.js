@@ -0,0 +1,333 @@
+/*
+ * BM25 parameter sweep heatmap
+ *
+ * A third p5 sketch on the BM25 page (instance mode, like the saturation
+ * curves) that scores the documents at every point of the k1 × b grid the
+ * sliders can reach (RetrievalCore.bm25Sweep), with the page's query,
+ * variant, IDF and δ. Each cell is coloured by the document ranked first,
+ * or, in margin mode, by how far one chosen document leads another. Lines
+ * mark the cell edges where the ranking changes: white where the top
+ * document changes, grey where only lower ranks swap. A crosshair shows the
+ * current slider values, and clicking a cell moves the sliders there.
+ */
+
+// Grid of the last sweep: parameter values, scores[i][j] per k1 × b cell,
+// and each cell's ranking as a string such as "2>1>3"
+let sweep = null;
+// Inputs of the last sweep, so moving k1 or b does not redo it
+let sweepKey = "";
+
+// Every value a range slider can take, from its min, max and step
+function sliderValues(id) {
+  const el = document.getElementById(id);
+  const min = parseFloat(el.min);
+  const step = parseFloat(el.step);
+  const count = Math.round((parseFloat(el.max) - min) / step) + 1;
+  return Array.from({ length: count }, (_, i) => +(min + i * step).toFixed(2));
+}
+
+// Documents in descending order of score; ties keep document order
+const rankingOrder = (scores) =>
+  scores.map((_, d) => d).sort((a, b) => scores[b] - scores[a] || a - b);
+
+// Fill the pair selectors with the documents, keeping their selection
+function updateSweepDocuments() {
+  ["sweepDocA", "sweepDocB"].forEach((id, k) => {
+    const select = document.getElementById(id);
+    const previous = select.value;
+    select.innerHTML = "";
+    scores.forEach((_, d) => {
+      select.appendChild(new Option(`Document ${d + 1}`, String(d)));
+    });
+    // Documents 2 and 3 by default: the keyword-stuffed and the plain one
+    const d = parseInt(previous, 10);
+    select.value =
+      d < scores.length ? previous : String(Math.min(k + 1, scores.length - 1));
+  });
+}
+
+/*
+ * Redo the sweep when the query, the documents or the other parameters
+ * changed. Called by computeBm25(); a loaded corpus is not swept.
+ */
+function updateBm25Sweep() {
+  if (loadedCorpus || scores.length === 0) {
+    sweep = null;
+    sweepKey = "";
+    return;
+  }
+  updateSweepDocuments();
+  const { variant, idf: idfScheme, delta } = bm25Params();
+  const params = { variant, idf: idfScheme, delta };
+  if (variant === "bm25f") params.fields = documentFields(docs);
+  if (feedbackWeights) {
+    params.queryWeights = Object.fromEntries(feedbackWeights);
+  }
+  const key = JSON.stringify([vocab, docs, params]);
+  if (key === sweepKey) return;
+  sweepKey = key;
+  const k1Values = sliderValues("k1");
+  const bValues = sliderValues("b");
+  const grid = RetrievalCore.bm25Sweep(vocab, docs, params, k1Values, bValues);
+  sweep = {
+    k1Values,
+    bValues,
+    scores: grid,
+    rankings: grid.map((column) =>
+      column.map((cell) => rankingOrder(cell).map((d) => d + 1).join(">"))
+    ),
+  };
+}
+
+const sweepSketch = (p) => {
+  const pad = { left: 50, right: 20, top: 34, bottom: 40 };
+  const tieColour = [70, 72, 90];
+
+  const sliderValue = (id) => parseFloat(document.getElementById(id).value);
+  const marginMode = () =>
+    document.getElementById("sweepMode").value === "margin";
+  const pair = () => [
+    parseInt(document.getElementById("sweepDocA").value, 10),
+    parseInt(document.getElementById("sweepDocB").value, 10),
+  ];
+
+  // Plot area and the size of one cell
+  function layout() {
+    const w = p.width - pad.left - pad.right;
+    const h = p.height - pad.top - pad.bottom;
+    return {
+      x: pad.left,
+      y: pad.top,
+      w,
+      h,
+      cellW: w / sweep.k1Values.length,
+      cellH: h / sweep.bValues.length,
+    };
+  }
+
+  // Cell [i, j] under the mouse, or null
+  function cellAtMouse(box) {
+    const i = Math.floor((p.mouseX - box.x) / box.cellW);
+    const j = Math.floor((box.y + box.h - p.mouseY) / box.cellH);
+    if (i < 0 || j < 0 || i >= sweep.k1Values.length) return null;
+    if (j >= sweep.bValues.length) return null;
+    return [i, j];
+  }
+
+  // Index of the document ranked first, or -1 when the top score is tied
+  function winner(cell) {
+    const order = rankingOrder(cell);
+    if (order.length > 1 && cell[order[0]] === cell[order[1]]) return -1;
+    return order[0];
+  }
+
+  function cellColour(cell, colours, maxMargin) {
+    if (!marginMode()) {
+      const top = winner(cell);
+      return top < 0 ? tieColour : colours[top];
+    }
+    const [a, b] = pair();
+    const margin = cell[a] - cell[b];
+    const target = margin >= 0 ? colours[a] : colours[b];
+    const s = maxMargin > 0 ? Math.abs(margin) / maxMargin : 0;
+    return [22, 24, 48].map((v, k) => v + (target[k] - v) * s);
+  }
+
+  // Cell edges across which the ranking (white: the winner) changes
+  function drawBoundaries(box) {
+    const { k1Values, bValues, scores: grid, rankings } = sweep;
+    const edge = (c1, c2, x1, y1, x2, y2) => {
+      if (rankings[c1[0]][c1[1]] === rankings[c2[0]][c2[1]]) return;
+      const topChanged =
+        winner(grid[c1[0]][c1[1]]) !== winner(grid[c2[0]][c2[1]]);
+      p.stroke(...(topChanged ? [255, 255, 255] : [150, 150, 160]));
+      p.strokeWeight(topChanged ? 2 : 1);
+      p.line(x1, y1, x2, y2);
+    };
+    for (let i = 0; i < k1Values.length; i++) {
+      for (let j = 0; j < bValues.length; j++) {
+        const x = box.x + (i + 1) * box.cellW;
+        const y = box.y + box.h - (j + 1) * box.cellH;
+        if (i + 1 < k1Values.length) {
+          edge([i, j], [i + 1, j], x, y, x, y + box.cellH);
+        }
+        if (j + 1 < bValues.length) {
+          edge([i, j], [i, j + 1], x - box.cellW, y, x, y);
+        }
+      }
+    }
+    p.strokeWeight(1);
+  }
+
+  function drawAxes(box) {
+    const { k1Values, bValues } = sweep;
+    p.noStroke();
+    p.fill(180);
+    p.textSize(11);
+    p.textAlign(p.CENTER, p.TOP);
+    k1Values.forEach((k1, i) => {
+      if (i % 5 !== 0) return;
+      p.text(k1.toFixed(1), box.x + (i + 0.5) * box.cellW, box.y + box.h + 4);
+    });
+    p.text("k₁", box.x + box.w / 2, box.y + box.h + 20);
+    p.textAlign(p.RIGHT, p.CENTER);
+    bValues.forEach((b, j) => {
+      if (j % 4 !== 0) return;
+      p.text(b.toFixed(1), box.x - 6, box.y + box.h - (j + 0.5) * box.cellH);
+    });
+    p.text("b", box.x - 30, box.y + box.h / 2);
+  }
+
+  // Crosshair through the cell of the current slider values
+  function drawCrosshair(box) {
+    const { k1Values, bValues } = sweep;
+    const nearest = (values, v) => {
+      const distances = values.map((x) => Math.abs(x - v));
+      return distances.indexOf(Math.min(...distances));
+    };
+    const i = nearest(k1Values, sliderValue("k1"));
+    const j = nearest(bValues, sliderValue("b"));
+    const cx = box.x + (i + 0.5) * box.cellW;
+    const cy = box.y + box.h - (j + 0.5) * box.cellH;
+    p.stroke(255);
+    p.strokeWeight(1);
+    p.drawingContext.setLineDash([4, 4]);
+    p.line(box.x, cy, box.x + box.w, cy);
+    p.line(cx, box.y, cx, box.y + box.h);
+    p.drawingContext.setLineDash([]);
+    p.noFill();
+    p.strokeWeight(2);
+    p.circle(cx, cy, 10);
+    p.strokeWeight(1);
+  }
+
+  // Ranking of the hovered cell, next to the mouse
+  function drawCellTooltip([i, j]) {
+    const cell = sweep.scores[i][j];
+    const k1 = sweep.k1Values[i].toFixed(2);
+    const lines = [
+      `k₁ = ${k1}, b = ${sweep.bValues[j].toFixed(2)}`,
+      ...rankingOrder(cell)
+        .slice(0, 5)
+        .map((d, r) => `#${r + 1} Doc ${d + 1}: ${cell[d].toFixed(3)}`),
+    ];
+    if (marginMode()) {
+      const [a, b] = pair();
+      const margin = (cell[a] - cell[b]).toFixed(3);
+      lines.push(`Doc ${a + 1} − Doc ${b + 1} = ${margin}`);
+    }
+    p.textSize(12);
+    p.textAlign(p.LEFT, p.TOP);
+    const boxW = Math.max(...lines.map((l) => p.textWidth(l))) + 16;
+    const boxH = lines.length * 16 + 10;
+    // Keep the tooltip inside the canvas
+    const bx = Math.min(p.mouseX + 12, p.width - boxW - 4);
+    const by = Math.max(4, Math.min(p.mouseY + 12, p.height - boxH - 4));
+    p.fill(29, 35, 64, 235);
+    p.stroke(82, 88, 147);
+    p.rect(bx, by, boxW, boxH, 4);
+    p.noStroke();
+    p.fill(230);
+    lines.forEach((l, k) => p.text(l, bx + 8, by + 6 + k * 16));
+  }
+
+  p.setup = () => {
+    const container = document.getElementById("sweepContainer");
+    const w = container ? container.clientWidth : 900;
+    p.createCanvas(w, 320).parent("sweepContainer");
+  };
+
+  p.draw = () => {
+    p.background(22, 24, 48);
+    if (!sweep) {
+      if (!loadedCorpus) return;
+      p.noStroke();
+      p.fill(230);
+      p.textSize(13);
+      p.textAlign(p.LEFT, p.TOP);
+      p.text(
+        "The sweep works on the documents typed above, not a loaded corpus.",
+        pad.left,
+        8
+      );
+      return;
+    }
+    const box = layout();
+    const colours = documentColours(scores.length);
+    const [a, b] = pair();
+    const maxMargin = Math.max(
+      0,
+      ...sweep.scores.flat().map((cell) => Math.abs(cell[a] - cell[b]))
+    );
+    sweep.scores.forEach((column, i) => {
+      column.forEach((cell, j) => {
+        p.fill(...cellColour(cell, colours, maxMargin));
+        p.rect(
+          box.x + i * box.cellW,
+          box.y + box.h - (j + 1) * box.cellH,
+          box.cellW + 0.5,
+          box.cellH + 0.5
+        );
+      });
+    });
+    drawBoundaries(box);
+    drawAxes(box);
+    drawCrosshair(box);
+
+    p.noStroke();
+    p.fill(230);
+    p.textSize(13);
+    p.textAlign(p.LEFT, p.TOP);
+    p.text(
+      marginMode()
+        ? `Score of Doc ${a + 1} − Doc ${b + 1}: ` +
+            `brighter is a wider lead (max ${maxMargin.toFixed(2)})`
+        : "Top-ranked document for each k₁ and b (grey: tie)",
+      pad.left,
+      8
+    );
+    const hovered = cellAtMouse(box);
+    if (hovered) {
+      p.cursor(p.HAND);
+      drawCellTooltip(hovered);
+    } else {
+      p.cursor(p.ARROW);
+    }
+  };
+
+  // Clicking a cell moves the k1 and b sliders to its values
+  p.mousePressed = () => {
+    if (!sweep) return;
+    const cell = cellAtMouse(layout());
+    if (!cell) return;
+    [
+      ["k1", sweep.k1Values[cell[0]]],
+      ["b", sweep.bValues[cell[1]]],
+    ].forEach(([id, value]) => {
+      const slider = document.getElementById(id);
+      slider.value = value;
+      slider.dispatchEvent(new Event("input", { bubbles: true }));
+    });
+  };
+
+  p.windowResized = () => {
+    const container = document.getElementById("sweepContainer");
+    if (container) p.resizeCanvas(container.clientWidth, 320);
+  };
+};
+
+function initSweepPanel() {
+  const mode = document.getElementById("sweepMode");
+  const syncPairControls = () => {
+    document.querySelectorAll(".sweep-pair select").forEach((select) => {
+      select.disabled = mode.value !== "margin";
+    });
+  };
+  mode.addEventListener("change", syncPairControls);
+  document.addEventListener("staterestore", syncPairControls);
+  syncPairControls();
+}
+
+window.addEventListener("DOMContentLoaded", initSweepPanel);
+
+new p5(sweepSketch);
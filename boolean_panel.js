@@ -0,0 +1,345 @@
+/*
+ * Boolean retrieval panel
+ *
+ * Shared by the TF‑IDF and BM25 pages. Indexes the same document textareas
+ * with the active pipeline, parses the Boolean query with boolean_query.js
+ * and draws, in a second p5 sketch (instance mode, like the BM25 curves),
+ * the query tree with each node's matching documents above a replay of the
+ * posting-list merges: the two input lists with their cursors, the output
+ * list growing, and a note for every comparison. Below the canvas every
+ * document is listed with whether and why it matches. With a corpus file
+ * loaded (corpus_loader.js) the query runs on its index and only the first
+ * matching documents are listed.
+ */
+
+let booleanTree = null;
+let booleanIndex = null;
+let booleanFrames = [];
+let booleanFrameIndex = 0;
+let booleanPlaying = false;
+let booleanLastStep = 0;
+let booleanColours = [];
+
+const BOOLEAN_STEP_INTERVAL = 700; // ms between merge frames during playback
+const BOOLEAN_MAX_LISTED = 50; // matches listed for a loaded corpus
+
+// Parse and evaluate the query over the current documents
+function runBooleanQuery() {
+  const errorEl = document.getElementById("booleanError");
+  const resultsEl = document.getElementById("booleanResults");
+  let docs;
+  if (loadedCorpus) {
+    refreshCorpusIndex();
+    docs = loadedCorpus.tokens;
+    booleanIndex = loadedCorpus.index;
+  } else {
+    // Word positions keep the gaps of removed stop words for phrases
+    const positioned = getDocumentPositions();
+    docs = positioned.map((d) => d.tokens);
+    booleanIndex = RetrievalCore.buildInvertedIndex(
+      docs,
+      positioned.map((d) => d.positions)
+    );
+  }
+  errorEl.textContent = "";
+  resultsEl.innerHTML = "";
+  let parsed;
+  try {
+    parsed = BooleanQuery.parse(
+      document.getElementById("booleanQuery").value,
+      (text) => tokenizeWithPositions(text)
+    );
+  } catch (e) {
+    errorEl.textContent = e.message;
+    booleanTree = null;
+    booleanFrames = [];
+    updateBooleanTimeline();
+    return;
+  }
+  booleanTree = parsed.tree;
+  const { docs: matches, frames } = BooleanQuery.evaluate(
+    booleanTree,
+    booleanIndex
+  );
+  booleanFrames = frames;
+  booleanFrameIndex = 0;
+  booleanPlaying = frames.length > 1;
+  booleanLastStep = performance.now();
+  if (parsed.ignored.length > 0) {
+    const ignored = parsed.ignored.join(", ");
+    errorEl.textContent = `Ignored (removed by the pipeline): ${ignored}`;
+  }
+  // A loaded corpus is too large to explain every document
+  const listed = loadedCorpus
+    ? matches.slice(0, BOOLEAN_MAX_LISTED)
+    : docs.map((_, d) => d);
+  listed.forEach((d) => {
+    const li = document.createElement("li");
+    const matched = matches.includes(d);
+    const name = loadedCorpus
+      ? loadedCorpus.docs[d].title
+      : `Document ${d + 1}`;
+    li.className = matched ? "match" : "no-match";
+    li.textContent =
+      `${name}: ${matched ? "matches" : "no match"} — ` +
+      BooleanQuery.explainMatch(booleanTree, booleanIndex, d);
+    resultsEl.appendChild(li);
+  });
+  if (loadedCorpus) {
+    const li = document.createElement("li");
+    li.textContent =
+      `${matches.length} of ${docs.length} documents match` +
+      (matches.length > listed.length ? `; first ${listed.length} shown` : "");
+    resultsEl.prepend(li);
+  }
+  updateBooleanTimeline();
+}
+
+function showBooleanFrame(i) {
+  booleanFrameIndex = Math.max(0, Math.min(i, booleanFrames.length - 1));
+  updateBooleanTimeline();
+}
+
+function updateBooleanTimeline() {
+  const n = booleanFrames.length;
+  document.getElementById("boolPlayBtn").textContent = booleanPlaying
+    ? "❚❚"
+    : "▶";
+  document.getElementById("boolBackBtn").disabled = booleanFrameIndex === 0;
+  document.getElementById("boolFwdBtn").disabled = booleanFrameIndex >= n - 1;
+  document.getElementById("boolStepLabel").textContent =
+    n > 0 ? `Merge step ${booleanFrameIndex + 1}/${n}` : "No merges";
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  document
+    .getElementById("booleanRunBtn")
+    .addEventListener("click", runBooleanQuery);
+  document.getElementById("booleanQuery").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") runBooleanQuery();
+  });
+  // Follow the page's own recomputation: documents, pipeline and button
+  ["computeBtn", "addDocBtn"].forEach((id) =>
+    document.getElementById(id).addEventListener("click", runBooleanQuery)
+  );
+  const docList = document.getElementById("docList");
+  docList.addEventListener("input", runBooleanQuery);
+  docList.addEventListener("click", (e) => {
+    if (e.target.closest(".doc-remove")) runBooleanQuery();
+  });
+  ["change", "click"].forEach((type) =>
+    document
+      .getElementById("pipelineControls")
+      .addEventListener(type, runBooleanQuery)
+  );
+  document.addEventListener("corpuschange", runBooleanQuery);
+  document.addEventListener("staterestore", runBooleanQuery);
+  document.getElementById("boolPlayBtn").addEventListener("click", () => {
+    if (!booleanPlaying && booleanFrameIndex >= booleanFrames.length - 1) {
+      booleanFrameIndex = 0;
+    }
+    booleanPlaying = !booleanPlaying;
+    booleanLastStep = performance.now();
+    updateBooleanTimeline();
+  });
+  document.getElementById("boolBackBtn").addEventListener("click", () => {
+    booleanPlaying = false;
+    showBooleanFrame(booleanFrameIndex - 1);
+  });
+  document.getElementById("boolFwdBtn").addEventListener("click", () => {
+    booleanPlaying = false;
+    showBooleanFrame(booleanFrameIndex + 1);
+  });
+  runBooleanQuery();
+});
+
+const booleanSketch = (p) => {
+  const NODE_H = 40;
+  const MAX_DOTS = 12;
+  const LEVEL_H = 62;
+  const MERGE_H = 190;
+  const BOX = 34;
+
+  // Text shown in a tree node
+  const nodeLabel = (node) => {
+    switch (node.type) {
+      case "term":
+        return node.term;
+      case "phrase":
+        return BooleanQuery.describe(node);
+      default:
+        return node.type.toUpperCase();
+    }
+  };
+  const children = (node) =>
+    node.type === "not" ? [node.child] : node.children || [];
+  const depth = (node) => 1 + Math.max(0, ...children(node).map(depth));
+
+  /*
+   * Lay the tree out with leaves in evenly spaced slots and each operator
+   * centred over its children. Returns [{ node, x, y, parent }].
+   */
+  function layout(tree) {
+    const placed = [];
+    let leaf = 0;
+    const leaves = (node) =>
+      children(node).length === 0
+        ? 1
+        : children(node).reduce((sum, c) => sum + leaves(c), 0);
+    const slot = p.width / (leaves(tree) + 1);
+    const place = (node, level, parent) => {
+      const entry = { node, y: 20 + level * LEVEL_H, parent };
+      placed.push(entry);
+      const kids = children(node).map((c) => place(c, level + 1, entry));
+      entry.x =
+        kids.length === 0
+          ? slot * ++leaf
+          : kids.reduce((sum, k) => sum + k.x, 0) / kids.length;
+      return entry;
+    };
+    place(tree, 0, null);
+    return placed;
+  }
+
+  function drawTree(colours) {
+    const placed = layout(booleanTree);
+    p.stroke(120);
+    placed.forEach((e) => {
+      if (e.parent) p.line(e.parent.x, e.parent.y + NODE_H, e.x, e.y);
+    });
+    placed.forEach(({ node, x, y }) => {
+      const label = nodeLabel(node);
+      p.textSize(13);
+      const w = Math.max(60, p.textWidth(label) + 20);
+      const operator = ["and", "or", "not"].includes(node.type);
+      p.stroke(255);
+      p.fill(...(operator ? [82, 88, 147] : [40, 46, 84]));
+      p.rect(x - w / 2, y, w, NODE_H, 6);
+      p.noStroke();
+      p.fill(240);
+      p.textAlign(p.CENTER, p.TOP);
+      p.text(label, x, y + 4);
+      // Matching documents as small coloured dots with their numbers, or
+      // just the count when there are too many
+      const docs = node.result || [];
+      p.textSize(10);
+      if (docs.length === 0 || docs.length > MAX_DOTS) {
+        p.fill(180);
+        p.text(docs.length === 0 ? "∅" : `${docs.length} docs`, x, y + 23);
+        return;
+      }
+      docs.forEach((d, k) => {
+        const dx = x + (k - (docs.length - 1) / 2) * 16;
+        p.fill(...colours[d]);
+        p.circle(dx, y + 29, 14);
+        p.fill(22, 24, 48);
+        p.textAlign(p.CENTER, p.CENTER);
+        p.text(d + 1, dx, y + 29);
+      });
+    });
+  }
+
+  // One posting list as a row of doc boxes, with an optional cursor
+  function drawList(label, list, y, cursor, colours) {
+    p.noStroke();
+    p.fill(200);
+    p.textSize(12);
+    p.textAlign(p.RIGHT, p.CENTER);
+    p.text(label, 90, y + BOX / 2);
+    // Only the boxes that fit on the canvas, around the cursor
+    const fit = Math.max(1, Math.floor((p.width - 110) / (BOX + 8)));
+    const first = Math.max(0, Math.min(cursor - (fit >> 1), list.length - fit));
+    list.slice(first, first + fit).forEach((d, offset) => {
+      const k = first + offset;
+      const x = 100 + offset * (BOX + 8);
+      const current = k === cursor;
+      p.stroke(current ? p.color(240, 172, 95) : p.color(90));
+      p.strokeWeight(current ? 3 : 1);
+      p.fill(...colours[d]);
+      p.rect(x, y, BOX, BOX, 4);
+      p.strokeWeight(1);
+      p.noStroke();
+      p.fill(22, 24, 48);
+      p.textAlign(p.CENTER, p.CENTER);
+      p.text(`D${d + 1}`, x + BOX / 2, y + BOX / 2);
+    });
+    if (list.length === 0) {
+      p.fill(150);
+      p.textAlign(p.LEFT, p.CENTER);
+      p.text("(empty)", 100, y + BOX / 2);
+    }
+  }
+
+  function drawMerge(top, colours) {
+    const frame = booleanFrames[booleanFrameIndex];
+    p.stroke(58, 63, 107);
+    p.line(0, top, p.width, top);
+    p.noStroke();
+    p.fill(230);
+    p.textSize(13);
+    p.textAlign(p.LEFT, p.TOP);
+    if (!frame) {
+      p.text("A single posting list: nothing to merge.", 10, top + 10);
+      return;
+    }
+    const ops = { and: "Intersect", or: "Union", not: "Difference" };
+    p.text(`${ops[frame.op] || "Check"} — ${frame.label}`, 10, top + 10);
+    if (frame.op === "phrase") {
+      drawList("candidates", frame.a, top + 40, frame.i, colours);
+    } else {
+      drawList("left", frame.a, top + 40, frame.i, colours);
+      drawList("right", frame.b, top + 84, frame.j, colours);
+      drawList("result", frame.out, top + 128, -1, colours);
+    }
+    p.fill(240, 172, 95);
+    p.textAlign(p.LEFT, p.TOP);
+    p.textSize(13);
+    p.text(frame.note, 10, top + MERGE_H - 22);
+  }
+
+  p.setup = () => {
+    const container = document.getElementById("booleanContainer");
+    const w = container ? container.clientWidth : 900;
+    p.createCanvas(w, 300).parent("booleanContainer");
+  };
+
+  p.draw = () => {
+    // Advance through the merge frames while playing
+    const now = performance.now();
+    if (booleanPlaying && now - booleanLastStep > BOOLEAN_STEP_INTERVAL) {
+      booleanLastStep = now;
+      showBooleanFrame(booleanFrameIndex + 1);
+      if (booleanFrameIndex >= booleanFrames.length - 1) {
+        booleanPlaying = false;
+        updateBooleanTimeline();
+      }
+    }
+    const treeH = booleanTree ? depth(booleanTree) * LEVEL_H + 10 : 40;
+    if (p.height !== treeH + MERGE_H) {
+      p.resizeCanvas(p.width, treeH + MERGE_H);
+    }
+    p.background(22, 24, 48);
+    if (!booleanTree) {
+      p.noStroke();
+      p.fill(230);
+      p.textSize(13);
+      p.textAlign(p.LEFT, p.TOP);
+      p.text("Enter a Boolean query to evaluate.", 10, 12);
+      return;
+    }
+    // Regenerated only when the number of documents changes
+    if (booleanColours.length !== booleanIndex.numDocs) {
+      booleanColours = documentColours(booleanIndex.numDocs);
+    }
+    const colours = booleanColours;
+    drawTree(colours);
+    drawMerge(treeH, colours);
+  };
+
+  p.windowResized = () => {
+    const container = document.getElementById("booleanContainer");
+    if (container) p.resizeCanvas(container.clientWidth, p.height);
+  };
+};
+
+new p5(booleanSketch);
@@ -0,0 +1,450 @@
+/*
+ * Boolean query evaluation
+ *
+ * DOM-free parser and evaluator for Boolean retrieval over the inverted
+ * index of retrieval_core.js. Queries combine terms with AND, OR and NOT
+ * (upper case; adjacent terms are ANDed), parentheses, quoted phrases
+ * ("bike shop") and proximity phrases ("bike shop"~3: each word within 3
+ * positions of the previous one, in either order). Positions are those of
+ * the words in the original text, so a stop word the pipeline removed still
+ * counts: "bike shop" does not match "bike of the shop".
+ *
+ * Evaluation follows the textbook merge algorithms and records every
+ * comparison as a frame, so the visualizers can replay intersections (with
+ * skip pointers), unions, AND NOT differences and positional phrase checks
+ * step by step. explainMatch() says why a given document does or does not
+ * match.
+ *
+ * Packaged like retrieval_core.js: a <script> tag defines the global
+ * `BooleanQuery` and Node's `require` returns the same object. It relies on
+ * retrieval_core.js being loaded first (or resolvable by `require`).
+ */
+
+(function (root, factory) {
+  const core =
+    root.RetrievalCore ||
+    (typeof require === "function" ? require("./retrieval_core.js") : null);
+  const booleanQuery = factory(core);
+  if (typeof module === "object" && module.exports) {
+    module.exports = booleanQuery;
+  }
+  root.BooleanQuery = booleanQuery;
+})(typeof globalThis !== "undefined" ? globalThis : this, function (
+  RetrievalCore
+) {
+  // Split query text into parentheses, operators, phrases and words
+  function lex(text) {
+    const tokens = [];
+    const re = /\s*(?:(\()|(\))|"([^"]*)"(?:~(\d+))?|([^\s()"]+))/gy;
+    let pos = 0;
+    let m;
+    while ((re.lastIndex = pos) < text.length && (m = re.exec(text))) {
+      pos = re.lastIndex;
+      if (m[1]) tokens.push({ type: "(" });
+      else if (m[2]) tokens.push({ type: ")" });
+      else if (m[3] !== undefined) {
+        tokens.push({
+          type: "phrase",
+          text: m[3],
+          slop: m[4] !== undefined ? parseInt(m[4], 10) : null,
+        });
+      } else if (["AND", "OR", "NOT"].includes(m[5])) {
+        tokens.push({ type: m[5] });
+      } else {
+        tokens.push({ type: "word", text: m[5] });
+      }
+    }
+    if (/\S/.test(text.slice(pos))) {
+      throw new Error("Unterminated quote in query");
+    }
+    return tokens;
+  }
+
+  /*
+   * Parse a query into a tree of { type: "term" | "phrase" | "and" | "or" |
+   * "not" } nodes. `tokenize` normalizes words and phrases the way the
+   * documents were indexed, returning the terms or { tokens, positions }
+   * with each term's word position; a phrase node keeps the `offsets` of
+   * its terms from the first. A word it removes entirely (e.g. a stop word)
+   * is dropped from the query and listed in `ignored`. Throws an Error with
+   * a readable message on malformed queries.
+   */
+  function parse(text, tokenize = RetrievalCore.textToTokens) {
+    const tokens = lex(text);
+    const phraseNode = (text, slop, raw) => {
+      const result = tokenize(text);
+      const terms = Array.isArray(result) ? result : result.tokens;
+      const positions = Array.isArray(result)
+        ? terms.map((_, k) => k)
+        : result.positions;
+      const offsets = positions.map((pos) => pos - positions[0]);
+      return { type: "phrase", terms, offsets, slop, raw };
+    };
+    const ignored = [];
+    let i = 0;
+    const peek = () => tokens[i];
+    const expect = (type) => {
+      if (!peek() || peek().type !== type) {
+        throw new Error(`Expected ${type === ")" ? "“)”" : type}`);
+      }
+      i++;
+    };
+    // Combine children, dropping ignored (null) operands
+    const combine = (type, children) => {
+      const kept = children.filter((c) => c !== null);
+      if (kept.length === 0) return null;
+      return kept.length === 1 ? kept[0] : { type, children: kept };
+    };
+
+    function parseOr() {
+      const children = [parseAnd()];
+      while (peek() && peek().type === "OR") {
+        i++;
+        children.push(parseAnd());
+      }
+      return combine("or", children);
+    }
+
+    function parseAnd() {
+      const children = [parseNot()];
+      while (peek() && !["OR", ")"].includes(peek().type)) {
+        if (peek().type === "AND") i++;
+        children.push(parseNot());
+      }
+      return combine("and", children);
+    }
+
+    function parseNot() {
+      if (peek() && peek().type === "NOT") {
+        i++;
+        const child = parseNot();
+        return child === null ? null : { type: "not", child };
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const token = peek();
+      if (!token) throw new Error("Query ends too early");
+      i++;
+      if (token.type === "(") {
+        const node = parseOr();
+        expect(")");
+        return node;
+      }
+      if (token.type === "phrase") {
+        const node = phraseNode(token.text, token.slop, token.text);
+        if (node.terms.length === 0) {
+          ignored.push(`"${token.text}"`);
+          return null;
+        }
+        if (node.terms.length === 1 && token.slop === null) {
+          return { type: "term", term: node.terms[0], raw: `"${token.text}"` };
+        }
+        return node;
+      }
+      if (token.type === "word") {
+        const node = phraseNode(token.text, null, token.text);
+        if (node.terms.length === 0) {
+          ignored.push(token.text);
+          return null;
+        }
+        // A word the pipeline splits (or expands) is searched as a phrase
+        if (node.terms.length > 1) return node;
+        return { type: "term", term: node.terms[0], raw: token.text };
+      }
+      if (token.type === ")") throw new Error("Unexpected “)”");
+      throw new Error(`${token.type} needs an operand`);
+    }
+
+    if (tokens.length === 0) throw new Error("Query is empty");
+    const tree = parseOr();
+    if (i < tokens.length) throw new Error("Unexpected “)”");
+    if (tree === null) throw new Error("Query has no searchable terms");
+    return { tree, ignored };
+  }
+
+  // Readable form of a query tree, fully parenthesized
+  function describe(node) {
+    switch (node.type) {
+      case "term":
+        return node.term;
+      case "phrase":
+        return `"${node.terms.join(" ")}"${
+          node.slop !== null ? `~${node.slop}` : ""
+        }`;
+      case "not":
+        return `NOT ${describe(node.child)}`;
+      default:
+        return `(${node.children
+          .map(describe)
+          .join(` ${node.type.toUpperCase()} `)})`;
+    }
+  }
+
+  /*
+   * Merges. Each takes two sorted doc-ID lists, returns the merged list and
+   * appends frames { op, a, b, i, j, out, note } to `frames`, one per
+   * comparison, where i and j are the list cursors at that moment.
+   */
+  function intersect(a, b, frames, label) {
+    const out = [];
+    const skipsA = new Map(RetrievalCore.skipPointers(a.length));
+    const skipsB = new Map(RetrievalCore.skipPointers(b.length));
+    let i = 0;
+    let j = 0;
+    const frame = (note) =>
+      frames.push({ op: "and", label, a, b, i, j, out: out.slice(), note });
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        out.push(a[i]);
+        frame(`D${a[i] + 1} in both: add it`);
+        i++;
+        j++;
+      } else if (a[i] < b[j]) {
+        if (skipsA.has(i) && a[skipsA.get(i)] <= b[j]) {
+          frame(`skip pointer: D${a[i] + 1} → D${a[skipsA.get(i)] + 1}`);
+          i = skipsA.get(i);
+        } else {
+          frame(`D${a[i] + 1} < D${b[j] + 1}: advance left`);
+          i++;
+        }
+      } else if (skipsB.has(j) && b[skipsB.get(j)] <= a[i]) {
+        frame(`skip pointer: D${b[j] + 1} → D${b[skipsB.get(j)] + 1}`);
+        j = skipsB.get(j);
+      } else {
+        frame(`D${b[j] + 1} < D${a[i] + 1}: advance right`);
+        j++;
+      }
+    }
+    frame("one list exhausted: done");
+    return out;
+  }
+
+  function union(a, b, frames, label) {
+    const out = [];
+    let i = 0;
+    let j = 0;
+    const frame = (note) =>
+      frames.push({ op: "or", label, a, b, i, j, out: out.slice(), note });
+    while (i < a.length || j < b.length) {
+      if (j >= b.length || (i < a.length && a[i] < b[j])) {
+        out.push(a[i]);
+        frame(`add D${a[i] + 1} from the left`);
+        i++;
+      } else if (i >= a.length || b[j] < a[i]) {
+        out.push(b[j]);
+        frame(`add D${b[j] + 1} from the right`);
+        j++;
+      } else {
+        out.push(a[i]);
+        frame(`D${a[i] + 1} in both: add it once`);
+        i++;
+        j++;
+      }
+    }
+    frame("both lists exhausted: done");
+    return out;
+  }
+
+  // Documents of `a` that are not in `b` (AND NOT)
+  function difference(a, b, frames, label) {
+    const out = [];
+    let i = 0;
+    let j = 0;
+    const frame = (note) =>
+      frames.push({ op: "not", label, a, b, i, j, out: out.slice(), note });
+    while (i < a.length) {
+      if (j >= b.length || a[i] < b[j]) {
+        out.push(a[i]);
+        frame(`D${a[i] + 1} not excluded: keep it`);
+        i++;
+      } else if (a[i] === b[j]) {
+        frame(`D${a[i] + 1} excluded: drop it`);
+        i++;
+        j++;
+      } else {
+        frame(`D${b[j] + 1} < D${a[i] + 1}: advance right`);
+        j++;
+      }
+    }
+    frame("left list exhausted: done");
+    return out;
+  }
+
+  /*
+   * Positions in `doc` where the phrase terms occur in sequence: without
+   * slop at the same distances as in the query (adjacent words, unless the
+   * query itself had a removed word between them), otherwise each within
+   * `slop` positions of the previous term. Returns the first match as a
+   * list of positions, or null.
+   */
+  function phraseMatch(index, node, doc) {
+    const positionsOf = (term) => {
+      const posting = RetrievalCore.findPosting(
+        index.postings.get(term) || [],
+        doc
+      );
+      return posting ? posting.positions : [];
+    };
+    const lists = node.terms.map(positionsOf);
+    const offsets = node.offsets || node.terms.map((_, k) => k);
+    const extend = (k, chain) => {
+      if (k === lists.length) return chain;
+      const prev = chain[chain.length - 1];
+      for (const pos of lists[k]) {
+        const ok =
+          node.slop === null
+            ? pos === chain[0] + offsets[k]
+            : Math.abs(pos - prev) <= node.slop;
+        // One occurrence of a term cannot stand for two query words
+        const reused = chain.some(
+          (p, m) => p === pos && node.terms[m] === node.terms[k]
+        );
+        if (ok && !reused) {
+          const found = extend(k + 1, chain.concat(pos));
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+    for (const start of lists[0]) {
+      const found = extend(1, [start]);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /*
+   * Evaluate a parsed query against an inverted index. Returns the sorted
+   * matching doc IDs and the merge frames in evaluation order; every node
+   * of the tree also gets a `result` list for display.
+   */
+  function evaluate(tree, index) {
+    const frames = [];
+    const allDocs = Array.from({ length: index.numDocs }, (_, d) => d);
+    const postingsOf = (term) =>
+      (index.postings.get(term) || []).map((p) => p.doc);
+
+    function visit(node) {
+      switch (node.type) {
+        case "term":
+          node.result = postingsOf(node.term);
+          break;
+        case "phrase": {
+          // Intersect the terms' lists, then check positions in each survivor
+          const lists = node.terms.map(postingsOf);
+          let candidates = lists[0];
+          for (let k = 1; k < lists.length; k++) {
+            candidates = intersect(
+              candidates,
+              lists[k],
+              frames,
+              `${describe(node)}: documents with every word`
+            );
+          }
+          node.result = candidates.filter((doc) => {
+            const match = phraseMatch(index, node, doc);
+            frames.push({
+              op: "phrase",
+              label: `${describe(node)}: positional check`,
+              a: candidates,
+              b: [],
+              i: candidates.indexOf(doc),
+              j: -1,
+              out: [],
+              note: match
+                ? `D${doc + 1}: words at positions ${match.join(", ")}`
+                : `D${doc + 1}: words present but not close enough`,
+            });
+            return match !== null;
+          });
+          break;
+        }
+        case "not":
+          // A NOT on its own complements against the whole collection
+          node.result = difference(
+            allDocs,
+            visit(node.child),
+            frames,
+            `all documents AND NOT ${describe(node.child)}`
+          );
+          break;
+        case "or":
+          node.result = node.children
+            .map(visit)
+            .reduce((acc, list, k) =>
+              union(acc, list, frames, `${describe(node)}: merge ${k}`)
+            );
+          break;
+        case "and": {
+          // Positive operands are intersected shortest list first; NOT
+          // operands are then removed with AND NOT merges
+          const positive = node.children.filter((c) => c.type !== "not");
+          const negative = node.children.filter((c) => c.type === "not");
+          positive.forEach(visit);
+          negative.forEach((c) => visit(c.child));
+          const ordered = positive
+            .slice()
+            .sort((x, y) => x.result.length - y.result.length);
+          let acc = ordered.length > 0 ? ordered[0].result : allDocs;
+          ordered.slice(1).forEach((c) => {
+            acc = intersect(acc, c.result, frames, `AND ${describe(c)}`);
+          });
+          negative.forEach((c) => {
+            acc = difference(
+              acc,
+              c.child.result,
+              frames,
+              `AND NOT ${describe(c.child)}`
+            );
+            c.result = allDocs.filter((d) => !c.child.result.includes(d));
+          });
+          node.result = acc;
+          break;
+        }
+      }
+      return node.result;
+    }
+
+    const docs = visit(tree);
+    return { docs, frames };
+  }
+
+  /*
+   * Why `doc` does or does not match: the query with each operand marked
+   * ✓ or ✗ (a NOT operand is ✓ when the document lacks its term), phrases
+   * annotated with the positions that matched.
+   */
+  function explainMatch(node, index, doc) {
+    const hit = (n) => n.result.includes(doc);
+    const mark = (n) => (hit(n) ? "✓" : "✗");
+    switch (node.type) {
+      case "term":
+        return `${node.term} ${mark(node)}`;
+      case "phrase": {
+        const match = phraseMatch(index, node, doc);
+        return `${describe(node)} ${
+          match ? `✓ (positions ${match.join(", ")})` : "✗"
+        }`;
+      }
+      case "not":
+        return `NOT ${describe(node.child)} ${mark(node)}`;
+      default:
+        return `(${node.children
+          .map((c) => explainMatch(c, index, doc))
+          .join(` ${node.type.toUpperCase()} `)}) ${mark(node)}`;
+    }
+  }
+
+  return {
+    parse,
+    describe,
+    intersect,
+    union,
+    difference,
+    phraseMatch,
+    evaluate,
+    explainMatch,
+  };
+});
@@ -0,0 +1,437 @@
+/*
+ * Chart and table export
+ *
+ * Fills the `#exportMenu` element under each page's chart. The chart can be
+ * saved as a PNG of the canvas or as an SVG drawn from the same data: for
+ * one call of draw() the p5 drawing functions are wrapped by recorders that
+ * write every shape and label as an SVG element, so the file has real
+ * rectangles and text rather than pixels. The page's tables (term ×
+ * document matrices and a worked computation) can be saved as CSV, LaTeX or
+ * Markdown for slides and homework solutions.
+ *
+ * Pages pass initExportMenu() a function returning their current tables as
+ * [{ name, header, rows }], where cells are strings or numbers. Loaded after
+ * permalink.js, whose downloadText() and pageName() it uses.
+ */
+
+// p5 functions the SVG recorder follows
+const SVG_RECORDED = [
+  "background",
+  "fill",
+  "noFill",
+  "stroke",
+  "noStroke",
+  "strokeWeight",
+  "rect",
+  "ellipse",
+  "circle",
+  "line",
+  "point",
+  "triangle",
+  "bezier",
+  "beginShape",
+  "vertex",
+  "endShape",
+  "text",
+  "textSize",
+  "textAlign",
+  "textStyle",
+  "push",
+  "pop",
+  "translate",
+  "rotate",
+  "scale",
+];
+
+// SVG text attributes for p5's alignment constants (which are these strings)
+const SVG_TEXT_ANCHORS = { left: "start", center: "middle", right: "end" };
+const SVG_BASELINES = {
+  top: "hanging",
+  center: "central",
+  bottom: "text-after-edge",
+  alphabetic: "alphabetic",
+};
+
+// Short decimal for SVG attributes
+const svgNumber = (v) => +Number(v).toFixed(2);
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// A p5 colour argument list (grey, grey + alpha, RGB, RGBA, an array, a
+// p5.Color or a CSS string) as an SVG colour and opacity
+function svgColour(args) {
+  let v = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+  if (typeof v[0] === "string") return { colour: v[0], opacity: 1 };
+  if (v[0] && v[0].levels) v = v[0].levels;
+  const [r, g, b, a] = v.length <= 2 ? [v[0], v[0], v[0], v[1]] : v;
+  const rgb = [r, g, b].map((c) => Math.round(c)).join(",");
+  return { colour: `rgb(${rgb})`, opacity: a === undefined ? 1 : a / 255 };
+}
+
+/*
+ * Run `drawFn` with the p5 drawing functions of `target` (window in global
+ * mode, or a sketch instance) recorded as SVG, and return the SVG document.
+ * The functions still draw on the canvas, so p5's own state (text size for
+ * textWidth(), for instance) stays right.
+ */
+function recordSvg(target, drawFn) {
+  const elements = [];
+  let style = {
+    fill: "rgb(255,255,255)",
+    fillOpacity: 1,
+    stroke: "rgb(0,0,0)",
+    strokeOpacity: 1,
+    strokeWeight: 1,
+    textSize: 12,
+    anchor: "start",
+    baseline: "alphabetic",
+    weight: "normal",
+    transform: "",
+  };
+  const stack = [];
+  let vertices = null;
+  // Fill, stroke and transform attributes for a shape
+  const paint = (filled = true) => {
+    let attrs = "";
+    if (!filled || style.fill === "none") {
+      attrs += ' fill="none"';
+    } else {
+      attrs += ` fill="${style.fill}"`;
+      if (style.fillOpacity < 1) {
+        attrs += ` fill-opacity="${svgNumber(style.fillOpacity)}"`;
+      }
+    }
+    if (style.stroke === "none") {
+      attrs += ' stroke="none"';
+    } else {
+      attrs += ` stroke="${style.stroke}"`;
+      attrs += ` stroke-width="${svgNumber(style.strokeWeight)}"`;
+      if (style.strokeOpacity < 1) {
+        attrs += ` stroke-opacity="${svgNumber(style.strokeOpacity)}"`;
+      }
+    }
+    if (style.transform) attrs += ` transform="${style.transform.trim()}"`;
+    return attrs;
+  };
+  const points = (coords) =>
+    coords.map(([x, y]) => `${svgNumber(x)},${svgNumber(y)}`).join(" ");
+  const recorders = {
+    background: (...args) => {
+      const { colour } = svgColour(args);
+      elements.push(`<rect width="100%" height="100%" fill="${colour}"/>`);
+    },
+    fill: (...args) => {
+      const { colour, opacity } = svgColour(args);
+      style.fill = colour;
+      style.fillOpacity = opacity;
+    },
+    noFill: () => {
+      style.fill = "none";
+    },
+    stroke: (...args) => {
+      const { colour, opacity } = svgColour(args);
+      style.stroke = colour;
+      style.strokeOpacity = opacity;
+    },
+    noStroke: () => {
+      style.stroke = "none";
+    },
+    strokeWeight: (w) => {
+      style.strokeWeight = w;
+    },
+    rect: (x, y, w, h = w, radius = 0) => {
+      // Canvas rectangles may have a negative size; SVG ones may not
+      const left = Math.min(x, x + w);
+      const top = Math.min(y, y + h);
+      const r = radius ? ` rx="${svgNumber(radius)}"` : "";
+      elements.push(
+        `<rect x="${svgNumber(left)}" y="${svgNumber(top)}" ` +
+          `width="${svgNumber(Math.abs(w))}" ` +
+          `height="${svgNumber(Math.abs(h))}"${r}${paint()}/>`
+      );
+    },
+    ellipse: (x, y, w, h = w) => {
+      elements.push(
+        `<ellipse cx="${svgNumber(x)}" cy="${svgNumber(y)}" ` +
+          `rx="${svgNumber(w / 2)}" ry="${svgNumber(h / 2)}"${paint()}/>`
+      );
+    },
+    circle: (x, y, d) => recorders.ellipse(x, y, d, d),
+    line: (x1, y1, x2, y2) => {
+      elements.push(
+        `<line x1="${svgNumber(x1)}" y1="${svgNumber(y1)}" ` +
+          `x2="${svgNumber(x2)}" y2="${svgNumber(y2)}"${paint(false)}/>`
+      );
+    },
+    point: (x, y) => {
+      if (style.stroke === "none") return;
+      elements.push(
+        `<circle cx="${svgNumber(x)}" cy="${svgNumber(y)}" ` +
+          `r="${svgNumber(style.strokeWeight / 2)}" fill="${style.stroke}"/>`
+      );
+    },
+    triangle: (x1, y1, x2, y2, x3, y3) => {
+      const coords = [
+        [x1, y1],
+        [x2, y2],
+        [x3, y3],
+      ];
+      elements.push(`<polygon points="${points(coords)}"${paint()}/>`);
+    },
+    bezier: (x1, y1, x2, y2, x3, y3, x4, y4) => {
+      const d =
+        `M${svgNumber(x1)},${svgNumber(y1)} C${svgNumber(x2)},` +
+        `${svgNumber(y2)} ${svgNumber(x3)},${svgNumber(y3)} ` +
+        `${svgNumber(x4)},${svgNumber(y4)}`;
+      elements.push(`<path d="${d}"${paint()}/>`);
+    },
+    beginShape: () => {
+      vertices = [];
+    },
+    vertex: (x, y) => {
+      if (vertices) vertices.push([x, y]);
+    },
+    endShape: (mode) => {
+      if (!vertices) return;
+      const tag = mode === "close" ? "polygon" : "polyline";
+      elements.push(`<${tag} points="${points(vertices)}"${paint()}/>`);
+      vertices = null;
+    },
+    text: (str, x, y) => {
+      if (style.fill === "none") return;
+      const lines = String(str).split("\n");
+      const leading = style.textSize * 1.25;
+      const spans = lines
+        .map(
+          (line, i) =>
+            `<tspan x="${svgNumber(x)}" dy="${i === 0 ? 0 : leading}">` +
+            `${escapeXml(line)}</tspan>`
+        )
+        .join("");
+      const weight = style.weight === "normal" ? "" : ' font-weight="bold"';
+      elements.push(
+        `<text x="${svgNumber(x)}" y="${svgNumber(y)}" ` +
+          `font-family="sans-serif" font-size="${svgNumber(style.textSize)}"` +
+          `${weight} text-anchor="${style.anchor}" ` +
+          `dominant-baseline="${style.baseline}"${paint()}>${spans}</text>`
+      );
+    },
+    textSize: (size) => {
+      if (size !== undefined) style.textSize = size;
+    },
+    textAlign: (horizontal, vertical) => {
+      if (horizontal === undefined) return;
+      style.anchor = SVG_TEXT_ANCHORS[horizontal] || "start";
+      if (vertical !== undefined) {
+        style.baseline = SVG_BASELINES[vertical] || "alphabetic";
+      }
+    },
+    textStyle: (s) => {
+      if (s !== undefined) style.weight = s === "bold" ? "bold" : "normal";
+    },
+    push: () => {
+      stack.push(Object.assign({}, style));
+    },
+    pop: () => {
+      if (stack.length > 0) style = stack.pop();
+    },
+    translate: (x, y) => {
+      style.transform += ` translate(${svgNumber(x)} ${svgNumber(y)})`;
+    },
+    rotate: (angle) => {
+      style.transform += ` rotate(${svgNumber((angle * 180) / Math.PI)})`;
+    },
+    scale: (sx, sy = sx) => {
+      style.transform += ` scale(${svgNumber(sx)} ${svgNumber(sy)})`;
+    },
+  };
+  const originals = {};
+  SVG_RECORDED.forEach((name) => {
+    if (typeof target[name] !== "function") return;
+    originals[name] = target[name];
+    target[name] = (...args) => {
+      recorders[name](...args);
+      return originals[name](...args);
+    };
+  });
+  try {
+    drawFn();
+  } finally {
+    Object.entries(originals).forEach(([name, fn]) => {
+      target[name] = fn;
+    });
+  }
+  const w = svgNumber(target.width);
+  const h = svgNumber(target.height);
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" ` +
+    `viewBox="0 0 ${w} ${h}">\n${elements.join("\n")}\n</svg>\n`
+  );
+}
+
+// A cell as text: whole numbers as they are, others to `digits` decimals
+function formatCell(value, digits) {
+  if (typeof value !== "number") return String(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(digits);
+}
+
+function tableToCsv({ header, rows }) {
+  const quote = (cell) => {
+    // Up to six decimals, without trailing zeros
+    const s =
+      typeof cell === "number" ? String(+cell.toFixed(6)) : String(cell);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map((row) => row.map(quote).join(",")).join("\n");
+}
+
+// LaTeX's special characters and the symbols used in the tables
+const LATEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "&": "\\&",
+  "%": "\\%",
+  $: "\\$",
+  "#": "\\#",
+  _: "\\_",
+  "{": "\\{",
+  "}": "\\}",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+  "×": "$\\times$",
+  "·": "$\\cdot$",
+  "−": "$-$",
+  "δ": "$\\delta$",
+  "“": "``",
+  "”": "''",
+  "’": "'",
+  "‑": "-",
+};
+
+const escapeLatex = (text) =>
+  text.replace(/[\\&%$#_{}~^×·−δ“”’‑]/g, (c) => LATEX_ESCAPES[c]);
+
+// Columns whose body cells are numbers (or blank) are right-aligned
+function numericColumns({ header, rows }) {
+  return header.map(
+    (_, c) =>
+      rows.some((row) => typeof row[c] === "number") &&
+      rows.every((row) => typeof row[c] === "number" || row[c] === "")
+  );
+}
+
+function tableToLatex(table) {
+  const align = numericColumns(table)
+    .map((numeric) => (numeric ? "r" : "l"))
+    .join("");
+  const line = (row) =>
+    `  ${row.map((cell) => escapeLatex(formatCell(cell, 3))).join(" & ")} \\\\`;
+  return [
+    "\\begin{table}[ht]",
+    "\\centering",
+    `\\begin{tabular}{${align}}`,
+    "\\hline",
+    line(table.header),
+    "\\hline",
+    ...table.rows.map(line),
+    "\\hline",
+    "\\end{tabular}",
+    `\\caption{${escapeLatex(table.name)}}`,
+    "\\end{table}",
+  ].join("\n");
+}
+
+function tableToMarkdown(table) {
+  const line = (row) =>
+    `| ${row
+      .map((cell) => formatCell(cell, 3).replace(/\|/g, "\\|"))
+      .join(" | ")} |`;
+  const rule = numericColumns(table).map((numeric) =>
+    numeric ? "---:" : "---"
+  );
+  return [
+    `**${table.name}**`,
+    "",
+    line(table.header),
+    `| ${rule.join(" | ")} |`,
+    ...table.rows.map(line),
+  ].join("\n");
+}
+
+/*
+ * A term × column table: one row per term of `vocab`, one column per
+ * { label, values } where values[t] belongs to vocab[t].
+ */
+function termMatrixTable(name, vocab, columns) {
+  return {
+    name,
+    header: ["Term", ...columns.map((c) => c.label)],
+    rows: vocab.map((term, t) => [term, ...columns.map((c) => c.values[t])]),
+  };
+}
+
+// The products summed by a dot product, e.g. "1×2 + 3×1", skipping zeros
+function dotProductTerms(a, b) {
+  const products = [];
+  a.forEach((x, i) => {
+    if (x !== 0 && b[i] !== 0) {
+      products.push(`${formatCell(x, 3)}×${formatCell(b[i], 3)}`);
+    }
+  });
+  return products.length > 0 ? products.join(" + ") : "0";
+}
+
+// File name part for a table, without parenthesized details, e.g.
+// "TF-IDF weights (ltc.lnc)" → "tf-idf-weights"
+const tableSlug = (name) =>
+  name
+    .replace(/\(.*?\)/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+/*
+ * Wire up the export menu. `getTables` returns the page's current tables;
+ * the table selector is refilled whenever the menu opens.
+ */
+function initExportMenu(getTables) {
+  const menu = document.getElementById("exportMenu");
+  const select = document.getElementById("exportTable");
+  const refresh = () => {
+    const previous = select.value;
+    select.innerHTML = "";
+    getTables().forEach(({ name }) => select.appendChild(new Option(name)));
+    if (Array.from(select.options).some((opt) => opt.value === previous)) {
+      select.value = previous;
+    }
+  };
+  menu.addEventListener("toggle", () => {
+    if (menu.open) refresh();
+  });
+  const base = () => `${pageName()}-chart`;
+  document.getElementById("exportPngBtn").addEventListener("click", () => {
+    saveCanvas(base(), "png");
+  });
+  document.getElementById("exportSvgBtn").addEventListener("click", () => {
+    downloadText(`${base()}.svg`, recordSvg(window, draw), "image/svg+xml");
+  });
+  const formats = [
+    ["exportCsvBtn", tableToCsv, "csv", "text/csv"],
+    ["exportLatexBtn", tableToLatex, "tex", "application/x-tex"],
+    ["exportMarkdownBtn", tableToMarkdown, "md", "text/markdown"],
+  ];
+  formats.forEach(([id, convert, extension, type]) => {
+    document.getElementById(id).addEventListener("click", () => {
+      refresh();
+      const table = getTables().find(({ name }) => name === select.value);
+      if (!table) return;
+      const filename = `${pageName()}-${tableSlug(table.name)}.${extension}`;
+      downloadText(filename, `${convert(table)}\n`, type);
+    });
+  });
+}
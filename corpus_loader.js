@@ -0,0 +1,465 @@
+/*
+ * Large-corpus mode
+ *
+ * Shared by the Bag‑of‑Words, TF‑IDF and BM25 pages. Loads a document
+ * collection from a local file (JSON Lines, CSV or one document per line of
+ * plain text), chosen in the `#corpusLoader` panel or dropped anywhere on
+ * the page, and replaces the document textareas with it. The collection is
+ * tokenized with the active pipeline and put into an inverted index, so the
+ * pages score it with RetrievalCore.scoreIndexed() instead of walking every
+ * document.
+ *
+ * With thousands of documents one bar per vocabulary term is unreadable, so
+ * drawCorpusView() draws the top-k ranked list with each score split into
+ * query-term contributions, next to a term axis (scroll with the mouse
+ * wheel, widen with the zoom slider) that shows only the query terms and the
+ * highest-weighted terms of the top documents.
+ */
+
+// { name, docs: [{ id, title, text }], tokens, index, stats, pipelineKey }
+let loadedCorpus = null;
+// Latest ranking drawn by drawCorpusView()
+let corpusRanking = null;
+let termAxisScroll = 0;
+
+const CORPUS_ROW_HEIGHT = 22;
+const TERM_AXIS_EXTRA_TERMS = 60;
+
+// Split CSV text into rows of fields, honouring quoted fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim().length > 0));
+}
+
+// A JSON object on its own line, or null when the line is anything else
+function jsonRecord(line) {
+  try {
+    const value = JSON.parse(line);
+    return value && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/*
+ * Read documents from a file's text. A JSON array (or a single object, even
+ * pretty-printed) and JSON Lines files give records that use their "text"
+ * (or "body", "contents", "abstract") field and "title" or "id"; an array
+ * of plain strings is one document per string. CSV files use the column
+ * with one of those names, or the last column; anything else is one
+ * document per non-empty line, unless every line is a JSON object. Each
+ * document also gets the ID that qrels files refer to: its "id" (or
+ * "docid", "docno") field, else its 1-based position in the file.
+ */
+function parseCorpus(name, text) {
+  const TEXT_FIELDS = ["text", "body", "contents", "content", "abstract"];
+  const TITLE_FIELDS = ["title", "id", "docid", "doc_id"];
+  const ID_FIELDS = ["id", "docid", "doc_id", "docno", "_id"];
+  const fromRecord = (value, i) => {
+    const record = typeof value === "string" ? { text: value } : value || {};
+    const textKey =
+      TEXT_FIELDS.find((k) => typeof record[k] === "string") ||
+      Object.keys(record).find((k) => typeof record[k] === "string");
+    const titleKey = TITLE_FIELDS.find((k) => record[k] !== undefined);
+    const idKey = ID_FIELDS.find((k) => record[k] !== undefined);
+    return {
+      id: idKey ? String(record[idKey]) : String(i + 1),
+      title: titleKey ? String(record[titleKey]) : `Doc ${i + 1}`,
+      text: textKey ? record[textKey] : "",
+    };
+  };
+  const ext = name.toLowerCase().split(".").pop();
+  const lines = text.split("\n").filter((line) => line.trim().length > 0);
+  if (ext !== "csv" && /^\s*[[{]/.test(text)) {
+    let whole;
+    try {
+      whole = JSON.parse(text);
+    } catch (e) {
+      // Not one JSON value: JSON Lines, or text that starts with a bracket
+    }
+    if (Array.isArray(whole)) return whole.map(fromRecord);
+    if (whole && typeof whole === "object") return [fromRecord(whole, 0)];
+  }
+  // JSON Lines; a malformed line in a .json/.jsonl file is an error
+  if (ext === "jsonl" || ext === "json") {
+    return lines.map((line, i) => fromRecord(JSON.parse(line), i));
+  }
+  if (ext !== "csv" && lines.length > 0 && lines.every(jsonRecord)) {
+    return lines.map((line, i) => fromRecord(jsonRecord(line), i));
+  }
+  if (ext === "csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const lower = header.map((h) => h.trim().toLowerCase());
+    // First column named by `fields`, in the order of `fields`
+    const column = (fields) =>
+      fields.map((f) => lower.indexOf(f)).find((c) => c >= 0);
+    const textCol = column(TEXT_FIELDS) ?? header.length - 1;
+    const titleCol = column(TITLE_FIELDS) ?? -1;
+    const idCol = column(ID_FIELDS) ?? -1;
+    // A short row may lack the column, or leave it blank
+    const cell = (row, col, fallback) =>
+      col >= 0 && row[col] !== undefined && row[col].trim().length > 0
+        ? row[col]
+        : fallback;
+    return rows.map((row, i) => ({
+      id: cell(row, idCol, String(i + 1)),
+      title: cell(row, titleCol, `Doc ${i + 1}`),
+      text: row[textCol] || "",
+    }));
+  }
+  return lines.map((line, i) => ({
+    id: String(i + 1),
+    title: `Doc ${i + 1}`,
+    text: line,
+  }));
+}
+
+// (Re)build the index when the corpus is new or the pipeline has changed
+function refreshCorpusIndex() {
+  const key = JSON.stringify([pipelineConfig, pipelineOptions]);
+  if (!loadedCorpus || loadedCorpus.pipelineKey === key) return;
+  const positioned = loadedCorpus.docs.map((d) =>
+    tokenizeWithPositions(d.text)
+  );
+  loadedCorpus.tokens = positioned.map((d) => d.tokens);
+  loadedCorpus.index = RetrievalCore.buildInvertedIndex(
+    loadedCorpus.tokens,
+    positioned.map((d) => d.positions)
+  );
+  loadedCorpus.stats = RetrievalCore.indexStats(loadedCorpus.index);
+  loadedCorpus.pipelineKey = key;
+}
+
+function topKValue() {
+  return parseInt(document.getElementById("topK").value, 10);
+}
+
+/*
+ * Score the loaded corpus for `queryText` under `model` (see
+ * RetrievalCore.scoreIndexed) and keep the top-k documents for drawing.
+ * `scoreName` labels the ranking score, e.g. "cosine".
+ */
+function rankLoadedCorpus(queryText, model, scoreName) {
+  refreshCorpusIndex();
+  const { index, stats } = loadedCorpus;
+  const queryTerms = RetrievalCore.buildVocabulary([
+    tokenizeWithPipeline(queryText),
+  ]);
+  const result = RetrievalCore.scoreIndexed(
+    tokenizeWithPipeline(queryText),
+    index,
+    stats,
+    model
+  );
+  const top = RetrievalCore.topK(result.scores, result.contribs, topKValue());
+  corpusRanking = {
+    queryTerms,
+    scoreName,
+    weight: result.weight,
+    matched: result.contribs.size,
+    results: top.map((doc) => ({
+      doc,
+      score: result.scores[doc],
+      dot: result.dots ? result.dots[doc] : null,
+      contribs: result.contribs.get(doc),
+    })),
+  };
+  corpusRanking.axisTerms = termAxisTerms(corpusRanking);
+  return corpusRanking;
+}
+
+/*
+ * Terms for the term axis: the query terms, then the terms of the top
+ * documents with the largest total weight across them.
+ */
+function termAxisTerms(ranking) {
+  const totals = new Map();
+  ranking.results.forEach(({ doc }) => {
+    new Set(loadedCorpus.tokens[doc]).forEach((term) => {
+      if (ranking.queryTerms.includes(term)) return;
+      totals.set(term, (totals.get(term) || 0) + ranking.weight(term, doc));
+    });
+  });
+  const extra = Array.from(totals.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TERM_AXIS_EXTRA_TERMS)
+    .map(([term]) => term);
+  return ranking.queryTerms.concat(extra);
+}
+
+// Ranked list for the #scores element
+function corpusScoreHtml(ranking) {
+  const rows = ranking.results
+    .map(({ doc, score, dot }, r) => {
+      const title = escapeXml(loadedCorpus.docs[doc].title);
+      const dotText = dot !== null ? `, dot product = ${dot.toFixed(3)}` : "";
+      return `<strong>#${r + 1} ${title}</strong>: ${
+        ranking.scoreName
+      } = ${score.toFixed(3)}${dotText}`;
+    })
+    .join("<br/>");
+  return (
+    `<em>${ranking.matched} of ${loadedCorpus.docs.length} documents ` +
+    `contain a query term; top ${ranking.results.length} shown.</em><br/>` +
+    rows
+  );
+}
+
+// The ranking as a table for the export menu, with each query term's share
+function corpusRankingTable(ranking) {
+  const { queryTerms, scoreName, results } = ranking;
+  return {
+    name: `Top ${results.length} ranking`,
+    header: ["Rank", "ID", "Title", scoreName, ...queryTerms],
+    rows: results.map(({ doc, score, contribs }, r) => [
+      r + 1,
+      loadedCorpus.docs[doc].id,
+      loadedCorpus.docs[doc].title,
+      score,
+      ...queryTerms.map((term) => (contribs && contribs[term]) || 0),
+    ]),
+  };
+}
+
+function updateCorpusStatus() {
+  const status = document.getElementById("corpusStatus");
+  const display = loadedCorpus ? "none" : "";
+  document.getElementById("docList").style.display = display;
+  document.getElementById("addDocBtn").style.display = display;
+  document.getElementById("corpusClear").disabled = !loadedCorpus;
+  if (!loadedCorpus) {
+    status.textContent = "none loaded (using the documents above)";
+    return;
+  }
+  status.textContent =
+    `${loadedCorpus.name}: ${loadedCorpus.docs.length} documents, ` +
+    `${loadedCorpus.index.postings.size} terms`;
+}
+
+/*
+ * Wire up the file picker, drag and drop and the view sliders. `onChange`
+ * is the page's recompute function, called after a corpus is loaded or
+ * cleared.
+ */
+function initCorpusLoader(onChange) {
+  const changed = () => {
+    updateCorpusStatus();
+    onChange();
+    document.dispatchEvent(new Event("corpuschange"));
+  };
+  const load = (file) => {
+    readTextFile(file, (text) => {
+      const docs = parseCorpus(file.name, text).filter(
+        (d) => d.text.trim().length > 0
+      );
+      if (docs.length === 0) throw new Error("no documents found");
+      loadedCorpus = { name: file.name, docs, pipelineKey: null };
+      refreshCorpusIndex();
+      termAxisScroll = 0;
+      changed();
+    });
+  };
+  const fileInput = document.getElementById("corpusFile");
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files.length > 0) load(fileInput.files[0]);
+    fileInput.value = "";
+  });
+  // Files can be dropped on the drop zone or anywhere else on the page
+  const drop = document.getElementById("corpusDrop");
+  window.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    drop.classList.add("dragging");
+  });
+  window.addEventListener("dragleave", () => drop.classList.remove("dragging"));
+  window.addEventListener("drop", (e) => {
+    e.preventDefault();
+    drop.classList.remove("dragging");
+    if (e.dataTransfer.files.length > 0) load(e.dataTransfer.files[0]);
+  });
+  document.getElementById("corpusClear").addEventListener("click", () => {
+    loadedCorpus = null;
+    corpusRanking = null;
+    changed();
+  });
+  // Pages that do not draw the top-k view leave out its sliders
+  const topK = document.getElementById("topK");
+  if (topK) {
+    topK.addEventListener("input", () => {
+      document.getElementById("topKVal").textContent = topK.value;
+      if (loadedCorpus) onChange();
+    });
+  }
+  updateCorpusStatus();
+}
+
+// Scroll the term axis with the mouse wheel while over the canvas
+function mouseWheel(event) {
+  if (!corpusRanking) return true;
+  if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) {
+    return true;
+  }
+  termAxisScroll = Math.max(0, termAxisScroll + event.delta);
+  return false;
+}
+
+/*
+ * Draw the top-k ranked list (left) and the term axis (right) of a ranking
+ * from rankLoadedCorpus(). The canvas grows to fit k rows.
+ */
+function drawCorpusView(ranking) {
+  const rowsH = ranking.results.length * CORPUS_ROW_HEIGHT;
+  const needed = Math.max(350, 150 + rowsH);
+  if (height !== needed) resizeCanvas(width, needed);
+  background(22, 24, 48);
+  const termCols = termColours(ranking.queryTerms.length);
+  const top = drawLegend(ranking.queryTerms, termCols) + 90;
+  noStroke();
+  if (ranking.results.length === 0) {
+    fill(230);
+    textSize(14);
+    textAlign(LEFT, TOP);
+    text("No document contains a query term.", 10, top);
+    return;
+  }
+  // Ranked list: rank and title, then the score split by query term
+  const listW = Math.floor(width * 0.5);
+  const titleW = 170;
+  const barMax = listW - titleW - 60;
+  const maxScore = Math.max(
+    1e-9,
+    ...ranking.results.map((r) =>
+      Object.values(r.contribs).reduce((sum, v) => sum + Math.abs(v), 0)
+    )
+  );
+  textSize(12);
+  ranking.results.forEach((r, i) => {
+    const y = top + i * CORPUS_ROW_HEIGHT;
+    fill(220);
+    textAlign(LEFT, CENTER);
+    let title = `#${i + 1} ${loadedCorpus.docs[r.doc].title}`;
+    while (title.length > 4 && textWidth(title) > titleW - 8) {
+      title = title.slice(0, -2);
+    }
+    text(title, 10, y + CORPUS_ROW_HEIGHT / 2);
+    let x = titleW;
+    ranking.queryTerms.forEach((term, t) => {
+      const value = r.contribs[term] || 0;
+      if (value === 0) return;
+      const w = (Math.abs(value) / maxScore) * barMax;
+      fill(...termCols[t]);
+      rect(x, y + 3, w, CORPUS_ROW_HEIGHT - 6);
+      x += w;
+    });
+    fill(200);
+    text(r.score.toFixed(3), x + 6, y + CORPUS_ROW_HEIGHT / 2);
+  });
+  drawTermAxis(ranking, listW + 20, top, termCols);
+}
+
+// Heat map of term weights in the top documents, scrolled horizontally
+function drawTermAxis(ranking, left, top, termCols) {
+  const zoom = parseFloat(document.getElementById("termZoom").value);
+  const colW = 26 * zoom;
+  const areaW = width - left - 10;
+  const terms = ranking.axisTerms;
+  const maxScroll = Math.max(0, terms.length * colW - areaW);
+  termAxisScroll = Math.min(termAxisScroll, maxScroll);
+  const weights = ranking.results.map(({ doc }) =>
+    terms.map((term) => ranking.weight(term, doc))
+  );
+  const maxWeight = Math.max(1e-9, ...weights.flat().map(Math.abs));
+  let hover = null;
+  terms.forEach((term, c) => {
+    const x = left + c * colW - termAxisScroll;
+    if (x + colW < left || x > left + areaW) return;
+    const isQuery = c < ranking.queryTerms.length;
+    // Rotated term label above the column
+    push();
+    translate(x + colW / 2, top - 6);
+    rotate(-HALF_PI / 2);
+    fill(isQuery ? color(...termCols[c]) : color(200));
+    textSize(11);
+    textAlign(LEFT, CENTER);
+    text(term, 0, 0);
+    pop();
+    weights.forEach((row, i) => {
+      const y = top + i * CORPUS_ROW_HEIGHT;
+      const level = Math.abs(row[c]) / maxWeight;
+      const base = isQuery ? termCols[c] : [82, 88, 147];
+      fill(...base.map((v) => 22 + (v - 22) * level));
+      stroke(22, 24, 48);
+      rect(x, y + 1, colW - 1, CORPUS_ROW_HEIGHT - 2);
+      noStroke();
+      if (
+        mouseX >= x &&
+        mouseX < x + colW &&
+        mouseY >= y &&
+        mouseY < y + CORPUS_ROW_HEIGHT
+      ) {
+        hover = { term, rank: i, value: row[c] };
+      }
+    });
+  });
+  // Scroll position along the axis
+  if (maxScroll > 0) {
+    const barY = top + ranking.results.length * CORPUS_ROW_HEIGHT + 8;
+    fill(58, 63, 107);
+    rect(left, barY, areaW, 4, 2);
+    fill(169, 177, 214);
+    const thumbW = (areaW / (terms.length * colW)) * areaW;
+    rect(
+      left + (termAxisScroll / maxScroll) * (areaW - thumbW),
+      barY,
+      thumbW,
+      4,
+      2
+    );
+  }
+  if (hover) {
+    const label = `"${hover.term}" in #${hover.rank + 1}: ${hover.value.toFixed(
+      3
+    )}`;
+    fill(29, 35, 64, 235);
+    rect(mouseX + 10, mouseY - 24, textWidth(label) + 12, 20, 4);
+    fill(230);
+    textSize(12);
+    textAlign(LEFT, CENTER);
+    text(label, mouseX + 16, mouseY - 14);
+  }
+}
@@ -0,0 +1,334 @@
+/*
+ * Corpus statistics panel for the tokenization page
+ *
+ * Plots two classic laws of text for the input text or an uploaded
+ * plain-text file: Zipf's law, term frequency against frequency rank on
+ * log–log axes with the fitted exponent s, and Heaps' law, vocabulary size
+ * against the number of tokens read with the fitted K and β
+ * (RetrievalCore.zipfStatistics and heapsStatistics).
+ *
+ * The text is tokenized stage by stage: the raw split, each enabled stage
+ * of the shared pipeline, and then the page's normalization (lemmatize or
+ * Porter stem) and stop-word removal if the pipeline does not already
+ * include them. Every stage gets its own curve and table row, so the plots
+ * show how normalization shortens the tail of rare words and stop-word
+ * removal cuts off the head. A second p5 sketch in instance mode draws the
+ * plots, only when the statistics change.
+ */
+
+const STAGE_COLOURS = [
+  [169, 177, 214],
+  [88, 196, 221],
+  [131, 193, 103],
+  [240, 172, 95],
+  [252, 98, 85],
+  [154, 114, 172],
+  [230, 210, 90],
+  [82, 88, 147],
+];
+// Below this many tokens the fits say little; the panel suggests a file
+const STATS_MIN_TOKENS = 1000;
+
+// Text of the uploaded file and its name, or null for the input text
+let statsFileText = null;
+let statsFileName = "";
+// Per stage: { label, tokens, types, zipf, heaps }
+let corpusStats = [];
+let statsSketch = null;
+
+/*
+ * Apply a pipeline stage once per distinct token rather than per token, so
+ * that long files stay quick to lemmatize and stem.
+ */
+function applyStageByType(tokens, step, options) {
+  if (TextPipeline.STAGES[step.id].expand) {
+    return TextPipeline.applyStage(tokens, step, options);
+  }
+  const mapped = new Map();
+  new Set(tokens).forEach((t) => {
+    mapped.set(t, TextPipeline.applyStage([t], step, options)[0]);
+  });
+  return tokens.map((t) => mapped.get(t)).filter((t) => t !== undefined);
+}
+
+// The token list after each stage, from the raw split onwards
+function statsStages(text) {
+  const steps = pipelineConfig.filter((step) => step.enabled);
+  const has = (id) => steps.some((step) => step.id === id);
+  const norm = document.getElementById("normMode").value;
+  if (!has("lemmatize") && !has("stem")) {
+    steps.push({ id: norm === "stem" ? "stem" : "lemmatize", enabled: true });
+  }
+  if (!has("stopwords")) steps.push({ id: "stopwords", enabled: true });
+  const options = pipelineOptions;
+  let tokens = TextPipeline.splitText(text, pipelineConfig);
+  const stages = [{ label: "split", tokens }];
+  steps.forEach((step) => {
+    tokens = applyStageByType(tokens, step, options);
+    const label =
+      step.id === "ngrams"
+        ? `${step.n || 2}-grams`
+        : TextPipeline.STAGES[step.id].name.split(" (")[0];
+    stages.push({ label, tokens });
+  });
+  return stages;
+}
+
+// Recompute the statistics of every stage and redraw the panel
+function updateCorpusStats() {
+  const text =
+    statsFileText !== null
+      ? statsFileText
+      : document.getElementById("inputText").value;
+  corpusStats = statsStages(text).map(({ label, tokens }) => {
+    const zipf = RetrievalCore.zipfStatistics(tokens);
+    return {
+      label,
+      tokens: tokens.length,
+      types: zipf.frequencies.length,
+      zipf,
+      heaps: RetrievalCore.heapsStatistics(tokens),
+    };
+  });
+  const count = corpusStats[0].tokens;
+  let source =
+    statsFileText !== null
+      ? `${statsFileName}: ${count.toLocaleString("en")} tokens`
+      : `Text above: ${count.toLocaleString("en")} tokens`;
+  if (count < STATS_MIN_TOKENS) {
+    source +=
+      `. Fewer than ${STATS_MIN_TOKENS.toLocaleString("en")} tokens make ` +
+      "noisy curves; load a longer text file.";
+  }
+  document.getElementById("statsSource").textContent = source;
+  renderStatsTable();
+  if (statsSketch) statsSketch.redraw();
+}
+
+const formatFit = (x) => (x === undefined ? "–" : x.toFixed(2));
+
+// Table row values per stage, shared by the page table and the export
+function statsTable() {
+  return {
+    name: "Corpus statistics",
+    header: [
+      "Stage",
+      "Tokens",
+      "Types",
+      "Zipf s",
+      "Zipf r2",
+      "Heaps K",
+      "Heaps beta",
+      "Heaps r2",
+    ],
+    rows: corpusStats.map(({ label, tokens, types, zipf, heaps }) => [
+      label,
+      tokens,
+      types,
+      zipf.fit ? zipf.fit.exponent : "",
+      zipf.fit ? zipf.fit.r2 : "",
+      heaps.fit ? heaps.fit.K : "",
+      heaps.fit ? heaps.fit.beta : "",
+      heaps.fit ? heaps.fit.r2 : "",
+    ]),
+  };
+}
+
+function renderStatsTable() {
+  const table = document.getElementById("statsTable");
+  table.innerHTML =
+    "<tr><th>Stage</th><th>Tokens</th><th>Types</th><th>Zipf s</th>" +
+    "<th>Heaps K</th><th>Heaps β</th></tr>" +
+    corpusStats
+      .map(({ label, tokens, types, zipf, heaps }, i) => {
+        const [r, g, b] = STAGE_COLOURS[i % STAGE_COLOURS.length];
+        const zipfFit = zipf.fit || {};
+        const heapsFit = heaps.fit || {};
+        return (
+          `<tr><td style="color: rgb(${r}, ${g}, ${b})">● ${escapeXml(
+            label
+          )}</td><td>${tokens}</td><td>${types}</td>` +
+          `<td>${formatFit(zipfFit.exponent)}</td>` +
+          `<td>${formatFit(heapsFit.K)}</td>` +
+          `<td>${formatFit(heapsFit.beta)}</td></tr>`
+        );
+      })
+      .join("");
+}
+
+// Read an uploaded plain-text file and plot its statistics
+function loadStatsFile(file) {
+  readTextFile(file, (text) => {
+    statsFileText = text;
+    statsFileName = file.name;
+    updateCorpusStats();
+  });
+}
+
+function initCorpusStats() {
+  const fileInput = document.getElementById("statsFile");
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files.length > 0) loadStatsFile(fileInput.files[0]);
+    fileInput.value = "";
+  });
+  document.getElementById("statsTextBtn").addEventListener("click", () => {
+    statsFileText = null;
+    updateCorpusStats();
+  });
+  document
+    .getElementById("normMode")
+    .addEventListener("change", updateCorpusStats);
+}
+
+const corpusStatsSketch = (p) => {
+  const pad = { left: 56, right: 16, top: 30, bottom: 40 };
+
+  // Powers of ten from 1 up to the first one reaching `max`
+  const decades = (max) => {
+    const ticks = [1];
+    while (ticks[ticks.length - 1] < max) {
+      ticks.push(ticks[ticks.length - 1] * 10);
+    }
+    return ticks;
+  };
+
+  const tickLabel = (v) =>
+    v >= 1e6 ? `${v / 1e6}M` : v >= 1e3 ? `${v / 1e3}k` : `${v}`;
+
+  // Axes of one plot; `toX` and `toY` map data values to pixels
+  function drawAxes(box, xTicks, yTicks, toX, toY, xLabel, yLabel) {
+    p.stroke(90, 96, 140);
+    p.line(box.x, box.y + box.h, box.x + box.w, box.y + box.h);
+    p.line(box.x, box.y, box.x, box.y + box.h);
+    p.noStroke();
+    p.fill(180);
+    p.textSize(10);
+    p.textAlign(p.CENTER, p.TOP);
+    xTicks.forEach((v) => p.text(tickLabel(v), toX(v), box.y + box.h + 4));
+    p.textAlign(p.RIGHT, p.CENTER);
+    yTicks.forEach((v) => p.text(tickLabel(v), box.x - 5, toY(v)));
+    p.textSize(11);
+    p.textAlign(p.CENTER, p.TOP);
+    p.text(xLabel, box.x + box.w / 2, box.y + box.h + 18);
+    p.textAlign(p.LEFT, p.BOTTOM);
+    p.text(yLabel, box.x - pad.left + 8, box.y - 6);
+  }
+
+  // Dashed fitted curve through the points [x, y]
+  function drawFit(points, colour) {
+    p.noFill();
+    p.stroke(...colour);
+    p.strokeWeight(1);
+    p.drawingContext.setLineDash([5, 4]);
+    p.beginShape();
+    points.forEach(([x, y]) => p.vertex(x, y));
+    p.endShape();
+    p.drawingContext.setLineDash([]);
+  }
+
+  // Zipf: frequency against rank, both on log axes
+  function drawZipf(box) {
+    const maxRank = Math.max(1, ...corpusStats.map((s) => s.types));
+    const maxFreq = Math.max(
+      1,
+      ...corpusStats.map((s) => s.zipf.frequencies[0] || 0)
+    );
+    const xTicks = decades(maxRank);
+    const yTicks = decades(maxFreq);
+    const xMax = Math.log(xTicks[xTicks.length - 1]);
+    const yMax = Math.log(yTicks[yTicks.length - 1]);
+    const toX = (r) => box.x + (Math.log(r) / (xMax || 1)) * box.w;
+    const toY = (f) => box.y + box.h - (Math.log(f) / (yMax || 1)) * box.h;
+    drawAxes(box, xTicks, yTicks, toX, toY, "rank", "frequency");
+    corpusStats.forEach(({ zipf }, i) => {
+      const colour = STAGE_COLOURS[i % STAGE_COLOURS.length];
+      const ranks = RetrievalCore.logSpaced(zipf.frequencies.length, 200);
+      p.noFill();
+      p.stroke(...colour);
+      p.strokeWeight(2);
+      p.beginShape();
+      ranks.forEach((r) => p.vertex(toX(r), toY(zipf.frequencies[r - 1])));
+      p.endShape();
+      if (!zipf.fit) return;
+      const { constant, exponent } = zipf.fit;
+      const last = zipf.frequencies.length;
+      drawFit(
+        [1, last].map((r) => [toX(r), toY(constant / r ** exponent)]),
+        colour
+      );
+    });
+  }
+
+  // Heaps: vocabulary size against tokens read, on linear axes
+  function drawHeaps(box) {
+    const maxN = Math.max(1, ...corpusStats.map((s) => s.tokens));
+    const maxV = Math.max(1, ...corpusStats.map((s) => s.types));
+    const step = (max) => {
+      const unit = 10 ** Math.floor(Math.log10(max));
+      return max / unit > 5 ? unit * 2 : max / unit > 2 ? unit : unit / 2;
+    };
+    const ticks = (max) => {
+      const s = Math.max(1, step(max));
+      const out = [];
+      for (let v = 0; v <= max; v += s) out.push(v);
+      return out;
+    };
+    const toX = (n) => box.x + (n / maxN) * box.w;
+    const toY = (v) => box.y + box.h - (v / maxV) * box.h;
+    drawAxes(box, ticks(maxN), ticks(maxV), toX, toY, "tokens", "vocabulary");
+    corpusStats.forEach(({ heaps, tokens }, i) => {
+      const colour = STAGE_COLOURS[i % STAGE_COLOURS.length];
+      p.noFill();
+      p.stroke(...colour);
+      p.strokeWeight(2);
+      p.beginShape();
+      heaps.growth.forEach(([n, v]) => p.vertex(toX(n), toY(v)));
+      p.endShape();
+      if (!heaps.fit) return;
+      const { K, beta } = heaps.fit;
+      const curve = [];
+      for (let j = 0; j <= 40; j++) {
+        const n = (tokens * j) / 40;
+        curve.push([toX(n), toY(K * n ** beta)]);
+      }
+      drawFit(curve, colour);
+    });
+  }
+
+  p.setup = () => {
+    const container = document.getElementById("statsContainer");
+    const w = container ? container.clientWidth : 900;
+    p.createCanvas(w, 320).parent("statsContainer");
+    p.noLoop();
+  };
+
+  p.draw = () => {
+    p.background(22, 24, 48);
+    if (corpusStats.length === 0) return;
+    const half = p.width / 2;
+    const box = (x0) => ({
+      x: x0 + pad.left,
+      y: pad.top,
+      w: half - pad.left - pad.right,
+      h: p.height - pad.top - pad.bottom,
+    });
+    drawZipf(box(0));
+    drawHeaps(box(half));
+    p.noStroke();
+    p.fill(230);
+    p.textSize(13);
+    p.textAlign(p.RIGHT, p.TOP);
+    p.text("Zipf: f(r) ≈ C / rˢ", half - pad.right, 8);
+    p.text("Heaps: V(n) ≈ K·nᵝ", p.width - pad.right, 8);
+  };
+
+  p.windowResized = () => {
+    const container = document.getElementById("statsContainer");
+    if (container) p.resizeCanvas(container.clientWidth, 320);
+    p.redraw();
+  };
+};
+
+window.addEventListener("DOMContentLoaded", initCorpusStats);
+
+statsSketch = new p5(corpusStatsSketch);
@@ -0,0 +1,182 @@
+/*
+ * Worked derivations
+ *
+ * The "Show your work" panel on the TF‑IDF and BM25 pages writes out every
+ * formula behind the scores with the page's own numbers substituted, e.g.
+ * idf(bob) = ln((3 + 0.5)/(2 + 0.5)) = 0.336, typeset as MathML so no
+ * maths library is needed. Each page builds its derivation from the
+ * intermediate values the retrieval core returns; this file holds the
+ * MathML helpers and the panel itself.
+ *
+ * Terms in the panel are linked to the rest of the page: hovering one sets
+ * `highlightedTerm`, which the page's draw() outlines on the chart, and
+ * marks the term's occurrences in the query and document textareas.
+ */
+
+// Term under the mouse in the panel, or null
+let highlightedTerm = null;
+// Builds the panel's HTML; set by initDerivationPanel
+let derivationRender = () => "";
+
+// Shown instead of a derivation while a corpus file is loaded
+const DERIVATION_CORPUS_NOTE =
+  "<p>The worked derivation covers the documents typed above, not a " +
+  "loaded corpus.</p>";
+
+// At most three decimals, without trailing zeros, and a real minus sign
+function mathNumber(x) {
+  const text = `${+Math.abs(x).toFixed(3)}`;
+  return x < 0 && text !== "0" ? `−${text}` : text;
+}
+
+const mathNum = (x) => `<mn>${mathNumber(x)}</mn>`;
+const mathOp = (op) => `<mo>${op}</mo>`;
+const mathIdent = (name) => `<mi>${escapeXml(name)}</mi>`;
+const mathRow = (...parts) => `<mrow>${parts.join("")}</mrow>`;
+const mathFrac = (num, den) => `<mfrac>${mathRow(num)}${mathRow(den)}</mfrac>`;
+const mathSqrt = (x) => `<msqrt>${x}</msqrt>`;
+const mathSub = (base, sub) => `<msub>${base}${sub}</msub>`;
+const mathSup = (base, sup) => `<msup>${base}${sup}</msup>`;
+const mathParen = (x) => mathRow(mathOp("("), x, mathOp(")"));
+// Function application such as ln(x), with the invisible operator MathML
+// uses to tell it apart from multiplication
+const mathApply = (name, ...args) =>
+  mathRow(
+    mathIdent(name),
+    mathOp("&#x2061;"),
+    mathParen(args.join(mathOp(",")))
+  );
+
+// A vocabulary term, linked to the chart and the textareas
+const mathTerm = (term) =>
+  `<mtext class="dv-term" data-term="${escapeXml(term)}">${escapeXml(
+    term
+  )}</mtext>`;
+
+// Number that may be negative, bracketed when it follows an operator
+const mathFactor = (x) => (x < 0 ? mathParen(mathNum(x)) : mathNum(x));
+
+// Sum of expressions, e.g. "0.425 + 0.118 − 0.02"; `values` gives each
+// term's sign so negative numbers read as subtraction
+function mathSum(values, render = mathNum) {
+  if (values.length === 0) return mathNum(0);
+  return values
+    .map((v, i) => {
+      if (i === 0) return render(v);
+      return mathOp(v < 0 ? "−" : "+") + render(Math.abs(v));
+    })
+    .join("");
+}
+
+// One display line of equal expressions: lhs = step = … = result
+const mathEquation = (...sides) =>
+  `<math display="block">${sides
+    .map((s) => mathRow(s))
+    .join(mathOp("="))}</math>`;
+
+// Headed group of equations in the panel
+const derivationSection = (title, equations) =>
+  `<section class="dv-section"><h3>${title}</h3>${equations.join(
+    ""
+  )}</section>`;
+
+// Words of a textarea that the pipeline turns into `term` (or, for an
+// n-gram term, into one of its words), as [start, end) offsets
+function termOccurrences(textarea, term) {
+  return textareaWords(textarea)
+    .filter((word) => matchingTerm(word.tokens, [term]) !== null)
+    .map((word) => [word.start, word.end]);
+}
+
+/*
+ * Textareas cannot style part of their text, so the occurrences are marked
+ * on a copy laid exactly over the textarea, with transparent text and
+ * highlighted spans.
+ */
+function markTextarea(textarea, spans) {
+  const style = getComputedStyle(textarea);
+  const overlay = document.createElement("div");
+  overlay.className = "term-marks";
+  [
+    "fontFamily",
+    "fontSize",
+    "lineHeight",
+    "letterSpacing",
+    "paddingTop",
+    "paddingRight",
+    "paddingBottom",
+    "paddingLeft",
+    "borderTopWidth",
+    "borderRightWidth",
+    "borderBottomWidth",
+    "borderLeftWidth",
+  ].forEach((prop) => {
+    overlay.style[prop] = style[prop];
+  });
+  overlay.style.left = `${textarea.offsetLeft}px`;
+  overlay.style.top = `${textarea.offsetTop}px`;
+  overlay.style.width = `${textarea.offsetWidth}px`;
+  overlay.style.height = `${textarea.offsetHeight}px`;
+  const text = textarea.value;
+  let html = "";
+  let pos = 0;
+  spans.forEach(([start, end]) => {
+    html += escapeXml(text.slice(pos, start));
+    html += `<mark>${escapeXml(text.slice(start, end))}</mark>`;
+    pos = end;
+  });
+  overlay.innerHTML = html + escapeXml(text.slice(pos));
+  // Before the textarea: the element after it may be its synthetic note
+  textarea.before(overlay);
+  overlay.scrollTop = textarea.scrollTop;
+}
+
+// Highlight `term` (or nothing, for null) in the panel and the textareas;
+// the chart picks it up on its next frame
+function setHighlightedTerm(term) {
+  if (term === highlightedTerm) return;
+  highlightedTerm = term;
+  document.querySelectorAll(".term-marks").forEach((el) => el.remove());
+  document.querySelectorAll("#derivation .dv-term").forEach((el) => {
+    el.classList.toggle("active", el.getAttribute("data-term") === term);
+  });
+  if (term === null) return;
+  const textareas = [
+    document.getElementById("queryText"),
+    ...document.querySelectorAll("#docList .doc-text"),
+  ];
+  textareas.forEach((textarea) => {
+    const spans = termOccurrences(textarea, term);
+    if (spans.length > 0) markTextarea(textarea, spans);
+  });
+}
+
+// Re-render the panel for the latest results; skipped while it is closed
+function refreshDerivation() {
+  const panel = document.getElementById("derivationPanel");
+  if (!panel || !panel.open) return;
+  document.getElementById("derivation").innerHTML = derivationRender();
+  const term = highlightedTerm;
+  highlightedTerm = null;
+  setHighlightedTerm(term);
+}
+
+/*
+ * Wire up the panel. `render` returns its HTML for the current results; it
+ * runs when the panel is opened and whenever the page calls
+ * refreshDerivation() after recomputing.
+ */
+function initDerivationPanel(render) {
+  derivationRender = render;
+  const panel = document.getElementById("derivationPanel");
+  const body = document.getElementById("derivation");
+  panel.addEventListener("toggle", () => {
+    if (!panel.open) setHighlightedTerm(null);
+    refreshDerivation();
+  });
+  body.addEventListener("mouseover", (e) => {
+    const el = e.target.closest("[data-term]");
+    setHighlightedTerm(el ? el.getAttribute("data-term") : null);
+  });
+  body.addEventListener("mouseleave", () => setHighlightedTerm(null));
+}
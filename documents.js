@@ -0,0 +1,322 @@
+/*
+ * Document list controls
+ *
+ * Shared by the Bag‑of‑Words, TF‑IDF, BM25 and language model pages. Turns
+ * the `#docList` container into an editable list of document textareas with
+ * "add" and "remove" buttons, and provides colour palettes and a legend that
+ * grow with the number of documents (or query terms). The first document
+ * colours are the Manim accents used throughout the site (blue, green, gold);
+ * further documents get hues spaced by the golden angle so neighbours stay
+ * distinguishable.
+ *
+ * Dragging a bar on a chart gives its query or document textarea synthetic
+ * term counts: the counts replace the tokens of the text, and the textarea
+ * shows them spelled out, read-only, until the typed text is restored.
+ */
+
+const QUERY_COLOUR = [120, 120, 130];
+const BASE_DOC_COLOURS = [
+  [82, 88, 147], // blue
+  [131, 193, 103], // green
+  [240, 172, 95], // gold
+];
+
+// Convert HSL (h in degrees, s and l in [0, 1]) to an [r, g, b] triple
+function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const hp = (h % 360) / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  const [r1, g1, b1] =
+    hp < 1 ? [c, x, 0] :
+    hp < 2 ? [x, c, 0] :
+    hp < 3 ? [0, c, x] :
+    hp < 4 ? [0, x, c] :
+    hp < 5 ? [x, 0, c] : [c, 0, x];
+  const m = l - c / 2;
+  return [r1, g1, b1].map((v) => Math.round((v + m) * 255));
+}
+
+// One colour per document; stable for a given index
+function documentColours(n) {
+  const colours = [];
+  for (let i = 0; i < n; i++) {
+    if (i < BASE_DOC_COLOURS.length) {
+      colours.push(BASE_DOC_COLOURS[i]);
+    } else {
+      const hue = (i - BASE_DOC_COLOURS.length) * 137.508 + 10;
+      colours.push(hslToRgb(hue, 0.55, 0.6));
+    }
+  }
+  return colours;
+}
+
+// One colour per query term, offset from the document hues so the two
+// kinds of series are not confused when shown together
+function termColours(n) {
+  const colours = [];
+  for (let i = 0; i < n; i++) {
+    colours.push(hslToRgb(i * 137.508 + 190, 0.6, 0.62));
+  }
+  return colours;
+}
+
+// Texts of all documents currently in the list, in display order
+function getDocumentTexts() {
+  return Array.from(document.querySelectorAll("#docList .doc-text")).map(
+    (el) => el.value
+  );
+}
+
+// Renumber the labels after documents are added or removed
+function renumberDocuments() {
+  const entries = document.querySelectorAll("#docList .doc-entry");
+  entries.forEach((entry, i) => {
+    entry.querySelector(".doc-title").textContent = `Document ${i + 1}:`;
+    // Always keep at least one document
+    entry.querySelector(".doc-remove").disabled = entries.length <= 1;
+  });
+}
+
+function createDocumentEntry(text, onChange) {
+  const entry = document.createElement("div");
+  entry.className = "doc-entry";
+  const header = document.createElement("span");
+  header.className = "doc-header";
+  const title = document.createElement("span");
+  title.className = "doc-title";
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "doc-remove";
+  removeBtn.title = "Remove document";
+  removeBtn.textContent = "✕";
+  removeBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    entry.remove();
+    renumberDocuments();
+    onChange();
+  });
+  header.append(title, removeBtn);
+  const textarea = document.createElement("textarea");
+  textarea.className = "doc-text";
+  textarea.value = text;
+  entry.append(header, textarea);
+  return entry;
+}
+
+// Callback given to initDocumentList
+let documentListChanged = () => {};
+
+// Replace the documents in the list, e.g. when a saved state is restored
+function setDocumentTexts(texts) {
+  const list = document.getElementById("docList");
+  list.innerHTML = "";
+  texts.forEach((t) =>
+    list.appendChild(createDocumentEntry(t, documentListChanged))
+  );
+  renumberDocuments();
+}
+
+/*
+ * Replace the contents of #docList with one textarea per entry of `texts`
+ * and wire up the "add document" button. `onChange` is called whenever a
+ * document is added or removed so the page can recompute its scores.
+ */
+function initDocumentList(texts, onChange) {
+  documentListChanged = onChange;
+  setDocumentTexts(texts);
+  const addBtn = document.getElementById("addDocBtn");
+  addBtn.addEventListener("click", () => {
+    const entry = createDocumentEntry("", onChange);
+    document.getElementById("docList").appendChild(entry);
+    renumberDocuments();
+    entry.querySelector("textarea").focus();
+    onChange();
+  });
+}
+
+// Read the initial documents from the static markup inside #docList
+function initialDocumentTexts() {
+  return Array.from(document.querySelectorAll("#docList textarea")).map((el) =>
+    el.value.replace(/\s+/g, " ").trim()
+  );
+}
+
+/*
+ * Draw a legend of coloured swatches along the top of the canvas, wrapping
+ * onto further rows when the labels do not fit the canvas width.
+ */
+function drawLegend(labels, colours) {
+  textSize(12);
+  textAlign(LEFT, CENTER);
+  let x = 10;
+  let y = 10;
+  labels.forEach((label, i) => {
+    const w = 22 + textWidth(label) + 16;
+    if (x + w > width && x > 10) {
+      x = 10;
+      y += 18;
+    }
+    fill(...colours[i]);
+    rect(x, y, 12, 12);
+    fill(220);
+    text(label, x + 16, y + 6);
+    x += w;
+  });
+  return y + 18;
+}
+
+// Bar being dragged: { textarea, term, startCount, startY, pxPerCount, label }
+let barDrag = null;
+
+// Tokens of a query or document textarea: its synthetic counts spelled out,
+// or else its text run through the pipeline
+function textareaTokens(textarea) {
+  if (!textarea.syntheticCounts) return tokenizeWithPipeline(textarea.value);
+  const tokens = [];
+  textarea.syntheticCounts.forEach((count, term) => {
+    for (let i = 0; i < count; i++) tokens.push(term);
+  });
+  return tokens;
+}
+
+// Tokens of all documents currently in the list, in display order
+function getDocumentTokens() {
+  return Array.from(document.querySelectorAll("#docList .doc-text")).map(
+    textareaTokens
+  );
+}
+
+// Tokens of every document with their word positions, { tokens, positions },
+// for positional indexes. Synthetic counts have no text to take positions
+// from, so their tokens are numbered in order.
+function getDocumentPositions() {
+  return Array.from(document.querySelectorAll("#docList .doc-text")).map(
+    (textarea) => {
+      if (!textarea.syntheticCounts) {
+        return tokenizeWithPositions(textarea.value);
+      }
+      const tokens = textareaTokens(textarea);
+      return { tokens, positions: tokens.map((_, k) => k) };
+    }
+  );
+}
+
+/*
+ * Set the count of `term` in a textarea, switching it to synthetic counts
+ * first if needed. `onRestore` is called after the "Restore text" button
+ * puts the typed text back.
+ */
+function setSyntheticCount(textarea, term, count, onRestore) {
+  if (!textarea.syntheticCounts) makeSynthetic(textarea, onRestore);
+  if (count > 0) textarea.syntheticCounts.set(term, count);
+  else textarea.syntheticCounts.delete(term);
+  textarea.value = textareaTokens(textarea).join(" ");
+  // Let other panels reading the documents follow the change
+  textarea.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+// Give a textarea exactly the synthetic `counts` (a Map from term to count)
+function setSyntheticCounts(textarea, counts, onRestore) {
+  if (!textarea.syntheticCounts) makeSynthetic(textarea, onRestore);
+  textarea.syntheticCounts = new Map(counts);
+  textarea.value = textareaTokens(textarea).join(" ");
+  textarea.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+// Switch a textarea to synthetic counts taken from its current tokens,
+// keeping the typed text in `typedText` for the "Restore text" button
+function makeSynthetic(textarea, onRestore) {
+  textarea.syntheticCounts = RetrievalCore.termCounts(
+    textareaTokens(textarea)
+  );
+  textarea.typedText = textarea.value;
+  textarea.readOnly = true;
+  textarea.classList.add("synthetic");
+  const note = document.createElement("div");
+  note.className = "synthetic-note";
+  note.textContent = "Synthetic counts set on the chart ";
+  const restore = document.createElement("button");
+  restore.type = "button";
+  restore.className = "synthetic-restore";
+  restore.textContent = "Restore text";
+  restore.addEventListener("click", (e) => {
+    e.preventDefault();
+    clearSynthetic(textarea);
+    textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    onRestore();
+  });
+  note.appendChild(restore);
+  textarea.after(note);
+}
+
+// Put the typed text of a synthetic textarea back
+function clearSynthetic(textarea) {
+  if (!textarea.syntheticCounts) return;
+  delete textarea.syntheticCounts;
+  textarea.value = textarea.typedText;
+  textarea.readOnly = false;
+  textarea.classList.remove("synthetic");
+  const note = textarea.nextElementSibling;
+  if (note && note.classList.contains("synthetic-note")) note.remove();
+}
+
+// Textarea behind a chart slot: 0 is the query, 1… the documents
+function slotTextarea(slot) {
+  return slot === 0
+    ? document.getElementById("queryText")
+    : document.querySelectorAll("#docList .doc-text")[slot - 1];
+}
+
+// Drawn bar column { x, w, … } under the mouse between `top` and `bottom`
+function barColumnAt(columns, top, bottom) {
+  if (mouseY < top || mouseY > bottom) return null;
+  return columns.find((c) => mouseX >= c.x && mouseX < c.x + c.w) || null;
+}
+
+// Start dragging the bar of `term` in a textarea; `pxPerCount` is how far
+// the mouse moves per unit of count
+function startBarDrag(textarea, term, pxPerCount, label) {
+  const startCount = textareaTokens(textarea).filter((t) => t === term).length;
+  barDrag = {
+    textarea,
+    term,
+    startCount,
+    startY: mouseY,
+    pxPerCount: Math.max(6, pxPerCount),
+    label,
+  };
+}
+
+// Follow the mouse during a drag; returns true when the count changed
+function updateBarDrag(onRestore) {
+  if (!barDrag) return false;
+  const { textarea, term, startCount, startY, pxPerCount } = barDrag;
+  const count = Math.max(
+    0,
+    startCount + Math.round((startY - mouseY) / pxPerCount)
+  );
+  const current = textareaTokens(textarea).filter((t) => t === term).length;
+  if (count === current) return false;
+  setSyntheticCount(textarea, term, count, onRestore);
+  return true;
+}
+
+// Label the count being dragged next to the mouse
+function drawBarDragLabel() {
+  if (!barDrag) return;
+  const { textarea, term, label } = barDrag;
+  const count = textareaTokens(textarea).filter((t) => t === term).length;
+  const textLabel = `${label}: “${term}” × ${count}`;
+  push();
+  textSize(12);
+  const w = textWidth(textLabel) + 16;
+  const x = Math.min(mouseX + 12, width - w - 4);
+  fill(29, 35, 64, 235);
+  stroke(240, 172, 95);
+  rect(x, mouseY - 28, w, 22, 4);
+  noStroke();
+  fill(230);
+  textAlign(LEFT, CENTER);
+  text(textLabel, x + 8, mouseY - 17);
+  pop();
+}
@@ -0,0 +1,559 @@
+/*
+ * Retrieval evaluation
+ *
+ * Ranks the documents for the query with four scorers from the retrieval
+ * core (bag‑of‑words dot product and cosine, TF‑IDF cosine and Okapi BM25)
+ * and measures every ranking against relevance judgments: a grade from 0
+ * (not relevant) to 3 picked next to each document, or read from a TREC
+ * qrels file. The metrics table compares Precision@k, Recall@k, average
+ * precision, reciprocal rank and nDCG@k, and the canvas draws each ranking
+ * as a row of boxes shaded by grade beside the precision–recall curves.
+ * With a queries file as well, every qrels topic that has a query is ranked
+ * and a second table averages the metrics into MAP, MRR and the mean P@k,
+ * R@k and nDCG@k. A corpus loaded with corpus_loader.js is judged by the
+ * qrels file alone.
+ */
+
+const RANKERS = [
+  { name: "BoW dot product", model: { type: "bow" }, byDot: true },
+  { name: "BoW cosine", model: { type: "bow" } },
+  {
+    name: "TF‑IDF cosine",
+    model: { type: "tfidf", scheme: RetrievalCore.DEFAULT_SCHEME },
+  },
+  { name: "BM25", model: { type: "bm25", k1: 1.2, b: 0.75 } },
+];
+const RANKER_COLOURS = [
+  [252, 98, 85], // red
+  [240, 172, 95], // gold
+  [88, 196, 221], // blue
+  [131, 193, 103], // green
+];
+const GRADE_LABELS = ["not relevant", "relevant", "highly relevant", "perfect"];
+// Box shades for grades 0–3
+const GRADE_COLOURS = [
+  [58, 63, 107],
+  [84, 125, 74],
+  [108, 160, 88],
+  [150, 214, 118],
+];
+
+// [{ name, ranking, metrics, curve }] in RANKERS order
+let evaluations = [];
+let grades = new Map();
+// Parsed qrels file: Map from topic ID to Map from doc ID to grade
+let qrelsTopics = null;
+// Parsed queries file: Map from topic ID to query text
+let qrelsQueries = null;
+// Metrics averaged over the topics with a query, [{ name, metrics }] in
+// RANKERS order, and how many topics that was
+let topicMeans = [];
+let topicCount = 0;
+// Rectangles of the drawn ranking boxes, used for hover tooltips
+let rankBoxes = [];
+
+function evalK() {
+  return Math.max(1, parseInt(document.getElementById("evalK").value, 10) || 1);
+}
+
+// Judgments of the selected qrels topic, or an empty Map
+function selectedTopic() {
+  const select = document.getElementById("qrelsTopic");
+  return (qrelsTopics && qrelsTopics.get(select.value)) || new Map();
+}
+
+// IDs a qrels file may use for the n-th typed document (1-based)
+const typedDocIds = (n) => [`${n}`, `d${n}`, `doc${n}`];
+
+// Add a grade selector to every document entry that lacks one
+function addGradeSelectors() {
+  document.querySelectorAll("#docList .doc-entry").forEach((entry) => {
+    if (entry.querySelector(".doc-grade")) return;
+    const select = document.createElement("select");
+    select.className = "doc-grade";
+    select.title = "Relevance grade";
+    GRADE_LABELS.forEach((label, g) => {
+      const opt = document.createElement("option");
+      opt.value = g;
+      opt.textContent = `${g} · ${label}`;
+      select.appendChild(opt);
+    });
+    select.addEventListener("change", evaluateRankings);
+    const header = entry.querySelector(".doc-header");
+    header.insertBefore(select, header.querySelector(".doc-remove"));
+  });
+}
+
+// Judgments of a qrels topic as a Map from doc index to grade
+function topicGrades(topic) {
+  const result = new Map();
+  if (loadedCorpus) {
+    loadedCorpus.docs.forEach((doc, d) => {
+      if (topic.has(doc.id)) result.set(d, topic.get(doc.id));
+    });
+    return result;
+  }
+  const byId = new Map();
+  topic.forEach((g, id) => byId.set(id.toLowerCase(), g));
+  getDocumentTexts().forEach((_, d) => {
+    const id = typedDocIds(d + 1).find((i) => byId.has(i));
+    if (id) result.set(d, byId.get(id));
+  });
+  return result;
+}
+
+// Grades for the current documents, as a Map from doc index to grade
+function currentGrades() {
+  if (loadedCorpus) return topicGrades(selectedTopic());
+  const result = new Map();
+  document.querySelectorAll("#docList .doc-grade").forEach((select, d) => {
+    result.set(d, parseInt(select.value, 10));
+  });
+  return result;
+}
+
+// Copy the selected topic's judgments into the grade selectors and its
+// query, if the queries file has one, into the query box
+function applyQrelsTopic() {
+  if (!loadedCorpus) {
+    const grades = topicGrades(selectedTopic());
+    document.querySelectorAll("#docList .doc-grade").forEach((select, d) => {
+      select.value = Math.max(0, Math.min(3, grades.get(d) || 0));
+    });
+  }
+  const topic = document.getElementById("qrelsTopic").value;
+  if (qrelsQueries && qrelsQueries.has(topic)) {
+    document.getElementById("queryText").value = qrelsQueries.get(topic);
+  }
+  evaluateRankings();
+}
+
+function loadQrels(file) {
+  readTextFile(file, (text) => {
+    qrelsTopics = RetrievalCore.parseQrels(text);
+    const select = document.getElementById("qrelsTopic");
+    select.innerHTML = "";
+    qrelsTopics.forEach((_, topic) => {
+      const opt = document.createElement("option");
+      opt.value = topic;
+      opt.textContent = topic;
+      select.appendChild(opt);
+    });
+    select.disabled = qrelsTopics.size === 0;
+    applyQrelsTopic();
+  });
+}
+
+function loadQueries(file) {
+  readTextFile(file, (text) => {
+    qrelsQueries = RetrievalCore.parseQueries(text);
+    if (qrelsTopics) applyQrelsTopic();
+    else evaluateRankings();
+  });
+}
+
+// Each scorer's ranking for `queryTokens`; only documents containing a
+// query term are retrieved
+function rankWithEveryScorer(queryTokens, index, stats) {
+  return RANKERS.map(({ name, model, byDot }) => {
+    const result = RetrievalCore.scoreIndexed(queryTokens, index, stats, model);
+    const ranking = RetrievalCore.topK(
+      byDot ? result.dots : result.scores,
+      result.contribs,
+      Infinity
+    );
+    return { name, ranking };
+  });
+}
+
+// Rank every qrels topic that has a query and average each scorer's metrics
+function evaluateTopics(index, stats, k) {
+  topicMeans = [];
+  topicCount = 0;
+  if (!qrelsTopics || !qrelsQueries) return;
+  const perScorer = RANKERS.map(() => []);
+  qrelsTopics.forEach((topic, id) => {
+    if (!qrelsQueries.has(id)) return;
+    const grades = topicGrades(topic);
+    const queryTokens = tokenizeWithPipeline(qrelsQueries.get(id));
+    rankWithEveryScorer(queryTokens, index, stats).forEach(({ ranking }, r) =>
+      perScorer[r].push(RetrievalCore.evaluateRanking(ranking, grades, k))
+    );
+    topicCount++;
+  });
+  if (topicCount === 0) return;
+  topicMeans = RANKERS.map(({ name }, r) => ({
+    name,
+    metrics: RetrievalCore.meanMetrics(perScorer[r]),
+  }));
+}
+
+// Rank with every scorer and evaluate the rankings against the grades
+function evaluateRankings() {
+  const queryTokens = tokenizeWithPipeline(
+    document.getElementById("queryText").value
+  );
+  let index;
+  let stats;
+  if (loadedCorpus) {
+    refreshCorpusIndex();
+    ({ index, stats } = loadedCorpus);
+  } else {
+    const docs = getDocumentTexts().map((text) => tokenizeWithPipeline(text));
+    index = RetrievalCore.buildInvertedIndex(docs);
+    stats = RetrievalCore.indexStats(index);
+  }
+  grades = currentGrades();
+  const k = evalK();
+  evaluations = rankWithEveryScorer(queryTokens, index, stats).map(
+    ({ name, ranking }) => ({
+      name,
+      ranking,
+      metrics: RetrievalCore.evaluateRanking(ranking, grades, k),
+      curve: RetrievalCore.precisionRecallCurve(ranking, grades),
+    })
+  );
+  evaluateTopics(index, stats, k);
+  updateQrelsStatus();
+  updateMetricsDisplay();
+}
+
+function updateQrelsStatus() {
+  const relevant = RetrievalCore.relevantCount(grades);
+  let status = `${relevant} relevant document${relevant === 1 ? "" : "s"}`;
+  if (qrelsTopics) {
+    const judged = selectedTopic().size;
+    const topics = qrelsTopics.size;
+    status += `; ${topics} topic${topics === 1 ? "" : "s"} in the qrels file, `;
+    status += `${judged} judgments for this topic`;
+    if (loadedCorpus) status += `, ${grades.size} of them in the corpus`;
+    if (qrelsQueries) {
+      status += `; ${topicCount} topic${topicCount === 1 ? "" : "s"} `;
+      status += "with a query in the queries file";
+    }
+  } else if (loadedCorpus) {
+    status += " — load a qrels file to judge the corpus";
+  }
+  document.getElementById("qrelsStatus").textContent = status;
+}
+
+// Metric keys with their column labels for one query, or averaged over
+// several (MAP and MRR)
+function metricColumns(k, averaged) {
+  const mean = averaged ? "mean " : "";
+  return [
+    ["precisionAtK", `${mean}P@${k}`],
+    ["recallAtK", `${mean}R@${k}`],
+    ["averagePrecision", averaged ? "MAP" : "AP"],
+    ["reciprocalRank", averaged ? "MRR" : "RR"],
+    ["ndcgAtK", `${mean}nDCG@${k}`],
+  ];
+}
+
+// Comparison table of `entries` ([{ name, metrics }]), highlighting the
+// best value of each column; `extra(e)` fills an optional last column
+function metricsTableHtml(entries, columns, extra) {
+  const best = columns.map(([key]) =>
+    Math.max(...entries.map((e) => e.metrics[key]))
+  );
+  const rows = entries
+    .map(
+      (e) =>
+        `<tr><th>${e.name}</th>${columns
+          .map(([key], c) => {
+            const value = e.metrics[key];
+            const cls = value === best[c] && value > 0 ? ' class="best"' : "";
+            return `<td${cls}>${value.toFixed(3)}</td>`;
+          })
+          .join("")}${extra ? `<td>${extra.cell(e)}</td>` : ""}</tr>`
+    )
+    .join("");
+  const header = columns.map(([, label]) => `<th>${label}</th>`).join("");
+  return `<table class="compare">
+    <tr><th>Scorer</th>${header}${extra ? `<th>${extra.label}</th>` : ""}</tr>
+    ${rows}
+  </table>`;
+}
+
+function updateMetricsDisplay() {
+  const k = evalK();
+  let html = metricsTableHtml(evaluations, metricColumns(k, false), {
+    label: "retrieved",
+    cell: (e) => e.ranking.length,
+  });
+  if (topicCount > 0) {
+    html +=
+      `<p>Over the ${topicCount} qrels topic${topicCount === 1 ? "" : "s"} ` +
+      "with a query in the queries file:</p>" +
+      metricsTableHtml(topicMeans, metricColumns(k, true));
+  } else {
+    html +=
+      "<em>AP and RR are for this one query; load a queries file with the " +
+      "qrels file to average them over its topics into MAP and MRR.</em><br/>";
+  }
+  document.getElementById("metrics").innerHTML =
+    html + `<em>Pipeline: ${pipelineSummary()}</em>`;
+}
+
+// Label of a ranked document: its corpus ID or D1, D2, …
+function rankedDocLabel(doc) {
+  return loadedCorpus ? loadedCorpus.docs[doc].id : `D${doc + 1}`;
+}
+
+// Tables for the export menu: the metrics, the rankings with their grades
+// and the interpolated precision–recall points
+function exportTables() {
+  const k = evalK();
+  const keys = [
+    "precisionAtK",
+    "recallAtK",
+    "averagePrecision",
+    "reciprocalRank",
+    "ndcgAtK",
+  ];
+  const depth = Math.max(0, ...evaluations.map((e) => e.ranking.length));
+  const ranks = Array.from({ length: depth }, (_, r) => r);
+  const ranked = (doc) => `${rankedDocLabel(doc)} (${grades.get(doc) || 0})`;
+  // Every curve has the same eleven recall levels
+  const levels =
+    evaluations.length > 0 ? evaluations[0].curve.interpolated : [];
+  const means =
+    topicCount > 0
+      ? [
+          {
+            name: `Means over ${topicCount} topics at k = ${k}`,
+            header: ["Scorer", ...metricColumns(k, true).map(([, l]) => l)],
+            rows: topicMeans.map((e) => [
+              e.name,
+              ...keys.map((key) => e.metrics[key]),
+            ]),
+          },
+        ]
+      : [];
+  return [
+    {
+      name: `Evaluation at k = ${k}`,
+      header: ["Scorer", `P@${k}`, `R@${k}`, "AP", "RR", `nDCG@${k}`],
+      rows: evaluations.map((e) => [
+        e.name,
+        ...keys.map((key) => e.metrics[key]),
+      ]),
+    },
+    ...means,
+    {
+      name: "Rankings (grade in brackets)",
+      header: ["Rank", ...evaluations.map((e) => e.name)],
+      rows: ranks.map((r) => [
+        r + 1,
+        ...evaluations.map(({ ranking }) =>
+          r < ranking.length ? ranked(ranking[r]) : ""
+        ),
+      ]),
+    },
+    {
+      name: "Interpolated precision",
+      header: ["Recall", ...evaluations.map((e) => e.name)],
+      rows: levels.map(({ recall }, level) => [
+        recall,
+        ...evaluations.map((e) => e.curve.interpolated[level].precision),
+      ]),
+    },
+  ];
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  // Grades written into the page markup for the sample documents
+  const initialGrades = Array.from(
+    document.querySelectorAll("#docList textarea")
+  ).map((el) => el.dataset.grade || "0");
+  const changed = () => {
+    addGradeSelectors();
+    evaluateRankings();
+  };
+  initDocumentList(initialDocumentTexts(), changed);
+  addGradeSelectors();
+  document.querySelectorAll("#docList .doc-grade").forEach((select, d) => {
+    select.value = initialGrades[d];
+  });
+  initPipelineControls(evaluateRankings);
+  initCorpusLoader(evaluateRankings);
+  initExportMenu(exportTables);
+  initPageState(evaluateRankings, {
+    save: () => ({
+      grades: Array.from(document.querySelectorAll("#docList .doc-grade")).map(
+        (select) => parseInt(select.value, 10)
+      ),
+    }),
+    load: ({ grades = [] }) => {
+      addGradeSelectors();
+      document.querySelectorAll("#docList .doc-grade").forEach((select, d) => {
+        select.value = grades[d] || 0;
+      });
+      evaluateRankings();
+    },
+  });
+  document.getElementById("computeBtn").addEventListener("click", () => {
+    evaluateRankings();
+  });
+  document.getElementById("evalK").addEventListener("input", evaluateRankings);
+  document
+    .getElementById("qrelsTopic")
+    .addEventListener("change", applyQrelsTopic);
+  const qrelsFile = document.getElementById("qrelsFile");
+  qrelsFile.addEventListener("change", () => {
+    if (qrelsFile.files.length > 0) loadQrels(qrelsFile.files[0]);
+    qrelsFile.value = "";
+  });
+  const queriesFile = document.getElementById("queriesFile");
+  queriesFile.addEventListener("change", () => {
+    if (queriesFile.files.length > 0) loadQueries(queriesFile.files[0]);
+    queriesFile.value = "";
+  });
+});
+
+function setup() {
+  const container = document.getElementById("canvasContainer");
+  const w = container ? container.clientWidth : 900;
+  const cnv = createCanvas(w, 360);
+  cnv.parent("canvasContainer");
+  if (!restorePageState()) evaluateRankings();
+}
+
+function draw() {
+  background(22, 24, 48);
+  if (evaluations.length === 0) return;
+  const split = Math.floor(width * 0.55);
+  drawRankings(split);
+  drawPrecisionRecall(split + 20, 30, width - split - 40, height - 80);
+  drawBoxTooltip();
+}
+
+// One row of grade-shaded boxes per scorer, with the cut-off at k
+function drawRankings(right) {
+  const k = evalK();
+  const labelW = 130;
+  const box = 26;
+  const fit = Math.max(1, Math.floor((right - labelW - 10) / (box + 4)));
+  rankBoxes = [];
+  noStroke();
+  fill(230);
+  textSize(13);
+  textAlign(LEFT, TOP);
+  text("Rankings (shaded by relevance grade)", 10, 8);
+  evaluations.forEach((e, r) => {
+    const y = 50 + r * 60;
+    fill(...RANKER_COLOURS[r]);
+    textSize(12);
+    textAlign(LEFT, CENTER);
+    text(e.name, 10, y + box / 2);
+    e.ranking.slice(0, fit).forEach((doc, i) => {
+      const x = labelW + i * (box + 4);
+      const grade = grades.get(doc) || 0;
+      stroke(i < k ? 255 : 90);
+      fill(...GRADE_COLOURS[Math.max(0, Math.min(3, grade))]);
+      rect(x, y, box, box, 3);
+      noStroke();
+      fill(grade > 0 ? 22 : 200);
+      textSize(10);
+      textAlign(CENTER, CENTER);
+      text(loadedCorpus ? i + 1 : `D${doc + 1}`, x + box / 2, y + box / 2);
+      rankBoxes.push({ x, y, w: box, h: box, doc, rank: i + 1 });
+    });
+    if (e.ranking.length > fit) {
+      fill(150);
+      textAlign(LEFT, CENTER);
+      text(`+${e.ranking.length - fit}`, labelW + fit * (box + 4), y + 13);
+    }
+    if (e.ranking.length === 0) {
+      fill(150);
+      textAlign(LEFT, CENTER);
+      text("nothing retrieved", labelW, y + box / 2);
+    }
+  });
+  // Cut-off line after the k-th rank
+  if (k <= fit) {
+    const x = labelW + k * (box + 4) - 2;
+    stroke(240, 172, 95);
+    line(x, 40, x, 50 + evaluations.length * 60 - 24);
+    noStroke();
+    fill(240, 172, 95);
+    textSize(11);
+    textAlign(CENTER, TOP);
+    text(`k = ${k}`, x, 50 + evaluations.length * 60 - 20);
+  }
+}
+
+// Precision against recall for every scorer, interpolated at 11 levels
+function drawPrecisionRecall(left, top, w, h) {
+  const toX = (recall) => left + 30 + recall * (w - 30);
+  const toY = (precision) => top + h - precision * h;
+  stroke(120);
+  line(toX(0), toY(0), toX(1), toY(0));
+  line(toX(0), toY(0), toX(0), toY(1));
+  noStroke();
+  fill(200);
+  textSize(11);
+  textAlign(CENTER, TOP);
+  [0, 0.5, 1].forEach((v) => text(v, toX(v), toY(0) + 4));
+  text("recall", toX(0.5), toY(0) + 18);
+  textAlign(RIGHT, CENTER);
+  [0, 0.5, 1].forEach((v) => text(v, toX(0) - 6, toY(v)));
+  textAlign(LEFT, BOTTOM);
+  text("precision", toX(0), toY(1) - 6);
+  evaluations.forEach((e, r) => {
+    // Interpolated curve as a line, raw points as dots
+    noFill();
+    stroke(...RANKER_COLOURS[r]);
+    strokeWeight(2);
+    beginShape();
+    e.curve.interpolated.forEach((pt) =>
+      vertex(toX(pt.recall), toY(pt.precision))
+    );
+    endShape();
+    strokeWeight(1);
+    noStroke();
+    fill(...RANKER_COLOURS[r]);
+    e.curve.points.forEach((pt) =>
+      circle(toX(pt.recall), toY(pt.precision), 6)
+    );
+  });
+}
+
+// Name the document under the mouse and its grade
+function drawBoxTooltip() {
+  const hit = rankBoxes.find(
+    (b) =>
+      mouseX >= b.x &&
+      mouseX <= b.x + b.w &&
+      mouseY >= b.y &&
+      mouseY <= b.y + b.h
+  );
+  if (!hit) return;
+  const grade = grades.get(hit.doc) || 0;
+  const name = loadedCorpus
+    ? loadedCorpus.docs[hit.doc].title
+    : `Document ${hit.doc + 1}`;
+  const label = `#${hit.rank}: ${name} — grade ${grade} (${
+    GRADE_LABELS[Math.max(0, Math.min(3, grade))]
+  })`;
+  push();
+  textSize(12);
+  const boxW = textWidth(label) + 16;
+  const bx = Math.min(mouseX + 12, width - boxW - 4);
+  fill(29, 35, 64, 235);
+  stroke(82, 88, 147);
+  rect(bx, mouseY + 12, boxW, 22, 4);
+  noStroke();
+  fill(230);
+  textAlign(LEFT, CENTER);
+  text(label, bx + 8, mouseY + 23);
+  pop();
+}
+
+function windowResized() {
+  const container = document.getElementById("canvasContainer");
+  if (container) {
+    const newW = container.clientWidth;
+    resizeCanvas(newW, 360);
+  }
+}
\ No newline at end of file
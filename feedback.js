@@ -0,0 +1,297 @@
+/*
+ * Relevance feedback panel
+ *
+ * Shared by the TF‑IDF and BM25 pages. Documents can be marked relevant or
+ * non-relevant and the query moved with Rocchio's formula
+ * q' = α·q + β·mean(relevant) − γ·mean(non-relevant)
+ * (RetrievalCore.rocchio). In pseudo-relevance feedback mode nobody is
+ * asked: the top k documents of a BM25 ranking for the typed query count as
+ * relevant. Either way the query keeps its own terms, reweighted, and gains
+ * only the heaviest few new ones (RetrievalCore.expandQuery).
+ *
+ * The new query weights are not applied at once: they ease in from the old
+ * ones over FEEDBACK_ANIMATION_MS, so the page's chart shows the query
+ * moving towards the relevant documents, and a table lists the added and
+ * reweighted terms. Editing the query text goes back to the typed query.
+ *
+ * The page passes initFeedbackPanel() three functions: `vectors()` returns
+ * { vocab, query, docs }, the typed query and the documents as weight
+ * vectors in the page's own weighting; `bm25Scores()` the BM25 scores of the
+ * documents for the typed query; and `update()` recomputes the page, which
+ * reads the query weights to use from `feedbackWeights`.
+ */
+
+// Map from term to query weight while feedback is applied, or null for the
+// typed query; eased between the old and new weights while animating
+let feedbackWeights = null;
+let feedbackAnimation = null;
+let feedbackHooks = null;
+
+const FEEDBACK_ANIMATION_MS = 900;
+
+// Judgments as stored in the hidden #fbJudgments input: one letter per
+// document, "r" relevant, "n" non-relevant, "-" unjudged
+function feedbackJudgments() {
+  const value = document.getElementById("fbJudgments").value;
+  const count = document.querySelectorAll("#docList .doc-text").length;
+  return Array.from({ length: count }, (_, d) => value[d] || "-");
+}
+
+function setFeedbackJudgment(doc, judgment) {
+  const judgments = feedbackJudgments();
+  judgments[doc] = judgment;
+  document.getElementById("fbJudgments").value = judgments.join("");
+}
+
+const feedbackParam = (id) =>
+  parseFloat(document.getElementById(id).value);
+
+// Documents in BM25 order for the typed query
+function feedbackRanking() {
+  const scores = feedbackHooks.bm25Scores();
+  return scores.map((_, d) => d).sort((a, b) => scores[b] - scores[a]);
+}
+
+/*
+ * List the documents with their judgment selectors, or in
+ * pseudo-relevance mode with their BM25 rank and whether they fall in the
+ * top k.
+ */
+function renderFeedbackPanel() {
+  const prf = document.getElementById("fbMode").value === "prf";
+  document.querySelectorAll(".fb-rocchio").forEach((el) => {
+    el.style.display = prf ? "none" : "";
+  });
+  document.querySelectorAll(".fb-prf").forEach((el) => {
+    el.style.display = prf ? "" : "none";
+  });
+  ["fbAlpha", "fbBeta", "fbGamma"].forEach((id) => {
+    document.getElementById(`${id}Val`).textContent =
+      feedbackParam(id).toFixed(2);
+  });
+  const judgments = feedbackJudgments();
+  const topK = document.getElementById("fbTopK");
+  topK.max = Math.max(1, judgments.length);
+  document.getElementById("fbTopKVal").textContent = topK.value;
+  document.getElementById("fbNewTermsVal").textContent =
+    document.getElementById("fbNewTerms").value;
+  const list = document.getElementById("fbDocs");
+  list.innerHTML = "";
+  if (loadedCorpus) {
+    list.innerHTML =
+      "<li>Relevance feedback works on the documents typed above, not a " +
+      "loaded corpus.</li>";
+    return;
+  }
+  if (prf) {
+    const k = parseInt(topK.value, 10);
+    feedbackRanking().forEach((doc, r) => {
+      const item = document.createElement("li");
+      item.textContent =
+        `#${r + 1} Document ${doc + 1}` +
+        (r < k ? " (pseudo-relevant)" : "");
+      item.classList.toggle("relevant", r < k);
+      list.appendChild(item);
+    });
+    return;
+  }
+  judgments.forEach((judgment, doc) => {
+    const item = document.createElement("li");
+    const select = document.createElement("select");
+    [
+      ["-", "not judged"],
+      ["r", "relevant"],
+      ["n", "non-relevant"],
+    ].forEach(([value, label]) => select.appendChild(new Option(label, value)));
+    select.value = judgment;
+    select.addEventListener("change", () => {
+      setFeedbackJudgment(doc, select.value);
+      item.className = select.value === "-" ? "" : `judged-${select.value}`;
+    });
+    item.className = judgment === "-" ? "" : `judged-${judgment}`;
+    item.append(`Document ${doc + 1}: `, select);
+    list.appendChild(item);
+  });
+}
+
+// Query weights of the typed query, as a Map over its terms
+function typedQueryWeights({ vocab, query }) {
+  return new Map(
+    vocab.map((term, t) => [term, query[t]]).filter(([, w]) => w !== 0)
+  );
+}
+
+// Ease the page's query weights from `from` to `to` (null: typed query)
+function animateFeedback(from, to) {
+  feedbackAnimation = { from, to, start: performance.now() };
+  requestAnimationFrame(stepFeedbackAnimation);
+}
+
+function stepFeedbackAnimation(now) {
+  if (!feedbackAnimation) return;
+  const { from, to, start } = feedbackAnimation;
+  const s = Math.min(1, (now - start) / FEEDBACK_ANIMATION_MS);
+  if (s >= 1) {
+    feedbackAnimation = null;
+    feedbackWeights = to;
+    feedbackHooks.update();
+    return;
+  }
+  const eased = s * s * (3 - 2 * s);
+  const target = to || typedQueryWeights(feedbackHooks.vectors());
+  feedbackWeights = new Map();
+  new Set([...from.keys(), ...target.keys()]).forEach((term) => {
+    const a = from.get(term) || 0;
+    const b = target.get(term) || 0;
+    feedbackWeights.set(term, a + (b - a) * eased);
+  });
+  feedbackHooks.update();
+  requestAnimationFrame(stepFeedbackAnimation);
+}
+
+// Table of the terms whose weight changed, heaviest first
+function renderFeedbackChanges(before, after) {
+  const table = document.getElementById("fbChanges");
+  const rows = Array.from(new Set([...before.keys(), ...after.keys()]))
+    .map((term) => {
+      const a = before.get(term) || 0;
+      const b = after.get(term) || 0;
+      let change = "";
+      if (a === 0 && b > 0) change = "added";
+      else if (a > 0 && b === 0) change = "dropped";
+      else if (b > a) change = "↑ reweighted";
+      else if (b < a) change = "↓ reweighted";
+      return { term, a, b, change };
+    })
+    .filter((row) => row.change)
+    .sort((x, y) => y.b - x.b);
+  table.innerHTML =
+    rows.length === 0
+      ? ""
+      : "<tr><th>Term</th><th>Typed query</th><th>After feedback</th>" +
+        "<th></th></tr>" +
+        rows
+          .map(
+            ({ term, a, b, change }) =>
+              `<tr class="${change === "added" ? "added" : ""}">` +
+              `<td>${escapeXml(term)}</td><td>${a.toFixed(3)}</td>` +
+              `<td>${b.toFixed(3)}</td><td>${change}</td></tr>`
+          )
+          .join("");
+}
+
+function applyFeedback() {
+  const status = document.getElementById("fbStatus");
+  if (loadedCorpus) return;
+  const data = feedbackHooks.vectors();
+  let relevant = [];
+  let nonRelevant = [];
+  const prf = document.getElementById("fbMode").value === "prf";
+  if (prf) {
+    const k = parseInt(document.getElementById("fbTopK").value, 10);
+    relevant = feedbackRanking().slice(0, k);
+  } else {
+    feedbackJudgments().forEach((judgment, doc) => {
+      if (judgment === "r") relevant.push(doc);
+      if (judgment === "n") nonRelevant.push(doc);
+    });
+  }
+  if (relevant.length === 0 && nonRelevant.length === 0) {
+    status.textContent = "Mark at least one document first.";
+    return;
+  }
+  const modified = RetrievalCore.rocchio(
+    data.query,
+    relevant.map((d) => data.docs[d]),
+    nonRelevant.map((d) => data.docs[d]),
+    {
+      alpha: feedbackParam("fbAlpha"),
+      beta: feedbackParam("fbBeta"),
+      // Pseudo-relevance feedback has no non-relevant documents
+      gamma: prf ? 0 : feedbackParam("fbGamma"),
+    }
+  );
+  const limit = parseInt(document.getElementById("fbNewTerms").value, 10);
+  const expanded = RetrievalCore.expandQuery(data.query, modified, limit);
+  const typed = typedQueryWeights(data);
+  const to = new Map(
+    data.vocab
+      .map((term, t) => [term, expanded[t]])
+      .filter(([term, w]) => w !== 0 || typed.has(term))
+  );
+  const label = (docs) =>
+    `document${docs.length === 1 ? "" : "s"} ` +
+    docs.map((d) => d + 1).join(", ");
+  const moves = [];
+  if (relevant.length > 0) moves.push(`towards ${label(relevant)}`);
+  if (nonRelevant.length > 0) moves.push(`away from ${label(nonRelevant)}`);
+  status.textContent = `Query moved ${moves.join(" and ")}.`;
+  renderFeedbackChanges(typed, to);
+  animateFeedback(feedbackWeights || typed, to);
+}
+
+// Ease back to the typed query, or drop the feedback at once
+function resetFeedback(animate) {
+  document.getElementById("fbStatus").textContent = "";
+  document.getElementById("fbChanges").innerHTML = "";
+  if (!feedbackWeights) return;
+  if (animate) {
+    animateFeedback(feedbackWeights, null);
+    return;
+  }
+  feedbackAnimation = null;
+  feedbackWeights = null;
+}
+
+// Go straight back to the typed query and recompute the page
+function dropFeedback() {
+  if (!feedbackWeights) return;
+  resetFeedback(false);
+  feedbackHooks.update();
+}
+
+function initFeedbackPanel(hooks) {
+  feedbackHooks = hooks;
+  document
+    .getElementById("fbApplyBtn")
+    .addEventListener("click", applyFeedback);
+  document
+    .getElementById("fbResetBtn")
+    .addEventListener("click", () => resetFeedback(true));
+  ["fbAlpha", "fbBeta", "fbGamma", "fbTopK", "fbNewTerms"].forEach((id) =>
+    document.getElementById(id).addEventListener("input", renderFeedbackPanel)
+  );
+  document
+    .getElementById("fbMode")
+    .addEventListener("change", renderFeedbackPanel);
+  // A new typed query starts over; document edits keep the feedback terms
+  document.getElementById("queryText").addEventListener("input", () => {
+    dropFeedback();
+    renderFeedbackPanel();
+  });
+  ["computeBtn", "addDocBtn"].forEach((id) =>
+    document.getElementById(id).addEventListener("click", renderFeedbackPanel)
+  );
+  const docList = document.getElementById("docList");
+  docList.addEventListener("input", renderFeedbackPanel);
+  // Captured before documents.js removes the entry, so the judgments of
+  // the documents after it can move up
+  docList.addEventListener(
+    "click",
+    (e) => {
+      if (!e.target.closest(".doc-remove")) return;
+      const entries = Array.from(docList.querySelectorAll(".doc-entry"));
+      const judgments = feedbackJudgments();
+      judgments.splice(entries.indexOf(e.target.closest(".doc-entry")), 1);
+      document.getElementById("fbJudgments").value = judgments.join("");
+      setTimeout(renderFeedbackPanel);
+    },
+    true
+  );
+  document.addEventListener("corpuschange", renderFeedbackPanel);
+  document.addEventListener("staterestore", () => {
+    dropFeedback();
+    renderFeedbackPanel();
+  });
+  renderFeedbackPanel();
+}
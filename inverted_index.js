@@ -0,0 +1,418 @@
+/*
+ * Inverted index visualizer
+ *
+ * Tokenizes every document with the shared pipeline and builds an inverted
+ * index one token at a time, using the index functions of the retrieval
+ * core. The p5.js canvas shows the document being indexed above the
+ * dictionary: one row per term, in sorted order, with its posting list of
+ * (doc ID, tf, positions) boxes coloured like the documents on the other
+ * pages. New terms slide into place, the posting touched by the current
+ * token flashes, and lists long enough to benefit get skip pointers drawn
+ * as arcs. Below the canvas, the selected posting list is shown as gaps and
+ * variable-byte codes next to its uncompressed size.
+ */
+
+let docTokens = [];
+// Word position of each token in its text, with gaps for removed words
+let docPositions = [];
+let index = RetrievalCore.createInvertedIndex();
+// Next token to index: document number and position within it
+let cursor = { doc: 0, pos: 0 };
+let playing = false;
+let lastStepTime = 0;
+// Animated row positions and the most recent indexing event
+let rowY = new Map();
+let lastEvent = null;
+let canvas;
+
+const BAND_HEIGHT = 70; // document strip along the top
+const ROW_HEIGHT = 46;
+const DICT_WIDTH = 150;
+const BOX_W = 92;
+const BOX_H = 32;
+const BOX_GAP = 24;
+
+// Start indexing the current documents from scratch
+function startIndexing() {
+  const positioned = getDocumentTexts().map((text) =>
+    tokenizeWithPositions(text)
+  );
+  docTokens = positioned.map((d) => d.tokens);
+  docPositions = positioned.map((d) => d.positions);
+  index = RetrievalCore.createInvertedIndex();
+  index.numDocs = docTokens.length;
+  cursor = { doc: 0, pos: 0 };
+  rowY = new Map();
+  lastEvent = null;
+  playing = true;
+  lastStepTime = millis();
+  updateIndexView();
+}
+
+function indexingDone() {
+  return cursor.doc >= docTokens.length;
+}
+
+/*
+ * Index the token under the cursor and advance it, skipping empty
+ * documents. Returns false once every document has been indexed.
+ */
+function indexNextToken() {
+  while (!indexingDone() && cursor.pos >= docTokens[cursor.doc].length) {
+    cursor = { doc: cursor.doc + 1, pos: 0 };
+  }
+  if (indexingDone()) {
+    playing = false;
+    return false;
+  }
+  const term = docTokens[cursor.doc][cursor.pos];
+  // Stored positions are word positions in the text, counting removed words
+  const position = docPositions[cursor.doc][cursor.pos];
+  lastEvent = RetrievalCore.indexToken(index, cursor.doc, term, position);
+  lastEvent.time = millis();
+  cursor = { doc: cursor.doc, pos: cursor.pos + 1 };
+  return true;
+}
+
+function finishIndexing() {
+  while (indexNextToken());
+  updateIndexView();
+}
+
+// Dictionary terms in sorted order
+function sortedTerms() {
+  return Array.from(index.postings.keys()).sort();
+}
+
+function updateIndexView() {
+  updateStatus();
+  updateTermSelect();
+  updateCompression();
+}
+
+function updateStatus() {
+  const tokenCount = docTokens.reduce((sum, t) => sum + t.length, 0);
+  const indexed =
+    docTokens.slice(0, cursor.doc).reduce((sum, t) => sum + t.length, 0) +
+    (indexingDone() ? 0 : Math.min(cursor.pos, docTokens[cursor.doc].length));
+  const postings = Array.from(index.postings.values()).reduce(
+    (sum, list) => sum + list.length,
+    0
+  );
+  document.getElementById("indexStatus").textContent =
+    `${indexed}/${tokenCount} tokens indexed · ${index.postings.size} ` +
+    `terms · ${postings} postings · pipeline: ${pipelineSummary()}`;
+  document.getElementById("playBtn").textContent = playing ? "❚❚" : "▶";
+}
+
+// Fill the posting-list selector, defaulting to the longest list
+function updateTermSelect() {
+  const select = document.getElementById("termSelect");
+  const previous = select.value;
+  const terms = sortedTerms();
+  if (
+    select.options.length === terms.length &&
+    terms.every((t, i) => select.options[i].value === t)
+  ) {
+    return;
+  }
+  select.innerHTML = "";
+  terms.forEach((term) => {
+    const opt = document.createElement("option");
+    opt.value = term;
+    opt.textContent = term;
+    select.appendChild(opt);
+  });
+  if (terms.includes(previous)) {
+    select.value = previous;
+  } else if (terms.length > 0) {
+    select.value = terms.reduce((best, t) =>
+      index.postings.get(t).length > index.postings.get(best).length ? t : best
+    );
+  }
+}
+
+// Binary form of a variable-byte code, the continuation bit highlighted
+function formatVbByte(byte) {
+  const bits = byte.toString(2).padStart(8, "0");
+  const flag = `<span class="vb-flag">${bits[0]}</span>`;
+  return `${flag}<span class="vb-byte">${bits.slice(1)}</span>`;
+}
+
+/*
+ * Show the selected posting list as doc IDs, gaps and variable-byte codes,
+ * with its skip pointers and the size of the whole index both ways. Doc IDs
+ * are 1-based to match the document labels.
+ */
+function updateCompression() {
+  const details = document.getElementById("compressionDetails");
+  const term = document.getElementById("termSelect").value;
+  const list = index.postings.get(term);
+  if (!list) {
+    details.innerHTML = "<p>The index is empty.</p>";
+    return;
+  }
+  const { gapEncode, vbEncode, vbEncodeList, skipPointers } = RetrievalCore;
+  const ids = list.map((p) => p.doc + 1);
+  const gaps = gapEncode(ids);
+  const cells = (values) => values.map((v) => `<td>${v}</td>`).join("");
+  const vbBytes = vbEncodeList(gaps).length;
+  const skips = skipPointers(list.length)
+    .map(([from, to]) => `D${ids[from]} → D${ids[to]}`)
+    .join(", ");
+  let totalVb = 0;
+  let totalPostings = 0;
+  index.postings.forEach((postings) => {
+    totalPostings += postings.length;
+    totalVb += vbEncodeList(gapEncode(postings.map((p) => p.doc + 1))).length;
+  });
+  details.innerHTML = `
+    <table>
+      <tr><th>doc ID</th>${cells(ids)}</tr>
+      <tr><th>tf</th>${cells(list.map((p) => p.tf))}</tr>
+      <tr><th>positions</th>${cells(list.map((p) => p.positions))}</tr>
+      <tr><th>gap</th>${cells(gaps)}</tr>
+      <tr><th>VB code</th>${cells(
+        gaps.map((g) => vbEncode(g).map(formatVbByte).join(" "))
+      )}</tr>
+    </table>
+    <p>
+      “${term}”: df = ${list.length}; doc IDs take ${vbBytes} byte(s) as
+      variable-byte gaps versus ${4 * list.length} as 32-bit integers.
+      Skip pointers: ${skips || "none (list shorter than 4)"}.<br />
+      Whole index: ${totalVb} byte(s) of gap-encoded doc IDs versus
+      ${4 * totalPostings} uncompressed.
+    </p>`;
+}
+
+// Tables for the export menu: the posting lists, and their gap and
+// variable-byte encoding
+function exportTables() {
+  const { gapEncode, vbEncode, vbEncodeList } = RetrievalCore;
+  const terms = sortedTerms();
+  const binary = (byte) => byte.toString(2).padStart(8, "0");
+  return [
+    {
+      name: "Postings (doc ID: tf @ positions)",
+      header: ["Term", "df", "Postings"],
+      rows: terms.map((term) => {
+        const list = index.postings.get(term);
+        const postings = list
+          .map((p) => `D${p.doc + 1}: ${p.tf} @ ${p.positions.join(" ")}`)
+          .join("; ");
+        return [term, list.length, postings];
+      }),
+    },
+    {
+      name: "Gap and variable-byte encoding",
+      header: [
+        "Term",
+        "Doc IDs",
+        "Gaps",
+        "VB code",
+        "VB bytes",
+        "Uncompressed bytes",
+      ],
+      rows: terms.map((term) => {
+        const ids = index.postings.get(term).map((p) => p.doc + 1);
+        const gaps = gapEncode(ids);
+        const code = gaps.map((g) => vbEncode(g).map(binary).join(" "));
+        return [
+          term,
+          ids.join(" "),
+          gaps.join(" "),
+          code.join(" | "),
+          vbEncodeList(gaps).length,
+          4 * ids.length,
+        ];
+      }),
+    },
+  ];
+}
+
+// Attach event listeners and build the editable document list
+window.addEventListener("DOMContentLoaded", () => {
+  initDocumentList(initialDocumentTexts(), startIndexing);
+  initPipelineControls(startIndexing);
+  initExportMenu(exportTables);
+  initPageState(startIndexing, {
+    save: () => ({ cursor }),
+    load: ({ cursor: saved }) => {
+      startIndexing();
+      if (!saved) return;
+      // Replay the indexing up to the saved token, paused there
+      playing = false;
+      const before = () =>
+        cursor.doc < saved.doc ||
+        (cursor.doc === saved.doc && cursor.pos < saved.pos);
+      while (before() && indexNextToken());
+      updateIndexView();
+    },
+  });
+  document.getElementById("indexBtn").addEventListener("click", startIndexing);
+  document.getElementById("playBtn").addEventListener("click", () => {
+    // Start over when the index is already complete
+    if (!playing && indexingDone()) {
+      startIndexing();
+      return;
+    }
+    playing = !playing;
+    lastStepTime = millis();
+    updateStatus();
+  });
+  document.getElementById("stepBtn").addEventListener("click", () => {
+    playing = false;
+    indexNextToken();
+    updateIndexView();
+  });
+  document
+    .getElementById("finishBtn")
+    .addEventListener("click", finishIndexing);
+  document
+    .getElementById("termSelect")
+    .addEventListener("change", updateCompression);
+});
+
+// p5.js setup
+function setup() {
+  const container = document.getElementById("canvasContainer");
+  const w = container ? container.clientWidth : 900;
+  canvas = createCanvas(w, 400);
+  canvas.parent("canvasContainer");
+  if (!restorePageState()) startIndexing();
+}
+
+function draw() {
+  // Index tokens at the chosen rate while playing
+  const speed = parseFloat(document.getElementById("speed").value);
+  if (playing && millis() - lastStepTime > 1000 / speed) {
+    lastStepTime = millis();
+    indexNextToken();
+    updateIndexView();
+  }
+  const terms = sortedTerms();
+  // Grow the canvas with the dictionary
+  const neededHeight = Math.max(
+    300,
+    BAND_HEIGHT + terms.length * ROW_HEIGHT + 20
+  );
+  if (height !== neededHeight) resizeCanvas(width, neededHeight);
+  background(22, 24, 48);
+  drawDocumentBand();
+  const colours = documentColours(docTokens.length);
+  terms.forEach((term, i) => {
+    // New rows start at their slot and existing rows slide when a term is
+    // inserted above them
+    const targetY = BAND_HEIGHT + i * ROW_HEIGHT;
+    const y = rowY.has(term)
+      ? rowY.get(term) + (targetY - rowY.get(term)) * 0.2
+      : targetY;
+    rowY.set(term, y);
+    drawPostingRow(term, y, colours);
+  });
+}
+
+// The document being indexed, with the current token highlighted
+function drawDocumentBand() {
+  noStroke();
+  fill(29, 35, 64);
+  rect(0, 0, width, BAND_HEIGHT - 10);
+  textSize(13);
+  textAlign(LEFT, CENTER);
+  if (indexingDone()) {
+    fill(230);
+    const summary =
+      `Indexed ${docTokens.length} documents into ` +
+      `${index.postings.size} terms.`;
+    text(summary, 10, (BAND_HEIGHT - 10) / 2);
+    return;
+  }
+  const tokens = docTokens[cursor.doc];
+  fill(...documentColours(docTokens.length)[cursor.doc]);
+  text(`Document ${cursor.doc + 1}:`, 10, 18);
+  let x = 10;
+  const y = 42;
+  tokens.forEach((t, i) => {
+    const w = textWidth(t) + 10;
+    if (x + w > width) return;
+    // The last indexed token is highlighted, later ones are dimmed
+    const current = i === cursor.pos - 1;
+    if (current) {
+      fill(240, 172, 95);
+      rect(x - 2, y - 10, w - 6, 20, 4);
+      fill(22, 24, 48);
+    } else {
+      fill(i < cursor.pos ? 230 : 120);
+    }
+    text(t, x + 2, y);
+    x += w;
+  });
+}
+
+// One dictionary row: term and df, then the posting boxes and skip arcs
+function drawPostingRow(term, y, colours) {
+  const list = index.postings.get(term);
+  const midY = y + ROW_HEIGHT / 2;
+  const fresh = lastEvent && millis() - lastEvent.time < 600;
+  noStroke();
+  fill(fresh && lastEvent.term === term ? color(240, 172, 95) : color(230));
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  text(term, 10, midY);
+  fill(160);
+  textSize(11);
+  textAlign(RIGHT, CENTER);
+  text(`df ${list.length}`, DICT_WIDTH - 12, midY);
+  const fits = Math.max(
+    1,
+    Math.floor((width - DICT_WIDTH - 40) / (BOX_W + BOX_GAP))
+  );
+  const boxX = (i) => DICT_WIDTH + i * (BOX_W + BOX_GAP);
+  const boxTop = midY - BOX_H / 2 + 5;
+  list.slice(0, fits).forEach((posting, i) => {
+    const x = boxX(i);
+    // Arrow from the dictionary entry or the previous posting
+    stroke(120);
+    line(x - BOX_GAP + 4, boxTop + BOX_H / 2, x, boxTop + BOX_H / 2);
+    const highlight = fresh && lastEvent.posting === posting;
+    stroke(highlight ? 255 : 90);
+    strokeWeight(highlight ? 2 : 1);
+    fill(...colours[posting.doc]);
+    rect(x, boxTop, BOX_W, BOX_H, 4);
+    strokeWeight(1);
+    noStroke();
+    fill(22, 24, 48);
+    textSize(12);
+    textAlign(LEFT, TOP);
+    text(`D${posting.doc + 1} · tf ${posting.tf}`, x + 5, boxTop + 3);
+    textSize(10);
+    const positions = `@${posting.positions.join(",")}`;
+    const label =
+      textWidth(positions) <= BOX_W - 10
+        ? positions
+        : `${positions.slice(0, 14)}…`;
+    text(label, x + 5, boxTop + 18);
+  });
+  if (list.length > fits) {
+    fill(160);
+    textSize(11);
+    textAlign(LEFT, CENTER);
+    text(`+${list.length - fits} more`, boxX(fits) - BOX_GAP + 6, midY + 5);
+  }
+  // Skip pointers arc over the postings they jump
+  noFill();
+  stroke(240, 172, 95);
+  RetrievalCore.skipPointers(list.length).forEach(([from, to]) => {
+    if (to >= fits) return;
+    const x1 = boxX(from) + BOX_W / 2;
+    const x2 = boxX(to) + BOX_W / 2;
+    bezier(x1, boxTop, x1, boxTop - 14, x2, boxTop - 14, x2, boxTop);
+  });
+  noStroke();
+}
+
+// Resize the canvas when the window size changes
+function windowResized() {
+  const container = document.getElementById("canvasContainer");
+  if (container) resizeCanvas(container.clientWidth, height);
+}
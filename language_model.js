@@ -0,0 +1,352 @@
+/*
+ * Query-likelihood language model visualizer
+ *
+ * Scores the documents by log P(q | d), the log-probability that each
+ * document's smoothed unigram model generates the query
+ * (RetrievalCore.computeQueryLikelihood), and draws every score as a bar
+ * hanging down from log P = 0, stacked from one segment per query term. The
+ * shorter the bar, the likelier the query. Segments of query terms the
+ * document lacks are hatched: without smoothing they would be −∞, and the
+ * score table lists the unsmoothed scores next to the smoothed ones. The
+ * smoothing selector switches between Jelinek–Mercer (λ) and Dirichlet (μ);
+ * language_model_distributions.js draws the models themselves.
+ */
+
+let docs = [];
+let vocab = [];
+// Query terms found in no document, left out of the scores
+let unseen = [];
+let queryCounts = {};
+let collectionLength = 0;
+let collectionFreqs = {};
+let collectionProbs = {};
+let docLengths = [];
+let scores = [];
+let unsmoothedScores = [];
+let termContribs = [];
+let termFreqs = [];
+let mlProbs = [];
+let termProbs = [];
+// Rectangles of the drawn term segments, used for hover tooltips
+let segments = [];
+
+// Parameters from the controls, in the form the retrieval core takes
+function lmParams() {
+  return {
+    smoothing: document.getElementById("smoothing").value,
+    lambda: parseFloat(document.getElementById("lambda").value),
+    mu: parseFloat(document.getElementById("mu").value),
+  };
+}
+
+function computeQueryLikelihood() {
+  const queryText = document.getElementById("queryText").value;
+  const qTokens = tokenizeWithPipeline(queryText);
+  docs = getDocumentTokens();
+  ({
+    vocab,
+    unseen,
+    queryCounts,
+    collectionLength,
+    collectionFreqs,
+    collectionProbs,
+    docLengths,
+    scores,
+    unsmoothedScores,
+    termContribs,
+    termFreqs,
+    mlProbs,
+    termProbs,
+  } = RetrievalCore.computeQueryLikelihood(qTokens, docs, lmParams()));
+  updateScoreDisplay();
+}
+
+// Query terms a document does not contain
+const missingTerms = (d) => vocab.filter((term) => termFreqs[d][term] === 0);
+
+const formatLogProb = (x) => (x === -Infinity ? "−∞" : x.toFixed(3));
+
+/*
+ * Smoothed and unsmoothed scores side by side. Rows of documents that miss
+ * a query term, and owe their finite score to smoothing, are highlighted.
+ */
+function updateScoreDisplay() {
+  const el = document.getElementById("scores");
+  const params = lmParams();
+  const rank = RetrievalCore.ranks(scores);
+  const rows = scores
+    .map((score, d) => {
+      const missing = missingTerms(d);
+      const rescued = missing.length > 0;
+      return `<tr${rescued ? ' class="rescued"' : ""}>
+        <td><strong>Document ${d + 1}</strong></td>
+        <td>${formatLogProb(unsmoothedScores[d])}</td>
+        <td>${formatLogProb(score)}</td><td>#${rank[d]}</td>
+        <td style="text-align: left">${
+          rescued ? `missing ${missing.map(escapeXml).join(", ")}` : ""
+        }</td>
+      </tr>`;
+    })
+    .join("");
+  const method = RetrievalCore.LM_SMOOTHING[params.smoothing].name;
+  let html = `<table class="compare">
+    <tr><th>Document</th><th>unsmoothed</th>
+    <th colspan="2">${method}</th><th></th></tr>
+    ${rows}
+  </table>`;
+  if (scores.some((_, d) => missingTerms(d).length > 0)) {
+    html +=
+      "<em>Highlighted documents miss a query term: unsmoothed, their " +
+      "query likelihood is 0 (log −∞), smoothing gives the term its " +
+      "collection probability instead.</em><br/>";
+  }
+  if (unseen.length > 0) {
+    html +=
+      `<em>Not in any document, so ignored: ` +
+      `${unseen.map(escapeXml).join(", ")}</em><br/>`;
+  }
+  const lambdaVal = params.lambda.toFixed(2);
+  const muVal = String(params.mu);
+  html += "<br/><em>";
+  html += params.smoothing === "jm" ? `λ = ${lambdaVal}` : `μ = ${muVal}`;
+  html += `, |C| = ${collectionLength}`;
+  html += `<br/>Pipeline: ${pipelineSummary()}</em>`;
+  el.innerHTML = html;
+  document.getElementById("lambdaVal").textContent = lambdaVal;
+  document.getElementById("muVal").textContent = muVal;
+}
+
+/*
+ * Tables for the export menu: term frequencies, the collection and smoothed
+ * document models over the query terms, the log-probability contributions,
+ * and the worked computation of every contribution.
+ */
+function exportTables() {
+  const labels = scores.map((_, d) => `D${d + 1}`);
+  const perDocument = (tables) =>
+    tables.map((values, d) => ({
+      label: labels[d],
+      values: vocab.map((term) => values[term]),
+    }));
+  const params = lmParams();
+  const setting =
+    params.smoothing === "jm"
+      ? `Jelinek-Mercer, lambda = ${params.lambda.toFixed(2)}`
+      : `Dirichlet, mu = ${params.mu}`;
+  const worked = {
+    name: `Query likelihood worked computation (${setting})`,
+    header: [
+      "Document",
+      "Term",
+      "c(t,q)",
+      "f(t,d)",
+      "|d|",
+      "P(t|C)",
+      "P(t|d)",
+      "c(t,q) log P(t|d)",
+    ],
+    rows: [],
+  };
+  scores.forEach((score, d) => {
+    vocab.forEach((term) => {
+      worked.rows.push([
+        labels[d],
+        term,
+        queryCounts[term],
+        termFreqs[d][term],
+        docLengths[d],
+        collectionProbs[term],
+        termProbs[d][term],
+        termContribs[d][term],
+      ]);
+    });
+    worked.rows.push([labels[d], "total", "", "", "", "", "", score]);
+  });
+  return [
+    termMatrixTable("Term frequencies", vocab, perDocument(termFreqs)),
+    termMatrixTable("Language models", vocab, [
+      { label: "cf", values: vocab.map((term) => collectionFreqs[term]) },
+      { label: "P(t|C)", values: vocab.map((term) => collectionProbs[term]) },
+      ...perDocument(termProbs),
+    ]),
+    termMatrixTable(
+      "Log-probability contributions",
+      vocab,
+      perDocument(termContribs)
+    ),
+    worked,
+  ];
+}
+
+// Fill the smoothing selector and enable the slider of the chosen method
+function initSmoothingControls() {
+  const select = document.getElementById("smoothing");
+  Object.entries(RetrievalCore.LM_SMOOTHING).forEach(([key, { name }]) => {
+    select.appendChild(new Option(name, key));
+  });
+  select.value = "dirichlet";
+  select.addEventListener("change", () => {
+    updateSmoothingSliders();
+    computeQueryLikelihood();
+  });
+  updateSmoothingSliders();
+}
+
+function updateSmoothingSliders() {
+  const smoothing = document.getElementById("smoothing").value;
+  Object.entries(RetrievalCore.LM_SMOOTHING).forEach(([key, { param }]) => {
+    document.getElementById(param).disabled = key !== smoothing;
+  });
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  initDocumentList(initialDocumentTexts(), computeQueryLikelihood);
+  initSmoothingControls();
+  initPipelineControls(computeQueryLikelihood);
+  initExportMenu(exportTables);
+  initPageState(computeQueryLikelihood, {
+    load: () => {
+      updateSmoothingSliders();
+      computeQueryLikelihood();
+    },
+  });
+  document.getElementById("computeBtn").addEventListener("click", () => {
+    computeQueryLikelihood();
+  });
+  // Also recompute when sliders move
+  ["lambda", "mu"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("input", computeQueryLikelihood);
+  });
+});
+
+function setup() {
+  const container = document.getElementById("canvasContainer");
+  const w = container ? container.clientWidth : 900;
+  const cnv = createCanvas(w, 350);
+  cnv.parent("canvasContainer");
+  if (!restorePageState()) computeQueryLikelihood();
+}
+
+// Diagonal hatching inside a rectangle, for the segments smoothing rescues
+function hatchRect(x, y, w, h, gap) {
+  for (let k = -h; k < w; k += gap) {
+    const s0 = Math.max(0, -k);
+    const s1 = Math.min(h, w - k);
+    if (s1 > s0) line(x + k + s0, y + h - s0, x + k + s1, y + h - s1);
+  }
+}
+
+function draw() {
+  background(22, 24, 48);
+  if (scores.length === 0 || vocab.length === 0) return;
+  const termCols = termColours(vocab.length);
+  const docCols = documentColours(scores.length);
+  const legendBottom = drawLegend(vocab, termCols);
+  // Bars hang from the log P = 0 line; the deepest one fills the canvas
+  const baseY = legendBottom + 22;
+  const maxDepth = Math.max(1e-6, ...scores.map((s) => -s));
+  const scale = (height - baseY - 40) / maxDepth;
+  const numBars = scores.length;
+  const margin = 40;
+  const barSpacing = 20;
+  const availableW = width - margin * 2 - barSpacing * (numBars - 1);
+  const barWidth = availableW / numBars;
+  push();
+  stroke(150);
+  line(margin / 2, baseY, width - margin / 2, baseY);
+  noStroke();
+  fill(180);
+  textSize(11);
+  textAlign(LEFT, BOTTOM);
+  text("log P(q|d) = 0", margin / 2, baseY - 3);
+  textAlign(RIGHT, BOTTOM);
+  text("shorter bars rank higher", width - margin / 2, baseY - 3);
+  pop();
+  segments = [];
+  for (let i = 0; i < numBars; i++) {
+    const x = margin + i * (barWidth + barSpacing);
+    let bottom = baseY;
+    vocab.forEach((term, t) => {
+      const h = -termContribs[i][term] * scale;
+      const y = bottom;
+      bottom += h;
+      const missing = termFreqs[i][term] === 0;
+      noStroke();
+      // Rescued segments: faded, hatched and outlined in the term colour
+      fill(...termCols[t], missing ? 90 : 255);
+      rect(x, y, barWidth, h);
+      if (missing) {
+        push();
+        stroke(...termCols[t]);
+        strokeWeight(1);
+        hatchRect(x, y, barWidth, h, 6);
+        noFill();
+        rect(x, y, barWidth, h);
+        pop();
+      }
+      segments.push({ x, y, w: barWidth, h, doc: i, term });
+    });
+    noStroke();
+    fill(...docCols[i]);
+    textSize(Math.min(14, barWidth / 3));
+    textAlign(CENTER, CENTER);
+    text(`Doc ${i + 1}`, x + barWidth / 2, height - 5);
+    fill(220);
+    textSize(Math.min(12, barWidth / 3));
+    text(scores[i].toFixed(2), x + barWidth / 2, bottom + 10);
+  }
+  drawSegmentTooltip();
+}
+
+// Outline the segment under the mouse and explain its log-probability
+function drawSegmentTooltip() {
+  const seg = segments.find(
+    (s) =>
+      mouseX >= s.x &&
+      mouseX <= s.x + s.w &&
+      mouseY >= s.y &&
+      mouseY <= s.y + s.h
+  );
+  if (!seg) return;
+  push();
+  noFill();
+  stroke(255);
+  strokeWeight(2);
+  rect(seg.x, seg.y, seg.w, seg.h);
+  pop();
+  const { doc, term } = seg;
+  const f = termFreqs[doc][term];
+  const ml = mlProbs[doc][term].toFixed(3);
+  const pc = collectionProbs[term].toFixed(3);
+  const lines = [
+    `"${term}" in Doc ${doc + 1}`,
+    `f(t,d)/|d| = ${f}/${docLengths[doc]} = ${ml}`,
+    `P(t|C) = ${collectionFreqs[term]}/${collectionLength} = ${pc}`,
+    `smoothed P(t|d) = ${termProbs[doc][term].toFixed(3)}`,
+    `${queryCounts[term]} × ln P(t|d) = ${termContribs[doc][term].toFixed(3)}`,
+  ];
+  if (f === 0) lines.push("missing: −∞ without smoothing");
+  push();
+  textSize(12);
+  textAlign(LEFT, TOP);
+  const boxW = Math.max(...lines.map((l) => textWidth(l))) + 16;
+  const boxH = lines.length * 16 + 10;
+  // Keep the tooltip inside the canvas
+  const bx = Math.min(mouseX + 12, width - boxW - 4);
+  const by = Math.max(4, Math.min(mouseY + 12, height - boxH - 4));
+  fill(29, 35, 64, 235);
+  stroke(82, 88, 147);
+  rect(bx, by, boxW, boxH, 4);
+  noStroke();
+  fill(230);
+  lines.forEach((l, i) => text(l, bx + 8, by + 6 + i * 16));
+  pop();
+}
+
+// Resize the canvas when the window size changes
+function windowResized() {
+  const container = document.getElementById("canvasContainer");
+  if (container) resizeCanvas(container.clientWidth, height);
+}
@@ -0,0 +1,157 @@
+/*
+ * Unigram model panel for the language model page
+ *
+ * A second p5 sketch (instance mode, next to the bar chart of
+ * language_model.js) that draws the collection model P(t | C) in the top
+ * row and below it one row per document: its maximum-likelihood
+ * probabilities f(t,d)/|d| as filled bars and its smoothed probabilities
+ * P(t | d) as outlines beside them. The columns are the query terms,
+ * shaded, followed by the collection's most frequent other words. A query
+ * term a document lacks has no filled bar; its outline, in orange, is the
+ * probability smoothing lends it.
+ */
+
+// Columns of the panel: the query terms plus the most frequent other words
+const MODEL_TERMS = 12;
+
+const modelSketch = (p) => {
+  const pad = { left: 80, right: 20, top: 34, bottom: 26 };
+  const rowH = 64;
+  const rescuedColour = [240, 172, 95];
+
+  // Canvas height for the collection row plus one row per document
+  const panelHeight = () => pad.top + (docs.length + 1) * rowH + pad.bottom;
+
+  // Query terms first, then other words by collection frequency
+  function shownTerms(collection) {
+    const others = Array.from(collection.keys())
+      .filter((term) => !vocab.includes(term))
+      .sort((a, b) => collection.get(b) - collection.get(a));
+    const room = Math.max(0, MODEL_TERMS - vocab.length);
+    return [...vocab, ...others.slice(0, room)];
+  }
+
+  p.setup = () => {
+    const container = document.getElementById("modelContainer");
+    const w = container ? container.clientWidth : 900;
+    p.createCanvas(w, panelHeight()).parent("modelContainer");
+  };
+
+  p.draw = () => {
+    if (p.height !== panelHeight()) p.resizeCanvas(p.width, panelHeight());
+    p.background(22, 24, 48);
+    if (docs.length === 0 || collectionLength === 0) return;
+    const { termCounts, lmTermProbability } = RetrievalCore;
+    const params = lmParams();
+    const collection = termCounts(docs.flat());
+    const terms = shownTerms(collection);
+    const pc = terms.map((term) => collection.get(term) / collectionLength);
+    // Per row: label, colour, and per term [filled bar] or [filled, outline]
+    const docCols = documentColours(docs.length);
+    const rows = [
+      {
+        label: "Collection",
+        colour: [150, 150, 160],
+        bars: pc.map((v) => [v]),
+      },
+      ...docs.map((doc, d) => {
+        const counts = termCounts(doc);
+        return {
+          label: `Doc ${d + 1}`,
+          colour: docCols[d],
+          bars: terms.map((term, t) => {
+            const f = counts.get(term) || 0;
+            return [
+              doc.length > 0 ? f / doc.length : 0,
+              lmTermProbability(f, doc.length, pc[t], params),
+            ];
+          }),
+        };
+      }),
+    ];
+    const maxProb = Math.max(1e-6, ...rows.flatMap((r) => r.bars.flat()));
+    const plotW = p.width - pad.left - pad.right;
+    const colW = plotW / Math.max(1, terms.length);
+    const barW = Math.min(18, colW / 2 - 4);
+
+    // Shade the query-term columns
+    p.noStroke();
+    p.fill(38, 42, 78);
+    vocab.forEach((_, t) => {
+      p.rect(pad.left + t * colW, pad.top, colW, rows.length * rowH);
+    });
+
+    let hovered = null;
+    rows.forEach((row, r) => {
+      const base = pad.top + (r + 1) * rowH - 6;
+      const toH = (v) => (v / maxProb) * (rowH - 16);
+      p.stroke(90, 96, 140);
+      p.line(pad.left, base, pad.left + plotW, base);
+      p.noStroke();
+      p.fill(...row.colour);
+      p.textSize(12);
+      p.textAlign(p.RIGHT, p.CENTER);
+      p.text(row.label, pad.left - 8, base - rowH / 2 + 6);
+      row.bars.forEach(([ml, smoothed], t) => {
+        const cx = pad.left + t * colW + colW / 2;
+        const single = smoothed === undefined;
+        const x = single ? cx - barW / 2 : cx - barW - 1;
+        p.noStroke();
+        p.fill(...row.colour);
+        p.rect(x, base - toH(ml), barW, toH(ml));
+        if (!single) {
+          // Smoothing rescues query terms the document lacks
+          const rescued = ml === 0 && t < vocab.length;
+          p.noFill();
+          p.stroke(...(rescued ? rescuedColour : row.colour));
+          p.strokeWeight(rescued ? 2 : 1);
+          p.rect(cx + 1, base - toH(smoothed), barW, toH(smoothed));
+          p.strokeWeight(1);
+        }
+        if (
+          p.mouseX >= pad.left + t * colW &&
+          p.mouseX < pad.left + (t + 1) * colW &&
+          p.mouseY >= base - rowH + 6 &&
+          p.mouseY < base + 6
+        ) {
+          hovered = { row, term: terms[t], ml, smoothed };
+        }
+      });
+    });
+
+    // Term labels along the bottom, query terms highlighted
+    p.noStroke();
+    p.textSize(Math.min(12, colW / 4));
+    p.textAlign(p.CENTER, p.TOP);
+    terms.forEach((term, t) => {
+      p.fill(t < vocab.length ? 240 : 170);
+      p.text(term, pad.left + t * colW + colW / 2, p.height - pad.bottom + 6);
+    });
+
+    // Title, or the probabilities under the mouse
+    p.fill(230);
+    p.textSize(13);
+    p.textAlign(p.LEFT, p.TOP);
+    const setting =
+      params.smoothing === "jm"
+        ? `Jelinek–Mercer, λ = ${params.lambda.toFixed(2)}`
+        : `Dirichlet, μ = ${params.mu}`;
+    let title = `Filled: f(t,d)/|d|, outline: smoothed P(t|d) (${setting})`;
+    if (hovered) {
+      const { row, term, ml, smoothed } = hovered;
+      title =
+        smoothed === undefined
+          ? `P("${term}"|C) = ${ml.toFixed(3)}`
+          : `${row.label}: "${term}" f(t,d)/|d| = ${ml.toFixed(3)}, ` +
+            `smoothed P(t|d) = ${smoothed.toFixed(3)}`;
+    }
+    p.text(title, pad.left, 8);
+  };
+
+  p.windowResized = () => {
+    const container = document.getElementById("modelContainer");
+    if (container) p.resizeCanvas(container.clientWidth, panelHeight());
+  };
+};
+
+new p5(modelSketch);
@@ -0,0 +1,340 @@
+/*
+ * Morphology
+ *
+ * DOM-free English stemming and lemmatization with rule traces. The stemmer
+ * is Martin Porter's 1980 algorithm; the lemmatizer combines an exception
+ * dictionary (irregular forms plus any user entries) with a handful of
+ * inflectional suffix rules. Both report the rules they applied, e.g.
+ * "running → run (step 1b: -ing; step 1b: -nn → -n)", so the visualizers
+ * can explain every change.
+ *
+ * Packaged like retrieval_core.js: a <script> tag defines the global
+ * `Morphology` and Node's `require` returns the same object.
+ */
+
+(function (root, factory) {
+  const morphology = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = morphology;
+  }
+  root.Morphology = morphology;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  // Porter's consonant test: y counts as a vowel after a consonant
+  function isConsonant(word, i) {
+    const ch = word[i];
+    if ("aeiou".includes(ch)) return false;
+    if (ch === "y") return i === 0 || !isConsonant(word, i - 1);
+    return true;
+  }
+
+  // The measure m of a stem written as [C](VC)^m[V]
+  function measure(stem) {
+    let m = 0;
+    let i = 0;
+    const n = stem.length;
+    while (i < n && isConsonant(stem, i)) i++;
+    while (i < n) {
+      while (i < n && !isConsonant(stem, i)) i++;
+      if (i >= n) break;
+      while (i < n && isConsonant(stem, i)) i++;
+      m++;
+    }
+    return m;
+  }
+
+  // *v*: the stem contains a vowel
+  function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+      if (!isConsonant(stem, i)) return true;
+    }
+    return false;
+  }
+
+  // *d: the stem ends with a double consonant
+  function endsDoubleConsonant(stem) {
+    const n = stem.length;
+    return (
+      n >= 2 && stem[n - 1] === stem[n - 2] && isConsonant(stem, n - 1)
+    );
+  }
+
+  // *o: the stem ends consonant-vowel-consonant, the last not w, x or y
+  function endsCvc(stem) {
+    const n = stem.length;
+    if (n < 3) return false;
+    return (
+      isConsonant(stem, n - 3) &&
+      !isConsonant(stem, n - 2) &&
+      isConsonant(stem, n - 1) &&
+      !"wxy".includes(stem[n - 1])
+    );
+  }
+
+  // Suffix tables for steps 2–4, as [suffix, replacement] pairs
+  const STEP2 = [
+    ["ational", "ate"],
+    ["tional", "tion"],
+    ["enci", "ence"],
+    ["anci", "ance"],
+    ["izer", "ize"],
+    ["abli", "able"],
+    ["alli", "al"],
+    ["entli", "ent"],
+    ["eli", "e"],
+    ["ousli", "ous"],
+    ["ization", "ize"],
+    ["ation", "ate"],
+    ["ator", "ate"],
+    ["alism", "al"],
+    ["iveness", "ive"],
+    ["fulness", "ful"],
+    ["ousness", "ous"],
+    ["aliti", "al"],
+    ["iviti", "ive"],
+    ["biliti", "ble"],
+  ];
+  const STEP3 = [
+    ["icate", "ic"],
+    ["ative", ""],
+    ["alize", "al"],
+    ["iciti", "ic"],
+    ["ical", "ic"],
+    ["ful", ""],
+    ["ness", ""],
+  ];
+  const STEP4 = [
+    "al",
+    "ance",
+    "ence",
+    "er",
+    "ic",
+    "able",
+    "ible",
+    "ant",
+    "ement",
+    "ment",
+    "ent",
+    "ion",
+    "ou",
+    "ism",
+    "ate",
+    "iti",
+    "ous",
+    "ive",
+    "ize",
+  ];
+
+  // Longest entry of `table` that `word` ends with, or undefined
+  function longestSuffix(word, table) {
+    return table
+      .filter((entry) => word.endsWith(Array.isArray(entry) ? entry[0] : entry))
+      .sort((a, b) => [].concat(b)[0].length - [].concat(a)[0].length)[0];
+  }
+
+  function describe(suffix, replacement) {
+    return replacement ? `-${suffix} → -${replacement}` : `-${suffix}`;
+  }
+
+  /*
+   * Porter stemmer. Returns the stem and a trace of the rules that fired,
+   * one "step N: rule" string per change.
+   */
+  function porterStem(input) {
+    let w = input.toLowerCase();
+    const trace = [];
+    if (w.length <= 2 || !/^[a-z]+$/.test(w)) return { stem: w, trace };
+    const apply = (step, suffix, replacement) => {
+      w = w.slice(0, w.length - suffix.length) + replacement;
+      trace.push(`step ${step}: ${describe(suffix, replacement)}`);
+    };
+
+    // Step 1a: plurals
+    if (w.endsWith("sses")) apply("1a", "sses", "ss");
+    else if (w.endsWith("ies")) apply("1a", "ies", "i");
+    else if (!w.endsWith("ss") && w.endsWith("s")) apply("1a", "s", "");
+
+    // Step 1b: -eed, -ed, -ing
+    if (w.endsWith("eed")) {
+      if (measure(w.slice(0, -3)) > 0) apply("1b", "eed", "ee");
+    } else {
+      const suffix = ["ed", "ing"].find(
+        (s) => w.endsWith(s) && hasVowel(w.slice(0, -s.length))
+      );
+      if (suffix) {
+        apply("1b", suffix, "");
+        if (w.endsWith("at") || w.endsWith("bl") || w.endsWith("iz")) {
+          const tail = w.slice(-2);
+          apply("1b", tail, tail + "e");
+        } else if (endsDoubleConsonant(w) && !"lsz".includes(w[w.length - 1])) {
+          const ch = w[w.length - 1];
+          apply("1b", ch + ch, ch);
+        } else if (measure(w) === 1 && endsCvc(w)) {
+          w += "e";
+          trace.push("step 1b: +e");
+        }
+      }
+    }
+
+    // Step 1c: terminal y after a vowel-bearing stem
+    if (w.endsWith("y") && hasVowel(w.slice(0, -1))) apply("1c", "y", "i");
+
+    // Steps 2 and 3: derivational suffixes, when the stem has m > 0
+    [
+      ["2", STEP2],
+      ["3", STEP3],
+    ].forEach(([step, table]) => {
+      const entry = longestSuffix(w, table);
+      if (entry && measure(w.slice(0, -entry[0].length)) > 0) {
+        apply(step, entry[0], entry[1]);
+      }
+    });
+
+    // Step 4: strip remaining suffixes when the stem has m > 1
+    const suffix4 = longestSuffix(w, STEP4);
+    if (suffix4) {
+      const stem = w.slice(0, -suffix4.length);
+      const ionOk = suffix4 !== "ion" || /[st]$/.test(stem);
+      if (measure(stem) > 1 && ionOk) apply("4", suffix4, "");
+    }
+
+    // Step 5a: final -e
+    if (w.endsWith("e")) {
+      const stem = w.slice(0, -1);
+      const m = measure(stem);
+      if (m > 1 || (m === 1 && !endsCvc(stem))) apply("5a", "e", "");
+    }
+
+    // Step 5b: -ll → -l on long stems
+    if (measure(w) > 1 && endsDoubleConsonant(w) && w.endsWith("l")) {
+      apply("5b", "ll", "l");
+    }
+    return { stem: w, trace };
+  }
+
+  /*
+   * Irregular forms the suffix rules cannot handle, keyed by lemma. User
+   * dictionaries passed to lemmatize() take precedence over these.
+   */
+  const IRREGULAR_LEMMAS = {
+    be: ["am", "is", "are", "was", "were", "been", "being"],
+    have: ["has", "had", "having"],
+    do: ["does", "did", "done", "doing"],
+    go: ["goes", "went", "gone"],
+    run: ["ran"],
+    say: ["said"],
+    make: ["made"],
+    take: ["took", "taken"],
+    see: ["saw", "seen"],
+    come: ["came"],
+    get: ["got", "gotten"],
+    give: ["gave", "given"],
+    know: ["knew", "known"],
+    think: ["thought"],
+    buy: ["bought"],
+    bring: ["brought"],
+    ride: ["rode", "ridden"],
+    eat: ["ate", "eaten"],
+    write: ["wrote", "written"],
+    child: ["children"],
+    man: ["men"],
+    woman: ["women"],
+    person: ["people"],
+    mouse: ["mice"],
+    foot: ["feet"],
+    tooth: ["teeth"],
+    goose: ["geese"],
+    good: ["better", "best"],
+    bad: ["worse", "worst"],
+  };
+
+  // Flatten a { lemma: [forms] } dictionary into a form → lemma lookup
+  function invertLemmaMapping(mapping) {
+    const formToLemma = {};
+    for (const lemma in mapping) {
+      mapping[lemma].forEach((form) => {
+        formToLemma[form] = lemma;
+      });
+    }
+    return formToLemma;
+  }
+
+  const IRREGULAR_FORMS = invertLemmaMapping(IRREGULAR_LEMMAS);
+
+  // Undo consonant doubling and restore a silent e after removing -ing/-ed
+  function restoreVerbStem(stem, suffix) {
+    const last = stem[stem.length - 1];
+    if (endsDoubleConsonant(stem) && !"lsz".includes(last)) {
+      return {
+        lemma: stem.slice(0, -1),
+        rule: `-${suffix}, ${last}${last} → ${last}`,
+      };
+    }
+    if (measure(stem) === 1 && endsCvc(stem)) {
+      return { lemma: stem + "e", rule: `-${suffix} → -e` };
+    }
+    return { lemma: stem, rule: `-${suffix}` };
+  }
+
+  /*
+   * Rule-plus-exception lemmatizer. `exceptions` is a { lemma: [forms] }
+   * dictionary checked before the built-in irregular forms; when neither
+   * knows the word, inflectional suffix rules are tried in turn. Returns
+   * the lemma and the trace of what was applied.
+   */
+  function lemmatize(input, exceptions = {}) {
+    const word = input.toLowerCase();
+    const userForms = invertLemmaMapping(exceptions);
+    if (userForms[word] !== undefined) {
+      const lemma = userForms[word];
+      return {
+        lemma,
+        trace: lemma === word ? [] : ["exception dictionary"],
+      };
+    }
+    if (IRREGULAR_FORMS[word] !== undefined) {
+      return { lemma: IRREGULAR_FORMS[word], trace: ["irregular form"] };
+    }
+    const trace = [];
+    let w = word;
+    // Possessive 's (straight or curly apostrophe)
+    const possessive = /['’]s$/.exec(w) || /s['’]$/.exec(w);
+    if (possessive) {
+      w = possessive[0].startsWith("s") ? w.slice(0, -1) : w.slice(0, -2);
+      trace.push("rule: possessive 's");
+      if (userForms[w] !== undefined || IRREGULAR_FORMS[w] !== undefined) {
+        const lemma = userForms[w] || IRREGULAR_FORMS[w];
+        if (lemma !== w) trace.push("exception dictionary");
+        return { lemma, trace };
+      }
+    }
+    if (w.length <= 3 || !/^[a-z]+$/.test(w)) return { lemma: w, trace };
+    let rule = null;
+    if (w.endsWith("ies") && w.length > 4) {
+      w = w.slice(0, -3) + "y";
+      rule = "-ies → -y";
+    } else if (/(ss|x|z|ch|sh)es$/.test(w)) {
+      w = w.slice(0, -2);
+      rule = "-es";
+    } else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) {
+      w = w.slice(0, -1);
+      rule = "-s";
+    } else if (w.endsWith("ing") && hasVowel(w.slice(0, -3)) && w.length > 5) {
+      ({ lemma: w, rule } = restoreVerbStem(w.slice(0, -3), "ing"));
+    } else if (w.endsWith("ied") && w.length > 4) {
+      w = w.slice(0, -3) + "y";
+      rule = "-ied → -y";
+    } else if (w.endsWith("ed") && hasVowel(w.slice(0, -2)) && w.length > 4) {
+      ({ lemma: w, rule } = restoreVerbStem(w.slice(0, -2), "ed"));
+    }
+    if (rule) trace.push(`rule: ${rule}`);
+    return { lemma: w, trace };
+  }
+
+  return {
+    porterStem,
+    measure,
+    lemmatize,
+    invertLemmaMapping,
+    IRREGULAR_LEMMAS,
+  };
+});
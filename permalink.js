@@ -0,0 +1,319 @@
+/*
+ * Shareable page state
+ *
+ * Every visualizer keeps its configuration in the URL hash, so a link
+ * reopens exactly what its sender was looking at: the query and document
+ * texts (with any counts dragged on a chart), every form control with an
+ * id, the tokenization pipeline with its options and whatever the page
+ * saves itself, such as the tokenization timeline step. The state is JSON,
+ * packed with LZW into base64url after `#state=`. "Copy link" puts the
+ * address on the clipboard, and the same JSON can be saved as a lesson
+ * preset and loaded offline.
+ *
+ * Controls inside an element marked `data-nostate` (such as selectors
+ * filled from a loaded file) and file inputs are left out, and so is a
+ * loaded corpus file. Pages call initPageState() once the DOM is ready and
+ * restorePageState() in setup().
+ */
+
+const STATE_HASH_PREFIX = "#state=";
+const STATE_VERSION = 1;
+
+// { update, save, load } given to initPageState
+let pageStateHooks = { update: () => {} };
+// Hash written or restored last, so our own updates are not reapplied
+let pageStateHash = "";
+let pageStateTimer = null;
+
+// The page file name without ".html", used to match presets to pages
+function pageName() {
+  const file = location.pathname.split("/").pop() || "index.html";
+  return file.replace(/\.html$/, "");
+}
+
+// Bits used for the k-th LZW code: enough for the 256 + k entries the
+// dictionary holds when it is written
+const lzwCodeWidth = (k) => (255 + k).toString(2).length;
+
+// LZW-compress the UTF-8 bytes of `text` into a base64url string
+function packState(text) {
+  const dict = new Map();
+  for (let i = 0; i < 256; i++) dict.set(String.fromCharCode(i), i);
+  const codes = [];
+  let w = "";
+  new TextEncoder().encode(text).forEach((byte) => {
+    const c = String.fromCharCode(byte);
+    if (dict.has(w + c)) {
+      w += c;
+      return;
+    }
+    codes.push(dict.get(w));
+    dict.set(w + c, dict.size);
+    w = c;
+  });
+  if (w) codes.push(dict.get(w));
+  let binary = "";
+  let current = 0;
+  let used = 0;
+  codes.forEach((code, k) => {
+    for (let bit = lzwCodeWidth(k) - 1; bit >= 0; bit--) {
+      current = (current << 1) | ((code >> bit) & 1);
+      if (++used === 8) {
+        binary += String.fromCharCode(current);
+        current = 0;
+        used = 0;
+      }
+    }
+  });
+  if (used > 0) binary += String.fromCharCode(current << (8 - used));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+// Inverse of packState()
+function unpackState(packed) {
+  const binary = atob(packed.replace(/-/g, "+").replace(/_/g, "/"));
+  const total = binary.length * 8;
+  let pos = 0;
+  const read = (width) => {
+    let value = 0;
+    for (let i = 0; i < width; i++, pos++) {
+      const byte = binary.charCodeAt(pos >> 3);
+      value = (value << 1) | ((byte >> (7 - (pos & 7))) & 1);
+    }
+    return value;
+  };
+  const dict = [];
+  for (let i = 0; i < 256; i++) dict.push([i]);
+  const bytes = [];
+  let prev = null;
+  // Padding is shorter than any code, so it is never read as one
+  for (let k = 0; pos + lzwCodeWidth(k) <= total; k++) {
+    const code = read(lzwCodeWidth(k));
+    let entry;
+    if (code < dict.length) {
+      entry = dict[code];
+    } else if (code === dict.length && prev) {
+      entry = prev.concat(prev[0]);
+    } else {
+      throw new Error("the state in the link is damaged");
+    }
+    entry.forEach((b) => bytes.push(b));
+    if (prev) dict.push(prev.concat(entry[0]));
+    prev = entry;
+  }
+  return new TextDecoder().decode(Uint8Array.from(bytes));
+}
+
+// Form controls whose values belong to the page state
+function stateControls() {
+  return Array.from(
+    document.querySelectorAll(
+      "main input[id], main select[id], main textarea[id]"
+    )
+  ).filter(
+    (el) =>
+      el.type !== "file" &&
+      !el.closest("[data-nostate]") &&
+      !el.closest("#docList")
+  );
+}
+
+// Typed text of a textarea, even while it shows synthetic counts
+const typedValue = (el) => (el.syntheticCounts ? el.typedText : el.value);
+
+function capturePageState() {
+  const state = { page: pageName(), version: STATE_VERSION, controls: {} };
+  stateControls().forEach((el) => {
+    state.controls[el.id] =
+      el.type === "checkbox" ? el.checked : typedValue(el);
+  });
+  const docList = document.getElementById("docList");
+  if (docList) {
+    const textareas = Array.from(docList.querySelectorAll(".doc-text"));
+    state.docs = textareas.map(typedValue);
+    // Chart slots: 0 is the query, 1… the documents
+    state.synthetic = [];
+    [document.getElementById("queryText"), ...textareas].forEach((el, slot) => {
+      if (el && el.syntheticCounts) {
+        state.synthetic.push([slot, Array.from(el.syntheticCounts)]);
+      }
+    });
+  }
+  state.pipeline = pipelineConfig;
+  state.pipelineOptions = pipelineOptions;
+  if (pageStateHooks.save) state.extra = pageStateHooks.save();
+  return state;
+}
+
+/*
+ * Put a saved state back: documents first, so their controls exist, then
+ * the controls and pipeline, then the page's own part through its `load`
+ * hook (or a plain update), and finally a "staterestore" event for the
+ * other panels on the page.
+ */
+function applyPageState(state) {
+  const docList = document.getElementById("docList");
+  if (docList && Array.isArray(state.docs)) {
+    setDocumentTexts(state.docs.length > 0 ? state.docs : [""]);
+  }
+  Object.entries(state.controls || {}).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (!el || !stateControls().includes(el)) return;
+    if (el.type === "checkbox") {
+      el.checked = Boolean(value);
+      return;
+    }
+    if (el.syntheticCounts) clearSynthetic(el);
+    // Selectors filled later (e.g. from the vocabulary) keep the value in a
+    // placeholder option until they are refilled
+    if (
+      el.tagName === "SELECT" &&
+      !Array.from(el.options).some((opt) => opt.value === `${value}`)
+    ) {
+      el.appendChild(new Option(value, value));
+    }
+    el.value = value;
+  });
+  if (Array.isArray(state.pipeline)) setPipelineConfig(state.pipeline);
+  if (state.pipelineOptions) setPipelineOptions(state.pipelineOptions);
+  if (docList) {
+    (state.synthetic || []).forEach(([slot, counts]) => {
+      const textarea = slotTextarea(slot);
+      if (textarea) {
+        setSyntheticCounts(textarea, counts, pageStateHooks.update);
+      }
+    });
+  }
+  if (pageStateHooks.load) pageStateHooks.load(state.extra || {});
+  else pageStateHooks.update();
+  document.dispatchEvent(new Event("staterestore"));
+}
+
+// Restore the state in the URL hash, if any. Returns true when it did, so
+// setup() can skip its default computation.
+function restorePageState() {
+  if (!location.hash.startsWith(STATE_HASH_PREFIX)) return false;
+  pageStateHash = location.hash;
+  try {
+    const packed = location.hash.slice(STATE_HASH_PREFIX.length);
+    applyPageState(JSON.parse(unpackState(packed)));
+  } catch (e) {
+    setStateStatus(`Could not restore the linked state: ${e.message}`);
+    return false;
+  }
+  return true;
+}
+
+// Write the current state into the hash and return the page's address
+function writePageState() {
+  clearTimeout(pageStateTimer);
+  const hash =
+    STATE_HASH_PREFIX + packState(JSON.stringify(capturePageState()));
+  if (hash !== location.hash) {
+    pageStateHash = hash;
+    try {
+      history.replaceState(null, "", hash);
+    } catch (e) {
+      // Some browsers refuse for file:// pages; the link is still built
+    }
+  }
+  return location.href.split("#")[0] + hash;
+}
+
+// Update the hash shortly after the last edit rather than on every key
+function schedulePageStateWrite() {
+  clearTimeout(pageStateTimer);
+  pageStateTimer = setTimeout(writePageState, 400);
+}
+
+function setStateStatus(message) {
+  const status = document.getElementById("stateStatus");
+  if (status) status.textContent = message;
+}
+
+function copyPageLink() {
+  const url = writePageState();
+  const fallback = () => window.prompt("Copy this link:", url);
+  if (navigator.clipboard && window.isSecureContext) {
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setStateStatus("Link copied."), fallback);
+  } else {
+    fallback();
+  }
+}
+
+// Offer `text` as a file download
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Read an uploaded file and hand its text to `onText`; a file that cannot
+// be read, or that `onText` rejects by throwing, is reported in an alert
+function readTextFile(file, onText) {
+  file
+    .text()
+    .then(onText)
+    .catch((e) => alert(`Could not load ${file.name}: ${e.message}`));
+}
+
+function exportPageState() {
+  const json = JSON.stringify(capturePageState(), null, 2);
+  downloadText(`${pageName()}-preset.json`, json, "application/json");
+}
+
+// Load a preset saved by exportPageState() on the same page
+function importPageState(file) {
+  readTextFile(file, (text) => {
+    const state = JSON.parse(text);
+    if (!state || state.page !== pageName()) {
+      throw new Error(
+        state && state.page
+          ? `it is a preset for the ${state.page} page`
+          : "it is not a page preset"
+      );
+    }
+    applyPageState(state);
+    writePageState();
+    setStateStatus(`Loaded ${file.name}.`);
+  });
+}
+
+/*
+ * Keep the hash in step with the page and wire up the link and preset
+ * buttons. `update` recomputes the page after a state is applied; the
+ * optional `save` returns the page's own part of the state (plain JSON) and
+ * `load` applies it and recomputes instead of `update`.
+ */
+function initPageState(update, { save, load } = {}) {
+  pageStateHooks = { update, save, load };
+  const main = document.querySelector("main");
+  ["input", "change", "click"].forEach((type) =>
+    main.addEventListener(type, schedulePageStateWrite)
+  );
+  window.addEventListener("hashchange", () => {
+    if (location.hash !== pageStateHash) restorePageState();
+  });
+  document
+    .getElementById("copyLinkBtn")
+    .addEventListener("click", copyPageLink);
+  document
+    .getElementById("exportStateBtn")
+    .addEventListener("click", exportPageState);
+  const fileInput = document.getElementById("importStateFile");
+  document
+    .getElementById("importStateBtn")
+    .addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files.length > 0) importPageState(fileInput.files[0]);
+    fileInput.value = "";
+  });
+}
@@ -0,0 +1,240 @@
+/*
+ * Text pipeline
+ *
+ * A configurable, DOM-free tokenization pipeline shared by every page. Raw
+ * text is split into candidate tokens (letters, digits, combining marks and
+ * apostrophes), then passed through an ordered list of stages, each of
+ * which can be switched on or off: lowercasing, Unicode NFKC and diacritic
+ * folding, apostrophe handling, stop-word removal, lemmatization, Porter
+ * stemming and word n-grams. Because the order is configurable, students can
+ * see for example that removing stop words before lowercasing misses "The".
+ *
+ * Token-level stages return the new text plus a trace of what changed, so
+ * the tokenization page can animate each stage; the scoring pages only need
+ * the resulting strings from run().
+ *
+ * Packaged like retrieval_core.js: a <script> tag defines the global
+ * `TextPipeline` and Node's `require` returns the same object. It relies on
+ * morphology.js and stopwords.js being loaded first (or resolvable by
+ * `require`).
+ */
+
+(function (root, factory) {
+  const load = (name, file) =>
+    root[name] || (typeof require === "function" ? require(file) : null);
+  const pipeline = factory(
+    load("Morphology", "./morphology.js"),
+    load("StopWords", "./stopwords.js")
+  );
+  if (typeof module === "object" && module.exports) {
+    module.exports = pipeline;
+  }
+  root.TextPipeline = pipeline;
+})(typeof globalThis !== "undefined" ? globalThis : this, function (
+  Morphology,
+  StopWords
+) {
+  // The tokenization page's original stop-word list
+  const DEFAULT_STOP_WORDS = StopWords.PRESETS.minimal.words;
+
+  // Stop-word lists as Sets, built once per list rather than scanned for
+  // every token
+  const stopWordSets = new WeakMap();
+  function stopWordSet(words) {
+    if (!stopWordSets.has(words)) stopWordSets.set(words, new Set(words));
+    return stopWordSets.get(words);
+  }
+
+  // The tokenization page's original lemma dictionary, { lemma: [forms] }
+  const DEFAULT_EXCEPTIONS = {
+    bob: ["bob", "bobs", "bob's", "bob’s"],
+    run: ["run", "runs", "running", "ran"],
+    bike: ["bike", "bikes", "bike's", "bike’s"],
+    fox: ["fox", "foxes"],
+    dog: ["dog", "dogs"],
+  };
+
+  /*
+   * Stages, in their default order. `map` stages transform one token at a
+   * time and return { text, trace } (or null to drop the token); `expand`
+   * stages see the whole token list. `options` is the object passed to run().
+   */
+  const STAGES = {
+    lowercase: {
+      name: "lowercase",
+      map: (t) => ({ text: t.toLowerCase(), trace: ["lowercase"] }),
+    },
+    fold: {
+      name: "NFKC + diacritic folding",
+      map: (t) => ({
+        text: t
+          .normalize("NFKC")
+          .normalize("NFD")
+          .replace(/\p{M}+/gu, "")
+          .normalize("NFC"),
+        trace: ["fold"],
+      }),
+    },
+    apostrophes: {
+      name: "apostrophes (’ → ', drop possessive 's)",
+      map: (t) => {
+        const text = t
+          .replace(/’/g, "'")
+          .replace(/'s$/i, "")
+          .replace(/^'+|'+$/g, "");
+        return text.length > 0 ? { text, trace: ["apostrophe"] } : null;
+      },
+    },
+    stopwords: {
+      name: "remove stop words",
+      map: (t, options) =>
+        stopWordSet(options.stopWords || DEFAULT_STOP_WORDS).has(t)
+          ? null
+          : { text: t, trace: [] },
+    },
+    lemmatize: {
+      name: "lemmatize",
+      map: (t, options) => {
+        const { lemma, trace } = Morphology.lemmatize(
+          t,
+          options.exceptions || DEFAULT_EXCEPTIONS
+        );
+        return { text: lemma, trace };
+      },
+    },
+    stem: {
+      name: "Porter stem",
+      map: (t) => {
+        const { stem, trace } = Morphology.porterStem(t);
+        return { text: stem, trace };
+      },
+    },
+    ngrams: {
+      name: "add word n-grams",
+      // Keep the unigrams and append every run of n tokens joined by "_"
+      expand: (tokens, options) => {
+        const n = options.n || 2;
+        const grams = [];
+        for (let i = 0; i + n <= tokens.length; i++) {
+          grams.push(tokens.slice(i, i + n).join("_"));
+        }
+        return tokens.concat(grams);
+      },
+    },
+  };
+
+  // Default configuration: lowercase only, as the pages always tokenized
+  const DEFAULT_PIPELINE = [
+    { id: "lowercase", enabled: true },
+    { id: "fold", enabled: false },
+    { id: "apostrophes", enabled: false },
+    { id: "stopwords", enabled: false },
+    { id: "lemmatize", enabled: false },
+    { id: "stem", enabled: false },
+    { id: "ngrams", enabled: false, n: 2 },
+  ];
+
+  /*
+   * Split raw text into candidate tokens. Straight apostrophes stay inside
+   * words; curly ones only when `config` has the apostrophe stage on to
+   * tidy them, so by default "Alice’s" splits into "Alice" and "s".
+   */
+  function splitText(str, config = DEFAULT_PIPELINE) {
+    const curly = config.some((s) => s.id === "apostrophes" && s.enabled);
+    return str
+      .split(curly ? /[^\p{L}\p{N}\p{M}'’]+/u : /[^\p{L}\p{N}\p{M}']+/u)
+      .filter((t) => /[\p{L}\p{N}]/u.test(t));
+  }
+
+  // Apply one stage to a list of token strings
+  function applyStage(tokens, step, options = {}) {
+    const stage = STAGES[step.id];
+    const stageOptions = Object.assign({}, options, step);
+    if (stage.expand) return stage.expand(tokens, stageOptions);
+    return tokens
+      .map((t) => stage.map(t, stageOptions))
+      .filter((r) => r !== null && r.text.length > 0)
+      .map((r) => r.text);
+  }
+
+  /*
+   * Tokenize `text` with the enabled stages of `config`, in order.
+   * `options` may carry a custom `stopWords` list and lemmatizer
+   * `exceptions` dictionary; without them the defaults above are used.
+   */
+  function run(text, config = DEFAULT_PIPELINE, options = {}) {
+    return runWithPositions(text, config, options).tokens;
+  }
+
+  /*
+   * run() that also returns, for every token, the position of the word it
+   * came from in the split text. The positions keep the gaps left by
+   * removed words, so a positional index can tell "bike shop" from "bike
+   * of the shop". An n-gram takes the position of its first word.
+   */
+  function runWithPositions(text, config = DEFAULT_PIPELINE, options = {}) {
+    let tokens = splitText(text, config);
+    let positions = tokens.map((_, pos) => pos);
+    config
+      .filter((step) => step.enabled)
+      .forEach((step) => {
+        const stage = STAGES[step.id];
+        const stageOptions = Object.assign({}, options, step);
+        if (stage.expand) {
+          // New tokens are appended, one for each token they start at
+          const expanded = stage.expand(tokens, stageOptions);
+          positions = positions.concat(
+            positions.slice(0, expanded.length - tokens.length)
+          );
+          tokens = expanded;
+          return;
+        }
+        const kept = [];
+        const keptPositions = [];
+        tokens.forEach((t, k) => {
+          const r = stage.map(t, stageOptions);
+          if (r === null || r.text.length === 0) return;
+          kept.push(r.text);
+          keptPositions.push(positions[k]);
+        });
+        tokens = kept;
+        positions = keptPositions;
+      });
+    return { tokens, positions };
+  }
+
+  // Human-readable summary such as "lowercase → apostrophes → Porter stem"
+  function describe(config) {
+    const enabled = config.filter((step) => step.enabled);
+    if (enabled.length === 0) return "split only";
+    return enabled
+      .map((step) =>
+        step.id === "ngrams"
+          ? `${step.n || 2}-grams`
+          : STAGES[step.id].name.split(" (")[0]
+      )
+      .join(" → ");
+  }
+
+  // Fill in stages missing from a stored configuration and drop unknown ones
+  function normalizeConfig(config) {
+    const known = (config || []).filter((step) => step && STAGES[step.id]);
+    const missing = DEFAULT_PIPELINE.filter(
+      (d) => !known.some((step) => step.id === d.id)
+    ).map((d) => Object.assign({}, d, { enabled: false }));
+    return known.concat(missing);
+  }
+
+  return {
+    STAGES,
+    DEFAULT_PIPELINE,
+    DEFAULT_STOP_WORDS,
+    DEFAULT_EXCEPTIONS,
+    splitText,
+    applyStage,
+    run,
+    runWithPositions,
+    describe,
+    normalizeConfig,
+  };
+});
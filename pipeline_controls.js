@@ -0,0 +1,198 @@
+/*
+ * Pipeline builder controls
+ *
+ * Renders the shared tokenization pipeline (pipeline.js) into the
+ * `#pipelineControls` element: one row per stage with a checkbox to switch
+ * it on or off and arrows to move it up or down. The configuration is kept
+ * in localStorage so every page tokenizes the same way, and pages call
+ * tokenizeWithPipeline() wherever they used to split text themselves. The
+ * stop-word list and lemma exception dictionary, edited on the tokenization
+ * page, are stored beside it as the stages' options, so they apply on every
+ * page too. textareaWords() and matchingTerm() find which words of a text
+ * box become a given term, for the pages that highlight terms in the text.
+ */
+
+const PIPELINE_STORAGE_KEY = "retrieval-visualizers.pipeline";
+const PIPELINE_OPTIONS_KEY = "retrieval-visualizers.pipeline-options";
+
+let pipelineConfig = loadPipelineConfig();
+// Options of the pipeline's stages: { stopWords, exceptions }
+let pipelineOptions = loadPipelineOptions();
+
+function loadPipelineConfig() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PIPELINE_STORAGE_KEY));
+    if (Array.isArray(stored)) return TextPipeline.normalizeConfig(stored);
+  } catch (e) {
+    // Storage can be unavailable (e.g. file:// in some browsers)
+  }
+  return TextPipeline.DEFAULT_PIPELINE.map((step) => Object.assign({}, step));
+}
+
+function savePipelineConfig() {
+  try {
+    localStorage.setItem(PIPELINE_STORAGE_KEY, JSON.stringify(pipelineConfig));
+  } catch (e) {
+    // Ignore: the pipeline still works for this page
+  }
+}
+
+function loadPipelineOptions() {
+  const options = {
+    stopWords: TextPipeline.DEFAULT_STOP_WORDS,
+    exceptions: TextPipeline.DEFAULT_EXCEPTIONS,
+  };
+  try {
+    const stored = JSON.parse(localStorage.getItem(PIPELINE_OPTIONS_KEY));
+    if (stored && Array.isArray(stored.stopWords)) {
+      options.stopWords = stored.stopWords;
+    }
+    const exceptions = stored && stored.exceptions;
+    if (exceptions && typeof exceptions === "object") {
+      options.exceptions = exceptions;
+    }
+  } catch (e) {
+    // Storage can be unavailable; the defaults still work
+  }
+  return options;
+}
+
+// Replace some of the stage options, e.g. { exceptions }, and remember them
+function setPipelineOptions(changes) {
+  pipelineOptions = Object.assign({}, pipelineOptions, changes);
+  try {
+    localStorage.setItem(PIPELINE_OPTIONS_KEY, JSON.stringify(pipelineOptions));
+  } catch (e) {
+    // Ignore: the options still apply on this page
+  }
+}
+
+// Tokenize text with the active pipeline and stage options
+function tokenizeWithPipeline(text, options = pipelineOptions) {
+  return TextPipeline.run(text, pipelineConfig, options);
+}
+
+// Tokens with the positions of the words they came from, for positional
+// indexes (see TextPipeline.runWithPositions)
+function tokenizeWithPositions(text, options = pipelineOptions) {
+  return TextPipeline.runWithPositions(text, pipelineConfig, options);
+}
+
+/*
+ * The words of a textarea, each with its [start, end) offsets and the
+ * tokens the pipeline turns it into on its own (its own text when the
+ * textarea holds synthetic counts), for finding terms in the text.
+ */
+function textareaWords(textarea) {
+  const words = [];
+  for (const m of textarea.value.matchAll(/[\p{L}\p{N}\p{M}'’]+/gu)) {
+    const tokens = textarea.syntheticCounts
+      ? [m[0]]
+      : tokenizeWithPipeline(m[0]);
+    const end = m.index + m[0].length;
+    words.push({ text: m[0], start: m.index, end, tokens });
+  }
+  return words;
+}
+
+// The first of `terms` a word's tokens match, either exactly or, for an
+// n-gram term, by one of its words; null if none does
+function matchingTerm(tokens, terms) {
+  return (
+    terms.find((t) => tokens.includes(t)) ||
+    terms.find((t) => t.split("_").some((part) => tokens.includes(part))) ||
+    null
+  );
+}
+
+function pipelineSummary() {
+  return TextPipeline.describe(pipelineConfig);
+}
+
+function renderPipelineControls(onChange) {
+  const container = document.getElementById("pipelineControls");
+  const list = container.querySelector("ol");
+  list.innerHTML = "";
+  const changed = () => {
+    savePipelineConfig();
+    renderPipelineControls(onChange);
+    onChange();
+  };
+  pipelineConfig.forEach((step, i) => {
+    const li = document.createElement("li");
+    li.className = step.enabled ? "stage enabled" : "stage";
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = step.enabled;
+    box.addEventListener("change", () => {
+      step.enabled = box.checked;
+      changed();
+    });
+    label.append(box, ` ${TextPipeline.STAGES[step.id].name}`);
+    li.appendChild(label);
+    if (step.id === "ngrams") {
+      // n-gram size
+      const size = document.createElement("select");
+      [2, 3].forEach((n) => {
+        const opt = document.createElement("option");
+        opt.value = n;
+        opt.textContent = `n = ${n}`;
+        size.appendChild(opt);
+      });
+      size.value = step.n || 2;
+      size.addEventListener("change", () => {
+        step.n = parseInt(size.value, 10);
+        changed();
+      });
+      li.appendChild(size);
+    }
+    const move = (delta, symbol, title) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "stage-move";
+      btn.textContent = symbol;
+      btn.title = title;
+      btn.disabled = i + delta < 0 || i + delta >= pipelineConfig.length;
+      btn.addEventListener("click", () => {
+        const [moved] = pipelineConfig.splice(i, 1);
+        pipelineConfig.splice(i + delta, 0, moved);
+        changed();
+      });
+      return btn;
+    };
+    li.append(move(-1, "↑", "Move earlier"), move(1, "↓", "Move later"));
+    list.appendChild(li);
+  });
+  const summary = container.querySelector(".pipeline-summary");
+  if (summary) summary.textContent = pipelineSummary();
+}
+
+// Callback given to initPipelineControls
+let pipelineChanged = () => {};
+
+// Replace the configuration, e.g. from a shared link, without recomputing
+function setPipelineConfig(config) {
+  pipelineConfig = TextPipeline.normalizeConfig(config);
+  savePipelineConfig();
+  renderPipelineControls(pipelineChanged);
+}
+
+/*
+ * Build the pipeline controls and call `onChange` whenever a stage is
+ * toggled, reordered or reconfigured.
+ */
+function initPipelineControls(onChange) {
+  pipelineChanged = onChange;
+  renderPipelineControls(onChange);
+  document
+    .getElementById("pipelineReset")
+    .addEventListener("click", () => {
+      pipelineConfig = TextPipeline.DEFAULT_PIPELINE.map((step) =>
+        Object.assign({}, step)
+      );
+      savePipelineConfig();
+      renderPipelineControls(onChange);
+      onChange();
+    });
+}
@@ -0,0 +1,1306 @@
+/*
+ * Retrieval core
+ *
+ * Headless implementations of the maths behind the visualizers: tokenization,
+ * vocabulary construction, term-count vectors, dot product and cosine
+ * similarity, TF‑IDF weighting, Okapi BM25 scoring, inverted indexes with
+ * posting-list compression, and ranking evaluation metrics. Nothing in this
+ * file touches the DOM or p5.js, so the same functions can be unit tested in
+ * Node or reused in other course material.
+ *
+ * The file is a small UMD bundle: loaded with a <script> tag it defines the
+ * global `RetrievalCore`, required from Node it exports the same object, and
+ * `retrieval_core.mjs` re-exports it as an ES module.
+ */
+
+(function (root, factory) {
+  const core = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = core;
+  }
+  root.RetrievalCore = core;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  // Process text: lowercase, split on non‑word characters
+  function textToTokens(str) {
+    return str
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}']+/u)
+      .filter((t) => t.length > 0);
+  }
+
+  // Unique terms across several token lists, in order of first appearance
+  function buildVocabulary(tokenLists) {
+    const vocabSet = new Set();
+    tokenLists.forEach((tokens) => {
+      tokens.forEach((t) => vocabSet.add(t));
+    });
+    return Array.from(vocabSet);
+  }
+
+  // Map each term to the number of times it occurs in the token list
+  function termCounts(tokens) {
+    const counts = new Map();
+    tokens.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+    return counts;
+  }
+
+  // Raw term-frequency vector of the tokens over the given vocabulary
+  function vectorize(tokens, vocab) {
+    const counts = termCounts(tokens);
+    return vocab.map((term) => counts.get(term) || 0);
+  }
+
+  function dot(a, b) {
+    return a.reduce((sum, v, i) => sum + v * b[i], 0);
+  }
+
+  function magnitude(vec) {
+    return Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
+  }
+
+  // Cosine similarity; defined as 0 when either vector is all zeros
+  function cosine(a, b) {
+    const aMag = magnitude(a);
+    const bMag = magnitude(b);
+    return aMag === 0 || bMag === 0 ? 0 : dot(a, b) / (aMag * bMag);
+  }
+
+  // Number of token lists that contain each vocabulary term
+  function documentFrequencies(vocab, docs) {
+    const docSets = docs.map((doc) => new Set(doc));
+    return vocab.map((term) =>
+      docSets.reduce((count, set) => (set.has(term) ? count + 1 : count), 0)
+    );
+  }
+
+  /*
+   * Bag-of-words scoring: raw count vectors for the query and each document
+   * over their shared vocabulary, scored by dot product and cosine.
+   */
+  function scoreBagOfWords(queryTokens, docs) {
+    const vocab = buildVocabulary([queryTokens, ...docs]);
+    const queryVec = vectorize(queryTokens, vocab);
+    const docVecs = docs.map((doc) => vectorize(doc, vocab));
+    const scores = docVecs.map((vec) => ({
+      dot: dot(queryVec, vec),
+      cos: cosine(queryVec, vec),
+    }));
+    return { vocab, queryVec, docVecs, scores };
+  }
+
+  /*
+   * SMART weighting schemes. Each letter names one component of a
+   * "ddd.qqq" code (document triple, then query triple): term frequency,
+   * document frequency and normalization. The standard letters follow
+   * Manning et al. (Introduction to IR, table 6.15); "r" (count / length),
+   * "k" (BM25-style saturation) and "s" (smoothed IDF) are extensions so the
+   * visualizer's original weighting can be written as "rsn.rsn".
+   *
+   * TF functions receive the raw count and the text's { length, maxCount,
+   * avgLength }; IDF functions receive the document frequency and N.
+   */
+  const TF_SCHEMES = {
+    n: { name: "raw", fn: (tf) => tf },
+    l: { name: "log", fn: (tf) => (tf > 0 ? 1 + Math.log(tf) : 0) },
+    b: { name: "boolean", fn: (tf) => (tf > 0 ? 1 : 0) },
+    a: {
+      name: "augmented",
+      fn: (tf, ctx) => (tf > 0 ? 0.5 + (0.5 * tf) / ctx.maxCount : 0),
+    },
+    k: {
+      name: "BM25-style",
+      fn: (tf, ctx) =>
+        bm25TermWeight(
+          tf,
+          1.2,
+          0.75,
+          ctx.avgLength > 0 ? ctx.length / ctx.avgLength : 0
+        ),
+    },
+    r: {
+      name: "relative (count / length)",
+      fn: (tf, ctx) => (ctx.length > 0 ? tf / ctx.length : 0),
+    },
+  };
+
+  const IDF_SCHEMES = {
+    n: { name: "none", fn: () => 1 },
+    t: { name: "log(N/df)", fn: (nt, N) => (nt > 0 ? Math.log(N / nt) : 0) },
+    s: {
+      name: "smoothed log((N+1)/(df+1))",
+      fn: (nt, N) => Math.log((N + 1) / (nt + 1)),
+    },
+    p: {
+      name: "probabilistic max(0, log((N−df)/df))",
+      fn: (nt, N) =>
+        nt > 0 && N > nt ? Math.max(0, Math.log((N - nt) / nt)) : 0,
+    },
+  };
+
+  const NORM_SCHEMES = {
+    n: { name: "none", fn: (vec) => vec },
+    c: {
+      name: "cosine",
+      fn: (vec) => {
+        const mag = magnitude(vec);
+        return mag === 0 ? vec : vec.map((x) => x / mag);
+      },
+    },
+  };
+
+  const DEFAULT_SCHEME = {
+    doc: { tf: "r", idf: "s", norm: "n" },
+    query: { tf: "r", idf: "s", norm: "n" },
+  };
+
+  // "ltc.lnc" style code for a { doc, query } scheme
+  function smartCode(scheme) {
+    const triple = (w) => `${w.tf}${w.idf}${w.norm}`;
+    return `${triple(scheme.doc)}.${triple(scheme.query)}`;
+  }
+
+  // Inverse of smartCode; returns null for unknown letters
+  function parseSmartCode(code) {
+    const m = /^([a-z])([a-z])([a-z])\.([a-z])([a-z])([a-z])$/.exec(code);
+    if (!m) return null;
+    const doc = { tf: m[1], idf: m[2], norm: m[3] };
+    const query = { tf: m[4], idf: m[5], norm: m[6] };
+    const valid = (w) =>
+      w.tf in TF_SCHEMES && w.idf in IDF_SCHEMES && w.norm in NORM_SCHEMES;
+    return valid(doc) && valid(query) ? { doc, query } : null;
+  }
+
+  /*
+   * TF‑IDF weighting under a SMART scheme (default "rsn.rsn": TF is the
+   * count divided by the text length and IDF is the smoothed
+   * log((N + 1)/(n_t + 1)), without normalization). Document frequencies
+   * are always taken over the documents only. Scores are dot product and
+   * cosine similarity between the weighted query and document vectors. The
+   * raw counts, text lengths and average document length are returned too,
+   * for worked examples.
+   */
+  function computeTfIdf(queryTokens, docs, scheme = DEFAULT_SCHEME) {
+    const vocab = buildVocabulary([queryTokens, ...docs]);
+    const N = docs.length;
+    const df = documentFrequencies(vocab, docs);
+    const avgLength =
+      N > 0 ? docs.reduce((sum, d) => sum + d.length, 0) / N : 0;
+    const idfFor = (w) => df.map((nt) => IDF_SCHEMES[w.idf].fn(nt, N));
+    const idf = idfFor(scheme.doc);
+    const queryIdf = idfFor(scheme.query);
+    const queryCounts = vectorize(queryTokens, vocab);
+    const docsCounts = docs.map((doc) => vectorize(doc, vocab));
+    const termFrequencies = (tokens, counts, w, avg) => {
+      const ctx = {
+        length: tokens.length,
+        maxCount: Math.max(0, ...counts),
+        avgLength: avg,
+      };
+      return counts.map((count) => TF_SCHEMES[w.tf].fn(count, ctx));
+    };
+    // The query is its own average length, so BM25-style TF sees ratio 1
+    const queryTf = termFrequencies(
+      queryTokens,
+      queryCounts,
+      scheme.query,
+      queryTokens.length
+    );
+    const docsTf = docs.map((doc, d) =>
+      termFrequencies(doc, docsCounts[d], scheme.doc, avgLength)
+    );
+    const queryTfidf = NORM_SCHEMES[scheme.query.norm].fn(
+      queryTf.map((tf, i) => tf * queryIdf[i])
+    );
+    const docsTfidf = docsTf.map((tfVec) =>
+      NORM_SCHEMES[scheme.doc.norm].fn(tfVec.map((tf, i) => tf * idf[i]))
+    );
+    const scores = docsTfidf.map((docVec) => ({
+      dot: dot(docVec, queryTfidf),
+      cos: cosine(docVec, queryTfidf),
+    }));
+    return {
+      vocab,
+      N,
+      avgLength,
+      queryCounts,
+      docsCounts,
+      df,
+      idf,
+      queryIdf,
+      queryTf,
+      docsTf,
+      queryTfidf,
+      docsTfidf,
+      scores,
+    };
+  }
+
+  /*
+   * BM25 term-frequency component f·(k1 + 1)/(f + k1·(1 − b + b·|d|/avgdl)).
+   * It saturates towards k1 + 1 as f grows; `lengthRatio` is |d|/avgdl.
+   * The BM25L and BM25+ variants change the shape of this component and
+   * take the extra parameter δ; the Lucene variant drops the constant
+   * (k1 + 1) factor, as Lucene 8+ and Elasticsearch 7+ do, so it saturates
+   * towards 1 and gives the same ranking. BM25F shares the Okapi shape but
+   * feeds it a field-weighted pseudo-frequency (see computeBm25), so it is
+   * plotted as the Okapi curve.
+   */
+  function bm25TermWeight(
+    f,
+    k1,
+    b,
+    lengthRatio,
+    variant = "okapi",
+    delta = 0
+  ) {
+    if (f === 0) return 0;
+    const parts = bm25TermParts(f, k1, b, lengthRatio, variant, delta);
+    return parts.numerator / parts.denominator + parts.shift;
+  }
+
+  /*
+   * The pieces of bm25TermWeight for worked examples: the length
+   * normalization `norm` = 1 − b + b·|d|/avgdl, the fraction's `numerator`
+   * and `denominator`, and the `shift` added to it (δ for BM25+). BM25L
+   * also reports its length-normalized frequency `c`.
+   */
+  function bm25TermParts(
+    f,
+    k1,
+    b,
+    lengthRatio,
+    variant = "okapi",
+    delta = 0
+  ) {
+    const norm = 1 - b + b * lengthRatio;
+    if (variant === "bm25l") {
+      // Lv & Zhai: shift the length-normalized frequency by δ
+      const c = f / norm;
+      return {
+        norm,
+        c,
+        numerator: (k1 + 1) * (c + delta),
+        denominator: k1 + c + delta,
+        shift: 0,
+      };
+    }
+    return {
+      norm,
+      numerator: variant === "lucene" ? f : f * (k1 + 1),
+      denominator: f + k1 * norm,
+      shift: variant === "bm25plus" ? delta : 0,
+    };
+  }
+
+  const BM25_VARIANTS = {
+    okapi: { name: "Okapi BM25" },
+    bm25l: { name: "BM25L", usesDelta: true, defaultDelta: 0.5 },
+    bm25plus: { name: "BM25+", usesDelta: true, defaultDelta: 1 },
+    lucene: { name: "Lucene/Elasticsearch (no k₁ + 1 factor)" },
+    bm25f: { name: "BM25F (title line + body)" },
+  };
+
+  /*
+   * IDF formulas used with BM25, as functions of the document frequency n
+   * and the collection size N. Only "rsj" can go negative (for terms in more
+   * than half of the documents).
+   */
+  const BM25_IDF_SCHEMES = {
+    smoothed: {
+      name: "log((N+0.5)/(n+0.5))",
+      fn: (n, N) => Math.log((N + 0.5) / (n + 0.5)),
+    },
+    lucene: {
+      name: "Lucene/Elasticsearch log(1+(N−n+0.5)/(n+0.5))",
+      fn: (n, N) => Math.log(1 + (N - n + 0.5) / (n + 0.5)),
+    },
+    rsj: {
+      name: "Robertson–Spärck Jones log((N−n+0.5)/(n+0.5))",
+      fn: (n, N) => Math.log((N - n + 0.5) / (n + 0.5)),
+    },
+  };
+
+  /*
+   * BM25 scoring. Only query terms are scored. By default this is Okapi
+   * BM25 with the smoothed IDF log((N + 0.5)/(n_t + 0.5)), which stays
+   * positive for terms found in fewer than all documents. `params` may pick
+   * another `variant` (a key of BM25_VARIANTS, with `delta` for BM25L/BM25+)
+   * and `idf` formula (a key of BM25_IDF_SCHEMES). BM25F additionally reads
+   * `fields` (per document, a list of token lists) and `fieldWeights`.
+   * Returns per-document scores together with each query term's
+   * contribution to them and its raw frequency in the document, and the
+   * parts of each nonzero contribution's term weight (see bm25TermParts;
+   * for BM25F they also carry the pseudo-frequency `pf`). An optional
+   * `queryWeights` object scales each term's contributions, e.g. after
+   * relevance feedback; terms missing from it weigh 1.
+   */
+  function computeBm25(queryTokens, docs, params = {}) {
+    const k1 = params.k1 !== undefined ? params.k1 : 1.2;
+    const b = params.b !== undefined ? params.b : 0.75;
+    const variant = params.variant || "okapi";
+    const idfScheme = BM25_IDF_SCHEMES[params.idf || "smoothed"];
+    const delta =
+      params.delta !== undefined
+        ? params.delta
+        : BM25_VARIANTS[variant].defaultDelta || 0;
+    const N = docs.length;
+    const vocab = buildVocabulary([queryTokens]);
+    const dfList = documentFrequencies(vocab, docs);
+    const df = {};
+    const idf = {};
+    vocab.forEach((term, i) => {
+      df[term] = dfList[i];
+      idf[term] = idfScheme.fn(dfList[i], N);
+    });
+    const docLengths = docs.map((doc) => doc.length);
+    const avgDocLength =
+      N > 0 ? docLengths.reduce((a, c) => a + c, 0) / N : 0;
+    // BM25F: each field is length-normalized against its own average length
+    const fields =
+      variant === "bm25f" ? params.fields || docs.map((doc) => [doc]) : null;
+    const fieldWeights = params.fieldWeights || [2, 1];
+    const queryWeights = params.queryWeights || {};
+    const avgFieldLengths = [];
+    if (fields) {
+      const numFields = Math.max(0, ...fields.map((f) => f.length));
+      for (let j = 0; j < numFields; j++) {
+        const total = fields.reduce((sum, f) => sum + (f[j] || []).length, 0);
+        avgFieldLengths.push(N > 0 ? total / N : 0);
+      }
+    }
+    const pseudoFrequency = (term, docFields) =>
+      docFields.reduce((sum, tokens, j) => {
+        const f = tokens.filter((t) => t === term).length;
+        if (f === 0) return sum;
+        const ratio =
+          avgFieldLengths[j] > 0 ? tokens.length / avgFieldLengths[j] : 0;
+        const weight = fieldWeights[j] !== undefined ? fieldWeights[j] : 1;
+        return sum + (weight * f) / (1 - b + b * ratio);
+      }, 0);
+    const scores = [];
+    const termContribs = [];
+    const termFreqs = [];
+    const termParts = [];
+    docs.forEach((doc, idx) => {
+      const counts = termCounts(doc);
+      const lengthRatio = avgDocLength > 0 ? docLengths[idx] / avgDocLength : 0;
+      let score = 0;
+      const contribs = {};
+      const freqs = {};
+      const parts = {};
+      vocab.forEach((term) => {
+        const f = counts.get(term) || 0;
+        freqs[term] = f;
+        if (f === 0) {
+          contribs[term] = 0;
+          return;
+        }
+        if (fields) {
+          const pf = pseudoFrequency(term, fields[idx]);
+          parts[term] = {
+            pf,
+            numerator: pf * (k1 + 1),
+            denominator: k1 + pf,
+            shift: 0,
+          };
+        } else {
+          parts[term] = bm25TermParts(f, k1, b, lengthRatio, variant, delta);
+        }
+        const { numerator, denominator, shift } = parts[term];
+        const qw = queryWeights[term] !== undefined ? queryWeights[term] : 1;
+        const termScore = qw * idf[term] * (numerator / denominator + shift);
+        contribs[term] = termScore;
+        score += termScore;
+      });
+      scores.push(score);
+      termContribs.push(contribs);
+      termFreqs.push(freqs);
+      termParts.push(parts);
+    });
+    return {
+      vocab,
+      N,
+      df,
+      idf,
+      docLengths,
+      avgDocLength,
+      scores,
+      termContribs,
+      termFreqs,
+      termParts,
+    };
+  }
+
+  /*
+   * BM25 scores over a grid of parameter values, for a k1 × b sweep: every
+   * pair from `k1Values` and `bValues` is scored by computeBm25 with the
+   * rest of `params` unchanged. Returns `scores[i][j]`, the document scores
+   * for k1Values[i] and bValues[j].
+   */
+  function bm25Sweep(queryTokens, docs, params, k1Values, bValues) {
+    return k1Values.map((k1) =>
+      bValues.map(
+        (b) => computeBm25(queryTokens, docs, { ...params, k1, b }).scores
+      )
+    );
+  }
+
+  /*
+   * Smoothing methods for query-likelihood retrieval, with the parameter
+   * each one reads: Jelinek–Mercer mixes in a fixed share λ of the
+   * collection model, Dirichlet adds μ pseudo-counts spread like the
+   * collection, so long documents are smoothed less than short ones.
+   */
+  const LM_SMOOTHING = {
+    jm: { name: "Jelinek–Mercer", param: "lambda" },
+    dirichlet: { name: "Dirichlet", param: "mu" },
+  };
+
+  /*
+   * Smoothed probability P(t | d) of a term occurring f times in a document
+   * of `length` tokens, given its collection probability P(t | C):
+   * (1 − λ)·f/|d| + λ·P(t | C) for Jelinek–Mercer and
+   * (f + μ·P(t | C))/(|d| + μ) for Dirichlet.
+   */
+  function lmTermProbability(f, length, collectionProb, params = {}) {
+    if (params.smoothing === "jm") {
+      const lambda = params.lambda !== undefined ? params.lambda : 0.1;
+      const ml = length > 0 ? f / length : 0;
+      return (1 - lambda) * ml + lambda * collectionProb;
+    }
+    const mu = params.mu !== undefined ? params.mu : 2000;
+    if (length + mu === 0) return collectionProb;
+    return (f + mu * collectionProb) / (length + mu);
+  }
+
+  /*
+   * Query-likelihood scoring: each document is a unigram language model and
+   * scores log P(q | d) = Σ_t c(t, q)·log P(t | d), where c(t, q) counts the
+   * term in the query. `params.smoothing` is a key of LM_SMOOTHING (default
+   * "dirichlet") with `lambda` (default 0.1) or `mu` (default 2000). Returns
+   * per-document scores with each query term's contribution, its frequency,
+   * its maximum-likelihood probability f/|d| and its smoothed probability,
+   * plus the collection model P(t | C) = cf(t)/|C|. `unsmoothedScores` are
+   * the scores without smoothing, −Infinity for documents missing a query
+   * term. Query terms found nowhere in the collection would lower every
+   * score alike and are left out, listed in `unseen`.
+   */
+  function computeQueryLikelihood(queryTokens, docs, params = {}) {
+    const smoothing = params.smoothing || "dirichlet";
+    const collectionCounts = termCounts(docs.flat());
+    const collectionLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+    const queryTermCounts = termCounts(queryTokens);
+    const terms = buildVocabulary([queryTokens]);
+    const vocab = terms.filter((term) => collectionCounts.has(term));
+    const unseen = terms.filter((term) => !collectionCounts.has(term));
+    const queryCounts = {};
+    const collectionFreqs = {};
+    const collectionProbs = {};
+    vocab.forEach((term) => {
+      queryCounts[term] = queryTermCounts.get(term);
+      collectionFreqs[term] = collectionCounts.get(term);
+      collectionProbs[term] = collectionFreqs[term] / collectionLength;
+    });
+    const docLengths = docs.map((doc) => doc.length);
+    const scores = [];
+    const unsmoothedScores = [];
+    const termContribs = [];
+    const termFreqs = [];
+    const mlProbs = [];
+    const termProbs = [];
+    docs.forEach((doc, idx) => {
+      const counts = termCounts(doc);
+      const length = docLengths[idx];
+      let score = 0;
+      let unsmoothed = 0;
+      const contribs = {};
+      const freqs = {};
+      const ml = {};
+      const probs = {};
+      vocab.forEach((term) => {
+        const f = counts.get(term) || 0;
+        freqs[term] = f;
+        ml[term] = length > 0 ? f / length : 0;
+        probs[term] = lmTermProbability(f, length, collectionProbs[term], {
+          ...params,
+          smoothing,
+        });
+        contribs[term] = queryCounts[term] * Math.log(probs[term]);
+        score += contribs[term];
+        unsmoothed += queryCounts[term] * Math.log(ml[term]);
+      });
+      scores.push(score);
+      unsmoothedScores.push(unsmoothed);
+      termContribs.push(contribs);
+      termFreqs.push(freqs);
+      mlProbs.push(ml);
+      termProbs.push(probs);
+    });
+    return {
+      vocab,
+      unseen,
+      queryCounts,
+      collectionLength,
+      collectionFreqs,
+      collectionProbs,
+      docLengths,
+      scores,
+      unsmoothedScores,
+      termContribs,
+      termFreqs,
+      mlProbs,
+      termProbs,
+    };
+  }
+
+  /*
+   * Rocchio relevance feedback: move the query vector towards the centroid
+   * of the relevant documents and away from that of the non-relevant ones,
+   * q' = α·q + β·mean(relevant) − γ·mean(non-relevant). All vectors share
+   * the same axes; negative weights are clipped to 0. `params` may set
+   * `alpha` (default 1), `beta` (0.75) and `gamma` (0.15).
+   */
+  function rocchio(query, relevant, nonRelevant, params = {}) {
+    const alpha = params.alpha !== undefined ? params.alpha : 1;
+    const beta = params.beta !== undefined ? params.beta : 0.75;
+    const gamma = params.gamma !== undefined ? params.gamma : 0.15;
+    const centroid = (vecs) =>
+      query.map((_, i) =>
+        vecs.length > 0
+          ? vecs.reduce((sum, vec) => sum + vec[i], 0) / vecs.length
+          : 0
+      );
+    const rel = centroid(relevant);
+    const nonRel = centroid(nonRelevant);
+    return query.map((q, i) =>
+      Math.max(0, alpha * q + beta * rel[i] - gamma * nonRel[i])
+    );
+  }
+
+  /*
+   * Query expansion from a modified query vector: every term of the
+   * original query keeps its new weight, but of the terms the original did
+   * not have only the `limit` heaviest are added.
+   */
+  function expandQuery(original, modified, limit) {
+    const added = modified
+      .map((_, i) => i)
+      .filter((i) => original[i] === 0 && modified[i] > 0)
+      .sort((a, b) => modified[b] - modified[a])
+      .slice(0, limit);
+    return modified.map((w, i) =>
+      original[i] !== 0 || added.includes(i) ? w : 0
+    );
+  }
+
+  /*
+   * Eigenvalues and eigenvectors of a small symmetric matrix by cyclic
+   * Jacobi rotations, largest eigenvalue first. Each eigenvector is a
+   * column of the returned `vectors`, stored as vectors[c] for column c.
+   */
+  function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map((row) => row.slice());
+    const v = a.map((_, i) => a.map((_, j) => (i === j ? 1 : 0)));
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let off = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) off += a[i][j] ** 2;
+      }
+      if (off < 1e-20) break;
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (Math.abs(a[p][q]) < 1e-15) continue;
+          // Rotation angle that zeroes a[p][q]
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t =
+            Math.sign(theta || 1) /
+            (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+          for (let k = 0; k < n; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k++) {
+            const vkp = v[k][p];
+            const vkq = v[k][q];
+            v[k][p] = c * vkp - s * vkq;
+            v[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+    const order = a.map((_, i) => i).sort((x, y) => a[y][y] - a[x][x]);
+    return {
+      values: order.map((i) => a[i][i]),
+      vectors: order.map((i) => v.map((row) => row[i])),
+    };
+  }
+
+  /*
+   * Project vectors onto their top `dims` singular directions (a truncated
+   * SVD, as in latent semantic indexing). The data are not centred, so the
+   * projection keeps the origin and the arrows drawn from it. Returns
+   * { coords, components, singularValues }: each vector's coordinates, and
+   * each direction as a weight per vocabulary term.
+   */
+  function svdProject(vectors, dims) {
+    const width = vectors.length > 0 ? vectors[0].length : 0;
+    // Eigenvectors of the small Gram matrix A·Aᵀ are the left singular
+    // vectors of A, so the vocabulary size never matters
+    const gram = vectors.map((a) => vectors.map((b) => dot(a, b)));
+    const { values, vectors: left } = symmetricEigen(gram);
+    const coords = vectors.map(() => []);
+    const components = [];
+    const singularValues = [];
+    for (let c = 0; c < dims; c++) {
+      const sigma = c < values.length ? Math.sqrt(Math.max(0, values[c])) : 0;
+      const u = sigma > 1e-12 ? left[c] : vectors.map(() => 0);
+      // Flip each direction so most of the vectors point along it
+      const sign = u.reduce((sum, x) => sum + x, 0) < 0 ? -1 : 1;
+      const component = new Array(width).fill(0);
+      vectors.forEach((vec, i) => {
+        coords[i].push(sign * u[i] * sigma);
+        vec.forEach((x, t) => {
+          component[t] += sigma > 0 ? (sign * u[i] * x) / sigma : 0;
+        });
+      });
+      components.push(component);
+      singularValues.push(sigma);
+    }
+    return { coords, components, singularValues };
+  }
+
+  // Up to `count` distinct integers from 1 to n, spaced evenly in log n
+  function logSpaced(n, count) {
+    const out = [];
+    if (n < 1) return out;
+    for (let i = 0; i < count; i++) {
+      const v = Math.round(n ** (i / Math.max(1, count - 1)));
+      if (out[out.length - 1] !== v) out.push(v);
+    }
+    return out;
+  }
+
+  /*
+   * Least-squares line through points [x, y] on log–log axes, i.e. the
+   * power law y ≈ constant·x^slope, with the r² of the fit. Null when the
+   * points do not span at least two x values.
+   */
+  function logLogFit(points) {
+    const xs = points.map(([x]) => Math.log(x));
+    const ys = points.map(([, y]) => Math.log(y));
+    const n = xs.length;
+    const mean = (vals) => vals.reduce((a, v) => a + v, 0) / n;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    xs.forEach((x, i) => {
+      sxx += (x - mx) ** 2;
+      sxy += (x - mx) * (ys[i] - my);
+      syy += (ys[i] - my) ** 2;
+    });
+    if (n < 2 || sxx === 0) return null;
+    const slope = sxy / sxx;
+    const r2 = syy > 0 ? (sxy * sxy) / (sxx * syy) : 1;
+    return { slope, constant: Math.exp(my - slope * mx), r2 };
+  }
+
+  /*
+   * Zipf's law: the term of rank r occurs about C/r^s times. Returns the
+   * term frequencies sorted from most to least frequent and the fitted
+   * `exponent` s, `constant` C and `r2`. The fit uses ranks spaced evenly
+   * on the log axis, so the long tail of terms seen once does not
+   * outweigh the head of the distribution. The fit is null for fewer than
+   * two distinct terms.
+   */
+  function zipfStatistics(tokens) {
+    const frequencies = Array.from(termCounts(tokens).values()).sort(
+      (a, b) => b - a
+    );
+    const fit = logLogFit(
+      logSpaced(frequencies.length, 50).map((r) => [r, frequencies[r - 1]])
+    );
+    return {
+      frequencies,
+      fit: fit && { exponent: -fit.slope, constant: fit.constant, r2: fit.r2 },
+    };
+  }
+
+  /*
+   * Heaps' law: after n tokens the vocabulary holds about K·n^β terms.
+   * Returns the vocabulary size after up to `samples` token counts spaced
+   * evenly on the log axis, as `growth` points [n, V], and the fitted K,
+   * β and r² (null for fewer than two tokens).
+   */
+  function heapsStatistics(tokens, samples = 100) {
+    const at = new Set(logSpaced(tokens.length, samples));
+    const seen = new Set();
+    const growth = [];
+    tokens.forEach((t, i) => {
+      seen.add(t);
+      if (at.has(i + 1)) growth.push([i + 1, seen.size]);
+    });
+    const fit = logLogFit(growth);
+    return {
+      growth,
+      fit: fit && { K: fit.constant, beta: fit.slope, r2: fit.r2 },
+    };
+  }
+
+  /*
+   * Best window of `size` consecutive words for a result snippet. `matches`
+   * holds, per word of the text, the query term it matches or null, and
+   * `weights` maps each term to its weight. A window scores the weights of
+   * the distinct terms in it, so covering more of the query beats
+   * repeating one term. Ties go to the window with more matches, then to
+   * one that opens on a match, then to the earliest. Returns
+   * { start, end, score }, `end` exclusive.
+   */
+  function bestSnippet(matches, weights, size) {
+    const span = Math.min(size, matches.length);
+    let best = { start: 0, end: span, score: 0, hits: 0, opensOnMatch: false };
+    for (let start = 0; start + span <= matches.length; start++) {
+      const found = matches
+        .slice(start, start + span)
+        .filter((term) => term !== null);
+      let score = 0;
+      new Set(found).forEach((term) => {
+        score += weights[term] || 0;
+      });
+      const hits = found.length;
+      const opensOnMatch = matches[start] !== null;
+      if (
+        score > best.score ||
+        (score === best.score &&
+          (hits > best.hits ||
+            (hits === best.hits && opensOnMatch && !best.opensOnMatch)))
+      ) {
+        best = { start, end: start + span, score, hits, opensOnMatch };
+      }
+    }
+    return { start: best.start, end: best.end, score: best.score };
+  }
+
+  // Rank of each score (1 = best); ties share the better rank
+  function ranks(scores) {
+    return scores.map((s) => 1 + scores.filter((o) => o > s).length);
+  }
+
+  /*
+   * Inverted index: a Map from term to its posting list, one posting
+   * { doc, tf, positions } per document containing the term. Documents are
+   * indexed in order, so every posting list stays sorted by doc ID.
+   */
+  function createInvertedIndex() {
+    return { postings: new Map(), numDocs: 0 };
+  }
+
+  // Add one token occurrence; reports whether it created a term or posting
+  function indexToken(index, doc, term, position) {
+    let list = index.postings.get(term);
+    const isNewTerm = list === undefined;
+    if (isNewTerm) {
+      list = [];
+      index.postings.set(term, list);
+    }
+    let posting = list[list.length - 1];
+    const isNewPosting = !posting || posting.doc !== doc;
+    if (isNewPosting) {
+      posting = { doc, tf: 0, positions: [] };
+      list.push(posting);
+    }
+    posting.tf++;
+    posting.positions.push(position);
+    index.numDocs = Math.max(index.numDocs, doc + 1);
+    return { term, posting, isNewTerm, isNewPosting };
+  }
+
+  /*
+   * Index a list of tokenized documents; doc IDs are their positions. The
+   * optional `positions[doc][k]` is the word position of token k, e.g. with
+   * the gaps of removed stop words; by default it is k.
+   */
+  function buildInvertedIndex(docs, positions = null) {
+    const index = createInvertedIndex();
+    docs.forEach((tokens, doc) => {
+      tokens.forEach((term, k) =>
+        indexToken(index, doc, term, positions ? positions[doc][k] : k)
+      );
+    });
+    index.numDocs = Math.max(index.numDocs, docs.length);
+    return index;
+  }
+
+  /*
+   * Skip pointers for a posting list of the given length: √L evenly spaced
+   * pointers, returned as [from, to] index pairs. Lists too short to gain
+   * anything (fewer than 4 postings) get none.
+   */
+  function skipPointers(length) {
+    if (length < 4) return [];
+    const step = Math.floor(Math.sqrt(length));
+    const pointers = [];
+    for (let i = 0; i + step < length; i += step) {
+      pointers.push([i, i + step]);
+    }
+    return pointers;
+  }
+
+  // Doc IDs stored as gaps: the first ID, then differences to the previous
+  function gapEncode(docIds) {
+    return docIds.map((id, i) => (i === 0 ? id : id - docIds[i - 1]));
+  }
+
+  function gapDecode(gaps) {
+    let id = 0;
+    return gaps.map((gap) => (id += gap));
+  }
+
+  /*
+   * Variable-byte code of a non-negative integer: 7 bits per byte, most
+   * significant group first, with the high bit set on the last byte only
+   * (Manning et al., Introduction to IR, section 5.3.1).
+   */
+  function vbEncode(n) {
+    const bytes = [];
+    do {
+      bytes.unshift(n % 128);
+      n = Math.floor(n / 128);
+    } while (n > 0);
+    bytes[bytes.length - 1] += 128;
+    return bytes;
+  }
+
+  function vbEncodeList(numbers) {
+    return numbers.flatMap(vbEncode);
+  }
+
+  function vbDecode(bytes) {
+    const numbers = [];
+    let n = 0;
+    bytes.forEach((byte) => {
+      if (byte < 128) {
+        n = n * 128 + byte;
+      } else {
+        numbers.push(n * 128 + (byte - 128));
+        n = 0;
+      }
+    });
+    return numbers;
+  }
+
+  /*
+   * Per-document statistics read off an inverted index, for scoring large
+   * collections from the postings alone: document lengths, their average
+   * and each document's largest term count.
+   */
+  function indexStats(index) {
+    const N = index.numDocs;
+    const docLengths = new Array(N).fill(0);
+    const maxCounts = new Array(N).fill(0);
+    index.postings.forEach((list) => {
+      list.forEach(({ doc, tf }) => {
+        docLengths[doc] += tf;
+        maxCounts[doc] = Math.max(maxCounts[doc], tf);
+      });
+    });
+    const avgDocLength =
+      N > 0 ? docLengths.reduce((sum, l) => sum + l, 0) / N : 0;
+    return { N, docLengths, avgDocLength, maxCounts, norms: {} };
+  }
+
+  // Binary search of a posting list (sorted by doc) for `doc`'s posting
+  function findPosting(list, doc) {
+    let lo = 0;
+    let hi = list.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].doc === doc) return list[mid];
+      if (list[mid].doc < doc) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return null;
+  }
+
+  /*
+   * Score a query from the postings of an inverted index, touching only the
+   * documents that contain a query term. `model` is { type: "bow" } (raw
+   * counts), { type: "tfidf", scheme } (a SMART scheme) or { type: "bm25",
+   * k1, b, variant, idf, delta } (BM25F needs fields and is not supported).
+   * bow and tfidf rank by cosine and also report the dot product; their
+   * cosine needs every document's vector length, computed once per
+   * weighting and cached in `stats.norms`.
+   *
+   * Returns { scores, dots, contribs, weight }: scores (and dots) for every
+   * document, a Map from each touched document to { term: share of its
+   * score }, and weight(term, doc), the document-side weight of any term.
+   */
+  function scoreIndexed(queryTokens, index, stats, model) {
+    const { N, docLengths, avgDocLength, maxCounts } = stats;
+    const queryTerms = buildVocabulary([queryTokens]);
+    const df = (term) => (index.postings.get(term) || []).length;
+    const tfOf = (term, doc) => {
+      const posting = findPosting(index.postings.get(term) || [], doc);
+      return posting ? posting.tf : 0;
+    };
+    const scores = new Array(N).fill(0);
+    const dots = new Array(N).fill(0);
+    const contribs = new Map();
+    const add = (doc, term, value) => {
+      if (!contribs.has(doc)) contribs.set(doc, {});
+      contribs.get(doc)[term] = value;
+    };
+
+    if (model.type === "bm25") {
+      const k1 = model.k1 !== undefined ? model.k1 : 1.2;
+      const b = model.b !== undefined ? model.b : 0.75;
+      const variant = model.variant === "bm25f" ? "okapi" : model.variant;
+      const idfFn = BM25_IDF_SCHEMES[model.idf || "smoothed"].fn;
+      const delta =
+        model.delta !== undefined
+          ? model.delta
+          : (BM25_VARIANTS[variant || "okapi"] || {}).defaultDelta || 0;
+      const idfOf = (term) => idfFn(df(term), N);
+      const weight = (term, doc) => {
+        const f = tfOf(term, doc);
+        const ratio = avgDocLength > 0 ? docLengths[doc] / avgDocLength : 0;
+        return idfOf(term) * bm25TermWeight(f, k1, b, ratio, variant, delta);
+      };
+      queryTerms.forEach((term) => {
+        const idf = idfOf(term);
+        (index.postings.get(term) || []).forEach(({ doc, tf }) => {
+          const ratio = avgDocLength > 0 ? docLengths[doc] / avgDocLength : 0;
+          const value =
+            idf * bm25TermWeight(tf, k1, b, ratio, variant, delta);
+          scores[doc] += value;
+          add(doc, term, value);
+        });
+      });
+      return { scores, dots: null, contribs, weight };
+    }
+
+    // Bag of words is TF-IDF with raw counts and no IDF
+    const scheme =
+      model.type === "tfidf"
+        ? model.scheme
+        : {
+            doc: { tf: "n", idf: "n", norm: "n" },
+            query: { tf: "n", idf: "n", norm: "n" },
+          };
+    const docTf = TF_SCHEMES[scheme.doc.tf].fn;
+    const docIdf = IDF_SCHEMES[scheme.doc.idf].fn;
+    const docCtx = (doc) => ({
+      length: docLengths[doc],
+      maxCount: maxCounts[doc],
+      avgLength: avgDocLength,
+    });
+    const rawWeight = (term, tf, doc) =>
+      docTf(tf, docCtx(doc)) * docIdf(df(term), N);
+    // Length of every document's weighted vector, over all of its terms
+    const normKey = `${scheme.doc.tf}${scheme.doc.idf}`;
+    if (!stats.norms[normKey]) {
+      const sq = new Array(N).fill(0);
+      index.postings.forEach((list, term) => {
+        list.forEach(({ doc, tf }) => {
+          sq[doc] += rawWeight(term, tf, doc) ** 2;
+        });
+      });
+      stats.norms[normKey] = sq.map(Math.sqrt);
+    }
+    const docNorms = stats.norms[normKey];
+    const cosineNorm = scheme.doc.norm === "c";
+    // Cosine normalization divides the weights by the length, leaving 1
+    const scaleOf = (doc) =>
+      cosineNorm && docNorms[doc] > 0 ? 1 / docNorms[doc] : 1;
+    const lengthOf = (doc) =>
+      cosineNorm ? (docNorms[doc] > 0 ? 1 : 0) : docNorms[doc];
+    const weight = (term, doc) =>
+      rawWeight(term, tfOf(term, doc), doc) * scaleOf(doc);
+
+    // Query vector, weighted as computeTfIdf does
+    const counts = termCounts(queryTokens);
+    const queryCtx = {
+      length: queryTokens.length,
+      maxCount: Math.max(0, ...counts.values()),
+      avgLength: queryTokens.length,
+    };
+    const queryWeights = queryTerms.map(
+      (term) =>
+        TF_SCHEMES[scheme.query.tf].fn(counts.get(term), queryCtx) *
+        IDF_SCHEMES[scheme.query.idf].fn(df(term), N)
+    );
+    const queryVec = NORM_SCHEMES[scheme.query.norm].fn(queryWeights);
+    const queryLength = magnitude(queryVec);
+
+    queryTerms.forEach((term, t) => {
+      (index.postings.get(term) || []).forEach(({ doc, tf }) => {
+        const value = queryVec[t] * rawWeight(term, tf, doc) * scaleOf(doc);
+        dots[doc] += value;
+        const denom = queryLength * lengthOf(doc);
+        add(doc, term, denom > 0 ? value / denom : 0);
+      });
+    });
+    contribs.forEach((terms, doc) => {
+      const denom = queryLength * lengthOf(doc);
+      scores[doc] = denom > 0 ? dots[doc] / denom : 0;
+    });
+    return { scores, dots, contribs, weight };
+  }
+
+  // The k best documents among those with contributions, best first
+  function topK(scores, contribs, k) {
+    return Array.from(contribs.keys())
+      .sort((a, b) => scores[b] - scores[a] || a - b)
+      .slice(0, k);
+  }
+
+  /*
+   * Evaluation. A ranking is an array of doc IDs, best first; `grades` is a
+   * Map from doc ID to its relevance grade (0–3). Unjudged documents count
+   * as grade 0, and any grade above 0 counts as relevant for the binary
+   * metrics.
+   */
+  function relevantCount(grades) {
+    let count = 0;
+    grades.forEach((g) => {
+      if (g > 0) count++;
+    });
+    return count;
+  }
+
+  const gradeOf = (grades, doc) => grades.get(doc) || 0;
+
+  // Fraction of the top k that is relevant
+  function precisionAtK(ranking, grades, k) {
+    if (k <= 0) return 0;
+    const hits = ranking
+      .slice(0, k)
+      .filter((doc) => gradeOf(grades, doc) > 0).length;
+    return hits / k;
+  }
+
+  // Fraction of all relevant documents that is in the top k
+  function recallAtK(ranking, grades, k) {
+    const relevant = relevantCount(grades);
+    if (relevant === 0) return 0;
+    const hits = ranking
+      .slice(0, k)
+      .filter((doc) => gradeOf(grades, doc) > 0).length;
+    return hits / relevant;
+  }
+
+  // Mean of the precision at the rank of each relevant document; relevant
+  // documents that are never retrieved contribute 0
+  function averagePrecision(ranking, grades) {
+    const relevant = relevantCount(grades);
+    if (relevant === 0) return 0;
+    let hits = 0;
+    let sum = 0;
+    ranking.forEach((doc, i) => {
+      if (gradeOf(grades, doc) > 0) {
+        hits++;
+        sum += hits / (i + 1);
+      }
+    });
+    return sum / relevant;
+  }
+
+  // 1 / rank of the first relevant document, 0 if none is retrieved
+  function reciprocalRank(ranking, grades) {
+    const i = ranking.findIndex((doc) => gradeOf(grades, doc) > 0);
+    return i < 0 ? 0 : 1 / (i + 1);
+  }
+
+  /*
+   * Normalized discounted cumulative gain at k with gain 2^g − 1 and a
+   * log2(rank + 1) discount, divided by the DCG of the ideal ordering of
+   * all judged documents. Negative grades (TREC uses −2 for spam) gain
+   * nothing rather than lowering the sum.
+   */
+  function ndcgAtK(ranking, grades, k) {
+    const dcg = (gs) =>
+      gs
+        .slice(0, k)
+        .reduce(
+          (sum, g, i) => sum + (2 ** Math.max(0, g) - 1) / Math.log2(i + 2),
+          0
+        );
+    const ideal = dcg(Array.from(grades.values()).sort((a, b) => b - a));
+    if (ideal === 0) return 0;
+    return dcg(ranking.map((doc) => gradeOf(grades, doc))) / ideal;
+  }
+
+  // { precisionAtK, recallAtK, averagePrecision, reciprocalRank, ndcgAtK }
+  function evaluateRanking(ranking, grades, k) {
+    return {
+      precisionAtK: precisionAtK(ranking, grades, k),
+      recallAtK: recallAtK(ranking, grades, k),
+      averagePrecision: averagePrecision(ranking, grades),
+      reciprocalRank: reciprocalRank(ranking, grades),
+      ndcgAtK: ndcgAtK(ranking, grades, k),
+    };
+  }
+
+  /*
+   * Mean of each metric over the evaluateRanking() results of several
+   * queries: the mean average precision (MAP), the mean reciprocal rank
+   * (MRR) and the mean P@k, R@k and nDCG@k.
+   */
+  function meanMetrics(results) {
+    const keys = [
+      "precisionAtK",
+      "recallAtK",
+      "averagePrecision",
+      "reciprocalRank",
+      "ndcgAtK",
+    ];
+    const mean = {};
+    keys.forEach((key) => {
+      const sum = results.reduce((s, m) => s + m[key], 0);
+      mean[key] = results.length > 0 ? sum / results.length : 0;
+    });
+    return mean;
+  }
+
+  /*
+   * Precision–recall points, one per rank of the ranking, plus the
+   * interpolated precision (the best precision at any recall at least as
+   * high) at the eleven standard recall levels 0, 0.1, …, 1.
+   */
+  function precisionRecallCurve(ranking, grades) {
+    const relevant = relevantCount(grades);
+    let hits = 0;
+    const points = ranking.map((doc, i) => {
+      if (gradeOf(grades, doc) > 0) hits++;
+      return {
+        recall: relevant > 0 ? hits / relevant : 0,
+        precision: hits / (i + 1),
+      };
+    });
+    const interpolated = [];
+    for (let level = 0; level <= 10; level++) {
+      const recall = level / 10;
+      const reached = points.filter((pt) => pt.recall >= recall - 1e-9);
+      interpolated.push({
+        recall,
+        precision: Math.max(0, ...reached.map((pt) => pt.precision)),
+      });
+    }
+    return { points, interpolated };
+  }
+
+  /*
+   * Parse a queries file: one "query-id query text" line per query, the ID
+   * separated by a tab or spaces (the TSV form of TREC topics). Returns a
+   * Map from query ID to its text.
+   */
+  function parseQueries(text) {
+    const queries = new Map();
+    text.split("\n").forEach((line, i) => {
+      const trimmed = line.trim();
+      if (trimmed === "" || trimmed.startsWith("#")) return;
+      const match = trimmed.match(/^(\S+)\s+(.+)$/);
+      if (!match) throw new Error(`Line ${i + 1}: expected "query-id text"`);
+      queries.set(match[1], match[2]);
+    });
+    return queries;
+  }
+
+  /*
+   * Parse TREC qrels: one "query-id iteration doc-id relevance" line per
+   * judgment (the iteration column may be left out). Returns a Map from
+   * query ID to a Map from doc ID to grade.
+   */
+  function parseQrels(text) {
+    const topics = new Map();
+    text.split("\n").forEach((line, i) => {
+      const fields = line.trim().split(/\s+/);
+      if (fields[0] === "" || fields[0].startsWith("#")) return;
+      if (fields.length !== 3 && fields.length !== 4) {
+        throw new Error(`Line ${i + 1}: expected "query 0 doc relevance"`);
+      }
+      const [query, doc, grade] =
+        fields.length === 4 ? [fields[0], fields[2], fields[3]] : fields;
+      const value = Number(grade);
+      if (!Number.isInteger(value)) {
+        throw new Error(`Line ${i + 1}: relevance must be an integer`);
+      }
+      if (!topics.has(query)) topics.set(query, new Map());
+      topics.get(query).set(doc, value);
+    });
+    return topics;
+  }
+
+  return {
+    textToTokens,
+    buildVocabulary,
+    termCounts,
+    vectorize,
+    dot,
+    magnitude,
+    cosine,
+    documentFrequencies,
+    scoreBagOfWords,
+    TF_SCHEMES,
+    IDF_SCHEMES,
+    NORM_SCHEMES,
+    DEFAULT_SCHEME,
+    smartCode,
+    parseSmartCode,
+    computeTfIdf,
+    bm25TermWeight,
+    bm25TermParts,
+    BM25_VARIANTS,
+    BM25_IDF_SCHEMES,
+    computeBm25,
+    bm25Sweep,
+    LM_SMOOTHING,
+    lmTermProbability,
+    computeQueryLikelihood,
+    rocchio,
+    expandQuery,
+    svdProject,
+    logSpaced,
+    logLogFit,
+    zipfStatistics,
+    heapsStatistics,
+    bestSnippet,
+    ranks,
+    createInvertedIndex,
+    indexToken,
+    buildInvertedIndex,
+    skipPointers,
+    gapEncode,
+    gapDecode,
+    vbEncode,
+    vbEncodeList,
+    vbDecode,
+    indexStats,
+    findPosting,
+    scoreIndexed,
+    topK,
+    relevantCount,
+    precisionAtK,
+    recallAtK,
+    averagePrecision,
+    reciprocalRank,
+    ndcgAtK,
+    evaluateRanking,
+    meanMetrics,
+    precisionRecallCurve,
+    parseQueries,
+    parseQrels,
+  };
+});
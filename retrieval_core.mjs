@@ -0,0 +1,76 @@
+/*
+ * ES module entry point for the retrieval core.
+ *
+ * Evaluates retrieval_core.js for its side effect of defining the global
+ * `RetrievalCore` and re-exports its functions as named exports, so the
+ * maths can be imported from browsers and from Node alike:
+ *
+ *   import { computeBm25, textToTokens } from "./retrieval_core.mjs";
+ */
+
+import "./retrieval_core.js";
+
+const core = globalThis.RetrievalCore;
+
+export const {
+  textToTokens,
+  buildVocabulary,
+  termCounts,
+  vectorize,
+  dot,
+  magnitude,
+  cosine,
+  documentFrequencies,
+  scoreBagOfWords,
+  TF_SCHEMES,
+  IDF_SCHEMES,
+  NORM_SCHEMES,
+  DEFAULT_SCHEME,
+  smartCode,
+  parseSmartCode,
+  computeTfIdf,
+  bm25TermWeight,
+  bm25TermParts,
+  BM25_VARIANTS,
+  BM25_IDF_SCHEMES,
+  computeBm25,
+  bm25Sweep,
+  LM_SMOOTHING,
+  lmTermProbability,
+  computeQueryLikelihood,
+  rocchio,
+  expandQuery,
+  svdProject,
+  logSpaced,
+  logLogFit,
+  zipfStatistics,
+  heapsStatistics,
+  bestSnippet,
+  ranks,
+  createInvertedIndex,
+  indexToken,
+  buildInvertedIndex,
+  skipPointers,
+  gapEncode,
+  gapDecode,
+  vbEncode,
+  vbEncodeList,
+  vbDecode,
+  indexStats,
+  findPosting,
+  scoreIndexed,
+  topK,
+  relevantCount,
+  precisionAtK,
+  recallAtK,
+  averagePrecision,
+  reciprocalRank,
+  ndcgAtK,
+  evaluateRanking,
+  meanMetrics,
+  precisionRecallCurve,
+  parseQueries,
+  parseQrels,
+} = core;
+
+export default core;
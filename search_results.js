@@ -0,0 +1,175 @@
+/*
+ * Search results list
+ *
+ * Shared by the TF‑IDF and BM25 pages. Lists the documents the way a
+ * search engine would: sorted by score, each with a snippet, the window of
+ * SNIPPET_WORDS words that covers the most score (RetrievalCore.bestSnippet).
+ * Words that match a query term are highlighted in the term's chart colour,
+ * stronger the more the term adds to that document's score. A word that
+ * only matches after the pipeline normalized it ("Bicycles" for "bicycle")
+ * is underlined with dots, and its tooltip says what it became; a term
+ * that relevance feedback added to the query says so in its tooltip.
+ *
+ * When the order changes the results slide to their new places rather
+ * than jumping: each item starts offset by how far it moved and eases back
+ * over RESULTS_ANIMATION_MS.
+ */
+
+const SNIPPET_WORDS = 16;
+const RESULTS_ANIMATION_MS = 450;
+
+// The words of the query box that produce each term, as a Map from term
+// to the Set of those words
+function querySourceWords() {
+  const sources = new Map();
+  textareaWords(document.getElementById("queryText")).forEach((word) => {
+    word.tokens.forEach((t) => {
+      if (!sources.has(t)) sources.set(t, new Set());
+      sources.get(t).add(word.text);
+    });
+  });
+  return sources;
+}
+
+/*
+ * The words of a textarea with the query term each one matches (or null),
+ * matched as termOccurrences() matches them. `sources` comes from
+ * querySourceWords(). A word is `normalized` when its term comes from the
+ * query but no query word producing it is written the same way, so it only
+ * matches once the pipeline changed it; a word is `added` when its term is
+ * not in the typed query at all, i.e. relevance feedback added it.
+ */
+function snippetWords(textarea, vocab, sources) {
+  return textareaWords(textarea).map(({ text, start, end, tokens }) => {
+    const term = matchingTerm(tokens, vocab);
+    const unigram = term !== null && !term.includes("_");
+    const from = unigram ? sources.get(term) : null;
+    const normalized = Boolean(from) && !from.has(text);
+    const added = unigram && !from;
+    return { text, start, end, term, normalized, added };
+  });
+}
+
+// Tooltip of a highlighted word, saying how it came to match
+function matchNote(word, weight, sources) {
+  const sign = weight >= 0 ? "+" : "";
+  const contribution = `${word.term}: ${sign}${weight.toFixed(3)}`;
+  if (word.added) return `${contribution} (added to the query by feedback)`;
+  if (!word.normalized) return contribution;
+  const lower = word.text.toLowerCase();
+  const how = [...sources.get(word.term)].some(
+    (q) => q.toLowerCase() === lower
+  )
+    ? "matched after lowercasing"
+    : `normalized to "${word.term}"`;
+  return `${word.text}: ${how}; ${contribution}`;
+}
+
+/*
+ * Snippet HTML of one document: its text from the first to the last word
+ * of the best window, with "…" where text was cut and the matches marked.
+ */
+function snippetHtml(textarea, words, contribs, style, sources) {
+  const text = textarea.value;
+  if (words.length === 0) return "<em>(empty document)</em>";
+  const { start, end } = RetrievalCore.bestSnippet(
+    words.map((w) => w.term),
+    contribs,
+    SNIPPET_WORDS
+  );
+  let html = start > 0 ? "… " : "";
+  let pos = words[start].start;
+  words.slice(start, end).forEach((word) => {
+    html += escapeXml(text.slice(pos, word.start));
+    pos = word.end;
+    if (!word.term) {
+      html += escapeXml(word.text);
+      return;
+    }
+    const weight = contribs[word.term] || 0;
+    const classes = ["hit"];
+    if (word.normalized) classes.push("normalized");
+    if (weight < 0) classes.push("negative");
+    html +=
+      `<mark class="${classes.join(" ")}" style="${style(word.term, weight)}"` +
+      ` title="${escapeXml(matchNote(word, weight, sources))}">` +
+      `${escapeXml(word.text)}</mark>`;
+  });
+  return html + (end < words.length ? " …" : "");
+}
+
+/*
+ * Render the results. `vocab` lists the query terms in chart order,
+ * `scores` holds one number per document to sort by, `contributions` per
+ * document each term's share of that document's score, and `scoreText(d)`
+ * the score line shown under the document's title.
+ */
+function renderSearchResults(vocab, scores, contributions, scoreText) {
+  const list = document.getElementById("searchResults");
+  // Where every result is now, to slide it from there to its new place
+  const before = new Map();
+  list.querySelectorAll("li[data-doc]").forEach((item) => {
+    before.set(item.dataset.doc, item.getBoundingClientRect().top);
+  });
+  const textareas = document.querySelectorAll("#docList .doc-text");
+  const termCols = termColours(vocab.length);
+  const docCols = documentColours(scores.length);
+  const maxWeight = Math.max(
+    1e-9,
+    ...contributions.flatMap((c) => vocab.map((term) => Math.abs(c[term])))
+  );
+  // Highlight in the term's colour, more opaque for a larger contribution
+  const style = (term, weight) => {
+    const [r, g, b] = termCols[vocab.indexOf(term)];
+    const alpha = 0.2 + 0.6 * (Math.abs(weight) / maxWeight);
+    return `background: rgba(${r}, ${g}, ${b}, ${alpha.toFixed(2)})`;
+  };
+  const rank = RetrievalCore.ranks(scores);
+  const order = scores.map((_, d) => d).sort((a, b) => rank[a] - rank[b]);
+  const sources = querySourceWords();
+  let normalized = false;
+  list.innerHTML = order
+    .map((d) => {
+      const words = snippetWords(textareas[d], vocab, sources);
+      const matched = words.some((w) => w.term);
+      normalized = normalized || words.some((w) => w.normalized);
+      const colour = `rgb(${docCols[d].join(", ")})`;
+      return `<li data-doc="${d}"${matched ? "" : ' class="no-match"'}>
+        <div class="result-title">
+          <span class="result-rank">#${rank[d]}</span>
+          <strong style="color: ${colour}">Document ${d + 1}</strong>
+          <span class="result-score">${scoreText(d)}</span>
+        </div>
+        <p class="result-snippet">${snippetHtml(
+          textareas[d],
+          words,
+          contributions[d],
+          style,
+          sources
+        )}</p>
+      </li>`;
+    })
+    .join("");
+  document.getElementById("searchResultsNote").textContent = normalized
+    ? "Dotted underline: the word only matches the query after " +
+      "normalization (case, lemma or stem); hover it for details."
+    : "";
+  list.querySelectorAll("li[data-doc]").forEach((item) => {
+    const top = before.get(item.dataset.doc);
+    if (top === undefined) return;
+    const offset = top - item.getBoundingClientRect().top;
+    if (offset === 0) return;
+    item.style.transition = "none";
+    item.style.transform = `translateY(${offset}px)`;
+    // Lay the offset out first, so the transition starts from it
+    item.getBoundingClientRect();
+    item.style.transition = `transform ${RESULTS_ANIMATION_MS}ms ease`;
+    item.style.transform = "";
+  });
+}
+
+// Empty the list, e.g. while a loaded corpus shows its own ranking
+function clearSearchResults() {
+  document.getElementById("searchResults").innerHTML = "";
+  document.getElementById("searchResultsNote").textContent = "";
+}
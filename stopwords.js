@@ -0,0 +1,225 @@
+/*
+ * Stop words
+ *
+ * DOM-free stop-word lists and helpers. Bundles a few presets (the pages'
+ * original minimal list, the SMART list, NLTK's English list and French,
+ * German and Spanish lists), reads and writes lists as plain text or JSON,
+ * and proposes corpus-derived stop words: terms whose document frequency is
+ * so high that their IDF is close to zero.
+ *
+ * Packaged like retrieval_core.js: a <script> tag defines the global
+ * `StopWords` and Node's `require` returns the same object.
+ */
+
+(function (root, factory) {
+  const stopWords = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = stopWords;
+  }
+  root.StopWords = stopWords;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  // Split a whitespace-separated string into a word list
+  const words = (str) => str.trim().split(/\s+/);
+
+  const PRESETS = {
+    minimal: {
+      name: "Minimal",
+      words: words(`
+        the a an and but is be are was were he she they of to in on over by
+        with for it as his her its`),
+    },
+    smart: {
+      name: "SMART",
+      words: words(`
+        a a's able about above according accordingly across actually after
+        afterwards again against ain't all allow allows almost alone along
+        already also although always am among amongst an and another any
+        anybody anyhow anyone anything anyway anyways anywhere apart appear
+        appreciate appropriate are aren't around as aside ask asking
+        associated at available away awfully b be became because become
+        becomes becoming been before beforehand behind being believe below
+        beside besides best better between beyond both brief but by c c'mon
+        c's came can can't cannot cant cause causes certain certainly changes
+        clearly co com come comes concerning consequently consider
+        considering contain containing contains corresponding could couldn't
+        course currently d definitely described despite did didn't different
+        do does doesn't doing don't done down downwards during e each edu eg
+        eight either else elsewhere enough entirely especially et etc even
+        ever every everybody everyone everything everywhere ex exactly example
+        except f far few fifth first five followed following follows for
+        former formerly forth four from further furthermore g get gets getting
+        given gives go goes going gone got gotten greetings h had hadn't
+        happens hardly has hasn't have haven't having he he's hello help hence
+        her here here's hereafter hereby herein hereupon hers herself hi him
+        himself his hither hopefully how howbeit however i i'd i'll i'm i've
+        ie if ignored immediate in inasmuch inc indeed indicate indicated
+        indicates inner insofar instead into inward is isn't it it'd it'll
+        it's its itself j just k keep keeps kept know knows known l last
+        lately later latter latterly least less lest let let's like liked
+        likely little look looking looks ltd m mainly many may maybe me mean
+        meanwhile merely might more moreover most mostly much must my myself n
+        name namely nd near nearly necessary need needs neither never
+        nevertheless new next nine no nobody non none noone nor normally not
+        nothing novel now nowhere o obviously of off often oh ok okay old on
+        once one ones only onto or other others otherwise ought our ours
+        ourselves out outside over overall own p particular particularly per
+        perhaps placed please plus possible presumably probably provides q que
+        quite qv r rather rd re really reasonably regarding regardless regards
+        relatively respectively right s said same saw say saying says second
+        secondly see seeing seem seemed seeming seems seen self selves
+        sensible sent serious seriously seven several shall she should
+        shouldn't since six so some somebody somehow someone something
+        sometime sometimes somewhat somewhere soon sorry specified specify
+        specifying still sub such sup sure t t's take taken tell tends th than
+        thank thanks thanx that that's thats the their theirs them themselves
+        then thence there there's thereafter thereby therefore therein theres
+        thereupon these they they'd they'll they're they've think third this
+        thorough thoroughly those though three through throughout thru thus to
+        together too took toward towards tried tries truly try trying twice
+        two u un under unfortunately unless unlikely until unto up upon us use
+        used useful uses using usually uucp v value various very via viz vs w
+        want wants was wasn't way we we'd we'll we're we've welcome well went
+        were weren't what what's whatever when whence whenever where where's
+        whereafter whereas whereby wherein whereupon wherever whether which
+        while whither who who's whoever whole whom whose why will willing wish
+        with within without won't wonder would wouldn't x y yes yet you you'd
+        you'll you're you've your yours yourself yourselves z zero`),
+    },
+    nltk: {
+      name: "NLTK English",
+      words: words(`
+        i me my myself we our ours ourselves you you're you've you'll you'd
+        your yours yourself yourselves he him his himself she she's her hers
+        herself it it's its itself they them their theirs themselves what
+        which who whom this that that'll these those am is are was were be
+        been being have has had having do does did doing a an the and but if
+        or because as until while of at by for with about against between
+        into through during before after above below to from up down in out
+        on off over under again further then once here there when where why
+        how all any both each few more most other some such no nor not only
+        own same so than too very s t can will just don don't should
+        should've now d ll m o re ve y ain aren aren't couldn couldn't didn
+        didn't doesn doesn't hadn hadn't hasn hasn't haven haven't isn isn't
+        ma mightn mightn't mustn mustn't needn needn't shan shan't shouldn
+        shouldn't wasn wasn't weren weren't won won't wouldn wouldn't`),
+    },
+    french: {
+      name: "French",
+      words: words(`
+        au aux avec ce ces dans de des du elle en et eux il ils je la le les
+        leur lui ma mais me même mes moi mon ne nos notre nous on ou par pas
+        pour qu que qui sa se ses son sur ta te tes toi ton tu un une vos
+        votre vous c d j l à m n s t y été étée étées étés étant suis es est
+        sommes êtes sont serai seras sera serons serez seront serais serait
+        serions seriez seraient étais était étions étiez étaient fus fut
+        fûmes fûtes furent sois soit soyons soyez soient ayant eu eue eues eus
+        ai as avons avez ont aurai auras aura aurons aurez auront aurais
+        aurait aurions auriez auraient avais avait avions aviez avaient eut
+        eûmes eûtes eurent aie aies ait ayons ayez aient`),
+    },
+    german: {
+      name: "German",
+      words: words(`
+        aber alle allem allen aller alles als also am an ander andere anderem
+        anderen anderer anderes auch auf aus bei bin bis bist da damit dann
+        das dass dasselbe dazu dein deine deinem deinen deiner dem demselben
+        den denn derselben der des desselben dessen dich die dies diese
+        dieselbe dieselben diesem diesen dieser dieses dir doch dort du durch
+        ein eine einem einen einer eines einig einige einigem einigen einiger
+        einiges einmal er es etwas euch euer eure eurem euren eurer für gegen
+        gewesen hab habe haben hat hatte hatten hier hin hinter ich ihm ihn
+        ihnen ihr ihre ihrem ihren ihrer ihres im in indem ins ist jede jedem
+        jeden jeder jedes jene jenem jenen jener jenes jetzt kann kein keine
+        keinem keinen keiner keines können könnte machen man manche manchem
+        manchen mancher manches mein meine meinem meinen meiner mich mir mit
+        muss musste nach nicht nichts noch nun nur ob oder ohne sehr sein
+        seine seinem seinen seiner seines selbst sich sie sind so solche
+        solchem solchen solcher soll sollte sondern sonst über um und uns
+        unsere unserem unseren unser unseres unter viel vom von vor während
+        war waren warst was weg weil weiter welche welchem welchen welcher
+        welches wenn werde werden wie wieder will wir wird wirst wo wollen
+        wollte würde würden zu zum zur zwar zwischen`),
+    },
+    spanish: {
+      name: "Spanish",
+      words: words(`
+        de la que el en y a los del se las por un para con no una su al lo
+        como más pero sus le ya o este sí porque esta entre cuando muy sin
+        sobre también me hasta hay donde quien desde todo nos durante todos
+        uno les ni contra otros ese eso ante ellos e esto mí antes algunos
+        qué unos yo otro otras otra él tanto esa estos mucho quienes nada
+        muchos cual poco ella estar estas algunas algo nosotros mi mis tú te
+        ti tu tus ellas nosotras vosotros vosotras os mío mía míos mías tuyo
+        tuya tuyos tuyas suyo suya suyos suyas nuestro nuestra nuestros
+        nuestras vuestro vuestra vuestros vuestras esos esas estoy estás está
+        estamos estáis están es son soy eres somos sois era eras éramos eran
+        fue fueron he has ha hemos habéis han había habían ser tengo tiene
+        tenemos tienen`),
+    },
+  };
+
+  /*
+   * Read a stop-word list from plain text (words separated by whitespace or
+   * commas, "#" starting a comment) or JSON (an array of words, or an object
+   * with a `words` array as written by serialize()). Words are lowercased
+   * and de-duplicated.
+   */
+  function parse(text) {
+    const trimmed = text.trim();
+    let list;
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      const data = JSON.parse(trimmed);
+      list = Array.isArray(data) ? data : data.words;
+      if (!Array.isArray(list)) {
+        throw new Error("JSON stop-word list needs a \"words\" array");
+      }
+    } else {
+      list = trimmed
+        .split("\n")
+        .map((line) => line.replace(/#.*/, ""))
+        .join(" ")
+        .split(/[\s,]+/);
+    }
+    const cleaned = list
+      .map((w) => String(w).trim().toLowerCase())
+      .filter((w) => w.length > 0);
+    return Array.from(new Set(cleaned));
+  }
+
+  // Write a list as plain text (one word per line) or JSON
+  function serialize(list, format = "txt", name = "custom") {
+    const sorted = Array.from(list).sort();
+    if (format === "json") {
+      return JSON.stringify({ name, words: sorted }, null, 2);
+    }
+    return sorted.join("\n") + "\n";
+  }
+
+  /*
+   * Propose stop words from a corpus given as token lists, one per
+   * document: every term whose document frequency df/N is at least
+   * `threshold`. Returns [{ term, df, idf }] sorted by df, where
+   * idf = log(N/df) shows how little such terms discriminate.
+   */
+  function corpusStopWords(docsTokens, threshold = 0.5) {
+    const N = docsTokens.length;
+    if (N === 0) return [];
+    const df = {};
+    docsTokens.forEach((tokens) => {
+      new Set(tokens).forEach((t) => {
+        df[t] = (df[t] || 0) + 1;
+      });
+    });
+    return Object.keys(df)
+      .filter((term) => df[term] / N >= threshold)
+      .map((term) => ({ term, df: df[term], idf: Math.log(N / df[term]) }))
+      .sort((a, b) => b.df - a.df || a.term.localeCompare(b.term));
+  }
+
+  return {
+    PRESETS,
+    parse,
+    serialize,
+    corpusStopWords,
+  };
+});
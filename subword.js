@@ -0,0 +1,213 @@
+/*
+ * Subword tokenization
+ *
+ * DOM-free BPE and WordPiece trainers and encoders. Both start from single
+ * characters, written the way WordPiece writes them: a word's first piece
+ * as is and every later piece with the continuation prefix "##", so
+ * "bike" starts as b ##i ##k ##e. Training repeatedly merges the adjacent
+ * pair with the best score until the vocabulary reaches the requested
+ * size. BPE scores a pair by how often it occurs; WordPiece divides that
+ * count by the counts of its two parts, preferring pairs whose parts are
+ * rarely seen apart.
+ *
+ * Encoding also differs: BPE replays the learned merges on a new word in
+ * the order they were learned, while WordPiece greedily takes the longest
+ * vocabulary entry from the left. Characters never seen in training become
+ * "[UNK]": a single piece under BPE, the whole word under WordPiece.
+ *
+ * Packaged like retrieval_core.js: a <script> tag defines the global
+ * `Subword` and Node's `require` returns the same object.
+ */
+
+(function (root, factory) {
+  const subword = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = subword;
+  }
+  root.Subword = subword;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const CONTINUATION = "##";
+  const UNKNOWN = "[UNK]";
+
+  const METHODS = {
+    bpe: { name: "BPE" },
+    wordpiece: { name: "WordPiece" },
+  };
+
+  // Characters of a word as its initial pieces, e.g. b ##i ##k ##e
+  function initialPieces(word) {
+    return Array.from(word).map((c, i) => (i === 0 ? c : CONTINUATION + c));
+  }
+
+  // Piece made by merging two adjacent pieces: "b" + "##i" → "bi"
+  const mergedPiece = (left, right) =>
+    left + right.slice(CONTINUATION.length);
+
+  // Map each word to its number of occurrences, in order of first occurrence
+  function wordCounts(words) {
+    const counts = new Map();
+    words.forEach((w) => counts.set(w, (counts.get(w) || 0) + 1));
+    return counts;
+  }
+
+  /*
+   * Indices i at which pieces[i], pieces[i + 1] is the pair (left, right),
+   * scanning from the left so that overlapping pairs such as "##s ##s ##s"
+   * merge once.
+   */
+  function mergePositions(pieces, left, right) {
+    const positions = [];
+    for (let i = 0; i < pieces.length - 1; i++) {
+      if (pieces[i] === left && pieces[i + 1] === right) {
+        positions.push(i);
+        i++;
+      }
+    }
+    return positions;
+  }
+
+  function applyMerge(pieces, left, right) {
+    const positions = mergePositions(pieces, left, right);
+    if (positions.length === 0) return pieces;
+    const out = [];
+    for (let i = 0; i < pieces.length; i++) {
+      if (positions.includes(i)) {
+        out.push(mergedPiece(left, right));
+        i++;
+      } else {
+        out.push(pieces[i]);
+      }
+    }
+    return out;
+  }
+
+  /*
+   * Learn merges from a list of words (repeats count) until the vocabulary
+   * holds `vocabSize` pieces or no pair is left. `method` is a key of
+   * METHODS. Returns the starting `alphabet`, the `merges` in order as
+   * { left, right, merged, count, score }, and the final `vocab`.
+   */
+  function learn(words, vocabSize, method = "bpe") {
+    const counts = wordCounts(words);
+    const segmented = Array.from(counts, ([word, count]) => ({
+      pieces: initialPieces(word),
+      count,
+    }));
+    const alphabet = [];
+    segmented.forEach(({ pieces }) =>
+      pieces.forEach((p) => {
+        if (!alphabet.includes(p)) alphabet.push(p);
+      })
+    );
+    const vocab = new Set(alphabet);
+    const merges = [];
+    while (vocab.size < vocabSize) {
+      const pairCounts = new Map();
+      const pieceCounts = new Map();
+      segmented.forEach(({ pieces, count }) => {
+        pieces.forEach((p, i) => {
+          pieceCounts.set(p, (pieceCounts.get(p) || 0) + count);
+          if (i === pieces.length - 1) return;
+          const key = `${p} ${pieces[i + 1]}`;
+          pairCounts.set(key, (pairCounts.get(key) || 0) + count);
+        });
+      });
+      let best = null;
+      pairCounts.forEach((count, key) => {
+        const [left, right] = key.split(" ");
+        const score =
+          method === "wordpiece"
+            ? count / (pieceCounts.get(left) * pieceCounts.get(right))
+            : count;
+        // Ties go to the more frequent pair, then the one seen first
+        if (
+          !best ||
+          score > best.score ||
+          (score === best.score && count > best.count)
+        ) {
+          best = { left, right, count, score };
+        }
+      });
+      if (!best) break;
+      best.merged = mergedPiece(best.left, best.right);
+      segmented.forEach((entry) => {
+        entry.pieces = applyMerge(entry.pieces, best.left, best.right);
+      });
+      vocab.add(best.merged);
+      merges.push(best);
+    }
+    return { alphabet, merges, vocab: Array.from(vocab) };
+  }
+
+  // BPE: replay the merges on the word, always the earliest learned first
+  function encodeBpe(word, merges, vocab) {
+    const rank = new Map(merges.map((m, i) => [`${m.left} ${m.right}`, i]));
+    let pieces = initialPieces(word);
+    for (;;) {
+      let best = null;
+      for (let i = 0; i < pieces.length - 1; i++) {
+        const r = rank.get(`${pieces[i]} ${pieces[i + 1]}`);
+        if (r !== undefined && (best === null || r < best)) best = r;
+      }
+      if (best === null) break;
+      pieces = applyMerge(pieces, merges[best].left, merges[best].right);
+    }
+    return pieces.map((p) => (vocab.has(p) ? p : UNKNOWN));
+  }
+
+  // WordPiece: longest vocabulary entry first, from the left
+  function encodeWordPiece(word, vocab) {
+    const chars = Array.from(word);
+    const pieces = [];
+    let start = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      let piece = null;
+      while (end > start) {
+        const text = chars.slice(start, end).join("");
+        const candidate = start > 0 ? CONTINUATION + text : text;
+        if (vocab.has(candidate)) {
+          piece = candidate;
+          break;
+        }
+        end--;
+      }
+      if (piece === null) return [UNKNOWN];
+      pieces.push(piece);
+      start = end;
+    }
+    return pieces;
+  }
+
+  /*
+   * Encode words with a learned model { alphabet, merges } (or the model
+   * after its first few merges, by slicing `merges`). Returns one
+   * { word, pieces } per word.
+   */
+  function encode(words, model, method = "bpe") {
+    const vocab = new Set([
+      ...model.alphabet,
+      ...model.merges.map((m) => m.merged),
+    ]);
+    return words.map((word) => ({
+      word,
+      pieces:
+        method === "wordpiece"
+          ? encodeWordPiece(word, vocab)
+          : encodeBpe(word, model.merges, vocab),
+    }));
+  }
+
+  return {
+    CONTINUATION,
+    UNKNOWN,
+    METHODS,
+    initialPieces,
+    mergedPiece,
+    wordCounts,
+    mergePositions,
+    applyMerge,
+    learn,
+    encode,
+  };
+});
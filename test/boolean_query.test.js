@@ -0,0 +1,129 @@
+/*
+ * Tests for the Boolean query parser and evaluator: operator precedence,
+ * malformed queries, the posting-list merges and positional phrase and
+ * proximity matching over word positions of the original text.
+ *
+ * Run with `node --test` from the repository root.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const RetrievalCore = require("../retrieval_core.js");
+const TextPipeline = require("../pipeline.js");
+const BooleanQuery = require("../boolean_query.js");
+
+// Lowercasing and stop-word removal, keeping the removed words' positions
+const CONFIG = TextPipeline.DEFAULT_PIPELINE.map((step) =>
+  step.id === "stopwords" ? { ...step, enabled: true } : step
+);
+const OPTIONS = { stopWords: ["the", "of", "in", "on", "a"] };
+const tokenize = (text) =>
+  TextPipeline.runWithPositions(text, CONFIG, OPTIONS);
+
+const DOCS = [
+  "bike shop in Portland",
+  "the bike of the shop",
+  "shop bike repair",
+  "a cat on the mat",
+];
+const positioned = DOCS.map(tokenize);
+const INDEX = RetrievalCore.buildInvertedIndex(
+  positioned.map((d) => d.tokens),
+  positioned.map((d) => d.positions)
+);
+
+// Matching doc IDs of a query
+const search = (query) =>
+  BooleanQuery.evaluate(BooleanQuery.parse(query, tokenize).tree, INDEX).docs;
+
+test("parse gives NOT over AND over OR, with implicit AND", () => {
+  const describe = (query) =>
+    BooleanQuery.describe(BooleanQuery.parse(query).tree);
+  assert.equal(describe("bike shop"), "(bike AND shop)");
+  assert.equal(
+    describe("bike OR cat NOT shop"),
+    "(bike OR (cat AND NOT shop))"
+  );
+  assert.equal(describe("(bike OR cat) AND shop"), "((bike OR cat) AND shop)");
+  assert.equal(describe('"bike shop"~3'), '"bike shop"~3');
+  assert.equal(describe('"Bike"'), "bike");
+});
+
+test("parse rejects malformed queries", () => {
+  assert.throws(() => BooleanQuery.parse(""), /empty/);
+  assert.throws(() => BooleanQuery.parse("(bike"), /Expected/);
+  assert.throws(() => BooleanQuery.parse("bike)"), /Unexpected/);
+  assert.throws(() => BooleanQuery.parse("bike AND"), /ends too early/);
+  assert.throws(() => BooleanQuery.parse("OR bike"), /needs an operand/);
+});
+
+test("parse drops words the pipeline removes", () => {
+  const { tree, ignored } = BooleanQuery.parse("the AND bike", tokenize);
+  assert.deepEqual(tree, { type: "term", term: "bike", raw: "bike" });
+  assert.deepEqual(ignored, ["the"]);
+  assert.throws(() => BooleanQuery.parse("the of", tokenize), /no searchable/);
+  // A phrase keeps the gap of a removed word in its offsets
+  const phrase = BooleanQuery.parse('"bike of the shop"', tokenize).tree;
+  assert.deepEqual(phrase.terms, ["bike", "shop"]);
+  assert.deepEqual(phrase.offsets, [0, 3]);
+});
+
+test("evaluate answers AND, OR and NOT queries", () => {
+  assert.deepEqual(search("bike AND shop"), [0, 1, 2]);
+  assert.deepEqual(search("cat OR portland"), [0, 3]);
+  assert.deepEqual(search("NOT bike"), [3]);
+  assert.deepEqual(search("shop NOT portland"), [1, 2]);
+  assert.deepEqual(search("(repair OR portland) bike"), [0, 2]);
+  assert.deepEqual(search("unicorn"), []);
+});
+
+test("phrases match on word positions of the original text", () => {
+  // "bike of the shop" has the stop words between the two terms
+  assert.deepEqual(search('"bike shop"'), [0]);
+  assert.deepEqual(search('"bike of the shop"'), [1]);
+  // Proximity allows either order within the slop
+  assert.deepEqual(search('"bike shop"~1'), [0, 2]);
+  assert.deepEqual(search('"bike shop"~3'), [0, 1, 2]);
+});
+
+test("phraseMatch returns the matched positions", () => {
+  const node = BooleanQuery.parse('"bike shop"~3', tokenize).tree;
+  assert.deepEqual(BooleanQuery.phraseMatch(INDEX, node, 1), [1, 4]);
+  assert.equal(BooleanQuery.phraseMatch(INDEX, node, 3), null);
+  // One occurrence cannot stand for both words of "shop shop"
+  const twice = BooleanQuery.parse('"shop shop"~5', tokenize).tree;
+  assert.equal(BooleanQuery.phraseMatch(INDEX, twice, 0), null);
+});
+
+test("merges return sorted lists and record their steps", () => {
+  const frames = [];
+  assert.deepEqual(
+    BooleanQuery.intersect([1, 3, 5, 7, 9], [3, 9], frames, "and"),
+    [3, 9]
+  );
+  assert.equal(frames[frames.length - 1].note, "one list exhausted: done");
+  assert.deepEqual(BooleanQuery.union([1, 4], [2, 4, 6], [], "or"), [
+    1, 2, 4, 6,
+  ]);
+  assert.deepEqual(BooleanQuery.difference([1, 2, 3, 4], [2, 4], [], "not"), [
+    1, 3,
+  ]);
+  // A long list jumps ahead along its skip pointers
+  const skipping = [];
+  const long = Array.from({ length: 16 }, (_, d) => d);
+  assert.deepEqual(BooleanQuery.intersect(long, [15], skipping, "and"), [15]);
+  assert.ok(skipping.some((f) => f.note.startsWith("skip pointer")));
+});
+
+test("explainMatch marks which operands a document satisfies", () => {
+  const { tree } = BooleanQuery.parse('"bike shop" OR cat', tokenize);
+  BooleanQuery.evaluate(tree, INDEX);
+  assert.equal(
+    BooleanQuery.explainMatch(tree, INDEX, 0),
+    '("bike shop" ✓ (positions 0, 1) OR cat ✗) ✓'
+  );
+  assert.equal(
+    BooleanQuery.explainMatch(tree, INDEX, 1),
+    '("bike shop" ✗ OR cat ✗) ✗'
+  );
+});
@@ -0,0 +1,146 @@
+/*
+ * Tests for the Porter stemmer and the rule-based lemmatizer.
+ *
+ * The stemmer pairs are the examples of Porter's 1980 paper and entries of
+ * his reference vocabulary and output files.
+ *
+ * Run with `node --test` from the repository root.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Morphology = require("../morphology.js");
+
+const PORTER_VECTORS = {
+  // Step 1a
+  caresses: "caress",
+  ponies: "poni",
+  ties: "ti",
+  caress: "caress",
+  cats: "cat",
+  // Step 1b
+  feed: "feed",
+  agreed: "agre",
+  plastered: "plaster",
+  bled: "bled",
+  motoring: "motor",
+  sing: "sing",
+  conflated: "conflat",
+  troubled: "troubl",
+  sized: "size",
+  hopping: "hop",
+  tanned: "tan",
+  falling: "fall",
+  hissing: "hiss",
+  fizzed: "fizz",
+  failing: "fail",
+  filing: "file",
+  // Step 1c
+  happy: "happi",
+  sky: "sky",
+  // Step 2
+  relational: "relat",
+  conditional: "condit",
+  rational: "ration",
+  valenci: "valenc",
+  hesitanci: "hesit",
+  digitizer: "digit",
+  conformabli: "conform",
+  radicalli: "radic",
+  differentli: "differ",
+  vileli: "vile",
+  analogousli: "analog",
+  vietnamization: "vietnam",
+  predication: "predic",
+  operator: "oper",
+  feudalism: "feudal",
+  decisiveness: "decis",
+  hopefulness: "hope",
+  callousness: "callous",
+  formaliti: "formal",
+  sensitiviti: "sensit",
+  sensibiliti: "sensibl",
+  // Step 3
+  triplicate: "triplic",
+  formative: "form",
+  formalize: "formal",
+  electriciti: "electr",
+  electrical: "electr",
+  hopeful: "hope",
+  goodness: "good",
+  // Step 4
+  revival: "reviv",
+  allowance: "allow",
+  inference: "infer",
+  airliner: "airlin",
+  gyroscopic: "gyroscop",
+  adjustable: "adjust",
+  defensible: "defens",
+  irritant: "irrit",
+  replacement: "replac",
+  adjustment: "adjust",
+  dependent: "depend",
+  adoption: "adopt",
+  homologou: "homolog",
+  communism: "commun",
+  activate: "activ",
+  angulariti: "angular",
+  homologous: "homolog",
+  effective: "effect",
+  bowdlerize: "bowdler",
+  // Step 5
+  probate: "probat",
+  rate: "rate",
+  cease: "ceas",
+  controll: "control",
+  roll: "roll",
+  // Whole words through every step
+  generalizations: "gener",
+  oscillators: "oscil",
+  connections: "connect",
+  abandoned: "abandon",
+  abilities: "abil",
+};
+
+test("porterStem matches Porter's reference stems", () => {
+  Object.entries(PORTER_VECTORS).forEach(([word, stem]) => {
+    assert.equal(Morphology.porterStem(word).stem, stem, word);
+  });
+});
+
+test("porterStem traces the rules it applied", () => {
+  assert.deepEqual(Morphology.porterStem("hopping").trace, [
+    "step 1b: -ing",
+    "step 1b: -pp → -p",
+  ]);
+  assert.deepEqual(Morphology.porterStem("cat").trace, []);
+});
+
+test("porterStem leaves short and non-alphabetic tokens alone", () => {
+  assert.equal(Morphology.porterStem("is").stem, "is");
+  assert.equal(Morphology.porterStem("2024s").stem, "2024s");
+  assert.equal(Morphology.porterStem("Running").stem, "run");
+});
+
+test("measure counts the VC sequences of a stem", () => {
+  [
+    ["tr", 0],
+    ["ee", 0],
+    ["tree", 0],
+    ["by", 0],
+    ["trouble", 1],
+    ["oats", 1],
+    ["ivy", 1],
+    ["troubles", 2],
+    ["private", 2],
+    ["oaten", 2],
+  ].forEach(([stem, m]) => assert.equal(Morphology.measure(stem), m, stem));
+});
+
+test("lemmatize uses exceptions before the suffix rules", () => {
+  assert.equal(Morphology.lemmatize("children").lemma, "child");
+  assert.equal(Morphology.lemmatize("better").lemma, "good");
+  const exceptions = { bicycle: ["bike", "bikes"] };
+  assert.equal(Morphology.lemmatize("bikes", exceptions).lemma, "bicycle");
+  assert.equal(Morphology.lemmatize("running").lemma, "run");
+});
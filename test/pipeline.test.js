@@ -0,0 +1,144 @@
+/*
+ * Tests for the shared tokenization pipeline: each stage, their order,
+ * the stage options and the word positions kept for positional indexes.
+ *
+ * Run with `node --test` from the repository root.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TextPipeline = require("../pipeline.js");
+
+// The default configuration with the given stages switched on
+const enable = (...ids) =>
+  TextPipeline.DEFAULT_PIPELINE.map((step) =>
+    ids.includes(step.id) ? { ...step, enabled: true } : step
+  );
+
+test("the default pipeline only lowercases", () => {
+  assert.deepEqual(TextPipeline.run("Alice’s BIKE-shop, 2 bikes!"), [
+    "alice",
+    "s",
+    "bike",
+    "shop",
+    "2",
+    "bikes",
+  ]);
+  assert.equal(
+    TextPipeline.describe(TextPipeline.DEFAULT_PIPELINE),
+    "lowercase"
+  );
+});
+
+test("the apostrophe stage keeps curly apostrophes and drops 's", () => {
+  const config = enable("apostrophes");
+  assert.deepEqual(TextPipeline.run("Alice’s bike's 'quoted'", config), [
+    "alice",
+    "bike",
+    "quoted",
+  ]);
+});
+
+test("folding removes diacritics and compatibility forms", () => {
+  assert.deepEqual(TextPipeline.run("Café ﬁnal naïve", enable("fold")), [
+    "cafe",
+    "final",
+    "naive",
+  ]);
+});
+
+test("stop words come from the options, else the minimal list", () => {
+  const config = enable("stopwords");
+  assert.deepEqual(TextPipeline.run("the bike of a shop", config), [
+    "bike",
+    "shop",
+  ]);
+  assert.deepEqual(
+    TextPipeline.run("the bike of a shop", config, { stopWords: ["bike"] }),
+    ["the", "of", "a", "shop"]
+  );
+  // A new list replaces the previous one rather than reusing its lookup
+  assert.deepEqual(
+    TextPipeline.run("the bike of a shop", config, { stopWords: ["shop"] }),
+    ["the", "bike", "of", "a"]
+  );
+});
+
+test("lemmatization uses the exception dictionary from the options", () => {
+  const config = enable("lemmatize");
+  assert.deepEqual(TextPipeline.run("bikes ran", config), ["bike", "run"]);
+  const exceptions = { bicycle: ["bikes"] };
+  assert.deepEqual(TextPipeline.run("bikes", config, { exceptions }), [
+    "bicycle",
+  ]);
+});
+
+test("stemming and n-grams run in the configured order", () => {
+  assert.deepEqual(TextPipeline.run("running bicycles", enable("stem")), [
+    "run",
+    "bicycl",
+  ]);
+  const config = enable("stem", "ngrams");
+  assert.deepEqual(TextPipeline.run("running bicycles fast", config), [
+    "run",
+    "bicycl",
+    "fast",
+    "run_bicycl",
+    "bicycl_fast",
+  ]);
+  const trigrams = TextPipeline.DEFAULT_PIPELINE.map((step) =>
+    step.id === "ngrams" ? { ...step, enabled: true, n: 3 } : step
+  );
+  assert.deepEqual(TextPipeline.run("a b c d", trigrams).slice(4), [
+    "a_b_c",
+    "b_c_d",
+  ]);
+  assert.equal(TextPipeline.describe(trigrams), "lowercase → 3-grams");
+  // Stemming after n-grams leaves the joined grams alone
+  const reordered = enable("ngrams", "stem");
+  const [ngrams] = reordered.splice(reordered.length - 1, 1);
+  reordered.splice(1, 0, ngrams);
+  const tokens = TextPipeline.run("running fast", reordered);
+  assert.ok(tokens.includes("running_fast"));
+});
+
+test("runWithPositions keeps the positions of removed words", () => {
+  const config = enable("stopwords", "ngrams");
+  const options = { stopWords: ["the", "of"] };
+  assert.deepEqual(
+    TextPipeline.runWithPositions("the bike of the shop sale", config, options),
+    {
+      tokens: ["bike", "shop", "sale", "bike_shop", "shop_sale"],
+      positions: [1, 4, 5, 1, 4],
+    }
+  );
+  assert.deepEqual(
+    TextPipeline.run("the bike of the shop sale", config, options),
+    TextPipeline.runWithPositions("the bike of the shop sale", config, options)
+      .tokens
+  );
+});
+
+test("applyStage runs a single stage on token strings", () => {
+  assert.deepEqual(
+    TextPipeline.applyStage(["The", "Bikes"], { id: "lowercase" }),
+    ["the", "bikes"]
+  );
+  assert.deepEqual(
+    TextPipeline.applyStage(["a", "b"], { id: "ngrams", n: 2 }),
+    ["a", "b", "a_b"]
+  );
+});
+
+test("describe and normalizeConfig", () => {
+  const none = TextPipeline.DEFAULT_PIPELINE.map((step) => ({
+    ...step,
+    enabled: false,
+  }));
+  assert.equal(TextPipeline.describe(none), "split only");
+  const stored = [{ id: "stem", enabled: true }, { id: "unknown" }, null];
+  const config = TextPipeline.normalizeConfig(stored);
+  assert.equal(config[0].id, "stem");
+  assert.equal(config.length, TextPipeline.DEFAULT_PIPELINE.length);
+  assert.ok(config.slice(1).every((step) => !step.enabled));
+});
@@ -0,0 +1,358 @@
+/*
+ * Tests for the retrieval core: SMART TF‑IDF weighting, the BM25 variants
+ * and IDFs, scoring from an inverted index against scoring the token lists
+ * directly, posting-list compression and the evaluation metrics.
+ *
+ * Run with `node --test` from the repository root.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../retrieval_core.js");
+
+// Equal up to floating-point rounding
+function near(actual, expected, message) {
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `${message || "value"}: expected ${expected}, got ${actual}`
+  );
+}
+
+const DOCS = [
+  "bob and alice run a bicycle shop in portland",
+  "shop shop shop shop sale sale",
+  "portland bicycle repair shop open late for commuters",
+  "a cat sat on the mat",
+  "every bicycle route and bicycle lane in maine",
+].map(core.textToTokens);
+
+test("parseSmartCode and smartCode are inverses", () => {
+  const scheme = core.parseSmartCode("ltc.lnc");
+  assert.deepEqual(scheme, {
+    doc: { tf: "l", idf: "t", norm: "c" },
+    query: { tf: "l", idf: "n", norm: "c" },
+  });
+  assert.equal(core.smartCode(scheme), "ltc.lnc");
+  assert.equal(core.smartCode(core.DEFAULT_SCHEME), "rsn.rsn");
+  assert.equal(core.parseSmartCode("xyz.lnc"), null);
+  assert.equal(core.parseSmartCode("ltc"), null);
+});
+
+test("computeTfIdf weights by the default rsn.rsn scheme", () => {
+  const docs = [
+    ["a", "b"],
+    ["a", "a", "c"],
+  ];
+  const r = core.computeTfIdf(["a", "c"], docs);
+  const a = r.vocab.indexOf("a");
+  const c = r.vocab.indexOf("c");
+  near(r.idf[a], Math.log(3 / 3), "idf(a)");
+  near(r.idf[c], Math.log(3 / 2), "idf(c)");
+  // TF is the count divided by the text length
+  near(r.docsTf[1][a], 2 / 3, "tf(a, d2)");
+  near(r.queryTf[c], 1 / 2, "tf(c, q)");
+  near(r.scores[1].dot, (1 / 3) * Math.log(1.5) * 0.5 * Math.log(1.5));
+  near(r.scores[0].dot, 0, "d1 shares only the zero-IDF term");
+});
+
+test("computeTfIdf follows a SMART code such as lnc.ltc", () => {
+  const docs = [
+    ["a", "b"],
+    ["a", "a", "c"],
+  ];
+  const scheme = core.parseSmartCode("lnc.ltc");
+  const r = core.computeTfIdf(["a", "c"], docs, scheme);
+  const a = r.vocab.indexOf("a");
+  const b = r.vocab.indexOf("b");
+  const c = r.vocab.indexOf("c");
+  // Documents: log TF, no IDF, cosine normalization
+  const d2 = [1 + Math.log(2), 1];
+  const d2Length = Math.hypot(...d2);
+  near(r.docsTfidf[1][a], d2[0] / d2Length, "w(a, d2)");
+  near(r.docsTfidf[1][c], d2[1] / d2Length, "w(c, d2)");
+  near(r.docsTfidf[0][b], 1 / Math.SQRT2, "w(b, d1)");
+  // Query: log TF and log(N/df) IDF, so "a" (in both documents) weighs 0
+  near(r.queryTfidf[a], 0, "w(a, q)");
+  near(r.queryTfidf[c], 1, "w(c, q)");
+  near(r.scores[1].cos, d2[1] / d2Length, "cos(q, d2)");
+  near(r.scores[0].cos, 0, "cos(q, d1)");
+});
+
+test("every TF, IDF and normalization scheme gives finite weights", () => {
+  Object.keys(core.TF_SCHEMES).forEach((tf) => {
+    Object.keys(core.IDF_SCHEMES).forEach((idf) => {
+      Object.keys(core.NORM_SCHEMES).forEach((norm) => {
+        const w = { tf, idf, norm };
+        const r = core.computeTfIdf(DOCS[0], DOCS, { doc: w, query: w });
+        r.docsTfidf.flat().forEach((x) => assert.ok(Number.isFinite(x)));
+        r.scores.forEach(({ dot, cos }) => {
+          assert.ok(Number.isFinite(dot) && Number.isFinite(cos));
+        });
+      });
+    });
+  });
+});
+
+test("BM25 IDFs match their formulas", () => {
+  const { smoothed, lucene, rsj } = core.BM25_IDF_SCHEMES;
+  near(smoothed.fn(2, 5), Math.log(5.5 / 2.5));
+  near(lucene.fn(2, 5), Math.log(1 + 3.5 / 2.5));
+  near(rsj.fn(2, 5), Math.log(3.5 / 2.5));
+  // Only RSJ goes negative, for terms in more than half the documents
+  assert.ok(rsj.fn(4, 5) < 0);
+  assert.ok(smoothed.fn(4, 5) > 0);
+  assert.ok(lucene.fn(5, 5) > 0);
+  near(smoothed.fn(5, 5), 0, "smoothed IDF of a term in every document");
+});
+
+test("computeBm25 scores Okapi BM25 by hand", () => {
+  const docs = [
+    ["a", "b", "a"],
+    ["b", "c"],
+    ["c"],
+  ];
+  const r = core.computeBm25(["a", "c"], docs, { k1: 1.2, b: 0.75 });
+  const avgdl = 2;
+  const idfA = Math.log(3.5 / 1.5);
+  const idfC = Math.log(3.5 / 2.5);
+  const tfPart = (f, len) =>
+    (f * 2.2) / (f + 1.2 * (1 - 0.75 + (0.75 * len) / avgdl));
+  near(r.avgDocLength, avgdl, "avgdl");
+  near(r.idf.a, idfA, "idf(a)");
+  near(r.termContribs[0].a, idfA * tfPart(2, 3), "a in d1");
+  near(r.scores[1], idfC * tfPart(1, 2), "d2");
+  near(r.scores[2], idfC * tfPart(1, 1), "d3");
+  assert.equal(r.termFreqs[0].a, 2);
+  assert.equal(r.termContribs[0].c, 0);
+});
+
+test("BM25 variants reshape the term-frequency component", () => {
+  const f = 3;
+  const ratio = 1.5;
+  const norm = 1 - 0.75 + 0.75 * ratio;
+  const okapi = core.bm25TermWeight(f, 1.2, 0.75, ratio);
+  near(okapi, (f * 2.2) / (f + 1.2 * norm), "Okapi");
+  near(
+    core.bm25TermWeight(f, 1.2, 0.75, ratio, "bm25plus", 1),
+    okapi + 1,
+    "BM25+ adds δ"
+  );
+  const c = f / norm;
+  near(
+    core.bm25TermWeight(f, 1.2, 0.75, ratio, "bm25l", 0.5),
+    (2.2 * (c + 0.5)) / (1.2 + c + 0.5),
+    "BM25L shifts the normalized frequency"
+  );
+  near(
+    core.bm25TermWeight(f, 1.2, 0.75, ratio, "lucene"),
+    okapi / 2.2,
+    "Lucene drops the k1 + 1 factor"
+  );
+  assert.equal(core.bm25TermWeight(0, 1.2, 0.75, ratio, "bm25plus", 1), 0);
+  // Saturates towards k1 + 1
+  assert.ok(core.bm25TermWeight(1e6, 1.2, 0.75, 1) < 2.2);
+});
+
+test("computeBm25 reads the variant, IDF and query weights", () => {
+  const query = ["bicycle", "shop"];
+  const okapi = core.computeBm25(query, DOCS);
+  const plus = core.computeBm25(query, DOCS, { variant: "bm25plus" });
+  // BM25+ adds idf · δ (δ = 1 by default) for every matched term
+  DOCS.forEach((doc, d) => {
+    const extra = query
+      .filter((t) => doc.includes(t))
+      .reduce((sum, t) => sum + okapi.idf[t], 0);
+    near(plus.scores[d], okapi.scores[d] + extra, `BM25+ d${d + 1}`);
+  });
+  const rsj = core.computeBm25(query, DOCS, { idf: "rsj" });
+  near(rsj.idf.bicycle, Math.log(2.5 / 3.5), "RSJ idf(bicycle)");
+  const weighted = core.computeBm25(query, DOCS, {
+    queryWeights: { shop: 2 },
+  });
+  near(weighted.termContribs[1].shop, 2 * okapi.termContribs[1].shop);
+  near(weighted.termContribs[0].bicycle, okapi.termContribs[0].bicycle);
+});
+
+test("scoreIndexed ranks as the direct scorers do", () => {
+  const index = core.buildInvertedIndex(DOCS);
+  const stats = core.indexStats(index);
+  const query = core.textToTokens("bicycle shop in portland");
+
+  const bow = core.scoreIndexed(query, index, stats, { type: "bow" });
+  const vocab = core.buildVocabulary([query, ...DOCS]);
+  const queryVec = core.vectorize(query, vocab);
+  DOCS.forEach((doc, d) => {
+    const docVec = core.vectorize(doc, vocab);
+    near(bow.dots[d], core.dot(queryVec, docVec), `bow dot d${d + 1}`);
+    near(bow.scores[d], core.cosine(queryVec, docVec), `bow cos d${d + 1}`);
+  });
+
+  ["rsn.rsn", "ltc.lnc", "atn.btn", "kpc.nsn"].forEach((code) => {
+    const scheme = core.parseSmartCode(code);
+    const direct = core.computeTfIdf(query, DOCS, scheme);
+    const indexed = core.scoreIndexed(query, index, stats, {
+      type: "tfidf",
+      scheme,
+    });
+    direct.scores.forEach(({ dot, cos }, d) => {
+      near(indexed.dots[d], dot, `${code} dot d${d + 1}`);
+      near(indexed.scores[d], cos, `${code} cos d${d + 1}`);
+    });
+  });
+
+  [
+    { k1: 1.2, b: 0.75 },
+    { k1: 2, b: 0.3, variant: "bm25l", delta: 0.5 },
+    { k1: 0.9, b: 0.4, variant: "bm25plus", delta: 1 },
+    { k1: 1.2, b: 0.75, variant: "lucene", idf: "lucene" },
+    { k1: 1.2, b: 1, idf: "rsj" },
+  ].forEach((params) => {
+    const direct = core.computeBm25(query, DOCS, params);
+    const indexed = core.scoreIndexed(query, index, stats, {
+      type: "bm25",
+      ...params,
+    });
+    direct.scores.forEach((score, d) => {
+      near(indexed.scores[d], score, `${JSON.stringify(params)} d${d + 1}`);
+    });
+  });
+});
+
+test("topK keeps only documents with a query term, best first", () => {
+  // Document 5 has "bicycle" twice; document 3 is shorter than document 1
+  const index = core.buildInvertedIndex(DOCS);
+  const stats = core.indexStats(index);
+  const query = ["bicycle"];
+  const { scores, contribs } = core.scoreIndexed(query, index, stats, {
+    type: "bm25",
+  });
+  assert.deepEqual(core.topK(scores, contribs, Infinity), [4, 2, 0]);
+  assert.deepEqual(core.topK(scores, contribs, 1), [4]);
+});
+
+test("buildInvertedIndex records positions, shifted when given", () => {
+  const index = core.buildInvertedIndex(
+    [
+      ["bike", "shop", "bike"],
+      ["shop", "bike"],
+    ],
+    [
+      [0, 3, 5],
+      [1, 2],
+    ]
+  );
+  assert.equal(index.numDocs, 2);
+  assert.deepEqual(index.postings.get("bike"), [
+    { doc: 0, tf: 2, positions: [0, 5] },
+    { doc: 1, tf: 1, positions: [2] },
+  ]);
+  assert.equal(core.findPosting(index.postings.get("shop"), 1).tf, 1);
+  assert.equal(core.findPosting(index.postings.get("shop"), 2), null);
+});
+
+test("gap and variable-byte codes round-trip", () => {
+  // Manning et al., table 5.4
+  assert.deepEqual(core.vbEncode(5), [133]);
+  assert.deepEqual(core.vbEncode(824), [6, 184]);
+  assert.deepEqual(core.vbEncode(214577), [13, 12, 177]);
+  assert.deepEqual(core.vbEncode(0), [128]);
+  const docIds = [824, 829, 215406];
+  const gaps = core.gapEncode(docIds);
+  assert.deepEqual(gaps, [824, 5, 214577]);
+  assert.deepEqual(core.vbEncodeList(gaps), [6, 184, 133, 13, 12, 177]);
+  const bytes = core.vbEncodeList(gaps);
+  assert.deepEqual(core.gapDecode(core.vbDecode(bytes)), docIds);
+  [0, 1, 127, 128, 16383, 16384, 2 ** 31].forEach((n) => {
+    assert.deepEqual(core.vbDecode(core.vbEncode(n)), [n]);
+  });
+});
+
+test("skip pointers span about √n postings", () => {
+  assert.deepEqual(core.skipPointers(3), []);
+  assert.deepEqual(core.skipPointers(9), [
+    [0, 3],
+    [3, 6],
+  ]);
+});
+
+test("precision, recall, AP and RR of a ranking", () => {
+  // Relevant: 1, 3 and 7 (never retrieved)
+  const grades = new Map([
+    [1, 2],
+    [3, 1],
+    [7, 3],
+    [2, 0],
+  ]);
+  const ranking = [0, 1, 2, 3, 4];
+  assert.equal(core.relevantCount(grades), 3);
+  near(core.precisionAtK(ranking, grades, 2), 1 / 2);
+  near(core.precisionAtK(ranking, grades, 5), 2 / 5);
+  near(core.recallAtK(ranking, grades, 2), 1 / 3);
+  near(core.recallAtK(ranking, grades, 5), 2 / 3);
+  near(core.averagePrecision(ranking, grades), (1 / 2 + 2 / 4) / 3);
+  near(core.reciprocalRank(ranking, grades), 1 / 2);
+  near(core.reciprocalRank([0, 2], grades), 0);
+  near(core.averagePrecision(ranking, new Map()), 0);
+});
+
+test("nDCG@k uses graded gains and clamps negative grades", () => {
+  const grades = new Map([
+    [0, 3],
+    [1, 0],
+    [2, 1],
+  ]);
+  const discount = (rank) => Math.log2(rank + 1);
+  const ideal = 7 / discount(1) + 1 / discount(2);
+  near(core.ndcgAtK([0, 2, 1], grades, 3), 1, "ideal ordering");
+  near(
+    core.ndcgAtK([1, 2, 0], grades, 3),
+    (1 / discount(2) + 7 / discount(3)) / ideal
+  );
+  near(core.ndcgAtK([1, 2], grades, 1), 0);
+  // A spam document graded −2 counts as not relevant, not as a penalty
+  const spam = new Map([
+    [0, -2],
+    [1, 1],
+  ]);
+  near(core.ndcgAtK([0, 1], spam, 2), 1 / discount(2));
+});
+
+test("meanMetrics averages AP and RR into MAP and MRR", () => {
+  const a = core.evaluateRanking([0, 1], new Map([[0, 1]]), 2);
+  const b = core.evaluateRanking([0, 1], new Map([[1, 1]]), 2);
+  const mean = core.meanMetrics([a, b]);
+  near(mean.averagePrecision, (1 + 1 / 2) / 2, "MAP");
+  near(mean.reciprocalRank, (1 + 1 / 2) / 2, "MRR");
+  near(mean.precisionAtK, 1 / 2);
+  near(core.meanMetrics([]).averagePrecision, 0);
+});
+
+test("precision–recall curve interpolates from the right", () => {
+  const grades = new Map([
+    [1, 1],
+    [2, 1],
+  ]);
+  const { points, interpolated } = core.precisionRecallCurve(
+    [0, 1, 2],
+    grades
+  );
+  assert.equal(points.length, 3);
+  near(points[2].recall, 1);
+  near(points[2].precision, 2 / 3);
+  assert.equal(interpolated.length, 11);
+  near(interpolated[0].precision, 2 / 3);
+});
+
+test("parseQrels and parseQueries read TREC files", () => {
+  const qrels = core.parseQrels("# judged\n1 0 d1 2\n1 0 d2 -2\n2 d1 1\n");
+  assert.deepEqual([...qrels.keys()], ["1", "2"]);
+  assert.equal(qrels.get("1").get("d2"), -2);
+  assert.equal(qrels.get("2").get("d1"), 1);
+  assert.throws(() => core.parseQrels("1 0 d1"), /Line 1/);
+  assert.throws(() => core.parseQrels("1 0 d1 high"), /integer/);
+
+  const queries = core.parseQueries("1\tbicycle shop\n\n2  cat on a mat\n");
+  assert.equal(queries.get("1"), "bicycle shop");
+  assert.equal(queries.get("2"), "cat on a mat");
+  assert.throws(() => core.parseQueries("lonely"), /Line 1/);
+});
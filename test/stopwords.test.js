@@ -0,0 +1,65 @@
+/*
+ * Tests for the stop-word presets, their plain-text and JSON formats and
+ * the corpus-derived proposals.
+ *
+ * Run with `node --test` from the repository root.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const StopWords = require("../stopwords.js");
+
+test("every preset is a named list of lowercase words", () => {
+  Object.values(StopWords.PRESETS).forEach(({ name, words }) => {
+    assert.ok(name.length > 0);
+    assert.ok(words.length > 0, name);
+    words.forEach((w) => assert.equal(w, w.toLowerCase(), name));
+  });
+  assert.ok(StopWords.PRESETS.minimal.words.includes("the"));
+});
+
+test("parse reads plain text with comments, commas and repeats", () => {
+  const text = "# my list\nThe, a  an\n\nof # trailing comment\nthe\n";
+  assert.deepEqual(StopWords.parse(text), ["the", "a", "an", "of"]);
+  assert.deepEqual(StopWords.parse(""), []);
+});
+
+test("parse reads JSON arrays and objects with a words array", () => {
+  assert.deepEqual(StopWords.parse('["The", "of", "the"]'), ["the", "of"]);
+  assert.deepEqual(StopWords.parse('{"name": "x", "words": ["a"]}'), ["a"]);
+  assert.throws(() => StopWords.parse('{"list": ["a"]}'), /"words" array/);
+  assert.throws(() => StopWords.parse("[not json"), SyntaxError);
+});
+
+test("serialize writes sorted text or JSON that parse reads back", () => {
+  const list = new Set(["of", "the", "a"]);
+  assert.equal(StopWords.serialize(list), "a\nof\nthe\n");
+  const json = StopWords.serialize(list, "json", "mine");
+  assert.deepEqual(JSON.parse(json), {
+    name: "mine",
+    words: ["a", "of", "the"],
+  });
+  assert.deepEqual(StopWords.parse(json), ["a", "of", "the"]);
+  assert.deepEqual(StopWords.parse(StopWords.serialize(list)), [
+    "a",
+    "of",
+    "the",
+  ]);
+});
+
+test("corpusStopWords proposes terms by document frequency", () => {
+  const docs = [
+    ["the", "bike", "the"],
+    ["the", "shop"],
+    ["a", "bike", "shop"],
+    ["the", "cat"],
+  ];
+  assert.deepEqual(StopWords.corpusStopWords(docs, 0.75), [
+    { term: "the", df: 3, idf: Math.log(4 / 3) },
+  ]);
+  assert.deepEqual(
+    StopWords.corpusStopWords(docs, 0.5).map((p) => p.term),
+    ["the", "bike", "shop"]
+  );
+  assert.deepEqual(StopWords.corpusStopWords([], 0.5), []);
+});
@@ -0,0 +1,53 @@
+/*
+ * Tests for the BPE and WordPiece trainers and encoders.
+ *
+ * Run with `node --test` from the repository root.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Subword = require("../subword.js");
+
+const WORDS = ["aab", "aab", "ab"];
+
+test("training starts from characters with ## continuations", () => {
+  const { alphabet } = Subword.learn(WORDS, 0);
+  assert.deepEqual(alphabet, ["a", "##a", "##b"]);
+});
+
+test("BPE merges the most frequent pair, ties to the first seen", () => {
+  const { merges, vocab } = Subword.learn(WORDS, 5);
+  assert.deepEqual(
+    merges.map((m) => [m.left, m.right, m.merged, m.count]),
+    [
+      ["a", "##a", "aa", 2],
+      ["aa", "##b", "aab", 2],
+    ]
+  );
+  assert.equal(vocab.length, 5);
+  // Training stops when no pair is left
+  assert.equal(Subword.learn(WORDS, 100).vocab.length, 6);
+});
+
+test("WordPiece scores a pair by its count over its parts' counts", () => {
+  const { merges } = Subword.learn(WORDS, 6, "wordpiece");
+  assert.equal(merges[0].score, 2 / (3 * 2));
+  assert.equal(merges[2].merged, "ab");
+  assert.equal(merges[2].score, 1);
+});
+
+test("encoding replays merges, or takes the longest piece", () => {
+  const bpe = Subword.learn(WORDS, 6);
+  assert.deepEqual(
+    Subword.encode(["aab", "abz", "ba"], bpe).map((e) => e.pieces),
+    [["aab"], ["ab", "[UNK]"], ["[UNK]", "##a"]]
+  );
+  // Only the first merge: "aab" stays split after "aa"
+  const early = { alphabet: bpe.alphabet, merges: bpe.merges.slice(0, 1) };
+  assert.deepEqual(Subword.encode(["aab"], early)[0].pieces, ["aa", "##b"]);
+  const wordpiece = Subword.learn(WORDS, 6, "wordpiece");
+  assert.deepEqual(
+    Subword.encode(["aab", "abz"], wordpiece, "wordpiece").map((e) => e.pieces),
+    [["aab"], ["[UNK]"]]
+  );
+});
@@ -1,97 +1,448 @@
 /*
  * TF‑IDF visualizer
  *
- * Computes term frequency (TF), inverse document frequency (IDF), and
- * TF‑IDF weights for a query and three documents. Renders the TF‑IDF
- * vectors as stacked bar charts per document on a shared vocabulary axis.
- * Displays dot product and cosine similarity scores using TF‑IDF weights.
+ * Weights the terms of a query and any number of documents by TF‑IDF with
+ * the shared retrieval core and draws the weights as bars per document on a
+ * shared vocabulary axis, ranking the documents by dot product and cosine
+ * similarity. The TF, IDF and normalization components are chosen
+ * separately for documents and query, with the resulting SMART code (e.g.
+ * "ltc.lnc") shown next to the selectors.
+ *
+ * Dragging a bar up or down sets that term's raw count in the query or a
+ * document (synthetic counts, see documents.js) and reweights everything
+ * as it moves. Relevance feedback (feedback.js) replaces the typed query's
+ * weights with Rocchio's, easing the query bars towards the relevant
+ * documents.
+ *
+ * Around the chart, the documents are listed as search results with
+ * highlighted snippets (search_results.js) and the "Show your work" panel
+ * writes out every weight and score with the numbers substituted
+ * (derivation.js).
  */
 
 let vocab = [];
 let idf = [];
+let queryIdf = [];
 let queryTf = [];
 let docsTf = [];
 let docsTfidf = [];
 let queryTfidf = [];
 let scores = [];
+// Everything the core returned, for the worked derivation
+let tfidfResult = null;
+// Bar columns drawn in the last frame, for dragging
+let barColumns = [];
+// Mouse travel per unit of raw count while dragging a bar
+const PX_PER_COUNT = 20;
 
-// Tokenize text into lowercase words
-function textToTokens(str) {
-  return str
-    .toLowerCase()
-    .split(/[^\p{L}\p{N}']+/u)
-    .filter((t) => t.length > 0);
+function computeTfIdf() {
+  const queryText = document.getElementById("queryText").value;
+  const scheme = readScheme();
+  document.getElementById("smartCode").textContent =
+    RetrievalCore.smartCode(scheme);
+  // A loaded corpus is scored from its inverted index instead
+  if (loadedCorpus) {
+    const model = { type: "tfidf", scheme };
+    const ranking = rankLoadedCorpus(queryText, model, "cosine");
+    document.getElementById("scores").innerHTML =
+      corpusScoreHtml(ranking) + `<br/><em>Pipeline: ${pipelineSummary()}</em>`;
+    clearSearchResults();
+    tfidfResult = null;
+    refreshDerivation();
+    return;
+  }
+  const queryTokens = textareaTokens(document.getElementById("queryText"));
+  const docs = getDocumentTokens();
+  // Weighting and scoring live in the retrieval core; keep the pieces the
+  // chart needs
+  const result = RetrievalCore.computeTfIdf(queryTokens, docs, scheme);
+  ({ vocab, idf, queryIdf, queryTf, docsTf, queryTfidf, docsTfidf, scores } =
+    result);
+  tfidfResult = result;
+  if (feedbackWeights) {
+    // Score the documents against the query moved by relevance feedback
+    const { dot, cosine } = RetrievalCore;
+    queryTfidf = vocab.map((term) => feedbackWeights.get(term) || 0);
+    scores = docsTfidf.map((vec) => ({
+      dot: dot(vec, queryTfidf),
+      cos: cosine(vec, queryTfidf),
+    }));
+  }
+  updateScoreDisplay();
+  refreshDerivation();
 }
 
-function computeTfIdf() {
-  const queryTokens = textToTokens(
-    document.getElementById("queryText").value
-  );
-  const docs = [
-    textToTokens(document.getElementById("d1Text").value),
-    textToTokens(document.getElementById("d2Text").value),
-    textToTokens(document.getElementById("d3Text").value),
-  ];
-  // Build vocabulary across all documents and query
-  const vocabSet = new Set([...queryTokens, ...docs[0], ...docs[1], ...docs[2]]);
-  vocab = Array.from(vocabSet);
-  const N = docs.length;
-  // Compute document frequency for each term
-  const df = new Array(vocab.length).fill(0);
-  vocab.forEach((term, i) => {
-    docs.forEach((doc) => {
-      if (doc.includes(term)) df[i] += 1;
-    });
-  });
-  // Compute IDF: log((N + 1)/(n_t + 1)) to avoid division by zero and keep positive
-  idf = df.map((n_t) => {
-    return Math.log((N + 1) / (n_t + 1));
-  });
-  // Compute TF for query
-  queryTf = new Array(vocab.length).fill(0);
-  vocab.forEach((term, i) => {
-    const count = queryTokens.filter((t) => t === term).length;
-    queryTf[i] = queryTokens.length > 0 ? count / queryTokens.length : 0;
+// Current SMART scheme from the six weighting selectors
+function readScheme() {
+  const part = (prefix) => ({
+    tf: document.getElementById(`${prefix}Tf`).value,
+    idf: document.getElementById(`${prefix}Idf`).value,
+    norm: document.getElementById(`${prefix}Norm`).value,
   });
-  // Compute TF for docs
-  docsTf = docs.map((docTokens) => {
-    const tfVec = new Array(vocab.length).fill(0);
-    vocab.forEach((term, i) => {
-      const count = docTokens.filter((t) => t === term).length;
-      tfVec[i] = docTokens.length > 0 ? count / docTokens.length : 0;
+  return { doc: part("doc"), query: part("query") };
+}
+
+// Fill the weighting selectors from the schemes the core knows about and
+// select the default "rsn.rsn" weighting
+function initSchemeSelectors() {
+  const { TF_SCHEMES, IDF_SCHEMES, NORM_SCHEMES, DEFAULT_SCHEME } =
+    RetrievalCore;
+  const fill = (id, schemes, selected) => {
+    const select = document.getElementById(id);
+    Object.entries(schemes).forEach(([letter, { name }]) => {
+      const opt = document.createElement("option");
+      opt.value = letter;
+      opt.textContent = `${letter}: ${name}`;
+      select.appendChild(opt);
     });
-    return tfVec;
+    select.value = selected;
+    select.addEventListener("change", computeTfIdf);
+  };
+  ["doc", "query"].forEach((prefix) => {
+    const defaults = DEFAULT_SCHEME[prefix];
+    fill(`${prefix}Tf`, TF_SCHEMES, defaults.tf);
+    fill(`${prefix}Idf`, IDF_SCHEMES, defaults.idf);
+    fill(`${prefix}Norm`, NORM_SCHEMES, defaults.norm);
   });
-  // Compute TF‑IDF for query and docs
-  queryTfidf = queryTf.map((tf, i) => tf * idf[i]);
-  docsTfidf = docsTf.map((tfVec) => {
-    return tfVec.map((tf, i) => tf * idf[i]);
-  });
-  // Compute scores: dot product and cosine similarity using TF‑IDF
-  const vectorMagnitude = (vec) => Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
-  const qMag = vectorMagnitude(queryTfidf);
-  scores = docsTfidf.map((docVec) => {
-    const dot = docVec.reduce((sum, v, i) => sum + v * queryTfidf[i], 0);
-    const dMag = vectorMagnitude(docVec);
-    const cos = qMag === 0 || dMag === 0 ? 0 : dot / (qMag * dMag);
-    return { dot, cos };
-  });
-  updateScoreDisplay();
 }
 
+/*
+ * Results ranked by cosine similarity. The snippets highlight the terms
+ * of the query, and any term feedback added to it, each by its product of
+ * query and document weights (its part of the dot product), so a term in
+ * every document is still marked though its IDF weight is 0.
+ */
 function updateScoreDisplay() {
+  const queryTerms = vocab.filter(
+    (_, t) => queryTf[t] !== 0 || queryTfidf[t] !== 0
+  );
+  const contributions = docsTfidf.map((vec) =>
+    Object.fromEntries(
+      queryTerms.map((term) => {
+        const t = vocab.indexOf(term);
+        return [term, vec[t] * queryTfidf[t]];
+      })
+    )
+  );
+  renderSearchResults(
+    queryTerms,
+    scores.map((sc) => sc.cos),
+    contributions,
+    (d) =>
+      `cosine similarity ${scores[d].cos.toFixed(3)}, ` +
+      `dot product ${scores[d].dot.toFixed(3)}`
+  );
   const el = document.getElementById("scores");
-  el.innerHTML = scores
-    .map(
-      (sc, i) =>
-        `<strong>Document ${i + 1}:</strong> dot product = ${sc.dot.toFixed(
-          3
-        )}, cosine similarity = ${sc.cos.toFixed(3)}`
+  el.innerHTML = "";
+  if (feedbackWeights) {
+    el.innerHTML += "<em>Query weights from relevance feedback</em><br/>";
+  }
+  el.innerHTML += `<em>Pipeline: ${pipelineSummary()}</em>`;
+}
+
+/*
+ * Tables for the export menu: raw counts, the TF and IDF factors, the final
+ * weights under the current SMART scheme and the worked scores.
+ */
+function exportTables() {
+  if (loadedCorpus) {
+    return corpusRanking ? [corpusRankingTable(corpusRanking)] : [];
+  }
+  const labels = docsTfidf.map((_, d) => `D${d + 1}`);
+  const columns = (queryValues, docValues) => [
+    { label: "Query", values: queryValues },
+    ...docValues.map((values, d) => ({ label: labels[d], values })),
+  ];
+  const [queryCounts, ...docCounts] = [
+    textareaTokens(document.getElementById("queryText")),
+    ...getDocumentTokens(),
+  ].map((tokens) => {
+    const counts = RetrievalCore.termCounts(tokens);
+    return vocab.map((term) => counts.get(term) || 0);
+  });
+  const df = vocab.map((_, t) => docCounts.filter((c) => c[t] > 0).length);
+  const code = RetrievalCore.smartCode(readScheme());
+  return [
+    termMatrixTable("Term counts", vocab, columns(queryCounts, docCounts)),
+    termMatrixTable("TF weights", vocab, columns(queryTf, docsTf)),
+    termMatrixTable("IDF", vocab, [
+      { label: "df", values: df },
+      { label: "Document idf", values: idf },
+      { label: "Query idf", values: queryIdf },
+    ]),
+    termMatrixTable(
+      `TF-IDF weights (${code})`,
+      vocab,
+      columns(queryTfidf, docsTfidf)
+    ),
+    {
+      name: `Dot product and cosine (${code})`,
+      header: ["Document", "q · d", "Dot product", "Cosine"],
+      rows: docsTfidf.map((vec, d) => [
+        labels[d],
+        dotProductTerms(queryTfidf, vec),
+        scores[d].dot,
+        scores[d].cos,
+      ]),
+    },
+  ];
+}
+
+// Substituted TF for one count under the TF letter, or null when the value
+// needs no working (raw and boolean TF, or a zero count)
+function tfWorking(letter, count, { length, maxCount, avgLength }) {
+  if (count === 0) return null;
+  const times = mathOp("×");
+  if (letter === "l") {
+    return mathNum(1) + mathOp("+") + mathApply("ln", mathNum(count));
+  }
+  if (letter === "a") {
+    return (
+      mathNum(0.5) +
+      mathOp("+") +
+      mathFrac(mathNum(0.5) + times + mathNum(count), mathNum(maxCount))
+    );
+  }
+  if (letter === "r") return mathFrac(mathNum(count), mathNum(length));
+  if (letter === "k") {
+    // BM25-style TF with the core's fixed k1 = 1.2 and b = 0.75
+    const norm =
+      mathNum(1) +
+      mathOp("−") +
+      mathNum(0.75) +
+      mathOp("+") +
+      mathNum(0.75) +
+      times +
+      mathFrac(mathNum(length), mathNum(avgLength));
+    return mathFrac(
+      mathNum(count) +
+        times +
+        mathParen(mathNum(1.2) + mathOp("+") + mathNum(1)),
+      mathNum(count) + mathOp("+") + mathNum(1.2) + times + mathParen(norm)
+    );
+  }
+  return null;
+}
+
+// Substituted IDF for document frequency n of N, or null when the value
+// needs no working
+function idfWorking(letter, n, N) {
+  if (letter === "t" && n > 0) {
+    return mathApply("ln", mathFrac(mathNum(N), mathNum(n)));
+  }
+  if (letter === "s") {
+    return mathApply(
+      "ln",
+      mathFrac(
+        mathNum(N) + mathOp("+") + mathNum(1),
+        mathNum(n) + mathOp("+") + mathNum(1)
+      )
+    );
+  }
+  if (letter === "p" && n > 0 && N > n) {
+    const ratio = mathFrac(mathNum(N) + mathOp("−") + mathNum(n), mathNum(n));
+    return mathApply("max", mathNum(0), mathApply("ln", ratio));
+  }
+  return null;
+}
+
+// lhs = working = value, leaving out the working when there is none
+const workedLine = (lhs, working, value) =>
+  working
+    ? mathEquation(lhs, working, mathNum(value))
+    : mathEquation(lhs, mathNum(value));
+
+/*
+ * "Show your work": the IDF, TF, weight and score of every query term with
+ * this page's numbers substituted. Other terms have zero query weight and
+ * add nothing to the dot product, so only the vector lengths include them.
+ */
+function tfidfDerivation() {
+  if (!tfidfResult) return DERIVATION_CORPUS_NOTE;
+  const { TF_SCHEMES, IDF_SCHEMES, magnitude } = RetrievalCore;
+  const r = tfidfResult;
+  const scheme = readScheme();
+  // Query terms, and terms added by relevance feedback
+  const shown = r.vocab
+    .map((_, t) => t)
+    .filter((t) => r.queryCounts[t] > 0 || queryTfidf[t] !== 0);
+  const term = (t) => mathTerm(r.vocab[t]);
+  const times = mathOp("×");
+  const q = mathIdent("q");
+  const docSymbol = (d) => mathSub(mathIdent("d"), mathNum(d + 1));
+  const lengths = r.docsCounts.map((c) => c.reduce((a, v) => a + v, 0));
+  const sections = [];
+  const stats = [mathEquation(mathIdent("N"), mathNum(r.N))];
+  if (scheme.doc.tf === "k") {
+    stats.push(
+      mathEquation(
+        mathIdent("avgdl"),
+        mathFrac(mathSum(lengths), mathNum(r.N)),
+        mathNum(r.avgLength)
+      )
+    );
+  }
+  sections.push(derivationSection("Collection", stats));
+  const idfSection = (title, letter, values) =>
+    derivationSection(
+      `${title} (${letter}: ${IDF_SCHEMES[letter].name})`,
+      shown.map((t) =>
+        workedLine(
+          mathApply("idf", term(t)),
+          idfWorking(letter, r.df[t], r.N),
+          values[t]
+        )
+      )
+    );
+  if (scheme.doc.idf === scheme.query.idf) {
+    sections.push(
+      idfSection("Inverse document frequency", scheme.doc.idf, r.idf)
+    );
+  } else {
+    sections.push(idfSection("Document IDF", scheme.doc.idf, r.idf));
+    sections.push(idfSection("Query IDF", scheme.query.idf, r.queryIdf));
+  }
+  // TF, weight and (under cosine normalization) normalized weight of the
+  // query terms found in one text
+  const weightLines = (x, w, counts, tf, idfs, weights, avgLength) => {
+    const length = counts.reduce((a, v) => a + v, 0);
+    const ctx = { length, maxCount: Math.max(0, ...counts), avgLength };
+    const raw = tf.map((v, t) => v * idfs[t]);
+    const present = shown.filter((t) => counts[t] > 0);
+    const lines = [];
+    present.forEach((t) => {
+      lines.push(
+        workedLine(
+          mathApply("tf", term(t), x),
+          tfWorking(w.tf, counts[t], ctx),
+          tf[t]
+        ),
+        mathEquation(
+          mathApply("w", term(t), x),
+          mathApply("tf", term(t), x) + times + mathApply("idf", term(t)),
+          mathNum(tf[t]) + times + mathFactor(idfs[t]),
+          mathNum(raw[t])
+        )
+      );
+    });
+    if (w.norm === "c") {
+      const mag = magnitude(raw);
+      const sumSquares = raw.reduce((a, v) => a + v * v, 0);
+      lines.push(
+        mathEquation(
+          mathRow(mathOp("|"), x, mathOp("|")),
+          mathSqrt(mathOp("∑") + mathSup(mathIdent("w"), mathNum(2))),
+          mathSqrt(mathNum(sumSquares)),
+          mathNum(mag)
+        )
+      );
+      if (mag > 0) {
+        present.forEach((t) => {
+          lines.push(
+            mathEquation(
+              mathApply("ŵ", term(t), x),
+              mathFrac(mathNum(raw[t]), mathNum(mag)),
+              mathNum(weights[t])
+            )
+          );
+        });
+      }
+    }
+    return lines;
+  };
+  const tfTitle = (w) => `TF ${w.tf}: ${TF_SCHEMES[w.tf].name}`;
+  sections.push(
+    derivationSection(
+      `Query (${tfTitle(scheme.query)})`,
+      weightLines(
+        q,
+        scheme.query,
+        r.queryCounts,
+        r.queryTf,
+        r.queryIdf,
+        r.queryTfidf,
+        r.queryCounts.reduce((a, v) => a + v, 0)
+      )
     )
-    .join("<br/>");
+  );
+  if (feedbackWeights) {
+    sections.push(
+      derivationSection(
+        "Query after relevance feedback",
+        shown.map((t) =>
+          mathEquation(mathApply("q′", term(t)), mathNum(queryTfidf[t]))
+        )
+      )
+    );
+  }
+  const queryLength = magnitude(queryTfidf);
+  r.docsTfidf.forEach((vec, d) => {
+    const x = docSymbol(d);
+    const lines = weightLines(
+      x,
+      scheme.doc,
+      r.docsCounts[d],
+      r.docsTf[d],
+      r.idf,
+      vec,
+      r.avgLength
+    );
+    const shared = shown.filter((t) => queryTfidf[t] !== 0 && vec[t] !== 0);
+    const products = shared
+      .map((t) => mathNum(queryTfidf[t]) + times + mathNum(vec[t]))
+      .join(mathOp("+"));
+    const dotSymbol = q + mathOp("·") + x;
+    lines.push(workedLine(dotSymbol, products || null, scores[d].dot));
+    const docLength = magnitude(vec);
+    lines.push(
+      queryLength > 0 && docLength > 0
+        ? mathEquation(
+            mathApply("cos", q, x),
+            mathFrac(
+              dotSymbol,
+              mathRow(mathOp("|"), q, mathOp("|")) +
+                mathRow(mathOp("|"), x, mathOp("|"))
+            ),
+            mathFrac(
+              mathNum(scores[d].dot),
+              mathNum(queryLength) + times + mathNum(docLength)
+            ),
+            mathNum(scores[d].cos)
+          )
+        : mathEquation(mathApply("cos", q, x), mathNum(0))
+    );
+    sections.push(
+      derivationSection(
+        `Document ${d + 1} (${tfTitle(scheme.doc)})`,
+        lines
+      )
+    );
+  });
+  return sections.join("");
 }
 
 window.addEventListener("DOMContentLoaded", () => {
+  initDocumentList(initialDocumentTexts(), computeTfIdf);
+  initSchemeSelectors();
+  initPipelineControls(computeTfIdf);
+  initCorpusLoader(computeTfIdf);
+  initVectorSpace(() => ({ vocab, query: queryTfidf, docs: docsTfidf }));
+  initPageState(computeTfIdf);
+  initExportMenu(exportTables);
+  initDerivationPanel(tfidfDerivation);
+  initFeedbackPanel({
+    vectors: () => ({
+      vocab,
+      query: tfidfResult ? tfidfResult.queryTfidf : [],
+      docs: docsTfidf,
+    }),
+    bm25Scores: () =>
+      RetrievalCore.computeBm25(
+        textareaTokens(document.getElementById("queryText")),
+        getDocumentTokens()
+      ).scores,
+    update: computeTfIdf,
+  });
   document.getElementById("computeBtn").addEventListener("click", () => {
     computeTfIdf();
   });
@@ -106,33 +457,60 @@ function setup() {
   const w = container ? container.clientWidth : 900;
   const cnv = createCanvas(w, 350);
   cnv.parent("canvasContainer");
-  computeTfIdf();
+  if (!restorePageState()) computeTfIdf();
 }
 
 function draw() {
+  if (loadedCorpus && corpusRanking) {
+    drawCorpusView(corpusRanking);
+    return;
+  }
+  if (height !== 350) resizeCanvas(width, 350);
   // Dark background for readability
   background(22, 24, 48);
   if (vocab.length === 0) return;
+  const colours = documentColours(docsTfidf.length);
   // Determine maximum TF‑IDF weight for scaling
   const maxWeight = Math.max(1e-6, ...queryTfidf, ...docsTfidf.flat());
   const barWidth = width / vocab.length;
+  // One slot for the query plus one per document
+  const slots = docsTfidf.length + 1;
+  barColumns = [];
   for (let i = 0; i < vocab.length; i++) {
     const x = i * barWidth + barWidth * 0.1;
     const bw = barWidth * 0.8;
+    // Term hovered in the "Show your work" panel
+    if (vocab[i] === highlightedTerm) {
+      push();
+      noStroke();
+      fill(240, 172, 95, 60);
+      rect(i * barWidth, height - 230, barWidth, 230);
+      pop();
+    }
+    for (let slot = 0; slot < slots; slot++) {
+      const cx = x + (slot * bw) / slots;
+      barColumns.push({ x: cx, w: bw / slots, slot, term: vocab[i] });
+    }
     // Draw query TF‑IDF (muted grey)
     const qHeight = (queryTfidf[i] / maxWeight) * 200;
-    fill(120, 120, 130);
-    rect(x, height - 20 - qHeight, bw / 4, qHeight);
-    // Draw doc vectors: 3 docs with Manim accent colours
+    fill(...QUERY_COLOUR);
+    rect(x, height - 20 - qHeight, bw / slots, qHeight);
+    if (feedbackWeights) {
+      // Outline of the typed query the feedback started from
+      const typedHeight = (tfidfResult.queryTfidf[i] / maxWeight) * 200;
+      push();
+      noFill();
+      stroke(230);
+      drawingContext.setLineDash([3, 3]);
+      rect(x, height - 20 - typedHeight, bw / slots, typedHeight);
+      drawingContext.setLineDash([]);
+      pop();
+    }
+    // Draw doc vectors in their palette colours
     for (let d = 0; d < docsTfidf.length; d++) {
-      const colorMap = [
-        [82, 88, 147], // doc1 blue
-        [131, 193, 103], // doc2 green
-        [240, 172, 95], // doc3 gold
-      ];
       const h = (docsTfidf[d][i] / maxWeight) * 200;
-      fill(...colorMap[d]);
-      rect(x + bw / 4 + (d * bw) / 4, height - 20 - h, bw / 4, h);
+      fill(...colours[d]);
+      rect(x + ((d + 1) * bw) / slots, height - 20 - h, bw / slots, h);
     }
     // Term label rotated for compactness
     fill(220);
@@ -144,21 +522,33 @@ function draw() {
     pop();
   }
   // Legend
-  const legendColors = [
-    [120, 120, 130],
-    [82, 88, 147],
-    [131, 193, 103],
-    [240, 172, 95],
-  ];
-  const labels = ["Query", "Doc 1", "Doc 2", "Doc 3"];
-  for (let i = 0; i < labels.length; i++) {
-    fill(...legendColors[i]);
-    rect(10 + i * 80, 10, 12, 12);
-    fill(220);
-    textSize(12);
-    textAlign(LEFT, CENTER);
-    text(labels[i], 26 + i * 80, 16);
-  }
+  drawLegend(
+    [
+      feedbackWeights ? "Query (feedback; dashed: typed)" : "Query",
+      ...docsTfidf.map((_, d) => `Doc ${d + 1}`),
+    ],
+    [QUERY_COLOUR, ...colours]
+  );
+  const hovering = barColumnAt(barColumns, height - 230, height - 20);
+  cursor(barDrag || hovering ? "ns-resize" : ARROW);
+  drawBarDragLabel();
+}
+
+// Grab the bar under the mouse to change the term's raw count
+function mousePressed() {
+  if (loadedCorpus) return;
+  const hit = barColumnAt(barColumns, height - 230, height - 20);
+  if (!hit) return;
+  const label = hit.slot === 0 ? "Query" : `Doc ${hit.slot}`;
+  startBarDrag(slotTextarea(hit.slot), hit.term, PX_PER_COUNT, label);
+}
+
+function mouseDragged() {
+  if (updateBarDrag(computeTfIdf)) computeTfIdf();
+}
+
+function mouseReleased() {
+  barDrag = null;
 }
 
 // Resize the canvas to match the container width on window resize
@@ -166,6 +556,6 @@ function windowResized() {
   const container = document.getElementById("canvasContainer");
   if (container) {
     const newW = container.clientWidth;
-    resizeCanvas(newW, 350);
+    resizeCanvas(newW, height);
   }
 }
\ No newline at end of file
@@ -1,83 +1,123 @@
 /*
  * Tokenization visualizer
  *
- * This script uses p5.js to render tokens as floating bubbles. Users can
- * tokenize an input string, apply a simple lemmatizer, and remove stop
- * words. Colours are drawn from the 3Blue1Brown palette: original tokens
- * appear in blue and lemmatized forms in green.
+ * Draws the tokens of the input text as floating p5.js bubbles, coloured
+ * from the 3Blue1Brown palette: original tokens in blue, lemmatized or
+ * stemmed forms in green. The text is split and run through the shared
+ * pipeline (pipeline.js); lemmatization and Porter stemming come from
+ * morphology.js, and every changed token is listed with the rules that
+ * produced it.
+ *
+ * Every stage is recorded as a snapshot in `timeline`, and the timeline
+ * controls (play/pause, step back/forward and a scrubber) replay them:
+ * changed labels morph, duplicates merge into one vocabulary bubble with a
+ * count badge, and removed stop words fade and fly into a "discarded" bin.
+ *
+ * The stop-word list and lemma exception dictionary edited here are the
+ * pipeline's options on every page (pipeline_controls.js). Presets and
+ * import/export of the list come from stopwords.js, clicking a bubble
+ * toggles its word, and a corpus-derived mode proposes the terms with the
+ * highest document frequency, to add to the list or replace it.
+ *
+ * The BPE and WordPiece modes learn a subword vocabulary from the text
+ * instead (subword.js). Every distinct word becomes a row of character
+ * bubbles, and the timeline replays the merges: at each step the two
+ * bubbles of the merged pair fuse into one, turning green, while a table
+ * lists the merges with their counts or scores. A second text box is
+ * encoded with the vocabulary learned up to the step shown, with "##"
+ * marking pieces that continue a word.
+ *
+ * corpus_stats.js adds Zipf and Heaps plots of the text, or of an uploaded
+ * file, after each pipeline stage.
  */
 
 // Global variables
 let tokens = [];
 let canvas;
+// Snapshots of `tokens` after each stage, and the one currently shown
+let timeline = [];
+let timelineIndex = 0;
+let playing = false;
+let lastStepTime = 0;
+// Every Token ever created for the current text, by id, so that stepping
+// through the timeline animates the same bubbles
+let tokenById = new Map();
+let nextTokenId = 0;
+const STEP_INTERVAL = 1400; // ms between stages during playback
+const MERGE_INTERVAL = 700; // ms between subword merges during playback
+const BIN_WIDTH = 120; // discarded-token bin on the right of the canvas
+
+// Pipeline stages that only normalise the surface form. Their output is
+// treated as the token's original text rather than as a changed form.
+const SURFACE_STAGES = ["lowercase", "fold", "apostrophes"];
+
+// Editable stop-word list, kept in the pipeline's options so every page
+// removes the same words. `stopPreset` names the preset it came from, or
+// "custom" once edited.
+let stopWords = new Set(pipelineOptions.stopWords);
+let stopPreset = matchingPreset(stopWords);
+// Terms last proposed by the corpus-derived mode
+let proposedStopWords = [];
 
-// Dictionary mapping lemmas to lists of surface forms
-const lemmaMapping = {
-  bob: ["bob", "bobs", "bob's", "bob’s"],
-  run: ["run", "runs", "running", "ran"],
-  bike: ["bike", "bikes", "bike's", "bike’s"],
-  fox: ["fox", "foxes"],
-  dog: ["dog", "dogs"],
-};
-
-// Flatten lemmaMapping for reverse lookup
-const formToLemma = {};
-for (const lemma in lemmaMapping) {
-  lemmaMapping[lemma].forEach((form) => {
-    formToLemma[form] = lemma;
-  });
-}
-
-// Stop words list
-const stopWords = new Set([
-  "the",
-  "a",
-  "an",
-  "and",
-  "but",
-  "is",
-  "are",
-  "was",
-  "were",
-  "he",
-  "she",
-  "they",
-  "of",
-  "to",
-  "in",
-  "on",
-  "over",
-  "by",
-  "with",
-  "for",
-  "it",
-  "as",
-  "his",
-  "her",
-  "its",
-]);
+// Subword mode: the learned model ({ alphabet, merges, vocab }) and one
+// row per distinct word, { word, count, tokens } with its current pieces
+let subwordModel = null;
+let subwordRows = [];
+// Word counts drawn after each row of pieces, placed by the layout
+let subwordLabels = [];
+// Pieces of the encoded text, as { word, pieces }
+let subwordEncoding = [];
 
 // Token class to store properties
 class Token {
   constructor(text) {
+    this.id = nextTokenId++;
+    tokenById.set(this.id, this);
     this.original = text;
     this.text = text;
+    // Previous label and progress (0–1) of the morph towards `text`
+    this.prevText = text;
+    this.morph = 1;
+    // Rules applied by the lemmatizer or stemmer, in order
+    this.trace = [];
     this.removed = false;
+    // Id of the subword piece this one was merged into, or null
+    this.fusedInto = null;
+    this.alpha = 255;
+    this.size = 60;
+    // Subword pieces are pills as wide as their text; null keeps it round
+    this.pieceWidth = null;
+    this.w = 60;
     this.x = Math.random() * 750 + 25;
     this.y = Math.random() * 250 + 25;
     this.targetX = this.x;
     this.targetY = this.y;
   }
 
-  // Animate towards target position
+  // Change the label, starting a morph from the old one
+  setText(text) {
+    if (text === this.text) return;
+    this.prevText = this.text;
+    this.text = text;
+    this.morph = 0;
+  }
+
+  // Animate towards target position, size and opacity
   update() {
     const ease = 0.1;
     this.x += (this.targetX - this.x) * ease;
     this.y += (this.targetY - this.y) * ease;
+    let targetSize = this.removed ? 24 : 60;
+    if (this.pieceWidth !== null) targetSize = 34;
+    let targetAlpha = this.removed ? 70 : 255;
+    if (this.fusedInto !== null) targetAlpha = 0;
+    this.size += (targetSize - this.size) * ease;
+    this.w += ((this.pieceWidth || targetSize) - this.w) * ease;
+    this.alpha += (targetAlpha - this.alpha) * ease;
+    this.morph = Math.min(1, this.morph + 0.04);
   }
 
   draw() {
-    if (this.removed) return;
     // Choose colours from the Manim palette. Lemmatized tokens use a green
     // hue, while original tokens use a blue hue. The text is rendered in
     // off‑white for contrast against the dark background.
@@ -85,39 +125,512 @@ class Token {
     const lemmaCol = [131, 193, 103]; // #83C167
     const normalCol = [82, 88, 147]; // #525893
     const c = isLemma ? lemmaCol : normalCol;
-    fill(...c);
-    stroke(255);
+    fill(...c, this.alpha);
+    stroke(255, this.alpha);
     textAlign(CENTER, CENTER);
-    ellipse(this.x, this.y, 60, 60);
-    fill(240);
+    ellipse(this.x, this.y, this.w, this.size);
     noStroke();
+    if (this.removed) return;
     textSize(14);
-    text(this.text, this.x, this.y);
+    // Cross-fade the old label into the new one while morphing
+    if (this.morph < 1) {
+      fill(240, this.alpha * (1 - this.morph));
+      text(this.prevText, this.x, this.y - 8 * this.morph);
+    }
+    fill(240, this.alpha * this.morph);
+    text(this.text, this.x, this.y + 8 * (1 - this.morph));
   }
 }
 
 function tokenizeText() {
+  if (subwordMethod()) {
+    learnSubwords();
+    updateCorpusStats();
+    return;
+  }
+  subwordModel = null;
+  renderMergeTable();
   const input = document.getElementById("inputText").value;
-  // Split on any sequence of non‑word characters; convert to lowercase
-  const rawTokens = input
-    .toLowerCase()
-    .split(/[^\p{L}\p{N}']+/u)
-    .filter((t) => t.length > 0);
+  // Split on any sequence of non‑word characters, then run the enabled
+  // stages of the shared pipeline (lowercasing by default), recording a
+  // snapshot after each one
+  tokenById = new Map();
+  const rawTokens = TextPipeline.splitText(input, pipelineConfig);
   tokens = rawTokens.map((t) => new Token(t));
+  timeline = [captureState("split into tokens")];
+  pipelineConfig
+    .filter((step) => step.enabled)
+    .forEach((step) => {
+      applyPipelineStage(step);
+      const { name } = TextPipeline.STAGES[step.id];
+      timeline.push(captureState(name.split(" (")[0]));
+    });
+  // Replay from the raw split
+  showHistoryStep(0, false);
+  playing = timeline.length > 1;
+  lastStepTime = millis();
+  updateTimelineControls();
+  updateCorpusStats();
+}
+
+// Snapshot of the current tokens, labelled with the stage that produced it
+function captureState(label) {
+  return {
+    label,
+    tokens: tokens.map((t) => ({
+      id: t.id,
+      original: t.original,
+      text: t.text,
+      trace: t.trace.slice(),
+      removed: t.removed,
+      fusedInto: t.fusedInto,
+    })),
+  };
+}
+
+/*
+ * Show snapshot `index`. With `animate` the bubbles morph, merge and fly to
+ * their new places; without it they jump there (used when rebuilding).
+ */
+function showHistoryStep(index, animate = true) {
+  timelineIndex = Math.max(0, Math.min(index, timeline.length - 1));
+  const state = timeline[timelineIndex];
+  tokens = state.tokens.map((saved) => {
+    const token = tokenById.get(saved.id);
+    token.original = saved.original;
+    if (animate) {
+      token.setText(saved.text);
+    } else {
+      token.text = saved.text;
+      token.prevText = saved.text;
+      token.morph = 1;
+    }
+    token.trace = saved.trace.slice();
+    token.removed = saved.removed;
+    token.fusedInto = saved.fusedInto;
+    return token;
+  });
   repositionTokens();
   updateVocabularyInfo();
+  updateTraceList();
+  updateTimelineControls();
+  if (subwordModel) {
+    highlightMerge();
+    encodeSubwords();
+  }
+}
+
+/*
+ * Record the current tokens as a new step after the one being shown,
+ * discarding any later steps, and animate into it. Used by the manual
+ * lemmatize/stem/stop-word buttons.
+ */
+function recordStep(label) {
+  const state = captureState(label);
+  // Restore the shown snapshot silently so the new step animates from it
+  const before = timeline[timelineIndex];
+  timeline = timeline.slice(0, timelineIndex + 1);
+  timeline.push(state);
+  if (before) {
+    before.tokens.forEach((saved) => {
+      const token = tokenById.get(saved.id);
+      token.text = saved.text;
+    });
+  }
+  playing = false;
+  showHistoryStep(timeline.length - 1);
+}
+
+/*
+ * Apply one pipeline stage to the Token objects, so that each bubble keeps
+ * its identity: removed tokens are flagged, changed ones record the stage's
+ * trace, and n-grams become new tokens.
+ */
+function applyPipelineStage(step) {
+  const stage = TextPipeline.STAGES[step.id];
+  // A fresh object: the shared options must not pick up the step's fields
+  const options = Object.assign({}, pipelineOptions, step);
+  const visible = tokens.filter((t) => !t.removed);
+  if (stage.expand) {
+    const texts = visible.map((t) => t.text);
+    const added = stage.expand(texts, options).slice(texts.length);
+    added.forEach((gram) => {
+      const token = new Token(gram);
+      token.trace.push(step.id);
+      tokens.push(token);
+    });
+    return;
+  }
+  visible.forEach((token) => {
+    const result = stage.map(token.text, options);
+    if (result === null || result.text.length === 0) {
+      token.removed = true;
+    } else if (SURFACE_STAGES.includes(step.id)) {
+      token.original = result.text;
+      token.text = result.text;
+    } else if (result.text !== token.text) {
+      token.text = result.text;
+      token.trace.push(...result.trace);
+    }
+  });
+}
+
+// "bpe" or "wordpiece" in the subword modes, null for word tokenization
+function subwordMethod() {
+  const mode = document.getElementById("tokenizerMode").value;
+  return mode === "word" ? null : mode;
+}
+
+// Words the subword tokenizers work on: the split text, lowercased like an
+// uncased BERT vocabulary
+function subwordWords(text) {
+  return TextPipeline.splitText(text).map((w) => w.toLowerCase());
+}
+
+/*
+ * Learn a subword vocabulary from the input text and record one timeline
+ * step per merge: in every word row where the merged pair occurs, the
+ * right bubble fuses into the left one, which takes the merged text.
+ */
+function learnSubwords() {
+  const method = subwordMethod();
+  const words = subwordWords(document.getElementById("inputText").value);
+  const vocabSize = parseInt(document.getElementById("vocabSize").value, 10);
+  tokenById = new Map();
+  subwordModel = Subword.learn(words, vocabSize, method);
+  subwordRows = Array.from(Subword.wordCounts(words), ([word, count]) => ({
+    word,
+    count,
+    tokens: Subword.initialPieces(word).map((piece) => new Token(piece)),
+  }));
+  tokens = subwordRows.flatMap((row) => row.tokens);
+  timeline = [captureSubwordState("split into characters")];
+  subwordModel.merges.forEach(({ left, right, merged }) => {
+    subwordRows.forEach((row) => {
+      const pieces = row.tokens.map((t) => t.text);
+      // From the right, so the positions still to merge stay valid
+      Subword.mergePositions(pieces, left, right)
+        .reverse()
+        .forEach((i) => {
+          const [kept, fused] = row.tokens.splice(i, 2, row.tokens[i]);
+          kept.text = merged;
+          fused.fusedInto = kept.id;
+        });
+    });
+    timeline.push(captureSubwordState(`merge ${left} + ${right} → ${merged}`));
+  });
+  renderMergeTable();
+  showHistoryStep(0, false);
+  playing = timeline.length > 1;
+  lastStepTime = millis();
+  updateTimelineControls();
+}
+
+// Subword snapshot: also the pieces of every word row, by id
+function captureSubwordState(label) {
+  return {
+    ...captureState(label),
+    rows: subwordRows.map((row) => row.tokens.map((t) => t.id)),
+  };
+}
+
+/*
+ * Lay the word rows out like lines of text, each word's pieces side by
+ * side and the canvas growing to fit. Fused pieces head for the piece they
+ * were merged into.
+ */
+function layoutSubwordPieces(rows) {
+  const lineH = 48;
+  const margin = 16;
+  textSize(14);
+  let x = margin;
+  let y = 34;
+  subwordLabels = [];
+  rows.forEach((ids, r) => {
+    const pieces = ids.map((id) => tokenById.get(id));
+    pieces.forEach((token) => {
+      token.pieceWidth = Math.max(30, textWidth(token.text) + 18);
+    });
+    const rowW = pieces.reduce((sum, t) => sum + t.pieceWidth + 2, 0);
+    if (x + rowW > width - margin && x > margin) {
+      x = margin;
+      y += lineH;
+    }
+    pieces.forEach((token) => {
+      token.targetX = x + token.pieceWidth / 2;
+      token.targetY = y;
+      x += token.pieceWidth + 2;
+    });
+    const { count } = subwordRows[r];
+    if (count > 1) subwordLabels.push({ x: x + 2, y, text: `×${count}` });
+    x += 34;
+  });
+  tokens.forEach((token) => {
+    let target = token;
+    while (target.fusedInto !== null) target = tokenById.get(target.fusedInto);
+    token.targetX = target.targetX;
+    token.targetY = target.targetY;
+  });
+  const h = Math.max(300, y + lineH / 2 + 10);
+  if (height !== h) resizeCanvas(width, h);
+}
+
+// Merge table: one row per learned merge; clicking a row shows its step
+function renderMergeTable() {
+  const table = document.getElementById("mergeTable");
+  table.innerHTML = "";
+  if (!subwordModel) return;
+  const wordpiece = subwordMethod() === "wordpiece";
+  table.innerHTML =
+    "<tr><th>#</th><th>Pair</th><th>Merged</th><th>Count</th>" +
+    `${wordpiece ? "<th>Score</th>" : ""}</tr>`;
+  subwordModel.merges.forEach(({ left, right, merged, count, score }, i) => {
+    const row = table.insertRow();
+    const cells = [i + 1, `${left} + ${right}`, merged, count];
+    if (wordpiece) cells.push(score.toFixed(3));
+    cells.forEach((cell) => {
+      row.insertCell().textContent = cell;
+    });
+    row.addEventListener("click", () => {
+      playing = false;
+      showHistoryStep(i + 1);
+    });
+  });
+}
+
+// Mark the merge of the step shown and scroll it into the table's view
+function highlightMerge() {
+  const wrap = document.getElementById("mergeTableWrap");
+  document.querySelectorAll("#mergeTable tr").forEach((row, i) => {
+    const current = i > 0 && i === timelineIndex;
+    row.classList.toggle("current", current);
+    if (current) wrap.scrollTop = row.offsetTop - wrap.clientHeight / 2;
+  });
+}
+
+/*
+ * Encode the second text box with the vocabulary learned up to the step
+ * shown: word-initial pieces as they are, continuation pieces with "##"
+ * and unknown characters as [UNK].
+ */
+function encodeSubwords() {
+  const out = document.getElementById("encodeOutput");
+  subwordEncoding = [];
+  if (!subwordModel) {
+    out.innerHTML = "";
+    return;
+  }
+  const words = subwordWords(document.getElementById("encodeText").value);
+  const model = {
+    alphabet: subwordModel.alphabet,
+    merges: subwordModel.merges.slice(0, timelineIndex),
+  };
+  subwordEncoding = Subword.encode(words, model, subwordMethod());
+  const pieceClass = (piece) => {
+    if (piece === Subword.UNKNOWN) return "piece unknown";
+    if (piece.startsWith(Subword.CONTINUATION)) return "piece continuation";
+    return "piece";
+  };
+  const count = subwordEncoding.reduce((n, e) => n + e.pieces.length, 0);
+  out.innerHTML =
+    subwordEncoding
+      .map(
+        ({ pieces }) =>
+          `<span class="encoded-word">${pieces
+            .map((p) => `<span class="${pieceClass(p)}">${escapeXml(p)}</span>`)
+            .join("")}</span>`
+      )
+      .join(" ") +
+    `<br/><em>${words.length} words → ${count} pieces, with the ` +
+    `vocabulary after ${timelineIndex} of ${subwordModel.merges.length} ` +
+    "merges</em>";
+}
+
+// The subword vocabulary after the merges of the steps shown so far
+function subwordVocabularyInfo() {
+  const { alphabet, merges } = subwordModel;
+  const learned = merges.slice(0, timelineIndex).map((m) => m.merged);
+  const vocab = Array.from(new Set([...alphabet, ...learned]));
+  let info =
+    `Vocabulary (${vocab.length}: ${alphabet.length} characters + ` +
+    `${timelineIndex} merges): ${vocab.join(" ")}`;
+  const target = parseInt(document.getElementById("vocabSize").value, 10);
+  if (subwordModel.vocab.length < target) {
+    info += ` — the text has no pairs left to merge after ${merges.length}`;
+  }
+  return info;
+}
+
+// Show the controls of the chosen tokenizer and hide the others
+function updateModeControls() {
+  const subword = subwordMethod() !== null;
+  document.querySelectorAll(".word-only").forEach((el) => {
+    el.style.display = subword ? "none" : "";
+  });
+  document.querySelectorAll(".subword-only").forEach((el) => {
+    el.style.display = subword ? "" : "none";
+  });
+  document.getElementById("tokenizeBtn").textContent = subword
+    ? "Learn merges"
+    : "Tokenize";
+  document.getElementById("vocabSizeVal").textContent =
+    document.getElementById("vocabSize").value;
+}
+
+// Tables for the export menu in the subword modes
+function subwordTables() {
+  const method = subwordMethod();
+  const wordpiece = method === "wordpiece";
+  return [
+    {
+      name: `Merges (${Subword.METHODS[method].name})`,
+      header: [
+        "#",
+        "Left",
+        "Right",
+        "Merged",
+        "Count",
+        ...(wordpiece ? ["Score"] : []),
+      ],
+      rows: subwordModel.merges.map((m, i) => [
+        i + 1,
+        m.left,
+        m.right,
+        m.merged,
+        m.count,
+        ...(wordpiece ? [m.score] : []),
+      ]),
+    },
+    {
+      name: "Subword vocabulary",
+      header: ["#", "Piece"],
+      rows: subwordModel.vocab.map((piece, i) => [i + 1, piece]),
+    },
+    {
+      name: `Encoded text (after ${timelineIndex} merges)`,
+      header: ["Word", "Pieces"],
+      rows: subwordEncoding.map(({ word, pieces }) => [word, pieces.join(" ")]),
+    },
+  ];
+}
+
+// Parse the exception dictionary textarea: one "lemma: form, form" per line
+function readExceptions() {
+  const mapping = {};
+  document
+    .getElementById("exceptionsText")
+    .value.split("\n")
+    .forEach((line) => {
+      const [lemma, forms] = line.split(":");
+      if (!forms || !lemma.trim()) return;
+      mapping[lemma.trim().toLowerCase()] = forms
+        .split(",")
+        .map((f) => f.trim().toLowerCase())
+        .filter((f) => f.length > 0);
+    });
+  return mapping;
+}
+
+// The exception dictionary as text, one "lemma: form, form" per line
+function showExceptions() {
+  document.getElementById("exceptionsText").value = Object.entries(
+    pipelineOptions.exceptions
+  )
+    .map(([lemma, forms]) => `${lemma}: ${forms.join(", ")}`)
+    .join("\n");
 }
 
 function applyLemmatization() {
+  const { exceptions } = pipelineOptions;
   tokens.forEach((token) => {
     if (token.removed) return;
-    const lemma = formToLemma[token.text];
-    if (lemma) {
+    const { lemma, trace } = Morphology.lemmatize(token.text, exceptions);
+    if (lemma !== token.text) {
       token.text = lemma;
+      token.trace.push(...trace);
     }
   });
-  repositionTokens();
-  updateVocabularyInfo();
+  recordStep("lemmatize");
+}
+
+function applyStemming() {
+  tokens.forEach((token) => {
+    if (token.removed) return;
+    const { stem, trace } = Morphology.porterStem(token.text);
+    if (stem !== token.text) {
+      token.text = stem;
+      token.trace.push(...trace);
+    }
+  });
+  recordStep("Porter stem");
+}
+
+// Name the normalization button after the selected mode
+function updateNormButton() {
+  document.getElementById("lemmatizeBtn").textContent =
+    document.getElementById("normMode").value === "stem"
+      ? "Apply Stemming"
+      : "Apply Lemmatization";
+}
+
+// Run whichever normalization the mode selector names
+function applyNormalization() {
+  if (document.getElementById("normMode").value === "stem") {
+    applyStemming();
+  } else {
+    applyLemmatization();
+  }
+}
+
+// List every changed token with the rules that changed it, e.g.
+// "running → run (step 1b: -ing; step 1b: -nn → -n)"
+function updateTraceList() {
+  const list = document.getElementById("traceList");
+  list.innerHTML = "";
+  if (subwordModel) return;
+  const seen = new Set();
+  tokens.forEach((token) => {
+    if (token.removed || token.text === token.original) return;
+    const rules = token.trace.join("; ");
+    const line = `${token.original} → ${token.text} (${rules})`;
+    if (seen.has(line)) return;
+    seen.add(line);
+    const li = document.createElement("li");
+    li.textContent = line;
+    list.appendChild(li);
+  });
+}
+
+// Tables for the export menu: the tokens at the step shown, and the
+// vocabulary with its counts
+function exportTables() {
+  if (subwordModel) return subwordTables();
+  const state = timeline[timelineIndex];
+  const counts = Array.from(vocabularyGroups()).map(([term, group]) => [
+    term,
+    group.length,
+  ]);
+  return [
+    {
+      name: `Tokens after step ${timelineIndex + 1}${
+        state ? ` (${state.label})` : ""
+      }`,
+      header: ["#", "Token", "Now", "Status", "Rules"],
+      rows: tokens.map((token, i) => [
+        i + 1,
+        token.original,
+        token.text,
+        token.removed ? "removed" : "kept",
+        token.trace.join("; "),
+      ]),
+    },
+    {
+      name: "Vocabulary",
+      header: ["Term", "Count"],
+      rows: counts.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+    },
+    statsTable(),
+  ];
 }
 
 function removeStopWords() {
@@ -126,29 +639,230 @@ function removeStopWords() {
       token.removed = true;
     }
   });
-  repositionTokens();
-  updateVocabularyInfo();
+  recordStep("remove stop words");
+}
+
+// The preset whose list is exactly `words`, or "custom"
+function matchingPreset(words) {
+  const key = Object.keys(StopWords.PRESETS).find((k) => {
+    const preset = StopWords.PRESETS[k].words;
+    return preset.length === words.size && preset.every((w) => words.has(w));
+  });
+  return key || "custom";
+}
+
+// Replace the stop-word list, share it with the other pages and refresh
+// the editor. Without a `preset` the list is named after the preset it
+// equals, if any.
+function setStopWords(words, preset) {
+  stopWords = new Set(words);
+  stopPreset = preset || matchingPreset(stopWords);
+  setPipelineOptions({ stopWords: Array.from(stopWords) });
+  renderStopWordEditor();
+  updateCorpusStats();
+}
+
+function renderStopWordEditor() {
+  document.getElementById("stopWordCount").textContent = stopWords.size;
+  document.getElementById("stopPreset").value = stopPreset;
+  const chips = document.getElementById("stopWordChips");
+  chips.innerHTML = "";
+  Array.from(stopWords)
+    .sort()
+    .forEach((word) => {
+      const chip = document.createElement("span");
+      chip.className = "stop-chip";
+      chip.textContent = `${word} ×`;
+      chip.title = "Remove from the list";
+      chip.addEventListener("click", () => {
+        stopWords.delete(word);
+        setStopWords(stopWords);
+      });
+      chips.appendChild(chip);
+    });
+}
+
+/*
+ * Add `word` to the stop-word list, or take it off if already there, and
+ * record the resulting removal or restoration of tokens as a new step.
+ */
+function toggleStopWord(word) {
+  const adding = !stopWords.has(word);
+  if (adding) {
+    stopWords.add(word);
+  } else {
+    stopWords.delete(word);
+  }
+  setStopWords(stopWords);
+  tokens.forEach((token) => {
+    if (token.text === word) token.removed = adding;
+  });
+  recordStep(adding ? `stop word “${word}”` : `keep “${word}”`);
+}
+
+function exportStopWords(format) {
+  const name = stopPreset === "custom" ? "custom" : stopPreset;
+  const text = StopWords.serialize(stopWords, format, name);
+  const type = format === "json" ? "application/json" : "text/plain";
+  downloadText(`stopwords-${name}.${format}`, text, type);
+}
+
+// Load a plain-text or JSON list chosen in the file picker
+function importStopWords(file) {
+  readTextFile(file, (text) => setStopWords(StopWords.parse(text)));
+}
+
+/*
+ * Corpus-derived mode: treat each sentence of the input as a document,
+ * tokenize it with the pipeline minus stop-word removal, and propose every
+ * term whose document frequency reaches the threshold.
+ */
+function proposeStopWords() {
+  const threshold = parseFloat(document.getElementById("dfThreshold").value);
+  const config = pipelineConfig.filter((step) => step.id !== "stopwords");
+  const docs = document
+    .getElementById("inputText")
+    .value.split(/[.!?]+\s+|\n+/)
+    .filter((sentence) => sentence.trim().length > 0)
+    .map((sentence) =>
+      TextPipeline.run(sentence, config, pipelineOptions)
+    );
+  proposedStopWords = StopWords.corpusStopWords(docs, threshold);
+  const list = document.getElementById("proposedList");
+  list.innerHTML = "";
+  if (proposedStopWords.length === 0) {
+    list.innerHTML = "<li>No term reaches this document frequency.</li>";
+    return;
+  }
+  proposedStopWords.forEach(({ term, df, idf }) => {
+    const li = document.createElement("li");
+    li.textContent = `${term}: df ${df}/${docs.length}, idf ${idf.toFixed(3)}`;
+    list.appendChild(li);
+  });
+}
+
+function updateThresholdLabel() {
+  const value = parseFloat(document.getElementById("dfThreshold").value);
+  document.getElementById("dfThresholdValue").textContent = `${Math.round(
+    value * 100
+  )}% of sentences`;
+}
+
+function initStopWordEditor() {
+  const presetSelect = document.getElementById("stopPreset");
+  Object.entries(StopWords.PRESETS).forEach(([key, preset]) => {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = `${preset.name} (${preset.words.length})`;
+    presetSelect.appendChild(opt);
+  });
+  const custom = document.createElement("option");
+  custom.value = "custom";
+  custom.textContent = "Custom";
+  presetSelect.appendChild(custom);
+  presetSelect.addEventListener("change", () => {
+    const preset = StopWords.PRESETS[presetSelect.value];
+    if (preset) setStopWords(preset.words, presetSelect.value);
+  });
+  const input = document.getElementById("stopWordInput");
+  const addWords = () => {
+    StopWords.parse(input.value).forEach((w) => stopWords.add(w));
+    input.value = "";
+    setStopWords(stopWords);
+  };
+  document.getElementById("stopAddBtn").addEventListener("click", addWords);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addWords();
+  });
+  const fileInput = document.getElementById("stopImportFile");
+  document
+    .getElementById("stopImportBtn")
+    .addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files.length > 0) importStopWords(fileInput.files[0]);
+    fileInput.value = "";
+  });
+  document
+    .getElementById("stopExportTxtBtn")
+    .addEventListener("click", () => exportStopWords("txt"));
+  document
+    .getElementById("stopExportJsonBtn")
+    .addEventListener("click", () => exportStopWords("json"));
+  document
+    .getElementById("dfThreshold")
+    .addEventListener("input", updateThresholdLabel);
+  document
+    .getElementById("proposeBtn")
+    .addEventListener("click", proposeStopWords);
+  // Add the proposed terms to the list, or replace the list with them
+  const useProposed = (merge) => {
+    if (proposedStopWords.length === 0) proposeStopWords();
+    const terms = proposedStopWords.map((p) => p.term);
+    setStopWords(merge ? [...stopWords, ...terms] : terms);
+  };
+  document
+    .getElementById("useProposedBtn")
+    .addEventListener("click", () => useProposed(true));
+  document
+    .getElementById("replaceProposedBtn")
+    .addEventListener("click", () => useProposed(false));
+  updateThresholdLabel();
+  renderStopWordEditor();
+}
+
+// Remaining tokens grouped by text: one vocabulary bubble per distinct term
+function vocabularyGroups() {
+  const groups = new Map();
+  tokens
+    .filter((t) => !t.removed)
+    .forEach((t) => {
+      if (!groups.has(t.text)) groups.set(t.text, []);
+      groups.get(t.text).push(t);
+    });
+  return groups;
 }
 
 function repositionTokens() {
-  // Arrange remaining tokens in a grid layout for readability
-  const visibleTokens = tokens.filter((t) => !t.removed);
-  const cols = Math.ceil(Math.sqrt(visibleTokens.length));
-  const spacingX = width / (cols + 1);
+  const state = timeline[timelineIndex];
+  if (state && state.rows) {
+    layoutSubwordPieces(state.rows);
+    return;
+  }
+  if (height !== 300) resizeCanvas(width, 300);
+  // Arrange the vocabulary bubbles in a grid layout for readability; tokens
+  // sharing a term all head for the same bubble
+  const groups = Array.from(vocabularyGroups().values());
+  const areaW = width - BIN_WIDTH;
+  const cols = Math.ceil(Math.sqrt(groups.length));
+  const spacingX = areaW / (cols + 1);
   const spacingY = height / (cols + 1);
-  visibleTokens.forEach((token, i) => {
+  groups.forEach((group, i) => {
     const row = Math.floor(i / cols);
     const col = i % cols;
-    token.targetX = spacingX * (col + 1);
-    token.targetY = spacingY * (row + 1);
+    group.forEach((token) => {
+      token.targetX = spacingX * (col + 1);
+      token.targetY = spacingY * (row + 1);
+    });
   });
+  // Discarded tokens stack up in the bin on the right
+  tokens
+    .filter((t) => t.removed)
+    .forEach((token, i) => {
+      const perRow = Math.max(1, Math.floor((BIN_WIDTH - 10) / 26));
+      token.targetX = areaW + 18 + (i % perRow) * 26;
+      token.targetY = 50 + Math.floor(i / perRow) * 26;
+    });
 }
 
 function updateVocabularyInfo() {
+  const infoEl = document.getElementById("vocabInfo");
+  if (subwordModel) {
+    infoEl.textContent = subwordVocabularyInfo();
+    return;
+  }
   const vocab = Array.from(
     new Set(tokens.filter((t) => !t.removed).map((t) => t.text))
   ).sort();
-  const infoEl = document.getElementById("vocabInfo");
   if (vocab.length === 0) {
     infoEl.textContent = "Vocabulary is empty.";
   } else {
@@ -158,17 +872,97 @@ function updateVocabularyInfo() {
 
 // Attach event listeners after DOM has loaded
 window.addEventListener("DOMContentLoaded", () => {
+  initPipelineControls(tokenizeText);
+  initExportMenu(exportTables);
+  initPageState(tokenizeText, {
+    // The stop words travel with the pipeline's options; older links also
+    // carry them here
+    save: () => ({ stopPreset, step: timelineIndex }),
+    load: ({ stopWords: words, stopPreset: preset, step }) => {
+      setStopWords(words || pipelineOptions.stopWords, preset);
+      // Links made before the dictionary was shared only carry the textarea
+      setPipelineOptions({ exceptions: readExceptions() });
+      updateModeControls();
+      updateNormButton();
+      updateThresholdLabel();
+      tokenizeText();
+      if (step !== undefined) {
+        // Stop at the saved stage instead of replaying from the split
+        playing = false;
+        showHistoryStep(step, false);
+      }
+    },
+  });
   document
     .getElementById("tokenizeBtn")
     .addEventListener("click", tokenizeText);
   document
     .getElementById("lemmatizeBtn")
-    .addEventListener("click", applyLemmatization);
+    .addEventListener("click", applyNormalization);
+  document
+    .getElementById("normMode")
+    .addEventListener("change", updateNormButton);
+  // The exception dictionary is shared with every page through the
+  // pipeline's options
+  showExceptions();
+  document.getElementById("exceptionsText").addEventListener("input", () => {
+    setPipelineOptions({ exceptions: readExceptions() });
+    updateCorpusStats();
+  });
   document
     .getElementById("stopwordBtn")
     .addEventListener("click", removeStopWords);
+  initStopWordEditor();
+  // Subword modes: relearn when the mode or vocabulary size changes
+  document.getElementById("tokenizerMode").addEventListener("change", () => {
+    updateModeControls();
+    tokenizeText();
+  });
+  document
+    .getElementById("vocabSize")
+    .addEventListener("input", updateModeControls);
+  document.getElementById("vocabSize").addEventListener("change", tokenizeText);
+  document
+    .getElementById("encodeText")
+    .addEventListener("input", encodeSubwords);
+  updateModeControls();
+  // Timeline controls
+  document.getElementById("playBtn").addEventListener("click", () => {
+    // Restart from the beginning when playback already reached the end
+    if (!playing && timelineIndex === timeline.length - 1) showHistoryStep(0);
+    playing = !playing;
+    lastStepTime = millis();
+    updateTimelineControls();
+  });
+  document.getElementById("stepBackBtn").addEventListener("click", () => {
+    playing = false;
+    showHistoryStep(timelineIndex - 1);
+  });
+  document.getElementById("stepFwdBtn").addEventListener("click", () => {
+    playing = false;
+    showHistoryStep(timelineIndex + 1);
+  });
+  document.getElementById("timelineSlider").addEventListener("input", (e) => {
+    playing = false;
+    showHistoryStep(parseInt(e.target.value, 10));
+  });
 });
 
+// Sync the timeline buttons, scrubber and stage label with the snapshots
+function updateTimelineControls() {
+  const slider = document.getElementById("timelineSlider");
+  slider.max = Math.max(0, timeline.length - 1);
+  slider.value = timelineIndex;
+  document.getElementById("playBtn").textContent = playing ? "❚❚" : "▶";
+  document.getElementById("stepBackBtn").disabled = timelineIndex === 0;
+  document.getElementById("stepFwdBtn").disabled =
+    timelineIndex >= timeline.length - 1;
+  const state = timeline[timelineIndex];
+  document.getElementById("timelineLabel").textContent = state
+    ? `Step ${timelineIndex + 1}/${timeline.length}: ${state.label}`
+    : "";
+}
+
 // p5.js functions
 function setup() {
   // Dynamically size the canvas to the width of the container. On small
@@ -178,17 +972,86 @@ function setup() {
   const w = container ? container.clientWidth : 800;
   canvas = createCanvas(w, 300);
   canvas.parent("canvasContainer");
-  // Initialize with default text
-  tokenizeText();
+  // Initialize with the linked state or the default text
+  if (!restorePageState()) tokenizeText();
 }
 
 function draw() {
   // Dark background for Manim‑inspired aesthetic
   background(22, 24, 48);
+  // Advance the timeline while playing
+  const interval = subwordModel ? MERGE_INTERVAL : STEP_INTERVAL;
+  if (playing && millis() - lastStepTime > interval) {
+    lastStepTime = millis();
+    showHistoryStep(timelineIndex + 1);
+    if (timelineIndex >= timeline.length - 1) {
+      playing = false;
+      updateTimelineControls();
+    }
+  }
+  if (!subwordModel) drawDiscardBin();
   tokens.forEach((token) => {
     token.update();
     token.draw();
   });
+  if (subwordModel) {
+    drawSubwordLabels();
+  } else {
+    drawCountBadges();
+  }
+}
+
+// How often each word of a subword row occurs in the text
+function drawSubwordLabels() {
+  fill(240, 172, 95);
+  noStroke();
+  textSize(12);
+  textAlign(LEFT, CENTER);
+  subwordLabels.forEach((label) => text(label.text, label.x, label.y));
+}
+
+// The bin that removed tokens fly into
+function drawDiscardBin() {
+  const x = width - BIN_WIDTH;
+  const removed = tokens.filter((t) => t.removed).length;
+  fill(29, 35, 64);
+  stroke(58, 63, 107);
+  rect(x + 4, 4, BIN_WIDTH - 8, height - 8, 6);
+  noStroke();
+  fill(169, 177, 214);
+  textSize(12);
+  textAlign(CENTER, CENTER);
+  text(`discarded (${removed})`, x + BIN_WIDTH / 2, 20);
+}
+
+// A count badge on every vocabulary bubble that stands for several tokens
+function drawCountBadges() {
+  vocabularyGroups().forEach((group) => {
+    if (group.length < 2) return;
+    const t = group[0];
+    const bx = t.targetX + 22;
+    const by = t.targetY - 22;
+    fill(240, 172, 95);
+    stroke(22, 24, 48);
+    ellipse(bx, by, 22, 22);
+    noStroke();
+    fill(22, 24, 48);
+    textSize(12);
+    textAlign(CENTER, CENTER);
+    text(group.length, bx, by);
+  });
+}
+
+// Clicking a bubble makes its word a stop word; clicking a discarded token
+// takes its word off the list again
+function mousePressed() {
+  if (subwordModel) return;
+  if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
+  const hit = tokens
+    .slice()
+    .reverse()
+    .find((t) => dist(mouseX, mouseY, t.x, t.y) < t.size / 2);
+  if (hit) toggleStopWord(hit.text);
 }
 
 // Resize the canvas when the window size changes
@@ -0,0 +1,351 @@
+/*
+ * Vector-space geometry panel
+ *
+ * Shared by the Bag‑of‑Words and TF‑IDF pages. A second p5 sketch (instance
+ * mode, like the BM25 curves) draws the query and every document as arrows
+ * from the origin. The axes are two or three vocabulary terms picked by the
+ * user, or the top directions of a truncated SVD of the whole vocabulary
+ * space (RetrievalCore.svdProject). An arc between the query and each
+ * document is labelled with their cosine similarity. Length normalization
+ * scales every vector to unit length in the full space, and the arrows ease
+ * between their raw and normalized lengths. 3D views turn slowly and can be
+ * dragged round.
+ *
+ * The page passes initVectorSpace() a function returning its current
+ * { vocab, query, docs }: the vocabulary and the query and document weight
+ * vectors over it.
+ */
+
+let vectorSpaceData = null;
+let vsVocabKey = "";
+// 0 = raw lengths, 1 = unit lengths; eased towards the checkbox
+let vsNormShown = 0;
+let vsScaleShown = null;
+let vsYaw = -0.6;
+let vsPitch = 0.35;
+let vsDragged = false;
+
+function vsDims() {
+  return parseInt(document.getElementById("vsDims").value, 10);
+}
+
+// Show the term pickers only for term axes, and the z picker only in 3D
+function updateVectorControls() {
+  const terms = document.getElementById("vsMode").value === "terms";
+  document.querySelectorAll(".vs-term").forEach((el, i) => {
+    el.style.display = terms && i < vsDims() ? "" : "none";
+  });
+}
+
+function initVectorSpace(getData) {
+  vectorSpaceData = getData;
+  const changed = () => {
+    vsScaleShown = null;
+    updateVectorControls();
+  };
+  ["vsMode", "vsDims"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", changed)
+  );
+  document.addEventListener("staterestore", changed);
+  updateVectorControls();
+}
+
+/*
+ * Refill the axis selectors when the vocabulary changes. Choices that are
+ * still in the vocabulary are kept; otherwise the axes default to the
+ * heaviest query terms, then the heaviest document terms.
+ */
+function refreshAxisSelectors({ vocab, query, docs }) {
+  const key = vocab.join("\u0000");
+  if (key === vsVocabKey) return;
+  vsVocabKey = key;
+  const docWeight = (t) => docs.reduce((sum, d) => sum + d[t], 0);
+  const order = vocab
+    .map((_, t) => t)
+    .sort((a, b) => query[b] - query[a] || docWeight(b) - docWeight(a))
+    .map((t) => vocab[t]);
+  const used = [];
+  [0, 1, 2].forEach((axis) => {
+    const select = document.getElementById(`vsAxis${axis}`);
+    const previous = select.value;
+    select.innerHTML = "";
+    vocab.forEach((term) => {
+      const opt = document.createElement("option");
+      opt.value = term;
+      opt.textContent = term;
+      select.appendChild(opt);
+    });
+    const choice =
+      vocab.includes(previous) && !used.includes(previous)
+        ? previous
+        : order.find((term) => !used.includes(term));
+    if (choice !== undefined) {
+      select.value = choice;
+      used.push(choice);
+    }
+  });
+}
+
+/*
+ * Coordinates of the query (index 0) and documents in the current view,
+ * scaled towards unit length by `norm`, with axis labels and a note on how
+ * much of the space the view shows.
+ */
+function vectorGeometry(data, norm) {
+  const { magnitude, svdProject } = RetrievalCore;
+  const dims = vsDims();
+  const vectors = [data.query, ...data.docs];
+  const factor = (vec) => {
+    const len = magnitude(vec);
+    return len > 0 ? 1 + (1 / len - 1) * norm : 1;
+  };
+  if (document.getElementById("vsMode").value === "svd") {
+    const { coords, components, singularValues } = svdProject(vectors, dims);
+    const total = vectors.reduce((sum, v) => sum + magnitude(v) ** 2, 0);
+    const kept = singularValues.reduce((sum, s) => sum + s * s, 0);
+    const labels = components.map((comp, c) => {
+      // Name each direction after its two heaviest terms
+      const top = comp
+        .map((w, t) => [w, data.vocab[t]])
+        .sort((a, b) => Math.abs(b[0]) - Math.abs(a[0]))
+        .slice(0, 2)
+        .map(([w, term]) => (w < 0 ? `−${term}` : term));
+      return `SVD ${c + 1} (${top.join(", ")})`;
+    });
+    const share = total > 0 ? Math.round((100 * kept) / total) : 0;
+    return {
+      points: coords.map((c, i) => c.map((x) => x * factor(vectors[i]))),
+      labels,
+      note:
+        `The ${dims} SVD directions keep ${share}% of the vectors' squared ` +
+        `length over all ${data.vocab.length} vocabulary dimensions.`,
+    };
+  }
+  const axes = [];
+  for (let a = 0; a < dims; a++) {
+    axes.push(data.vocab.indexOf(document.getElementById(`vsAxis${a}`).value));
+  }
+  return {
+    points: vectors.map((vec) =>
+      axes.map((t) => (t >= 0 ? vec[t] * factor(vec) : 0))
+    ),
+    labels: axes.map((t) => (t >= 0 ? data.vocab[t] : "—")),
+    note:
+      `Showing ${dims} of the ${data.vocab.length} vocabulary dimensions. ` +
+      "Where the drawn angle differs from the true one, its cosine follows " +
+      "in brackets.",
+  };
+}
+
+const vectorSketch = (p) => {
+  const MARGIN = 50;
+
+  // Project a 2D or 3D point to [x, y] relative to the origin (y upwards)
+  const project = (pt) => {
+    if (pt.length < 3) return [pt[0], pt[1]];
+    const [x, y, z] = pt;
+    const x1 = x * Math.cos(vsYaw) + z * Math.sin(vsYaw);
+    const z1 = -x * Math.sin(vsYaw) + z * Math.cos(vsYaw);
+    return [x1, y * Math.cos(vsPitch) - z1 * Math.sin(vsPitch)];
+  };
+
+  // Arrow from the origin to `to` (screen coordinates)
+  function arrow(origin, to, colour) {
+    p.stroke(...colour);
+    p.strokeWeight(2.5);
+    p.line(origin[0], origin[1], to[0], to[1]);
+    const angle = Math.atan2(to[1] - origin[1], to[0] - origin[0]);
+    const len = Math.hypot(to[0] - origin[0], to[1] - origin[1]);
+    const head = Math.min(10, len / 3);
+    p.noStroke();
+    p.fill(...colour);
+    p.triangle(
+      to[0],
+      to[1],
+      to[0] - head * Math.cos(angle - 0.4),
+      to[1] - head * Math.sin(angle - 0.4),
+      to[0] - head * Math.cos(angle + 0.4),
+      to[1] - head * Math.sin(angle + 0.4)
+    );
+    p.strokeWeight(1);
+  }
+
+  // Points along the arc from direction a to direction b at radius r
+  function arcPoints(a, b, r) {
+    const { magnitude, dot } = RetrievalCore;
+    const la = magnitude(a);
+    const lb = magnitude(b);
+    if (la === 0 || lb === 0) return [];
+    const ua = a.map((x) => x / la);
+    const ub = b.map((x) => x / lb);
+    const omega = Math.acos(Math.max(-1, Math.min(1, dot(ua, ub))));
+    if (omega < 1e-6 || omega > Math.PI - 1e-6) return [];
+    const pts = [];
+    for (let i = 0; i <= 24; i++) {
+      const t = i / 24;
+      const wa = Math.sin((1 - t) * omega) / Math.sin(omega);
+      const wb = Math.sin(t * omega) / Math.sin(omega);
+      pts.push(ua.map((x, k) => r * (wa * x + wb * ub[k])));
+    }
+    return pts;
+  }
+
+  p.setup = () => {
+    const container = document.getElementById("vectorContainer");
+    const w = container ? container.clientWidth : 900;
+    p.createCanvas(w, 420).parent("vectorContainer");
+  };
+
+  p.draw = () => {
+    p.background(22, 24, 48);
+    const message = (text) => {
+      p.noStroke();
+      p.fill(230);
+      p.textSize(13);
+      p.textAlign(p.LEFT, p.TOP);
+      p.text(text, 10, 12);
+    };
+    if (loadedCorpus) {
+      message("The vector view needs the documents above, not a corpus file.");
+      return;
+    }
+    const data = vectorSpaceData ? vectorSpaceData() : null;
+    if (!data || data.vocab.length === 0) {
+      message("Enter a query and documents to see their vectors.");
+      return;
+    }
+    refreshAxisSelectors(data);
+    const target = document.getElementById("vsNormalize").checked ? 1 : 0;
+    vsNormShown += (target - vsNormShown) * 0.08;
+    if (Math.abs(target - vsNormShown) < 0.001) vsNormShown = target;
+    const { points, labels, note } = vectorGeometry(data, vsNormShown);
+    const noteEl = document.getElementById("vsNote");
+    if (noteEl.textContent !== note) noteEl.textContent = note;
+    const threeD = points[0].length === 3;
+    if (threeD && !vsDragged) vsYaw += 0.003;
+
+    // Fit the view: 3D turns round the centre; 2D fits the bounding box of
+    // the origin and every arrow tip
+    const longest = Math.max(1e-9, ...points.map(RetrievalCore.magnitude));
+    const screen = points.map(project);
+    let origin;
+    let fit;
+    if (threeD) {
+      fit = (Math.min(p.width, p.height) / 2 - MARGIN) / longest;
+      origin = [p.width / 2, p.height / 2 + 20];
+    } else {
+      const xs = [0, ...screen.map((s) => s[0])];
+      const ys = [0, ...screen.map((s) => s[1])];
+      const spanX = Math.max(1e-9, Math.max(...xs) - Math.min(...xs));
+      const spanY = Math.max(1e-9, Math.max(...ys) - Math.min(...ys));
+      fit = Math.min(
+        (p.width - 2 * MARGIN - 160) / spanX,
+        (p.height - 2 * MARGIN) / spanY
+      );
+      origin = [
+        MARGIN + 160 - Math.min(...xs) * fit,
+        p.height - MARGIN + Math.min(...ys) * fit,
+      ];
+    }
+    vsScaleShown =
+      vsScaleShown === null ? fit : vsScaleShown + (fit - vsScaleShown) * 0.1;
+    const s = vsScaleShown;
+    const toScreen = (pt) => {
+      const [x, y] = project(pt);
+      return [origin[0] + x * s, origin[1] - y * s];
+    };
+
+    // Axes, each reaching a little past the longest arrow
+    const axisLen = longest * 1.1;
+    labels.forEach((label, a) => {
+      const tip = points[0].map((_, k) => (k === a ? axisLen : 0));
+      const [x, y] = toScreen(tip);
+      p.stroke(90, 96, 150);
+      p.line(origin[0], origin[1], x, y);
+      p.noStroke();
+      p.fill(169, 177, 214);
+      p.textSize(12);
+      p.textAlign(p.CENTER, p.BOTTOM);
+      p.text(label, x, y - 4);
+    });
+
+    // Unit circle (the silhouette of the unit sphere in 3D) once normalized
+    if (vsNormShown > 0.01) {
+      p.noFill();
+      p.stroke(240, 172, 95, 160 * vsNormShown);
+      p.drawingContext.setLineDash([4, 4]);
+      p.circle(origin[0], origin[1], 2 * s);
+      p.drawingContext.setLineDash([]);
+    }
+
+    // Angle arcs between the query and each document
+    const colours = documentColours(data.docs.length);
+    const radius = longest * 0.18;
+    data.docs.forEach((doc, d) => {
+      const pts = arcPoints(points[0], points[d + 1], radius * (1 + 0.35 * d));
+      const trueCos = RetrievalCore.cosine(data.query, doc);
+      const viewCos = RetrievalCore.cosine(points[0], points[d + 1]);
+      p.noFill();
+      p.stroke(...colours[d], 200);
+      p.beginShape();
+      pts.forEach((pt) => p.vertex(...toScreen(pt)));
+      p.endShape();
+      let label = `cos ${trueCos.toFixed(2)}`;
+      if (Math.abs(trueCos - viewCos) > 0.005) {
+        label += ` (${viewCos.toFixed(2)})`;
+      }
+      const mid = pts.length > 0 ? toScreen(pts[12]) : origin;
+      p.noStroke();
+      p.fill(...colours[d]);
+      p.textSize(11);
+      p.textAlign(p.LEFT, p.CENTER);
+      p.text(label, mid[0] + 6, mid[1]);
+    });
+
+    // Documents, then the query on top
+    data.docs.forEach((_, d) =>
+      arrow(origin, toScreen(points[d + 1]), colours[d])
+    );
+    arrow(origin, toScreen(points[0]), QUERY_COLOUR);
+
+    // Legend
+    const names = ["Query", ...data.docs.map((_, d) => `Doc ${d + 1}`)];
+    const swatches = [QUERY_COLOUR, ...colours];
+    p.textSize(12);
+    p.textAlign(p.LEFT, p.CENTER);
+    names.forEach((name, i) => {
+      p.fill(...swatches[i]);
+      p.rect(10, 12 + i * 18, 12, 12);
+      p.fill(220);
+      p.text(name, 28, 18 + i * 18);
+    });
+    if (threeD) {
+      p.fill(150);
+      p.textAlign(p.RIGHT, p.BOTTOM);
+      p.text("Drag to turn", p.width - 10, p.height - 8);
+    }
+  };
+
+  // Dragging turns a 3D view and stops it turning by itself
+  p.mouseDragged = () => {
+    const inside =
+      p.mouseX >= 0 &&
+      p.mouseX <= p.width &&
+      p.mouseY >= 0 &&
+      p.mouseY <= p.height;
+    if (!inside || vsDims() !== 3) return;
+    vsDragged = true;
+    vsYaw += (p.mouseX - p.pmouseX) * 0.01;
+    vsPitch = Math.max(
+      -1.4,
+      Math.min(1.4, vsPitch + (p.mouseY - p.pmouseY) * 0.01)
+    );
+  };
+
+  p.windowResized = () => {
+    const container = document.getElementById("vectorContainer");
+    if (container) p.resizeCanvas(container.clientWidth, p.height);
+  };
+};
+
+new p5(vectorSketch);
\ No newline at end of file